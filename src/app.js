@@ -16,11 +16,20 @@ import mailboxesRoutes from "./routes/mailboxes.routes.js";
 import analyticsRoutes from "./routes/analytics.routes.js";
 import trackingRoutes from "./routes/tracking.route.js";
 import notificationRoutes from "./routes/notification.routes.js";
+import webhookRoutes from "./routes/webhook.routes.js";
+import suppressionRoutes from "./routes/suppression.routes.js";
+import trackingDomainRoutes from "./routes/tracking-domain.routes.js";
+import workspaceRoutes from "./routes/workspace.routes.js";
+import apiKeyRoutes from "./routes/api-key.routes.js";
+import webhookEndpointRoutes from "./routes/webhook-endpoint.routes.js";
+import contactRoutes from "./routes/contact.routes.js";
+import segmentRoutes from "./routes/segment.routes.js";
 import { responseMiddleware } from "./middlewares/response.middleware.js";
 import errorHandler from "./middlewares/error.middleware.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import { protect } from "./middlewares/auth.middleware.js";
+import { trackingHost } from "./middlewares/tracking-host.middleware.js";
 import cors from "cors";
 import morgan from "morgan";
 
@@ -29,6 +38,9 @@ const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// custom tracking domains only serve /api/v1/tracking
+app.use(trackingHost);
+
 // core middleware
 const allowedOrigins = [
   process.env.FRONTEND_URL,
@@ -52,6 +64,9 @@ app.use(
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   }),
 );
+// ESP webhooks verify signatures over the raw body, so mount before JSON parsing
+app.use("/api/v1/webhooks", webhookRoutes);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 app.use(cookieParser());
@@ -86,6 +101,13 @@ app.use("/api/v1/templates", emailTempalteRoutes);
 app.use("/api/v1/mailboxes", mailboxesRoutes);
 app.use("/api/v1/tracking", trackingRoutes);
 app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/suppressions", suppressionRoutes);
+app.use("/api/v1/tracking-domains", trackingDomainRoutes);
+app.use("/api/v1/workspaces", workspaceRoutes);
+app.use("/api/v1/api-keys", apiKeyRoutes);
+app.use("/api/v1/webhook-endpoints", webhookEndpointRoutes);
+app.use("/api/v1/contacts", contactRoutes);
+app.use("/api/v1/segments", segmentRoutes);
 
 // swagger
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -15,12 +15,13 @@ passport.use(
         // IMPORTANT: Google might return refreshToken in params
         const actualRefreshToken = refreshToken || params.refresh_token;
 
-        // Extract user ID from state
+        // Extract user and workspace IDs from state ("sender-<userId>:<workspaceId>")
         const state = req.query.state || "";
-        const userId = state.replace("sender-", "");
+        const [userId, workspaceId] = state.replace("sender-", "").split(":");
 
         return done(null, {
           userId,
+          workspaceId,
           email: profile.emails[0].value,
           displayName: profile.displayName,
           accessToken,
@@ -5,7 +5,9 @@ import CampaignSend from "../models/campaign-send.model.js";
 import Email from "../models/email.model.js";
 import ReplyEvent from "../models/reply-event.model.js";
 import BounceEvent from "../models/bounce-event.model.js";
+import EmailEvent from "../models/email-event.model.js";
 import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
 import GmailSender from "../models/gmail-sender.model.js";
 import OutlookSender from "../models/outlook-sender.model.js";
 import SmtpSender from "../models/smtp-sender.model.js";
@@ -17,8 +19,8 @@ const CACHE_TTL = 900; // 15 minutes
 // GLOBAL OVERVIEW
 // =========================
 export const getGlobalOverview = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const cacheKey = `analytics:overview:${userId}`;
+  const workspaceId = req.workspace.id;
+  const cacheKey = `analytics:overview:${workspaceId}`;
 
   const cached = await getCachedData(cacheKey);
   if (cached) {
@@ -35,12 +37,12 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
     avgReplyRate,
   ] = await Promise.all([
     // Total campaigns
-    Campaign.count({ where: { userId } }),
+    Campaign.count({ where: { workspaceId } }),
 
     // Active campaigns
     Campaign.count({
       where: {
-        userId,
+        workspaceId,
         status: { [Op.in]: ["running", "sending"] },
       },
     }),
@@ -50,7 +52,7 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
       include: [
         {
           model: Campaign,
-          where: { userId },
+          where: { workspaceId },
           attributes: [],
         },
       ],
@@ -66,7 +68,7 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
           include: [
             {
               model: Campaign,
-              where: { userId },
+              where: { workspaceId },
               attributes: [],
             },
           ],
@@ -83,7 +85,7 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
           include: [
             {
               model: Campaign,
-              where: { userId },
+              where: { workspaceId },
               attributes: [],
             },
           ],
@@ -93,7 +95,7 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
 
     // Average open rate
     Campaign.findOne({
-      where: { userId },
+      where: { workspaceId },
       attributes: [
         [
           Sequelize.fn(
@@ -110,7 +112,7 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
 
     // Average reply rate
     Campaign.findOne({
-      where: { userId },
+      where: { workspaceId },
       attributes: [
         [
           Sequelize.fn(
@@ -148,10 +150,10 @@ export const getGlobalOverview = asyncHandler(async (req, res) => {
 // PERFORMANCE METRICS
 // =========================
 export const getPerformanceMetrics = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const campaigns = await Campaign.findAll({
-    where: { userId },
+    where: { workspaceId },
     attributes: [
       "id",
       "name",
@@ -193,12 +195,41 @@ export const getPerformanceMetrics = asyncHandler(async (req, res) => {
     { totalSent: 0, totalOpens: 0, totalClicks: 0, totalReplied: 0 },
   );
 
+  // Opens/clicks above are human-only; machine traffic on request
+  const machine = {};
+  if (req.query.includeMachine === "true" && campaigns.length) {
+    const rows = await EmailEvent.findAll({
+      where: {
+        classification: "machine",
+        eventType: { [Op.in]: ["open", "click"] },
+      },
+      include: [
+        {
+          model: Email,
+          attributes: [],
+          required: true,
+          where: { campaignId: { [Op.in]: campaigns.map((c) => c.id) } },
+        },
+      ],
+      attributes: [
+        "eventType",
+        [Sequelize.fn("COUNT", Sequelize.col("EmailEvent.id")), "count"],
+      ],
+      group: ["eventType"],
+      raw: true,
+    });
+
+    machine.machineOpens = Number(rows.find((r) => r.eventType === "open")?.count || 0);
+    machine.machineClicks = Number(rows.find((r) => r.eventType === "click")?.count || 0);
+  }
+
   res.json({
     success: true,
     data: {
       campaigns,
       aggregates: {
         ...totals,
+        ...machine,
         avgOpenRate:
           totals.totalSent > 0
             ? Math.round((totals.totalOpens / totals.totalSent) * 100)
@@ -220,9 +251,9 @@ export const getPerformanceMetrics = asyncHandler(async (req, res) => {
 // TIMELINE DATA - ONLY ACTUAL DATA
 // =========================
 export const getTimelineData = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { period = "week" } = req.query;
-  const cacheKey = `analytics:timeline:${userId}:${period}`;
+  const cacheKey = `analytics:timeline:${workspaceId}:${period}`;
 
   const cached = await getCachedData(cacheKey);
   if (cached) {
@@ -284,7 +315,7 @@ export const getTimelineData = asyncHandler(async (req, res) => {
     include: [
       {
         model: Campaign,
-        where: { userId },
+        where: { workspaceId },
         attributes: [],
         required: true,
       },
@@ -391,11 +422,11 @@ export const getTimelineData = asyncHandler(async (req, res) => {
 // TOP CAMPAIGNS
 // =========================
 export const getTopCampaigns = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { limit = 5 } = req.query;
 
   const topCampaigns = await Campaign.findAll({
-    where: { userId },
+    where: { workspaceId },
     attributes: [
       "id",
       "name",
@@ -424,7 +455,7 @@ export const getTopCampaigns = asyncHandler(async (req, res) => {
 // RECENT REPLIES
 // =========================
 export const getRecentReplies = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { limit = 10 } = req.query;
 
   const replies = await ReplyEvent.findAll({
@@ -436,7 +467,7 @@ export const getRecentReplies = asyncHandler(async (req, res) => {
         include: [
           {
             model: Campaign,
-            where: { userId },
+            where: { workspaceId },
             attributes: ["id", "name"],
           },
         ],
@@ -466,25 +497,25 @@ export const getRecentReplies = asyncHandler(async (req, res) => {
 // SENDER STATS - FINAL FIX
 // =========================
 export const getSenderStats = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   // Get all senders count by type
   const [gmailCount, outlookCount, smtpCount] = await Promise.all([
     GmailSender.count({
       where: {
-        userId,
+        workspaceId,
         isVerified: true,
       },
     }),
     OutlookSender.count({
       where: {
-        userId,
+        workspaceId,
         isVerified: true,
       },
     }),
     SmtpSender.count({
       where: {
-        userId,
+        workspaceId,
         isVerified: true,
         isActive: true,
       },
@@ -500,7 +531,7 @@ export const getSenderStats = asyncHandler(async (req, res) => {
     include: [
       {
         model: Campaign,
-        where: { userId },
+        where: { workspaceId },
         attributes: ["senderType"], // Include senderType from Campaign
         required: true,
       },
@@ -577,7 +608,7 @@ export const getSenderStats = asyncHandler(async (req, res) => {
 // HOURLY STATS
 // =========================
 export const getHourlyStats = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const hourly = await CampaignSend.findAll({
     where: {
@@ -586,7 +617,7 @@ export const getHourlyStats = asyncHandler(async (req, res) => {
     include: [
       {
         model: Campaign,
-        where: { userId },
+        where: { workspaceId },
         attributes: [],
       },
     ],
@@ -618,3 +649,145 @@ export const getHourlyStats = asyncHandler(async (req, res) => {
     data: fullDay,
   });
 });
+
+// =========================
+// PER-LINK CLICKS
+// =========================
+const STEP = "\"Email\".\"metadata\"->>'step'";
+const VARIANT = "\"Email\".\"metadata\"->>'variantId'";
+
+/**
+ * Unique and total clicks per link, split by step and A/B variant.
+ * Links are identified by their position in the email (linkIndex), so the
+ * same URL used by two CTAs is reported separately. Machine clicks are
+ * excluded unless ?includeMachine=true.
+ */
+export const getCampaignLinkStats = asyncHandler(async (req, res) => {
+  const workspaceId = req.workspace.id;
+  const includeMachine = req.query.includeMachine === "true";
+
+  const campaign = await Campaign.findOne({
+    where: { id: req.params.id, workspaceId },
+    attributes: ["id", "name"],
+  });
+  if (!campaign) throw new AppError("Campaign not found", 404);
+
+  const cacheKey = `analytics:links:${campaign.id}:${includeMachine}`;
+  const cached = await getCachedData(cacheKey);
+  if (cached) {
+    return res.json({ success: true, data: cached });
+  }
+
+  // Sent per step/variant, with one copy of the tracked links so links
+  // nobody clicked still show up
+  const sends = await Email.findAll({
+    where: { campaignId: campaign.id, sentAt: { [Op.ne]: null } },
+    attributes: [
+      [Sequelize.literal(STEP), "step"],
+      [Sequelize.literal(VARIANT), "variantId"],
+      [Sequelize.fn("COUNT", Sequelize.col("Email.id")), "sent"],
+      [Sequelize.literal("(ARRAY_AGG(\"Email\".\"trackedLinks\"))[1]"), "links"],
+    ],
+    group: [Sequelize.literal(STEP), Sequelize.literal(VARIANT)],
+    raw: true,
+  });
+
+  const clicks = await EmailEvent.findAll({
+    where: {
+      eventType: "click",
+      ...(!includeMachine && {
+        [Op.or]: [{ classification: "human" }, { classification: null }],
+      }),
+    },
+    include: [
+      {
+        model: Email,
+        attributes: [],
+        required: true,
+        where: { campaignId: campaign.id },
+      },
+    ],
+    attributes: [
+      [Sequelize.literal(STEP), "step"],
+      [Sequelize.literal(VARIANT), "variantId"],
+      [Sequelize.literal("\"EmailEvent\".\"metadata\"->>'linkIndex'"), "linkIndex"],
+      [Sequelize.literal("\"EmailEvent\".\"metadata\"->>'url'"), "url"],
+      [Sequelize.fn("COUNT", Sequelize.col("EmailEvent.id")), "totalClicks"],
+      [
+        Sequelize.fn("COUNT", Sequelize.fn("DISTINCT", Sequelize.col("Email.id"))),
+        "uniqueClicks",
+      ],
+    ],
+    group: [
+      Sequelize.literal(STEP),
+      Sequelize.literal(VARIANT),
+      Sequelize.literal("\"EmailEvent\".\"metadata\"->>'linkIndex'"),
+      Sequelize.literal("\"EmailEvent\".\"metadata\"->>'url'"),
+    ],
+    raw: true,
+  });
+
+  const groupKey = (step, variantId) => `${step ?? ""}:${variantId ?? ""}`;
+  const groups = new Map();
+
+  for (const s of sends) {
+    groups.set(groupKey(s.step, s.variantId), {
+      step: s.step !== null ? Number(s.step) : null,
+      variantId: s.variantId,
+      sent: Number(s.sent),
+      links: (s.links || []).map((url, linkIndex) => ({
+        linkIndex,
+        url,
+        totalClicks: 0,
+        uniqueClicks: 0,
+      })),
+    });
+  }
+
+  for (const c of clicks) {
+    const key = groupKey(c.step, c.variantId);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        step: c.step !== null ? Number(c.step) : null,
+        variantId: c.variantId,
+        sent: 0,
+        links: [],
+      });
+    }
+    const group = groups.get(key);
+
+    // Clicks from before link indexes were recorded match by URL
+    const linkIndex = c.linkIndex !== null ? Number(c.linkIndex) : null;
+    let link = group.links.find((l) =>
+      linkIndex !== null ? l.linkIndex === linkIndex : l.url === c.url,
+    );
+    if (!link) {
+      link = { linkIndex, url: c.url, totalClicks: 0, uniqueClicks: 0 };
+      group.links.push(link);
+    }
+
+    link.totalClicks += Number(c.totalClicks);
+    link.uniqueClicks += Number(c.uniqueClicks);
+  }
+
+  const steps = [...groups.values()]
+    .map((group) => ({
+      ...group,
+      links: group.links.map((link) => ({
+        ...link,
+        uniqueClickRate: group.sent
+          ? Math.round((link.uniqueClicks / group.sent) * 10000) / 100
+          : 0,
+      })),
+    }))
+    .sort(
+      (a, b) =>
+        (a.step ?? 0) - (b.step ?? 0) ||
+        String(a.variantId ?? "").localeCompare(String(b.variantId ?? "")),
+    );
+
+  const result = { campaignId: campaign.id, name: campaign.name, steps };
+  await setCachedData(cacheKey, result, CACHE_TTL);
+
+  res.json({ success: true, data: result });
+});
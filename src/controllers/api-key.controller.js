@@ -0,0 +1,98 @@
+import { Op } from "sequelize";
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { ApiKey } from "../models/index.js";
+import { apiKeyService, API_KEY_SCOPES } from "../services/api-key.service.js";
+import { hasRole } from "../services/workspace.service.js";
+
+const MAX_EXPIRY_DAYS = 365;
+
+const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  workspaceId: apiKey.workspaceId,
+  userId: apiKey.userId,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt,
+});
+
+/* =========================
+   API KEYS
+========================= */
+
+// The caller's keys usable in the current workspace (pinned to it or user-scoped)
+export const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.findAll({
+    where: {
+      userId: req.user.id,
+      [Op.or]: [{ workspaceId: req.workspace.id }, { workspaceId: null }],
+    },
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.json({ success: true, data: apiKeys.map(serializeApiKey) });
+});
+
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { scopes, workspaceScoped = true, expiresInDays } = req.body;
+  const name = String(req.body.name || "").trim();
+
+  if (!name || name.length > 100) {
+    throw new AppError("Key name must be 1-100 characters", 400);
+  }
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new AppError("At least one scope is required", 400);
+  }
+  const unknown = scopes.filter((s) => !API_KEY_SCOPES.includes(s));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown scope(s): ${unknown.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`,
+      400,
+    );
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      throw new AppError(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`, 400);
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const { apiKey, key } = await apiKeyService.create({
+    userId: req.user.id,
+    workspaceId: workspaceScoped ? req.workspace.id : null,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { ...serializeApiKey(apiKey), key },
+    message: "API key created. Copy it now, it will not be shown again",
+  });
+});
+
+// Own keys, or (admin) any key pinned to the current workspace
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOne({
+    where: { id: req.params.id, revokedAt: null },
+  });
+
+  const canRevoke =
+    apiKey &&
+    (apiKey.userId === req.user.id ||
+      (apiKey.workspaceId === req.workspace.id && hasRole(req.workspaceRole, "admin")));
+  if (!canRevoke) throw new AppError("API key not found", 404);
+
+  await apiKey.update({ revokedAt: new Date() });
+  res.json({ success: true, message: "API key revoked" });
+});
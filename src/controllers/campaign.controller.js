@@ -12,8 +12,24 @@ import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import ReplyEvent from "../models/reply-event.model.js";
 import Email from "../models/email.model.js";
 import CampaignStep from "../models/campaign-step.model.js";
+import CampaignSender from "../models/campaign-sender.model.js";
 import { Op } from "sequelize";
 import sequelize from "../config/db.js";
+import {
+  isValidTimezone,
+  normalizeSendWindow,
+  nextOpenSlot,
+  resolveRecipientTimezone,
+} from "../utils/send-window.js";
+import {
+  AB_CONFIDENCE_LEVELS,
+  AB_METRICS,
+  evaluateVariants,
+  getVariantStats,
+  wilsonInterval,
+} from "../utils/ab-testing.js";
+import { validateSequenceGraph } from "../utils/sequence-graph.js";
+import { segmentService } from "../services/segment.service.js";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
@@ -21,10 +37,226 @@ import timezone from "dayjs/plugin/timezone.js";
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
+const SENDER_MODELS = {
+  gmail: GmailSender,
+  outlook: OutlookSender,
+  smtp: SmtpSender,
+};
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validates a campaign sender pool ([{ senderId, senderType }]) against the
+ * workspace's verified mailboxes. Duplicates are dropped.
+ */
+async function resolveSenderPool(workspaceId, senders) {
+  const seen = new Set();
+  const pool = [];
+
+  for (const entry of senders) {
+    const { senderId, senderType } = entry || {};
+
+    if (!senderId || !SENDER_MODELS[senderType]) {
+      throw new AppError("Invalid sender in pool", 400);
+    }
+
+    const key = `${senderType}:${senderId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const sender = await SENDER_MODELS[senderType].findOne({
+      where: { id: senderId, workspaceId, isVerified: true },
+    });
+
+    if (!sender) {
+      throw new AppError(`Sender not found for type ${senderType}`, 400);
+    }
+
+    pool.push({ senderId, senderType });
+  }
+
+  return pool;
+}
+
+function parseSendWindow(sendWindow) {
+  try {
+    return normalizeSendWindow(sendWindow);
+  } catch (err) {
+    throw new AppError(err.message, 400);
+  }
+}
+
+// Send windows and scheduledAt are evaluated in this zone, so an unknown
+// name would break scheduling later rather than here
+function parseTimezone(tz) {
+  if (!tz) return "UTC";
+  if (!isValidTimezone(tz)) {
+    throw new AppError(`Invalid timezone: ${tz}`, 400);
+  }
+  return tz;
+}
+
+/**
+ * Validates a branching sequence graph against the campaign's stepOrders.
+ * Returns null for "no graph" (linear sequence).
+ */
+function parseSequence(sequence, stepOrders) {
+  if (sequence === null || sequence === undefined) return null;
+
+  const errors = validateSequenceGraph(sequence, stepOrders);
+  if (errors.length) {
+    throw new AppError(`Invalid sequence: ${errors.join("; ")}`, 400);
+  }
+
+  return sequence;
+}
+
+// Step fields clients may set. The winner fields are written by
+// auto-optimize only.
+const STEP_FIELDS = [
+  "subject",
+  "htmlBody",
+  "textBody",
+  "delayMinutes",
+  "condition",
+  "onConditionStepOrder",
+  "variants",
+];
+
+// A winner (or an inconclusive test) only holds for the variants it was
+// picked from
+const CLEARED_WINNER = {
+  winningVariantId: null,
+  winnerSelectedAt: null,
+  winnerMeta: null,
+  optimizeEvaluatedAt: null,
+};
+
+/**
+ * Picks the writable fields of a step from the request and validates its
+ * variants and auto-optimize settings. New variants start a new test.
+ */
+function parseStep(step) {
+  if (!step || typeof step !== "object") {
+    throw new AppError("Invalid step", 400);
+  }
+
+  const parsed = {};
+  for (const field of STEP_FIELDS) {
+    if (step[field] !== undefined) parsed[field] = step[field];
+  }
+
+  const { autoOptimize, optimizeMetric, optimizeMinSample, optimizeConfidence } = step;
+
+  const isVariant = (v) =>
+    v &&
+    typeof v === "object" &&
+    (v.weight === undefined || (typeof v.weight === "number" && v.weight > 0));
+
+  if (
+    parsed.variants !== undefined &&
+    !(Array.isArray(parsed.variants) && parsed.variants.every(isVariant))
+  ) {
+    throw new AppError("variants must be an array of { subject, htmlBody, textBody, weight }", 400);
+  }
+  if (parsed.variants !== undefined) Object.assign(parsed, CLEARED_WINNER);
+  if (autoOptimize !== undefined) {
+    if (typeof autoOptimize !== "boolean") {
+      throw new AppError("autoOptimize must be true or false", 400);
+    }
+    parsed.autoOptimize = autoOptimize;
+  }
+  if (optimizeMetric !== undefined) {
+    if (!AB_METRICS.includes(optimizeMetric)) {
+      throw new AppError(`optimizeMetric must be one of: ${AB_METRICS.join(", ")}`, 400);
+    }
+    parsed.optimizeMetric = optimizeMetric;
+  }
+  if (optimizeMinSample !== undefined) {
+    if (!Number.isInteger(optimizeMinSample) || optimizeMinSample < 1) {
+      throw new AppError("optimizeMinSample must be a positive integer", 400);
+    }
+    parsed.optimizeMinSample = optimizeMinSample;
+  }
+  if (optimizeConfidence !== undefined) {
+    if (!AB_CONFIDENCE_LEVELS.includes(optimizeConfidence)) {
+      throw new AppError(
+        `optimizeConfidence must be one of: ${AB_CONFIDENCE_LEVELS.join(", ")}`,
+        400,
+      );
+    }
+    parsed.optimizeConfidence = optimizeConfidence;
+  }
+
+  return parsed;
+}
+
+/**
+ * Variants and auto-optimize settings for step 0, from the steps entry
+ * with stepOrder 0 (if any). Its content always mirrors the campaign.
+ */
+function parseFirstStep(steps) {
+  const entry = steps.find((s) => s?.stepOrder === 0);
+  return entry ? parseStep(entry) : {};
+}
+
+function buildFirstStep(campaign, settings = {}) {
+  return {
+    ...settings,
+    campaignId: campaign.id,
+    stepOrder: 0,
+    subject: campaign.subject,
+    htmlBody: campaign.htmlBody,
+    textBody: campaign.textBody,
+    delayMinutes: 0,
+    condition: "always",
+  };
+}
+
+function parseFollowUps(steps) {
+  return steps
+    .filter((s) => s?.stepOrder > 0)
+    .map((s) => ({ ...parseStep(s), stepOrder: s.stepOrder }));
+}
+
+/**
+ * Validates segment ids against the workspace. Returns null for "no
+ * segments" so list-only campaigns keep a null column.
+ */
+async function parseSegmentIds(workspaceId, segmentIds) {
+  if (segmentIds === null || segmentIds === undefined) return null;
+  if (!Array.isArray(segmentIds)) {
+    throw new AppError("segmentIds must be an array", 400);
+  }
+
+  const ids = [...new Set(segmentIds.map(String))];
+  if (!ids.length) return null;
+  if (!ids.every((id) => UUID_REGEX.test(id))) {
+    throw new AppError("segmentIds must be segment ids", 400);
+  }
+
+  const segments = await segmentService.findByIds(workspaceId, ids);
+  if (segments.length !== ids.length) {
+    throw new AppError("Segment not found", 400);
+  }
+
+  return ids;
+}
+
+async function replaceSenderPool(campaignId, pool) {
+  await CampaignSender.destroy({ where: { campaignId } });
+  if (pool.length > 0) {
+    await CampaignSender.bulkCreate(
+      pool.map((p) => ({ ...p, campaignId, isActive: true })),
+    );
+  }
+}
+
 
 export const getCampaigns = asyncHandler(async (req, res) => {
   const campaigns = await Campaign.findAll({
-    where: { userId: req.user.id },
+    where: { workspaceId: req.workspace.id },
     order: [["createdAt", "DESC"]],
     include: [
       {
@@ -120,7 +352,7 @@ export const getCampaign = asyncHandler(async (req, res) => {
   const campaign = await Campaign.findOne({
     where: {
       id: req.params.id,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
     include: [
       {
@@ -154,6 +386,12 @@ export const getCampaign = asyncHandler(async (req, res) => {
         separate: true,
         order: [["stepOrder", "ASC"]],
       },
+      {
+        model: CampaignSender,
+        as: "CampaignSenders",
+        attributes: ["id", "senderId", "senderType", "isActive"],
+        separate: true,
+      },
     ],
   });
 
@@ -186,62 +424,84 @@ export const createCampaign = asyncHandler(async (req, res) => {
     trackOpens,
     trackClicks,
     unsubscribeLink,
+    sendWindow,
+    sequence,
+    segmentIds,
   } = req.body;
 
-  if (!name || !subject || !senderId || !listBatchId) {
+  const { senders = [], steps = [] } = req.body;
+
+  // A campaign needs either a single sender or a pool of senders, and
+  // a list and/or segments to send to
+  if (
+    !name ||
+    !subject ||
+    !(listBatchId || (Array.isArray(segmentIds) && segmentIds.length)) ||
+    (!senderId && !(Array.isArray(senders) && senders.length))
+  ) {
     throw new AppError("Missing required fields", 400);
   }
 
   // Validate senderType
-  if (!senderType || !["gmail", "outlook", "smtp"].includes(senderType)) {
+  if (senderId && (!senderType || !["gmail", "outlook", "smtp"].includes(senderType))) {
     throw new AppError("Invalid sender type", 400);
   }
 
-  const batch = await ListUploadBatch.findOne({
-    where: { id: listBatchId, userId: req.user.id },
-  });
+  if (listBatchId) {
+    const batch = await ListUploadBatch.findOne({
+      where: { id: listBatchId, workspaceId: req.workspace.id },
+    });
 
-  if (!batch || batch.status !== "verified") {
-    throw new AppError("List batch not ready", 400);
+    if (!batch || batch.status !== "verified") {
+      throw new AppError("List batch not ready", 400);
+    }
   }
 
-  let sender;
+  const validSegmentIds = await parseSegmentIds(req.workspace.id, segmentIds);
 
-  if (senderType === "gmail") {
-    sender = await GmailSender.findOne({
-      where: { id: senderId, userId: req.user.id, isVerified: true },
-    });
-  } else if (senderType === "outlook") {
-    sender = await OutlookSender.findOne({
-      where: { id: senderId, userId: req.user.id, isVerified: true },
-    });
-  } else if (senderType === "smtp") {
-    sender = await SmtpSender.findOne({
-      where: { id: senderId, userId: req.user.id, isVerified: true },
-    });
-  }
+  // The single senderId (if any) is always part of the pool
+  const pool = await resolveSenderPool(req.workspace.id, [
+    ...(senderId ? [{ senderId, senderType }] : []),
+    ...(Array.isArray(senders) ? senders : []),
+  ]);
 
-  console.log(sender);
+  // Primary sender keeps Campaign.senderId meaningful for single-sender reads
+  const primary = pool[0];
 
-  if (!sender) {
-    throw new AppError(`Sender not found for type ${senderType}`, 400);
+  if (!Array.isArray(steps)) {
+    throw new AppError("steps must be an array", 400);
   }
+  // Validated up front so a bad step doesn't leave a half-created campaign
+  const firstStep = parseFirstStep(steps);
+  const followUpSteps = parseFollowUps(steps);
+
+  // Graph is validated against step 0 + the follow-ups created below
+  const validSequence = parseSequence(sequence, [
+    0,
+    ...followUpSteps.map((s) => s.stepOrder),
+  ]);
+
+  const campaignTimezone = parseTimezone(timezone);
 
   // ALWAYS create as DRAFT - activation happens separately
   const campaign = await Campaign.create({
     userId: req.user.id,
-    senderId,
-    senderType,
-    listBatchId,
+    workspaceId: req.workspace.id,
+    senderId: primary.senderId,
+    senderType: primary.senderType,
+    listBatchId: listBatchId || null,
+    segmentIds: validSegmentIds,
     name,
     subject,
     htmlBody: htmlBody || "",
     textBody: textBody || "",
     previewText: previewText || "",
     scheduledAt: scheduledAt
-      ? dayjs.tz(scheduledAt, timezone || "UTC").utc().toDate()
+      ? dayjs.tz(scheduledAt, campaignTimezone).utc().toDate()
       : null,
-    timezone: timezone || "UTC",
+    timezone: campaignTimezone,
+    sendWindow: parseSendWindow(sendWindow),
+    sequence: validSequence,
     throttlePerMinute: throttlePerMinute || 10,
     trackOpens: trackOpens !== undefined ? trackOpens : true,
     trackClicks: trackClicks !== undefined ? trackClicks : true,
@@ -251,32 +511,22 @@ export const createCampaign = asyncHandler(async (req, res) => {
     totalReplied: 0,
   });
 
+  // Only persist a pool when rotating across more than one mailbox
+  if (pool.length > 1) {
+    await replaceSenderPool(campaign.id, pool);
+  }
+
   /* =========================
      MULTI-STEP SUPPORT
   ========================= */
   // Step 0 is always the main campaign content
-  await CampaignStep.create({
-    campaignId: campaign.id,
-    stepOrder: 0,
-    subject: campaign.subject,
-    htmlBody: campaign.htmlBody,
-    textBody: campaign.textBody,
-    delayMinutes: 0,
-    condition: "always",
-  });
+  await CampaignStep.create(buildFirstStep(campaign, firstStep));
 
   // Create additional follow-up steps if provided
-  const { steps = [] } = req.body;
-  if (Array.isArray(steps) && steps.length > 0) {
-    const followUps = steps
-      .filter((s) => s.stepOrder > 0)
-      .map((s) => ({
-        ...s,
-        campaignId: campaign.id,
-      }));
-    if (followUps.length > 0) {
-      await CampaignStep.bulkCreate(followUps);
-    }
+  if (followUpSteps.length > 0) {
+    await CampaignStep.bulkCreate(
+      followUpSteps.map((s) => ({ ...s, campaignId: campaign.id })),
+    );
   }
 
   // Reload campaign with steps to ensure consistent response
@@ -289,6 +539,12 @@ export const createCampaign = asyncHandler(async (req, res) => {
         separate: true,
         order: [["stepOrder", "ASC"]],
       },
+      {
+        model: CampaignSender,
+        as: "CampaignSenders",
+        attributes: ["id", "senderId", "senderType", "isActive"],
+        separate: true,
+      },
     ],
   });
 
@@ -308,7 +564,7 @@ export const updateCampaign = asyncHandler(async (req, res) => {
   const campaign = await Campaign.findOne({
     where: {
       id: req.params.id,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
   });
 
@@ -333,6 +589,9 @@ export const updateCampaign = asyncHandler(async (req, res) => {
     trackOpens,
     trackClicks,
     unsubscribeLink,
+    sendWindow,
+    sequence,
+    segmentIds,
   } = req.body;
 
   // Update only provided fields
@@ -342,37 +601,90 @@ export const updateCampaign = asyncHandler(async (req, res) => {
   if (htmlBody !== undefined) updates.htmlBody = htmlBody;
   if (textBody !== undefined) updates.textBody = textBody;
   if (previewText !== undefined) updates.previewText = previewText;
+  if (timezone !== undefined) updates.timezone = parseTimezone(timezone);
   if (scheduledAt !== undefined)
     updates.scheduledAt = scheduledAt
       ? dayjs
-          .tz(scheduledAt, timezone || campaign.timezone || "UTC")
+          .tz(scheduledAt, updates.timezone || campaign.timezone || "UTC")
           .utc()
           .toDate()
       : null;
-  if (timezone !== undefined) updates.timezone = timezone;
+  if (sendWindow !== undefined) updates.sendWindow = parseSendWindow(sendWindow);
   if (throttlePerMinute !== undefined)
     updates.throttlePerMinute = throttlePerMinute;
   if (trackOpens !== undefined) updates.trackOpens = trackOpens;
   if (trackClicks !== undefined) updates.trackClicks = trackClicks;
   if (unsubscribeLink !== undefined) updates.unsubscribeLink = unsubscribeLink;
+  if (segmentIds !== undefined) {
+    updates.segmentIds = await parseSegmentIds(req.workspace.id, segmentIds);
+    if (!updates.segmentIds && !campaign.listBatchId) {
+      throw new AppError("A campaign without a list needs at least one segment", 400);
+    }
+  }
+
+  /* =========================
+     SEQUENCE GRAPH
+  ========================= */
+  const { senders, steps } = req.body;
+  if (steps !== undefined && !Array.isArray(steps)) {
+    throw new AppError("steps must be an array", 400);
+  }
+  const firstStep = steps ? parseFirstStep(steps) : undefined;
+  const followUpSteps = steps ? parseFollowUps(steps) : null;
+
+  if (sequence !== undefined) {
+    const stepOrders = followUpSteps
+      ? [0, ...followUpSteps.map((s) => s.stepOrder)]
+      : (
+          await CampaignStep.findAll({
+            where: { campaignId: campaign.id },
+            attributes: ["stepOrder"],
+          })
+        ).map((s) => s.stepOrder);
+
+    updates.sequence = parseSequence(sequence, [...new Set([0, ...stepOrders])]);
+  } else if (followUpSteps && campaign.sequence) {
+    // The stored graph points at steps by stepOrder: it has to hold for
+    // the new steps too
+    const errors = validateSequenceGraph(campaign.sequence, [
+      0,
+      ...followUpSteps.map((s) => s.stepOrder),
+    ]);
+    if (errors.length) {
+      throw new AppError(
+        `The new steps don't fit the campaign's sequence, send an updated sequence with them: ${errors.join("; ")}`,
+        400,
+      );
+    }
+  }
+
+  /* =========================
+     SENDER POOL UPDATE
+  ========================= */
+  let pool = null;
+  if (Array.isArray(senders)) {
+    pool = await resolveSenderPool(req.workspace.id, senders);
+    if (!pool.length) {
+      throw new AppError("At least one sender is required", 400);
+    }
+    updates.senderId = pool[0].senderId;
+    updates.senderType = pool[0].senderType;
+  }
 
   await campaign.update(updates);
 
+  // Recipients pinned to a mailbox that left the pool move to another one
+  // on their next step
+  if (pool) {
+    await replaceSenderPool(campaign.id, pool.length > 1 ? pool : []);
+  }
+
   /* =========================
      MULTI-STEP UPDATE
   ========================= */
-  const { steps } = req.body;
-  if (steps !== undefined && Array.isArray(steps)) {
+  if (followUpSteps) {
     // 1. Sync Step 0 with Campaign content (to ensure orchestrator has it)
-    await CampaignStep.upsert({
-      campaignId: campaign.id,
-      stepOrder: 0,
-      subject: campaign.subject,
-      htmlBody: campaign.htmlBody,
-      textBody: campaign.textBody,
-      delayMinutes: 0,
-      condition: "always",
-    });
+    await CampaignStep.upsert(buildFirstStep(campaign, firstStep));
 
     // 2. Clear existing follow-ups and recreate (simpler than complex diffing)
     await CampaignStep.destroy({
@@ -382,27 +694,14 @@ export const updateCampaign = asyncHandler(async (req, res) => {
       },
     });
 
-    const followUps = steps
-      .filter((s) => s.stepOrder > 0)
-      .map((s) => ({
-        ...s,
-        campaignId: campaign.id,
-      }));
-
-    if (followUps.length > 0) {
-      await CampaignStep.bulkCreate(followUps);
+    if (followUpSteps.length > 0) {
+      await CampaignStep.bulkCreate(
+        followUpSteps.map((s) => ({ ...s, campaignId: campaign.id })),
+      );
     }
   } else {
     // If steps not provided, still sync Step 0 in case content changed
-    await CampaignStep.upsert({
-      campaignId: campaign.id,
-      stepOrder: 0,
-      subject: campaign.subject,
-      htmlBody: campaign.htmlBody,
-      textBody: campaign.textBody,
-      delayMinutes: 0,
-      condition: "always",
-    });
+    await CampaignStep.upsert(buildFirstStep(campaign));
   }
 
   // Reload campaign with steps to ensure consistent response
@@ -415,6 +714,12 @@ export const updateCampaign = asyncHandler(async (req, res) => {
         separate: true,
         order: [["stepOrder", "ASC"]],
       },
+      {
+        model: CampaignSender,
+        as: "CampaignSenders",
+        attributes: ["id", "senderId", "senderType", "isActive"],
+        separate: true,
+      },
     ],
   });
 
@@ -432,7 +737,7 @@ export const deleteCampaign = asyncHandler(async (req, res) => {
   const campaign = await Campaign.findOne({
     where: {
       id: req.params.id,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
   });
 
@@ -461,37 +766,84 @@ export const activateCampaign = asyncHandler(async (req, res) => {
   const campaign = await Campaign.findByPk(req.params.id);
   if (!campaign) throw new AppError("Campaign not found", 404);
 
-  // Check if campaign belongs to user
-  if (campaign.userId !== req.user.id) {
+  // Check if campaign belongs to the workspace
+  if (campaign.workspaceId !== req.workspace.id) {
     throw new AppError("Unauthorized", 403);
   }
 
   assertCampaignTransition(campaign.status, "scheduled");
 
-  const records = await ListUploadRecord.findAll({
-    where: {
-      batchId: campaign.listBatchId,
-      status: ["parsed", "duplicate"],
-    },
-  });
+  const records = campaign.listBatchId
+    ? await ListUploadRecord.findAll({
+        where: {
+          batchId: campaign.listBatchId,
+          status: ["parsed", "duplicate"],
+        },
+      })
+    : [];
+
+  /* =========================
+     SEGMENT MEMBERSHIP
+  ========================= */
+  // Resolved now: later changes to the segment don't affect this campaign
+  const segmentIds = campaign.segmentIds || [];
+  const segments = await segmentService.findByIds(req.workspace.id, segmentIds);
+  if (segments.length !== segmentIds.length) {
+    throw new AppError("A targeted segment no longer exists", 400);
+  }
+
+  const listEmails = new Set(records.map((r) => r.normalizedEmail));
+  const contacts = (
+    await segmentService.resolveContacts(req.workspace.id, segments)
+  ).filter((c) => !listEmails.has(c.email));
 
-  if (!records.length) {
+  if (!records.length && !contacts.length) {
     throw new AppError("No valid recipients found", 400);
   }
 
   const activationTime = campaign.scheduledAt ?? new Date();
 
-  const recipients = records.map((r) => ({
-    campaignId: campaign.id,
-    email: r.normalizedEmail,
-    name: r.name || null,
-    metadata: r.metadata || {},
-    sourceRecordId: r.id,
-    sourceBatchId: campaign.listBatchId,
-    status: "pending",
-    currentStep: 0,
-    nextRunAt: activationTime,
-  }));
+  const buildRecipient = (source) => {
+    const recipientTimezone = resolveRecipientTimezone(
+      source.metadata,
+      campaign.timezone,
+    );
+
+    return {
+      campaignId: campaign.id,
+      status: "pending",
+      currentStep: 0,
+      timezone: recipientTimezone,
+      // First send waits for the recipient's local send window to open
+      nextRunAt: nextOpenSlot(
+        activationTime,
+        campaign.sendWindow,
+        recipientTimezone,
+      ),
+      ...source,
+    };
+  };
+
+  const recipients = [
+    ...records.map((r) =>
+      buildRecipient({
+        email: r.normalizedEmail,
+        name: r.name || null,
+        metadata: r.metadata || {},
+        contactId: r.contactId,
+        sourceRecordId: r.id,
+        sourceBatchId: campaign.listBatchId,
+      }),
+    ),
+    ...contacts.map((c) =>
+      buildRecipient({
+        email: c.email,
+        name: c.name || null,
+        metadata: c.customFields || {},
+        contactId: c.id,
+      }),
+    ),
+  ];
 
   await CampaignRecipient.bulkCreate(recipients, {
     ignoreDuplicates: true,
@@ -524,8 +876,8 @@ export const pauseCampaign = asyncHandler(async (req, res) => {
 
   if (!campaign) throw new AppError("Campaign not found", 404);
 
-  // Check if campaign belongs to user
-  if (campaign.userId !== req.user.id) {
+  // Check if campaign belongs to the workspace
+  if (campaign.workspaceId !== req.workspace.id) {
     throw new AppError("Unauthorized", 403);
   }
 
@@ -544,8 +896,8 @@ export const resumeCampaign = asyncHandler(async (req, res) => {
 
   if (!campaign) throw new AppError("Campaign not found", 404);
 
-  // Check if campaign belongs to user
-  if (campaign.userId !== req.user.id) {
+  // Check if campaign belongs to the workspace
+  if (campaign.workspaceId !== req.workspace.id) {
     throw new AppError("Unauthorized", 403);
   }
 
@@ -561,10 +913,10 @@ export const resumeCampaign = asyncHandler(async (req, res) => {
 // =========================
 export const getCampaignReplies = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { page = 1, limit = 20 } = req.query;
+  const { page = 1, limit = 20, intent } = req.query;
 
   const campaign = await Campaign.findOne({
-    where: { id, userId: req.user.id },
+    where: { id, workspaceId: req.workspace.id },
   });
 
   if (!campaign) {
@@ -574,7 +926,7 @@ export const getCampaignReplies = asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   const { count, rows: replies } = await ReplyEvent.findAndCountAll({
-    where: { campaignId: id },
+    where: { campaignId: id, ...(intent && { intent }) },
     include: [
       {
         model: Email,
@@ -647,6 +999,14 @@ export const getCampaignReplies = asyncHandler(async (req, res) => {
     raw: true,
   });
 
+  // Reply count per classified intent
+  const intentStats = await ReplyEvent.findAll({
+    where: { campaignId: id },
+    attributes: ["intent", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+    group: ["intent"],
+    raw: true,
+  });
+
   res.json({
     success: true,
     data: {
@@ -661,8 +1021,74 @@ export const getCampaignReplies = asyncHandler(async (req, res) => {
         totalReplies: count,
         uniqueThreads,
         dailyStats,
+        byIntent: Object.fromEntries(
+          intentStats.map((r) => [r.intent, parseInt(r.count)]),
+        ),
         replyRate: totalSent > 0 ? ((count / totalSent) * 100).toFixed(2) : 0,
       },
     },
   });
 });
+
+/**
+ * A/B VARIANT REPORT FOR A STEP
+ */
+export const getStepVariantReport = asyncHandler(async (req, res) => {
+  const { id, stepOrder } = req.params;
+
+  const campaign = await Campaign.findOne({
+    where: { id, workspaceId: req.workspace.id },
+  });
+
+  if (!campaign) {
+    throw new AppError("Campaign not found", 404);
+  }
+
+  const step = await CampaignStep.findOne({
+    where: { campaignId: id, stepOrder: parseInt(stepOrder) },
+  });
+
+  if (!step) {
+    throw new AppError("Step not found", 404);
+  }
+
+  const metric = AB_METRICS.includes(req.query.metric)
+    ? req.query.metric
+    : step.optimizeMetric;
+  const confidence = step.optimizeConfidence || 0.95;
+
+  const stats = await getVariantStats(id, step);
+
+  const variants = stats.map((s) => ({
+    ...s,
+    isWinner: step.winningVariantId === s.variantId,
+    rates: {
+      open: wilsonInterval(s.opens, s.sends, confidence),
+      click: wilsonInterval(s.clicks, s.sends, confidence),
+      reply: wilsonInterval(s.replies, s.sends, confidence),
+    },
+  }));
+
+  const significance = evaluateVariants(stats, {
+    metric,
+    minSample: step.optimizeMinSample,
+    confidence,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      campaignId: id,
+      stepOrder: step.stepOrder,
+      metric,
+      confidence,
+      autoOptimize: step.autoOptimize,
+      minSample: step.optimizeMinSample,
+      winningVariantId: step.winningVariantId,
+      winnerSelectedAt: step.winnerSelectedAt,
+      evaluatedAt: step.optimizeEvaluatedAt,
+      variants,
+      significance,
+    },
+  });
+});
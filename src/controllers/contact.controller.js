@@ -0,0 +1,252 @@
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { Contact, ContactField, User, WorkspaceMember } from "../models/index.js";
+import { LIFECYCLE_STAGES } from "../models/contact.model.js";
+import { CONTACT_FIELD_TYPES } from "../models/contact-field.model.js";
+import { contactService } from "../services/contact.service.js";
+import { normalizeEmail, extractDomain, isValidEmail } from "../utils/email-processor.js";
+
+const FIELD_KEY_REGEX = /^[a-z][a-z0-9_]{0,63}$/;
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const findContact = async (req) => {
+  const contact = await Contact.findOne({
+    where: { id: req.params.id, workspaceId: req.workspace.id },
+    include: [{ model: User, as: "owner", attributes: ["id", "name", "email"] }],
+  });
+  if (!contact) throw new AppError("Contact not found", 404);
+  return contact;
+};
+
+/**
+ * Validated name / ownerId / lifecycleStage / tags / customFields from the
+ * body; only the keys present are returned.
+ */
+const readContactInput = async (req, existing = null) => {
+  const { name, ownerId, lifecycleStage, tags, customFields } = req.body;
+  const input = {};
+
+  if (name !== undefined) input.name = name ? String(name).trim().slice(0, 255) : null;
+
+  if (ownerId !== undefined) {
+    if (ownerId) {
+      const member = await WorkspaceMember.findOne({
+        where: { workspaceId: req.workspace.id, userId: ownerId },
+      });
+      if (!member) throw new AppError("Owner must be a member of this workspace", 400);
+    }
+    input.ownerId = ownerId || null;
+  }
+
+  if (lifecycleStage !== undefined) {
+    if (!LIFECYCLE_STAGES.includes(lifecycleStage)) {
+      throw new AppError(`lifecycleStage must be one of: ${LIFECYCLE_STAGES.join(", ")}`, 400);
+    }
+    input.lifecycleStage = lifecycleStage;
+  }
+
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) throw new AppError("tags must be an array", 400);
+    input.tags = contactService.normalizeTags(tags);
+  }
+
+  if (customFields !== undefined) {
+    if (!customFields || typeof customFields !== "object" || Array.isArray(customFields)) {
+      throw new AppError("customFields must be an object", 400);
+    }
+    const fields = await contactService.getFields(req.workspace.id);
+    const { values, errors } = contactService.castCustomFields(fields, customFields, { strict: true });
+    if (errors.length) throw new AppError(errors.join("; "), 400);
+    // Partial update: keys not sent keep their value
+    input.customFields = { ...existing?.customFields, ...values };
+  }
+
+  return input;
+};
+
+/* =========================
+   CONTACTS
+========================= */
+
+export const listContacts = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const { search, tag, lifecycleStage, ownerId } = req.query;
+
+  const where = { workspaceId: req.workspace.id };
+  if (search) {
+    where[Op.or] = [
+      { email: { [Op.iLike]: `%${search}%` } },
+      { name: { [Op.iLike]: `%${search}%` } },
+    ];
+  }
+  if (tag) {
+    // ?tag=a,b → contacts having all of them
+    where.tags = { [Op.contains]: contactService.normalizeTags(String(tag).split(",")) };
+  }
+  if (lifecycleStage) {
+    if (!LIFECYCLE_STAGES.includes(lifecycleStage)) {
+      throw new AppError(`lifecycleStage must be one of: ${LIFECYCLE_STAGES.join(", ")}`, 400);
+    }
+    where.lifecycleStage = lifecycleStage;
+  }
+  if (ownerId) {
+    if (typeof ownerId !== "string" || !UUID_REGEX.test(ownerId)) {
+      throw new AppError("ownerId must be a user id", 400);
+    }
+    where.ownerId = ownerId;
+  }
+
+  const { count, rows } = await Contact.findAndCountAll({
+    where,
+    include: [{ model: User, as: "owner", attributes: ["id", "name", "email"] }],
+    order: [["createdAt", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      contacts: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit),
+      },
+    },
+  });
+});
+
+export const getContact = asyncHandler(async (req, res) => {
+  const contact = await findContact(req);
+  res.json({ success: true, data: contact });
+});
+
+export const createContact = asyncHandler(async (req, res) => {
+  const email = isValidEmail(req.body.email) ? normalizeEmail(req.body.email) : null;
+  if (!email) throw new AppError("A valid email is required", 400);
+
+  const existing = await Contact.findOne({
+    where: { workspaceId: req.workspace.id, email },
+  });
+  if (existing) {
+    throw new AppError("A contact with this email already exists", 409);
+  }
+
+  const contact = await Contact.create({
+    workspaceId: req.workspace.id,
+    email,
+    domain: extractDomain(email),
+    source: req.apiKey ? "api" : "manual",
+    ...(await readContactInput(req)),
+  });
+
+  res.status(201).json({ success: true, data: contact, message: "Contact created" });
+});
+
+export const updateContact = asyncHandler(async (req, res) => {
+  const contact = await findContact(req);
+  await contact.update(await readContactInput(req, contact));
+  res.json({ success: true, data: contact, message: "Contact updated" });
+});
+
+export const deleteContact = asyncHandler(async (req, res) => {
+  const contact = await findContact(req);
+  await contact.destroy();
+  res.json({ success: true, message: "Contact deleted" });
+});
+
+export const getContactTimeline = asyncHandler(async (req, res) => {
+  const contact = await findContact(req);
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  const timeline = await contactService.timeline(contact, { limit });
+  res.json({ success: true, data: timeline });
+});
+
+/* =========================
+   CUSTOM FIELDS
+========================= */
+
+const validateOptions = (type, options) => {
+  if (type !== "select") return null;
+  if (!Array.isArray(options) || !options.length) {
+    throw new AppError("Select fields need a non-empty options array", 400);
+  }
+  return [...new Set(options.map((o) => String(o).trim()).filter(Boolean))];
+};
+
+export const listContactFields = asyncHandler(async (req, res) => {
+  const fields = await contactService.getFields(req.workspace.id);
+  res.json({ success: true, data: fields });
+});
+
+export const createContactField = asyncHandler(async (req, res) => {
+  const { key, type = "text", options } = req.body;
+  const label = String(req.body.label || "").trim();
+
+  if (!FIELD_KEY_REGEX.test(String(key || ""))) {
+    throw new AppError("key must be snake_case (a-z, 0-9, _) and start with a letter", 400);
+  }
+  if (!label) throw new AppError("label is required", 400);
+  if (!CONTACT_FIELD_TYPES.includes(type)) {
+    throw new AppError(`type must be one of: ${CONTACT_FIELD_TYPES.join(", ")}`, 400);
+  }
+
+  const existing = await ContactField.findOne({
+    where: { workspaceId: req.workspace.id, key },
+  });
+  if (existing) throw new AppError(`A field with key "${key}" already exists`, 409);
+
+  const field = await ContactField.create({
+    workspaceId: req.workspace.id,
+    key,
+    label: label.slice(0, 100),
+    type,
+    options: validateOptions(type, options),
+  });
+
+  res.status(201).json({ success: true, data: field, message: "Field created" });
+});
+
+// The key and type are fixed: stored values were cast with them
+export const updateContactField = asyncHandler(async (req, res) => {
+  const field = await ContactField.findOne({
+    where: { id: req.params.fieldId, workspaceId: req.workspace.id },
+  });
+  if (!field) throw new AppError("Field not found", 404);
+
+  const updates = {};
+  if (req.body.label !== undefined) {
+    const label = String(req.body.label || "").trim();
+    if (!label) throw new AppError("label is required", 400);
+    updates.label = label.slice(0, 100);
+  }
+  if (req.body.options !== undefined) {
+    updates.options = validateOptions(field.type, req.body.options);
+  }
+
+  await field.update(updates);
+  res.json({ success: true, data: field, message: "Field updated" });
+});
+
+export const deleteContactField = asyncHandler(async (req, res) => {
+  const field = await ContactField.findOne({
+    where: { id: req.params.fieldId, workspaceId: req.workspace.id },
+  });
+  if (!field) throw new AppError("Field not found", 404);
+
+  // Drop the stored values along with the definition
+  await Contact.update(
+    { customFields: sequelize.literal(`"customFields" - ${sequelize.escape(field.key)}`) },
+    { where: { workspaceId: req.workspace.id } },
+  );
+  await field.destroy();
+
+  res.json({ success: true, message: "Field deleted" });
+});
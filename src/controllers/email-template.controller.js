@@ -11,7 +11,7 @@ import {
    CREATE
 ========================= */
 export const createEmailTemplate = asyncHandler(async (req, res) => {
-  const template = await createTemplate(req.user.id, req.body);
+  const template = await createTemplate(req.user.id, req.workspace.id, req.body);
 
   res.status(201).json({
     success: true,
@@ -25,7 +25,7 @@ export const createEmailTemplate = asyncHandler(async (req, res) => {
 export const updateEmailTemplate = asyncHandler(async (req, res) => {
   const template = await updateTemplate(
     req.params.templateId,
-    req.user.id,
+    req.workspace.id,
     req.body,
   );
 
@@ -48,7 +48,7 @@ export const getEmailTemplate = asyncHandler(async (req, res) => {
     });
   }
 
-  const template = await getTemplateById(templateId, req.user.id);
+  const template = await getTemplateById(templateId, req.workspace.id);
 
   res.json({
     success: true,
@@ -59,7 +59,7 @@ export const getEmailTemplate = asyncHandler(async (req, res) => {
    LIST
 ========================= */
 export const listEmailTemplates = asyncHandler(async (req, res) => {
-  const templates = await listTemplates(req.user.id, req.query);
+  const templates = await listTemplates(req.workspace.id, req.query);
 
   res.json({
     success: true,
@@ -71,7 +71,7 @@ export const listEmailTemplates = asyncHandler(async (req, res) => {
    DELETE
 ========================= */
 export const deleteEmailTemplate = asyncHandler(async (req, res) => {
-  await deleteTemplate(req.params.templateId, req.user.id);
+  await deleteTemplate(req.params.templateId, req.workspace.id);
 
   res.json({
     success: true,
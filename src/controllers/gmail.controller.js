@@ -1,9 +1,9 @@
-import { google } from "googleapis";
-import MailComposer from "nodemailer/lib/mail-composer/index.js";
 import GmailSender from "../models/gmail-sender.model.js";
 import { asyncHandler } from "../helpers/async-handler.js";
 import AppError from "../utils/app-error.js";
 import { refreshGoogleToken } from "../utils/refresh-google-token.js";
+import { getGmailClient } from "../utils/gmail-client.js";
+import { gmailProvider } from "../providers/gmail.provider.js";
 import {
   getCachedData,
   setCachedData,
@@ -22,47 +22,14 @@ const CACHE_TTL = {
   PROFILE: 3600, // 1 hour
 };
 
-// HELPER: Clean recipients (filter empty strings)
-const cleanRecipients = (arr) => {
-  if (!arr) return undefined;
-  if (Array.isArray(arr)) return arr.filter((email) => email && email.trim());
-  if (typeof arr === "string")
-    return arr
-      .split(",")
-      .map((e) => e.trim())
-      .filter((e) => e);
-  return arr;
-};
-
-// =========================
-// HELPER: Get Gmail client
-// =========================
-const getGmailClient = async (sender) => {
-  const validToken = await refreshGoogleToken(sender);
-  if (!validToken) throw new AppError("Failed to refresh Gmail token", 401);
-
-  const oauth2Client = new google.auth.OAuth2({
-    clientId: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    redirectUri: process.env.GOOGLE_CALLBACK_URL_SENDER,
-  });
-
-  oauth2Client.setCredentials({
-    access_token: validToken.accessToken,
-    refresh_token: sender.refreshToken,
-  });
-
-  return google.gmail({ version: "v1", auth: oauth2Client });
-};
-
 // GET GMAIL MESSAGES - FIXED WITH SUBJECT AS DIRECT PROPERTY
 export const getGmailMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { pageToken, maxResults = 10, labelIds = ["INBOX"] } = req.query;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -193,11 +160,11 @@ export const getGmailMessages = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailSentMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { pageToken, maxResults = 10 } = req.query;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -267,11 +234,11 @@ export const getGmailSentMessages = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailDraftMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { pageToken, maxResults = 10 } = req.query;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -385,11 +352,11 @@ export const getGmailImportantMessages = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailThreads = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { pageToken, maxResults = 10, labelIds = ["INBOX"] } = req.query;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -459,10 +426,10 @@ export const getGmailThreads = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailLabels = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -558,10 +525,10 @@ export const getGmailLabels = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -574,17 +541,12 @@ export const getGmailMessage = asyncHandler(async (req, res) => {
       return res.json({ success: true, data: cached, fromCache: true });
     }
 
-    const gmail = await getGmailClient(sender);
-    const message = await gmail.users.messages.get({
-      userId: "me",
-      id: messageId,
-      format: "full",
-    });
+    const { raw } = await gmailProvider.getMessage(sender, messageId);
 
     // Cache single message (longer TTL)
-    await setCachedData(cacheKey, message.data, CACHE_TTL.SINGLE_MESSAGE);
+    await setCachedData(cacheKey, raw, CACHE_TTL.SINGLE_MESSAGE);
 
-    res.json({ success: true, data: message.data });
+    res.json({ success: true, data: raw });
   });
 });
 
@@ -593,10 +555,10 @@ export const getGmailMessage = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailProfile = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -624,10 +586,10 @@ export const getGmailProfile = asyncHandler(async (req, res) => {
 // =========================
 export const markGmailAsRead = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -641,12 +603,7 @@ export const markGmailAsRead = asyncHandler(async (req, res) => {
         );
       }
 
-      const gmail = await getGmailClient(sender);
-      await gmail.users.messages.modify({
-        userId: "me",
-        id: messageId,
-        requestBody: { removeLabelIds: ["UNREAD"] },
-      });
+      await gmailProvider.setRead(sender, messageId, true);
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -684,21 +641,16 @@ export const markGmailAsRead = asyncHandler(async (req, res) => {
 // =========================
 export const markGmailAsUnread = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-      await gmail.users.messages.modify({
-        userId: "me",
-        id: messageId,
-        requestBody: { addLabelIds: ["UNREAD"] },
-      });
+      await gmailProvider.setRead(sender, messageId, false);
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -724,10 +676,10 @@ export const markGmailAsUnread = asyncHandler(async (req, res) => {
 // =========================
 export const deleteGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -741,14 +693,9 @@ export const deleteGmailMessage = asyncHandler(async (req, res) => {
         );
       }
 
-      const gmail = await getGmailClient(sender);
-
-      // First try to move to trash (requires modify scope)
+      // Move to trash (requires modify scope)
       try {
-        await gmail.users.messages.trash({
-          userId: "me",
-          id: messageId,
-        });
+        await gmailProvider.deleteMessage(sender, messageId);
 
         await sender.update({ lastUsedAt: new Date() });
 
@@ -823,10 +770,10 @@ export const deleteGmailMessage = asyncHandler(async (req, res) => {
 // =========================
 export const permanentlyDeleteGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -840,12 +787,7 @@ export const permanentlyDeleteGmailMessage = asyncHandler(async (req, res) => {
         );
       }
 
-      const gmail = await getGmailClient(sender);
-
-      await gmail.users.messages.delete({
-        userId: "me",
-        id: messageId,
-      });
+      await gmailProvider.deleteMessage(sender, messageId, { permanent: true });
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -888,27 +830,24 @@ export const permanentlyDeleteGmailMessage = asyncHandler(async (req, res) => {
 export const syncGmailMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
   const { folderId = "INBOX" } = req.query;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
-    const gmail = await getGmailClient(sender);
-
-    // Test connection by fetching one message from the specified folder
-    await gmail.users.messages.list({
-      userId: "me",
-      maxResults: 1,
-      labelIds: [folderId],
-    });
+    // Test connection against the specified folder
+    const { syncedAt, totalMessages, unreadMessages } = await gmailProvider.sync(
+      sender,
+      { folder: folderId },
+    );
 
     // Update last sync timestamp for the specific folder
-    const updateData = { lastInboxSyncAt: new Date() };
-    if (folderId === "SENT") updateData.lastSentSyncAt = new Date();
-    if (folderId === "DRAFT") updateData.lastDraftsSyncAt = new Date();
+    const updateData = { lastInboxSyncAt: syncedAt };
+    if (folderId === "SENT") updateData.lastSentSyncAt = syncedAt;
+    if (folderId === "DRAFT") updateData.lastDraftsSyncAt = syncedAt;
 
     await sender.update(updateData);
 
@@ -923,7 +862,7 @@ export const syncGmailMailbox = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: `Mailbox synced successfully (${folderId})`,
-      data: { syncedAt: new Date(), folderId },
+      data: { syncedAt, folderId, totalMessages, unreadMessages },
     });
   });
 });
@@ -933,10 +872,10 @@ export const syncGmailMailbox = asyncHandler(async (req, res) => {
 // =========================
 export const refreshGmailToken = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId },
+    where: { id: mailboxId, workspaceId },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
   if (!sender.refreshToken)
@@ -963,10 +902,10 @@ export const refreshGmailToken = asyncHandler(async (req, res) => {
 // =========================
 export const disconnectGmailMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId },
+    where: { id: mailboxId, workspaceId },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -985,13 +924,13 @@ export const disconnectGmailMailbox = asyncHandler(async (req, res) => {
 // =========================
 export const searchGmailMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { query, pageToken, maxResults = 10 } = req.query;
 
   if (!query) throw new AppError("Search query is required", 400);
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -1061,11 +1000,11 @@ export const searchGmailMessages = asyncHandler(async (req, res) => {
 // =========================
 export const modifyGmailMessageLabels = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { addLabelIds = [], removeLabelIds = [] } = req.body;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -1134,7 +1073,7 @@ const mapGmailLabelToFolder = (labelId, labelName) => {
 // =========================
 export const sendGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments } = req.body;
 
   if (!to || !subject || (!body && !html)) {
@@ -1142,55 +1081,31 @@ export const sendGmailMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
       // Inject tracking
       const { injectTracking } = await import("../utils/tracking-injector.js");
       const emailId = (await import("crypto")).randomUUID();
       
-      const trackedHtml = injectTracking(html || body, emailId, {
+      // Compose sends aren't stored as Email rows, so there is no link map
+      // to resolve clicks against; links are left untouched
+      const { html: trackedHtml } = injectTracking(html || body, emailId, {
         trackOpens: true,
-        trackClicks: true,
+        trackClicks: false,
       });
 
-      const mailOptions = {
-        from: `"${sender.name}" <${sender.email}>`,
-        to: cleanRecipients(to),
-        cc: cleanRecipients(cc),
-        bcc: cleanRecipients(bcc),
+      const sent = await gmailProvider.sendMessage(sender, {
+        to,
+        cc,
+        bcc,
         subject,
         text: body,
         html: trackedHtml,
-        attachments: (attachments || []).map((att) => ({
-          filename: att.filename,
-          content: att.content,
-          encoding: "base64",
-          contentType: att.contentType,
-        })),
-      };
-
-      const mail = new MailComposer(mailOptions);
-      const message = await mail.compile().build();
-
-      // Encode email as base64url
-      const encodedEmail = message
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=+$/, "");
-
-      // Send message
-      const response = await gmail.users.messages.send({
-        userId: "me",
-        requestBody: {
-          raw: encodedEmail,
-        },
+        attachments,
       });
 
       await sender.update({ lastUsedAt: new Date() });
@@ -1207,9 +1122,9 @@ export const sendGmailMessage = asyncHandler(async (req, res) => {
         success: true,
         message: "Email sent successfully",
         data: {
-          id: response.data.id,
-          threadId: response.data.threadId,
-          labelIds: response.data.labelIds,
+          id: sent.id,
+          threadId: sent.threadId,
+          labelIds: sent.labelIds,
         },
       });
     } catch (error) {
@@ -1224,7 +1139,7 @@ export const sendGmailMessage = asyncHandler(async (req, res) => {
 // =========================
 export const replyToGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { body, html, replyAll = false, attachments } = req.body;
 
   if (!body && !html) {
@@ -1232,96 +1147,17 @@ export const replyToGmailMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      // Get original message
-      const original = await gmail.users.messages.get({
-        userId: "me",
-        id: messageId,
-        format: "full",
-      });
-
-      const headers = original.data.payload?.headers || [];
-      const getHeader = (name) =>
-        headers.find((h) => h.name.toLowerCase() === name.toLowerCase())
-          ?.value || "";
-
-      const from = getHeader("From");
-      const to = getHeader("To");
-      const cc = getHeader("Cc");
-      const subject = getHeader("Subject");
-      const messageIdHeader = getHeader("Message-ID");
-      const references = getHeader("References");
-
-      // Parse from to get reply-to address
-      const fromMatch = from.match(/<([^>]+)>/) || [null, from];
-      const replyToAddress = fromMatch[1] || from;
-
-      // Build recipients
-      const recipients = [replyToAddress];
-      if (replyAll) {
-        // Add all To recipients except our own address
-        const toAddresses = to.split(",").map((t) => t.trim());
-        toAddresses.forEach((addr) => {
-          if (!addr.includes(sender.email)) recipients.push(addr);
-        });
-
-        // Add CC recipients if replying all
-        if (cc) {
-          const ccAddresses = cc.split(",").map((c) => c.trim());
-          ccAddresses.forEach((addr) => {
-            if (!addr.includes(sender.email)) recipients.push(addr);
-          });
-        }
-      }
-
-      // Add original message quote
-      const quote = html
-        ? `<br><br><div class="gmail_quote">On ${new Date(parseInt(original.data.internalDate)).toLocaleString()}, ${from} wrote:<br><blockquote class="gmail_quote" style="margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex">${original.data.snippet}</blockquote></div>`
-        : `\n\nOn ${new Date(parseInt(original.data.internalDate)).toLocaleString()}, ${from} wrote:\n> ${original.data.snippet.replace(/\n/g, "\n> ")}`;
-
-      const mailOptions = {
-        from: `"${sender.name}" <${sender.email}>`,
-        to: cleanRecipients(recipients),
-        cc: replyAll && cc ? cleanRecipients(cc) : undefined,
-        subject: subject.startsWith("Re:") ? subject : `Re: ${subject}`,
-        inReplyTo: messageIdHeader,
-        references: references
-          ? references + " " + messageIdHeader
-          : messageIdHeader,
-        text: body ? body + quote : undefined,
-        html: html ? html + quote : undefined,
-        attachments: (attachments || []).map((att) => ({
-          filename: att.filename,
-          content: att.content,
-          encoding: "base64",
-          contentType: att.contentType,
-        })),
-      };
-
-      const mail = new MailComposer(mailOptions);
-      const message = await mail.compile().build();
-
-      // Encode email as base64url
-      const encodedEmail = message
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=+$/, "");
-
-      // Send reply
-      const response = await gmail.users.messages.send({
-        userId: "me",
-        requestBody: {
-          raw: encodedEmail,
-          threadId: original.data.threadId,
-        },
+      const sent = await gmailProvider.replyToMessage(sender, messageId, {
+        text: body,
+        html,
+        replyAll,
+        attachments,
       });
 
       await sender.update({ lastUsedAt: new Date() });
@@ -1340,8 +1176,8 @@ export const replyToGmailMessage = asyncHandler(async (req, res) => {
         success: true,
         message: "Reply sent successfully",
         data: {
-          id: response.data.id,
-          threadId: response.data.threadId,
+          id: sent.id,
+          threadId: sent.threadId,
         },
       });
     } catch (error) {
@@ -1356,7 +1192,7 @@ export const replyToGmailMessage = asyncHandler(async (req, res) => {
 // =========================
 export const forwardGmailMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, body, html, attachments } = req.body;
 
   if (!to || (!body && !html)) {
@@ -1364,31 +1200,19 @@ export const forwardGmailMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      // Get original message
-      const original = await gmail.users.messages.get({
-        userId: "me",
-        id: messageId,
-        format: "full",
-      });
-
-      const headers = original.data.payload?.headers || [];
-      const getHeader = (name) =>
-        headers.find((h) => h.name.toLowerCase() === name.toLowerCase())
-          ?.value || "";
+      const original = await gmailProvider.getMessage(sender, messageId);
 
-      const from = getHeader("From");
-      const subject = getHeader("Subject");
-      const date = new Date(
-        parseInt(original.data.internalDate),
-      ).toLocaleString();
+      const from = original.raw.payload?.headers?.find(
+        (h) => h.name.toLowerCase() === "from",
+      )?.value || "";
+      const subject = original.subject;
+      const date = new Date(original.date).toLocaleString();
 
       // Build forwarded content
       const forwardedBody = html
@@ -1398,39 +1222,14 @@ export const forwardGmailMessage = asyncHandler(async (req, res) => {
            <b>Subject:</b> ${subject}<br>
            <b>To:</b> ${to}<br><br>
            ${html}`
-        : `\n\n-------- Forwarded message --------\nFrom: ${from}\nDate: ${date}\nSubject: ${subject}\nTo: ${to}\n\n${body || original.data.snippet}`;
+        : `\n\n-------- Forwarded message --------\nFrom: ${from}\nDate: ${date}\nSubject: ${subject}\nTo: ${to}\n\n${body || original.snippet}`;
 
-      // Build email using MailComposer
-      const mailOptions = {
-        from: `"${sender.name}" <${sender.email}>`,
-        to: cleanRecipients(to),
+      const sent = await gmailProvider.sendMessage(sender, {
+        to,
         subject: subject.startsWith("Fwd:") ? subject : `Fwd: ${subject}`,
         text: body ? forwardedBody : undefined,
         html: html ? forwardedBody : undefined,
-        attachments: (attachments || []).map((att) => ({
-          filename: att.filename,
-          content: att.content,
-          encoding: "base64",
-          contentType: att.contentType,
-        })),
-      };
-
-      const mail = new MailComposer(mailOptions);
-      const message = await mail.compile().build();
-
-      // Encode email
-      const encodedEmail = message
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=+$/, "");
-
-      // Send forward
-      const response = await gmail.users.messages.send({
-        userId: "me",
-        requestBody: {
-          raw: encodedEmail,
-        },
+        attachments,
       });
 
       await sender.update({ lastUsedAt: new Date() });
@@ -1447,8 +1246,8 @@ export const forwardGmailMessage = asyncHandler(async (req, res) => {
         success: true,
         message: "Message forwarded successfully",
         data: {
-          id: response.data.id,
-          threadId: response.data.threadId,
+          id: sent.id,
+          threadId: sent.threadId,
         },
       });
     } catch (error) {
@@ -1463,53 +1262,24 @@ export const forwardGmailMessage = asyncHandler(async (req, res) => {
 // =========================
 export const createGmailDraft = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments } = req.body;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      // Build email content using MailComposer
-      const mailOptions = {
-        from: `"${sender.name}" <${sender.email}>`,
-        to: cleanRecipients(to),
-        cc: cleanRecipients(cc),
-        bcc: cleanRecipients(bcc),
+      const draft = await gmailProvider.createDraft(sender, {
+        to,
+        cc,
+        bcc,
         subject,
         text: body,
         html: html || body || "",
-        attachments: (attachments || []).map((att) => ({
-          filename: att.filename,
-          content: att.content,
-          encoding: "base64",
-          contentType: att.contentType,
-        })),
-      };
-
-      const mail = new MailComposer(mailOptions);
-      const message = await mail.compile().build();
-
-      // Encode email
-      const encodedEmail = message
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=+$/, "");
-
-      // Create draft
-      const response = await gmail.users.drafts.create({
-        userId: "me",
-        requestBody: {
-          message: {
-            raw: encodedEmail,
-          },
-        },
+        attachments,
       });
 
       await sender.update({ lastUsedAt: new Date() });
@@ -1522,11 +1292,7 @@ export const createGmailDraft = asyncHandler(async (req, res) => {
       res.json({
         success: true,
         message: "Draft created successfully",
-        data: {
-          id: response.data.id,
-          messageId: response.data.message?.id,
-          threadId: response.data.message?.threadId,
-        },
+        data: draft,
       });
     } catch (error) {
       console.error("Gmail create draft error:", error);
@@ -1540,54 +1306,24 @@ export const createGmailDraft = asyncHandler(async (req, res) => {
 // =========================
 export const updateGmailDraft = asyncHandler(async (req, res) => {
   const { mailboxId, draftId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments } = req.body;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      // Build email content using MailComposer
-      const mailOptions = {
-        from: `"${sender.name}" <${sender.email}>`,
-        to: cleanRecipients(to),
-        cc: cleanRecipients(cc),
-        bcc: cleanRecipients(bcc),
+      const draft = await gmailProvider.updateDraft(sender, draftId, {
+        to,
+        cc,
+        bcc,
         subject,
         text: body,
         html: html || body || "",
-        attachments: (attachments || []).map((att) => ({
-          filename: att.filename,
-          content: att.content,
-          encoding: "base64",
-          contentType: att.contentType,
-        })),
-      };
-
-      const mail = new MailComposer(mailOptions);
-      const message = await mail.compile().build();
-
-      // Encode email
-      const encodedEmail = message
-        .toString("base64")
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=+$/, "");
-
-      // Update draft
-      const response = await gmail.users.drafts.update({
-        userId: "me",
-        id: draftId,
-        requestBody: {
-          message: {
-            raw: encodedEmail,
-          },
-        },
+        attachments,
       });
 
       await sender.update({ lastUsedAt: new Date() });
@@ -1600,11 +1336,7 @@ export const updateGmailDraft = asyncHandler(async (req, res) => {
       res.json({
         success: true,
         message: "Draft updated successfully",
-        data: {
-          id: response.data.id,
-          messageId: response.data.message?.id,
-          threadId: response.data.message?.threadId,
-        },
+        data: draft,
       });
     } catch (error) {
       console.error("Gmail update draft error:", error);
@@ -1618,21 +1350,16 @@ export const updateGmailDraft = asyncHandler(async (req, res) => {
 // =========================
 export const deleteGmailDraft = asyncHandler(async (req, res) => {
   const { mailboxId, draftId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      await gmail.users.drafts.delete({
-        userId: "me",
-        id: draftId,
-      });
+      await gmailProvider.deleteDraft(sender, draftId);
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -1657,23 +1384,16 @@ export const deleteGmailDraft = asyncHandler(async (req, res) => {
 // =========================
 export const sendGmailDraft = asyncHandler(async (req, res) => {
   const { mailboxId, draftId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      const response = await gmail.users.drafts.send({
-        userId: "me",
-        requestBody: {
-          id: draftId,
-        },
-      });
+      const sent = await gmailProvider.sendDraft(sender, draftId);
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -1690,8 +1410,8 @@ export const sendGmailDraft = asyncHandler(async (req, res) => {
         success: true,
         message: "Draft sent successfully",
         data: {
-          id: response.data.id,
-          threadId: response.data.threadId,
+          id: sent.id,
+          threadId: sent.threadId,
         },
       });
     } catch (error) {
@@ -1706,26 +1426,17 @@ export const sendGmailDraft = asyncHandler(async (req, res) => {
 // =========================
 export const toggleGmailStarred = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { starred } = req.body;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      await gmail.users.messages.modify({
-        userId: "me",
-        id: messageId,
-        requestBody: {
-          addLabelIds: starred ? ["STARRED"] : [],
-          removeLabelIds: starred ? [] : ["STARRED"],
-        },
-      });
+      await gmailProvider.setFlagged(sender, messageId, !!starred);
 
       await sender.update({ lastUsedAt: new Date() });
 
@@ -1754,11 +1465,11 @@ export const toggleGmailStarred = asyncHandler(async (req, res) => {
 // =========================
 export const toggleGmailImportant = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { important } = req.body;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -1804,36 +1515,24 @@ export const toggleGmailImportant = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailAttachment = asyncHandler(async (req, res) => {
   const { mailboxId, messageId, attachmentId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      const attachment = await gmail.users.messages.attachments.get({
-        userId: "me",
-        messageId: messageId,
-        id: attachmentId,
-      });
-
-      // Decode attachment data
-      const data = attachment.data.data;
-      const buffer = Buffer.from(data, "base64");
+      const { filename, contentType, content } =
+        await gmailProvider.getAttachment(sender, messageId, attachmentId);
 
       // Set appropriate headers
-      res.setHeader("Content-Type", attachment.data.mimeType);
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${attachment.data.filename}"`,
-      );
-      res.setHeader("Content-Length", buffer.length);
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      res.setHeader("Content-Length", content.length);
 
-      res.send(buffer);
+      res.send(content);
     } catch (error) {
       console.error("Gmail get attachment error:", error);
       throw new AppError("Failed to get attachment: " + error.message, 500);
@@ -1846,20 +1545,15 @@ export const getGmailAttachment = asyncHandler(async (req, res) => {
 // =========================
 export const getGmailMessageAttachments = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
   return withRateLimit(mailboxId, "gmail", async () => {
     try {
-      const gmail = await getGmailClient(sender);
-
-      // LOG THE MESSAGE ID TO DEBUG
-      console.log("Fetching attachments for message ID:", messageId);
-
       // Validate message ID format (should not have 'r' prefix)
       if (!messageId || messageId.startsWith("r")) {
         throw new AppError(
@@ -1868,55 +1562,17 @@ export const getGmailMessageAttachments = asyncHandler(async (req, res) => {
         );
       }
 
-      const message = await gmail.users.messages.get({
-        userId: "me",
-        id: messageId,
-        format: "full",
-      });
-
-      const attachments = [];
-
-      // Helper to extract attachments from parts
-      const extractAttachments = (parts) => {
-        if (!parts) return;
-
-        for (const part of parts) {
-          if (part.filename && part.filename.length > 0) {
-            if (part.body && part.body.attachmentId) {
-              attachments.push({
-                filename: part.filename,
-                mimeType: part.mimeType,
-                size: part.body.size,
-                attachmentId: part.body.attachmentId,
-                messageId: messageId,
-              });
-            }
-          }
-
-          if (part.parts) {
-            extractAttachments(part.parts);
-          }
-        }
-      };
-
-      if (message.data.payload) {
-        if (message.data.payload.parts) {
-          extractAttachments(message.data.payload.parts);
-        } else if (message.data.payload.filename) {
-          // Single part attachment
-          attachments.push({
-            filename: message.data.payload.filename,
-            mimeType: message.data.payload.mimeType,
-            size: message.data.payload.body?.size,
-            attachmentId: message.data.payload.body?.attachmentId,
-            messageId: messageId,
-          });
-        }
-      }
+      const attachments = await gmailProvider.listAttachments(sender, messageId);
 
       res.json({
         success: true,
-        data: attachments,
+        data: attachments.map((att) => ({
+          filename: att.filename,
+          mimeType: att.contentType,
+          size: att.size,
+          attachmentId: att.id,
+          messageId,
+        })),
       });
     } catch (error) {
       console.error("Gmail get attachments error:", error);
@@ -1939,7 +1595,7 @@ export const getGmailMessageAttachments = asyncHandler(async (req, res) => {
 // =========================
 export const batchGmailOperations = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { messageIds, operation, labelIds = [] } = req.body;
 
   if (!messageIds || !messageIds.length || !operation) {
@@ -1947,7 +1603,7 @@ export const batchGmailOperations = asyncHandler(async (req, res) => {
   }
 
   const sender = await GmailSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
   });
   if (!sender) throw new AppError("Gmail mailbox not found", 404);
 
@@ -1962,46 +1618,27 @@ export const batchGmailOperations = asyncHandler(async (req, res) => {
 
           switch (operation) {
             case "delete":
-              await gmail.users.messages.trash({
-                userId: "me",
-                id: messageId,
-              });
+              await gmailProvider.deleteMessage(sender, messageId);
               result = { messageId, status: "deleted" };
               break;
 
             case "mark-read":
-              await gmail.users.messages.modify({
-                userId: "me",
-                id: messageId,
-                requestBody: { removeLabelIds: ["UNREAD"] },
-              });
+              await gmailProvider.setRead(sender, messageId, true);
               result = { messageId, status: "marked-read" };
               break;
 
             case "mark-unread":
-              await gmail.users.messages.modify({
-                userId: "me",
-                id: messageId,
-                requestBody: { addLabelIds: ["UNREAD"] },
-              });
+              await gmailProvider.setRead(sender, messageId, false);
               result = { messageId, status: "marked-unread" };
               break;
 
             case "star":
-              await gmail.users.messages.modify({
-                userId: "me",
-                id: messageId,
-                requestBody: { addLabelIds: ["STARRED"] },
-              });
+              await gmailProvider.setFlagged(sender, messageId, true);
               result = { messageId, status: "starred" };
               break;
 
             case "unstar":
-              await gmail.users.messages.modify({
-                userId: "me",
-                id: messageId,
-                requestBody: { removeLabelIds: ["STARRED"] },
-              });
+              await gmailProvider.setFlagged(sender, messageId, false);
               result = { messageId, status: "unstarred" };
               break;
 
@@ -2028,22 +1665,12 @@ export const batchGmailOperations = asyncHandler(async (req, res) => {
               break;
 
             case "move-to-trash":
-              await gmail.users.messages.trash({
-                userId: "me",
-                id: messageId,
-              });
+              await gmailProvider.moveMessage(sender, messageId, "trash");
               result = { messageId, status: "moved-to-trash" };
               break;
 
             case "move-to-inbox":
-              await gmail.users.messages.modify({
-                userId: "me",
-                id: messageId,
-                requestBody: {
-                  addLabelIds: ["INBOX"],
-                  removeLabelIds: ["TRASH", "SPAM"],
-                },
-              });
+              await gmailProvider.moveMessage(sender, messageId, "inbox");
               result = { messageId, status: "moved-to-inbox" };
               break;
 
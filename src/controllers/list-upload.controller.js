@@ -1,8 +1,6 @@
-import crypto from "crypto";
 import fs from "fs";
 import { promises as fsPromises } from "fs";
 import path from "path";
-import csv from "csv-parser";
 import XLSX from "xlsx";
 import ListUploadBatch from "../models/list-upload-batch.model.js";
 import ListUploadRecord from "../models/list-upload-record.model.js";
@@ -10,9 +8,17 @@ import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import { Op, fn, literal } from "sequelize";
 import { asyncHandler } from "../helpers/async-handler.js";
 import sequelize from "../config/db.js";
-import { extractDomain, getEmailProvider, isValidEmail, normalizeEmail } from "../utils/email-processor.js";
-import { enqueueEmailVerification } from "../helpers/enqueue-email-verifier.js";
-import { emitToUser } from "../utils/event-broadcaster.js";
+import { enqueueListIngestion } from "../helpers/enqueue-list-ingestion.js";
+import { contactService } from "../services/contact.service.js";
+import { hashFile } from "../utils/file-hash.js";
+import { previewListFile } from "../utils/list-file-reader.js";
+import {
+  STANDARD_TARGETS,
+  suggestMapping,
+  validateMapping,
+} from "../utils/list-mapping.js";
+
+const PREVIEW_ROWS = 10;
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
@@ -25,19 +31,6 @@ const ensureUploadsDir = async () => {
   return uploadsDir;
 };
 
-const slugify = (text) => {
-  if (!text) return "";
-  return text
-    .toString()
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "_") // Replace spaces with _
-    .replace(/[^\w-]+/g, "") // Remove all non-word chars
-    .replace(/--+/g, "-") // Replace multiple - with single -
-    .replace(/^-+/, "") // Trim - from start of text
-    .replace(/-+$/, ""); // Trim - from end of text
-};
-
 export const uploadList = async (req, res) => {
   try {
     // Ensure upload directory exists
@@ -63,12 +56,8 @@ export const uploadList = async (req, res) => {
       });
     }
 
-    // Calculate checksum
-    const fileBuffer = fs.readFileSync(file.path);
-    const checksum = crypto
-      .createHash("sha256")
-      .update(fileBuffer)
-      .digest("hex");
+    // Calculate checksum (streamed: lists can be larger than memory)
+    const checksum = await hashFile(file.path);
 
     // Check for duplicate upload
     const existingBatch = await ListUploadBatch.findOne({
@@ -94,28 +83,80 @@ export const uploadList = async (req, res) => {
       });
     }
 
-    // Create batch record
+    // Create batch record; processing waits for a confirmed column mapping
     const batch = await ListUploadBatch.create({
       userId,
+      workspaceId: req.workspace.id,
       originalFilename: file.originalname,
       storagePath: file.path,
       fileType: file.originalname.split(".").pop().toLowerCase(),
       checksum,
-      status: "uploaded",
+      status: "awaiting_mapping",
     });
 
     console.log(`✅ Batch created: ${batch.id}`);
 
-    // Parse and process immediately (non-blocking)
-    processUploadedFile(batch.id, userId).catch((error) => {
-      console.error(`❌ Failed to process batch ${batch.id}:`, error);
+    let preview;
+    try {
+      preview = await previewListFile(batch.storagePath, batch.fileType, PREVIEW_ROWS);
+    } catch (error) {
+      await batch.update({ status: "failed", errorReason: error.message });
+      fs.unlinkSync(batch.storagePath);
+      return res.status(400).json({
+        success: false,
+        message: `Could not read file: ${error.message}`,
+        batchId: batch.id,
+      });
+    }
+
+    const fields = await contactService.getFields(req.workspace.id);
+    await batch.update({
+      mapping: {
+        ...preview,
+        suggested: suggestMapping(preview.headers, preview.sample, fields),
+        columns: null,
+      },
     });
 
-    return res.status(202).json({
+    // API clients can send the mapping with the file and skip the preview
+    if (req.body.mapping) {
+      let columns;
+      try {
+        columns = typeof req.body.mapping === "string" ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch {
+        columns = null;
+      }
+
+      const errors = validateMapping(columns, preview.headers);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid mapping: ${errors.join("; ")}`,
+          batchId: batch.id,
+        });
+      }
+
+      if (!(await startProcessing(batch, columns))) {
+        return res.status(503).json({
+          success: false,
+          message: "Could not queue the file for processing, please confirm the mapping again",
+          batchId: batch.id,
+        });
+      }
+      return res.status(202).json({
+        success: true,
+        batchId: batch.id,
+        status: "uploaded",
+        message: "File accepted and processing started",
+      });
+    }
+
+    return res.status(201).json({
       success: true,
       batchId: batch.id,
-      status: "uploaded",
-      message: "File accepted and processing started",
+      status: batch.status,
+      data: mappingPreview(batch, fields),
+      message: "File uploaded. Confirm the column mapping to start processing",
     });
   } catch (error) {
     console.error("Upload error:", error);
@@ -137,387 +178,34 @@ export const uploadList = async (req, res) => {
   }
 };
 
-// CSV Parser function (was missing)
-const parseCSV = (filePath) => {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => results.push(data))
-      .on("end", () => resolve(results))
-      .on("error", (error) => reject(error));
-  });
-};
-
-// Parse Excel
-const parseXLSX = (filePath) => {
-  try {
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const records = XLSX.utils.sheet_to_json(worksheet);
-
-    // Normalize header names
-    return records.map((record) => {
-      const normalizedRecord = {};
-      Object.keys(record).forEach((key) => {
-        if (record[key] !== undefined && record[key] !== null) {
-          const normalizedKey = slugify(key);
-          normalizedRecord[normalizedKey] = record[key];
-        }
-      });
-      return normalizedRecord;
-    });
-  } catch (error) {
-    console.error("Excel parsing error:", error);
-    throw new Error(`Failed to parse Excel file: ${error.message}`);
-  }
-};
-
-// Parse TXT
-const parseTXT = (filePath) => {
-  const content = fs.readFileSync(filePath, "utf-8");
-  return content
-    .split("\n")
-    .filter((line) => line.trim())
-    .map((line) => {
-      const trimmed = line.trim();
-      if (trimmed.includes(",") && !trimmed.includes("@")) {
-        const parts = trimmed.split(",");
-        if (parts.length > 1 && parts[0].includes("@")) {
-          return { email: parts[0].trim() };
-        }
-      }
-      return { email: trimmed };
-    });
-};
-
-// Find email field in record
-const findEmailField = (record) => {
-  if (!record) return null;
-
-  const possibleEmailFields = [
-    "email",
-    "emailaddress",
-    "mail",
-    "e-mail",
-    "e_mail",
-    "emailid",
-    "useremail",
-    "username",
-    "contactemail",
-    "primaryemail",
-  ];
-
-  // Check exact matches first
-  for (const field of possibleEmailFields) {
-    if (
-      record[field] !== undefined &&
-      record[field] !== null &&
-      record[field] !== ""
-    ) {
-      return String(record[field]).trim();
-    }
-  }
-
-  // Check if any key contains "email"
-  for (const key in record) {
-    if (
-      key.toLowerCase().includes("email") &&
-      record[key] !== undefined &&
-      record[key] !== null &&
-      record[key] !== ""
-    ) {
-      return String(record[key]).trim();
-    }
-  }
-
-  // Check first column
-  const firstKey = Object.keys(record)[0];
-  if (firstKey && record[firstKey]) {
-    const value = String(record[firstKey]).trim();
-    if (value.includes("@")) {
-      return value;
-    }
-  }
-
-  // Check all values
-  for (const key in record) {
-    const value = String(record[key]).trim();
-    if (value.includes("@") && value.includes(".")) {
-      return value;
-    }
-  }
-
-  return null;
-};
-
-// Find name field in record
-const findNameField = (record) => {
-  if (!record) return null;
-
-  const possibleNameFields = [
-    "name",
-    "fullname",
-    "full_name",
-    "firstname",
-    "first_name",
-    "lastname",
-    "last_name",
-    "username",
-    "displayname",
-    "contactname",
-    "personname",
-  ];
-
-  for (const field of possibleNameFields) {
-    if (
-      record[field] !== undefined &&
-      record[field] !== null &&
-      record[field] !== ""
-    ) {
-      return String(record[field]).trim();
-    }
-  }
-
-  // Check if any key contains "name"
-  for (const key in record) {
-    if (
-      key.toLowerCase().includes("name") &&
-      record[key] !== undefined &&
-      record[key] !== null &&
-      record[key] !== ""
-    ) {
-      return String(record[key]).trim();
-    }
-  }
-
-  return null;
-};
-
-// Async processing function
-const processUploadedFile = async (batchId) => {
-  let batch;
-  try {
-    batch = await ListUploadBatch.findByPk(batchId);
-    if (!batch) {
-      console.error(`Batch ${batchId} not found`);
-      return;
-    }
-
-    console.log(`🔄 Processing batch ${batchId}: ${batch.originalFilename}`);
-
-    // Check if file exists
-    if (!fs.existsSync(batch.storagePath)) {
-      throw new Error(`File not found: ${batch.storagePath}`);
-    }
-
-    await batch.update({ status: "parsing" });
-
-    let records = [];
-    switch (batch.fileType) {
-      case "csv":
-        console.log("📊 Parsing CSV file");
-        records = await parseCSV(batch.storagePath);
-        break;
-      case "xlsx":
-        console.log("📊 Parsing Excel file");
-        records = await parseXLSX(batch.storagePath);
-        break;
-      case "txt":
-        console.log("📊 Parsing text file");
-        records = await parseTXT(batch.storagePath);
-        break;
-      default:
-        throw new Error(`Unsupported file type: ${batch.fileType}`);
-    }
-
-    console.log(`✅ Parsed ${records.length} records from file`);
-
-    // Process records
-    await processRecords(batch, records);
-
-    // Enqueue email verification
-    console.log(`📨 Enqueuing email verification for batch ${batch.id}...`);
-    await enqueueEmailVerification(batch.id);
-    console.log(`✅ Email verification enqueued for batch ${batch.id}`);
-  } catch (error) {
-    console.error(`❌ Processing error for batch ${batchId}:`, error);
-
-    if (batch) {
-      await batch.update({
-        status: "failed",
-        errorReason: error.message,
-      });
-    }
-
-    // Clean up file
-    try {
-      if (batch?.storagePath && fs.existsSync(batch.storagePath)) {
-        fs.unlinkSync(batch.storagePath);
-        console.log(`🧹 Cleaned up file: ${batch.storagePath}`);
-      }
-    } catch (cleanupError) {
-      console.error("Failed to clean up file:", cleanupError);
-    }
-  }
-};
-
-// Process and deduplicate records
-// Process and deduplicate records
-const processRecords = async (batch, records) => {
-  console.log(`🔄 Processing ${records.length} records for batch ${batch.id}`);
-
-  const batchRecords = [];
-  const normalizedToRaw = new Map();
-  const validRecordsData = [];
-  const allHeaders = new Set();
-
-  // Step 1: Pre-process and validate
-  for (const record of records) {
-    // Collect all headers
-    Object.keys(record).forEach(key => allHeaders.add(key));
-
-    try {
-      const emailValue = findEmailField(record);
-      if (!emailValue || !isValidEmail(emailValue)) continue;
-
-      const normalizedEmail = normalizeEmail(emailValue);
-      if (!normalizedEmail) continue;
-
-      const domain = extractDomain(normalizedEmail);
-      if (!domain) continue;
-
-      const name = findNameField(record);
-
-      // Clean and slugify metadata
-      const metadata = {};
-      Object.keys(record).forEach((key) => {
-        const slug = slugify(key);
-        if (!slug.includes("email") && !slug.includes("name")) {
-          metadata[slug] = record[key];
-        }
-      });
-
-      validRecordsData.push({
-        emailValue,
-        normalizedEmail,
-        domain,
-        name,
-        metadata,
-        originalRecord: record,
-      });
-
-      if (!normalizedToRaw.has(normalizedEmail)) {
-        normalizedToRaw.set(normalizedEmail, { domain });
-      }
-    } catch (err) {
-      console.log("error: ", err);
-
-      // Logic for invalid records can stay as is or be simplified
-    }
-  }
-
-  // Step 2: Bulk Registry Lookup
-  const uniqueEmails = Array.from(normalizedToRaw.keys());
-  const existingRegistryEntries = await GlobalEmailRegistry.findAll({
-    where: { normalizedEmail: uniqueEmails },
-    attributes: ["normalizedEmail", "id"],
-  });
-
-  const existingEmailSet = new Set(
-    existingRegistryEntries.map((e) => e.normalizedEmail),
-  );
-
-  // Step 3: Map results to batch records
-  let validCount = 0;
-  let duplicateCount = 0;
-  let failedCount = 0;
-
-  for (const data of validRecordsData) {
-    const isNew = !existingEmailSet.has(data.normalizedEmail);
-    if (isNew) {
-      validCount++;
-    } else {
-      duplicateCount++;
-    }
-
-    batchRecords.push({
-      batchId: batch.id,
-      rawEmail: data.emailValue,
-      normalizedEmail: data.normalizedEmail,
-      domain: data.domain,
-      name: data.name || null,
-      metadata: Object.keys(data.metadata).length > 0 ? data.metadata : null,
-      status: isNew ? "parsed" : "duplicate",
-      failureReason: null,
-    });
-  }
-
-  // Step 4: Bulk Registry Upsert (Simplified)
-  const registryToCreate = uniqueEmails
-    .filter((email) => !existingEmailSet.has(email))
-    .map((email) => ({
-      normalizedEmail: email,
-      domain: normalizedToRaw.get(email).domain,
-      emailProvider: getEmailProvider(normalizedToRaw.get(email).domain),
-      firstSeenAt: new Date(),
-      lastSeenAt: new Date(),
-    }));
-
-  if (registryToCreate.length > 0) {
-    await GlobalEmailRegistry.bulkCreate(registryToCreate, {
-      ignoreDuplicates: true,
-    });
-  }
-
-  // Bulk update lastSeenAt for existing (Optional but good for tracking)
-  if (existingEmailSet.size > 0) {
-    await GlobalEmailRegistry.update(
-      { lastSeenAt: new Date() },
-      { where: { normalizedEmail: Array.from(existingEmailSet) } },
-    );
-  }
-
-  // Step 5: Bulk Insert Batch Records
-  if (batchRecords.length > 0) {
-    const CHUNK_SIZE = 1000;
-    for (let i = 0; i < batchRecords.length; i += CHUNK_SIZE) {
-      const chunk = batchRecords.slice(i, i + CHUNK_SIZE);
-      await ListUploadRecord.bulkCreate(chunk, { ignoreDuplicates: true });
-    }
-  }
-
-  // Update batch statistics
+/**
+ * Stores the confirmed mapping and queues the file for the ingestion
+ * worker. On a queue failure the batch goes back to awaiting its mapping.
+ * @returns {Promise<boolean>} whether the job was queued
+ */
+const startProcessing = async (batch, columns) => {
   await batch.update({
-    status: "completed",
-    totalRecords: records.length,
-    validRecords: validCount,
-    duplicateRecords: duplicateCount,
-    failedRecords: failedCount,
-    mapping: Array.from(allHeaders).reduce((acc, header) => {
-      const slug = slugify(header);
-      acc[slug] = header;
-      return acc;
-    }, {}),
-    processedAt: new Date(),
-  });
-
-  console.log(`✅ Processing complete for batch ${batch.id}`);
-
-  emitToUser(batch.userId, "notification", {
-    type: "success",
-    category: "audience",
-    title: "Bulk Import Successful",
-    message: `${validCount} valid leads were successfully imported from "${batch.originalFilename}".`,
+    status: "uploaded",
+    mapping: { ...batch.mapping, columns },
   });
 
-  // Clean up
-  if (batch.storagePath && fs.existsSync(batch.storagePath)) {
-    fs.unlinkSync(batch.storagePath);
-  }
+  const queued = await enqueueListIngestion(batch.id);
+  if (!queued) await batch.update({ status: "awaiting_mapping" });
+  return queued;
 };
 
+// Mapping step payload: detected columns, sample rows and the targets to pick from
+const mappingPreview = (batch, fields) => ({
+  headers: batch.mapping?.headers || [],
+  sample: batch.mapping?.sample || [],
+  suggestedMapping: batch.mapping?.suggested || {},
+  mapping: batch.mapping?.columns || null,
+  targets: {
+    standard: STANDARD_TARGETS,
+    custom: fields.map((f) => ({ key: f.key, label: f.label, type: f.type })),
+  },
+});
+
 export const getBatchVerificationStats = async (batchId) => {
   try {
     const rows = await ListUploadRecord.findAll({
@@ -601,7 +289,7 @@ export const getBatchStatus = asyncHandler(async (req, res) => {
   const batch = await ListUploadBatch.findOne({
     where: {
       id: req.params.batchId,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
   });
 
@@ -761,7 +449,10 @@ export const getBatchStatus = asyncHandler(async (req, res) => {
         status: batch.status,
         totalRecords: batch.totalRecords,
         validRecords: batch.validRecords,
+        duplicateRecords: batch.duplicateRecords,
         failedRecords: batch.failedRecords,
+        processedRecords: batch.processedRecords,
+        progress: batch.progress,
         checksum: batch.checksum,
         mapping: batch.mapping || {},
         errorReason: batch.errorReason,
@@ -790,7 +481,7 @@ export const getUserBatches = asyncHandler(async (req, res) => {
   const offset = (page - 1) * limit;
 
   const { count, rows: batches } = await ListUploadBatch.findAndCountAll({
-    where: { userId: req.user.id },
+    where: { workspaceId: req.workspace.id },
     order: [["createdAt", "DESC"]],
     limit,
     offset,
@@ -803,6 +494,8 @@ export const getUserBatches = asyncHandler(async (req, res) => {
       "validRecords",
       "duplicateRecords",
       "failedRecords",
+      "processedRecords",
+      "progress",
       "createdAt",
       "updatedAt",
     ],
@@ -832,12 +525,82 @@ export const getUserBatches = asyncHandler(async (req, res) => {
   });
 });
 
+// Get the column mapping step for a batch
+export const getBatchMapping = asyncHandler(async (req, res) => {
+  const batch = await ListUploadBatch.findOne({
+    where: {
+      id: req.params.batchId,
+      workspaceId: req.workspace.id,
+    },
+  });
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: "Batch not found",
+    });
+  }
+
+  const fields = await contactService.getFields(req.workspace.id);
+
+  res.json({
+    success: true,
+    data: { status: batch.status, ...mappingPreview(batch, fields) },
+  });
+});
+
+// Confirm the column mapping and start processing
+export const confirmBatchMapping = asyncHandler(async (req, res) => {
+  const batch = await ListUploadBatch.findOne({
+    where: {
+      id: req.params.batchId,
+      workspaceId: req.workspace.id,
+    },
+  });
+
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      message: "Batch not found",
+    });
+  }
+
+  if (batch.status !== "awaiting_mapping") {
+    return res.status(400).json({
+      success: false,
+      message: "Batch is not waiting for a column mapping",
+    });
+  }
+
+  const errors = validateMapping(req.body.mapping, batch.mapping?.headers || []);
+  if (errors.length) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid mapping: ${errors.join("; ")}`,
+    });
+  }
+
+  if (!(await startProcessing(batch, req.body.mapping))) {
+    return res.status(503).json({
+      success: false,
+      message: "Could not queue the file for processing, try again",
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    batchId: batch.id,
+    status: "uploaded",
+    message: "Mapping saved and processing started",
+  });
+});
+
 // Delete batch
 export const deleteBatch = asyncHandler(async (req, res) => {
   const batch = await ListUploadBatch.findOne({
     where: {
       id: req.params.batchId,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
   });
 
@@ -853,6 +616,11 @@ export const deleteBatch = asyncHandler(async (req, res) => {
     where: { batchId: batch.id },
   });
 
+  // Unprocessed uploads still have their file on disk
+  if (batch.storagePath && fs.existsSync(batch.storagePath)) {
+    fs.unlinkSync(batch.storagePath);
+  }
+
   // Delete batch
   await batch.destroy();
 
@@ -868,7 +636,7 @@ export const deleteContact = asyncHandler(async (req, res) => {
     where: { id: req.params.recordId },
     include: [{
       model: ListUploadBatch,
-      where: { userId: req.user.id }
+      where: { workspaceId: req.workspace.id }
     }]
   });
 
@@ -892,7 +660,7 @@ export const retryBatch = asyncHandler(async (req, res) => {
   const batch = await ListUploadBatch.findOne({
     where: {
       id: req.params.batchId,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
       status: "failed",
     },
   });
@@ -904,14 +672,31 @@ export const retryBatch = asyncHandler(async (req, res) => {
     });
   }
 
+  // Failed before its mapping was confirmed: the worker can't ingest it
+  // without one, so send it back to the mapping step
+  if (!batch.mapping?.columns) {
+    await batch.update({ status: "awaiting_mapping", errorReason: null });
+    return res.json({
+      success: true,
+      status: "awaiting_mapping",
+      message: "Confirm the column mapping to process this batch",
+    });
+  }
+
   // Reset batch status
   await batch.update({
     status: "uploaded",
     errorReason: null,
   });
 
-  // Reprocess the file
-  await processUploadedFile(batch.id, req.user.id);
+  // Reprocess the file on the ingestion worker
+  if (!(await enqueueListIngestion(batch.id))) {
+    await batch.update({ status: "failed" });
+    return res.status(503).json({
+      success: false,
+      message: "Could not queue the batch for processing, try again",
+    });
+  }
 
   res.json({
     success: true,
@@ -954,7 +739,7 @@ export const exportBatch = asyncHandler(async (req, res) => {
   const batch = await ListUploadBatch.findOne({
     where: {
       id: batchId,
-      userId: req.user.id,
+      workspaceId: req.workspace.id,
     },
   });
 
@@ -1032,9 +817,9 @@ export const getAllUserContacts = asyncHandler(async (req, res) => {
     registryWhere.verificationStatus = filterStatus;
   }
 
-  // Find all batches belonging to this user
+  // Find all batches belonging to this workspace
   const userBatches = await ListUploadBatch.findAll({
-    where: { userId: req.user.id },
+    where: { workspaceId: req.workspace.id },
     attributes: ["id", "originalFilename"],
   });
 
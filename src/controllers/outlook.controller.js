@@ -1,9 +1,12 @@
-import https from "https";
-import axios from "axios";
 import OutlookSender from "../models/outlook-sender.model.js";
 import { asyncHandler } from "../helpers/async-handler.js";
 import AppError from "../utils/app-error.js";
 import { getValidMicrosoftToken } from "../utils/get-valid-microsoft-token.js";
+import {
+  getOutlookClient,
+  clearOutlookClient,
+} from "../utils/outlook-client.js";
+import { outlookProvider } from "../providers/outlook.provider.js";
 import {
   getCachedData,
   setCachedData,
@@ -12,13 +15,6 @@ import {
 } from "../utils/redis-client.js";
 import { withRateLimit, clearMailboxLimiter } from "../utils/rate-limiter.js";
 
-const httpsAgent = new https.Agent({
-  keepAlive: true,
-  maxSockets: 25, // Max concurrent connections
-  maxFreeSockets: 10,
-  timeout: 60000,
-});
-
 // Cache TTLs
 const CACHE_TTL = {
   MESSAGES: 1200, // 20 minutes
@@ -26,71 +22,17 @@ const CACHE_TTL = {
   SINGLE_MESSAGE: 3600, // 60 minutes
 };
 
-// =========================
-// OUTLOOK CLIENT CACHE (for connection pooling)
-// =========================
-const outlookClients = new Map();
-
-/**
- * Get or create Outlook client with token caching
- */
-const getOutlookClient = async (sender) => {
-  const cacheKey = `outlook_client_${sender.id}`;
-
-  // Check for cached client
-  if (outlookClients.has(cacheKey)) {
-    const { client, expiry } = outlookClients.get(cacheKey);
-    if (Date.now() < expiry) {
-      return client;
-    }
-  }
-
-  const token = await getValidMicrosoftToken(sender);
-  if (!token) throw new AppError("Failed to refresh Outlook token", 401);
-
-  // Create axios instance with default headers
-  const client = axios.create({
-    baseURL: "https://graph.microsoft.com/v1.0",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    timeout: 30000,
-    httpsAgent,
-  });
-
-  // Add response interceptor for error handling
-  client.interceptors.response.use(
-    (response) => response,
-    async (error) => {
-      if (error.response?.status === 401) {
-        // Token expired - clear from cache
-        outlookClients.delete(cacheKey);
-      }
-      return Promise.reject(error);
-    },
-  );
-
-  // Cache client for 50 minutes (tokens usually last 60 min)
-  outlookClients.set(cacheKey, {
-    client,
-    expiry: Date.now() + 50 * 60 * 1000,
-  });
-
-  return client;
-};
-
 // GET OUTLOOK MESSAGES - INTERNAL CORE
 const getOutlookMessagesInternal = async (req, res, explicitFolderId = null) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { skipToken, top = 10, folderId: queryFolderId = "inbox", search = "" } = req.query;
 
   // Prioritize explicitFolderId from specialized handlers
   const folderId = explicitFolderId || queryFolderId || "inbox";
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: [
       "id",
       "email",
@@ -229,10 +171,10 @@ export const getOutlookMessages = asyncHandler(async (req, res) => {
 // =========================
 export const getOutlookFolders = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -322,10 +264,10 @@ export const getOutlookFolders = asyncHandler(async (req, res) => {
 // =========================
 export const getOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -345,22 +287,12 @@ export const getOutlookMessage = asyncHandler(async (req, res) => {
       return res.json({ success: true, data: cached, fromCache: true });
     }
 
-    const client = await getOutlookClient(sender);
-
-    const response = await client.get(`/me/messages/${messageId}`, {
-      headers: {
-        Prefer: 'outlook.body-content-type="html"',
-      },
-      params: {
-        $select:
-          "id,subject,from,toRecipients,ccRecipients,bccRecipients,receivedDateTime,isRead,body,bodyPreview,conversationId,internetMessageId,parentFolderId,hasAttachments",
-      },
-    });
+    const { raw } = await outlookProvider.getMessage(sender, messageId);
 
     // Cache single message
-    await setCachedData(cacheKey, response.data, CACHE_TTL.SINGLE_MESSAGE);
+    await setCachedData(cacheKey, raw, CACHE_TTL.SINGLE_MESSAGE);
 
-    res.json({ success: true, data: response.data });
+    res.json({ success: true, data: raw });
   });
 });
 
@@ -369,19 +301,17 @@ export const getOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const markOutlookAsRead = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.patch(`/me/messages/${messageId}`, { isRead: true });
+    await outlookProvider.setRead(sender, messageId, true);
 
     // Invalidate relevant caches
     await Promise.all([
@@ -401,19 +331,17 @@ export const markOutlookAsRead = asyncHandler(async (req, res) => {
 // =========================
 export const markOutlookAsUnread = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.patch(`/me/messages/${messageId}`, { isRead: false });
+    await outlookProvider.setRead(sender, messageId, false);
 
     // Invalidate relevant caches
     await Promise.all([
@@ -433,19 +361,17 @@ export const markOutlookAsUnread = asyncHandler(async (req, res) => {
 // =========================
 export const deleteOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.delete(`/me/messages/${messageId}`);
+    await outlookProvider.deleteMessage(sender, messageId);
 
     // Invalidate all caches for this mailbox
     await deleteCachedData(generateCacheKey("outlook", mailboxId, "*"));
@@ -459,7 +385,7 @@ export const deleteOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const moveOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { destinationFolderId } = req.body;
 
   if (!destinationFolderId) {
@@ -467,18 +393,14 @@ export const moveOutlookMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.post(`/me/messages/${messageId}/move`, {
-      destinationId: destinationFolderId,
-    });
+    await outlookProvider.moveMessage(sender, messageId, destinationFolderId);
 
     // Invalidate relevant caches
     await Promise.all([
@@ -498,7 +420,7 @@ export const moveOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const createOutlookFolder = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { displayName, parentFolderId } = req.body;
 
   if (!displayName) {
@@ -506,7 +428,7 @@ export const createOutlookFolder = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
@@ -540,7 +462,7 @@ export const createOutlookFolder = asyncHandler(async (req, res) => {
 // =========================
 export const updateOutlookFolder = asyncHandler(async (req, res) => {
   const { mailboxId, folderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { displayName } = req.body;
 
   if (!displayName) {
@@ -548,7 +470,7 @@ export const updateOutlookFolder = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
@@ -573,10 +495,10 @@ export const updateOutlookFolder = asyncHandler(async (req, res) => {
 // =========================
 export const deleteOutlookFolder = asyncHandler(async (req, res) => {
   const { mailboxId, folderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
@@ -599,10 +521,10 @@ export const deleteOutlookFolder = asyncHandler(async (req, res) => {
 // =========================
 export const getOutlookProfile = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
@@ -631,13 +553,13 @@ export const getOutlookProfile = asyncHandler(async (req, res) => {
 // =========================
 export const searchOutlookMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { query, skipToken, top = 10 } = req.query;
 
   if (!query) throw new AppError("Search query is required", 400);
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
@@ -710,43 +632,24 @@ export const searchOutlookMessages = asyncHandler(async (req, res) => {
 export const syncOutlookMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
   const { folderId = "inbox" } = req.query;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    const folderMap = {
-      inbox: "/me/mailFolders/inbox/messages",
-      sent: "/me/mailFolders/sentitems/messages",
-      sentitems: "/me/mailFolders/sentitems/messages",
-      drafts: "/me/mailFolders/drafts/messages",
-      trash: "/me/mailFolders/deleteditems/messages",
-      deleteditems: "/me/mailFolders/deleteditems/messages",
-      spam: "/me/mailFolders/junkemail/messages",
-      junkemail: "/me/mailFolders/junkemail/messages",
-      archive: "/me/mailFolders/archive/messages",
-      outbox: "/me/mailFolders/outbox/messages",
-    };
-
-    const endpoint =
-      folderMap[folderId.toLowerCase()] ||
-      `/me/mailFolders/${folderId}/messages`;
-
-    // Test connection
-    await client.get(endpoint, { params: { $top: 1 } });
+    const { syncedAt, totalMessages, unreadMessages } =
+      await outlookProvider.sync(sender, { folder: folderId });
 
     // Update last sync timestamp
-    const updateData = { lastInboxSyncAt: new Date() };
+    const updateData = { lastInboxSyncAt: syncedAt };
     if (folderId === "sentitems" || folderId === "sent")
-      updateData.lastSentSyncAt = new Date();
-    if (folderId === "drafts") updateData.lastDraftsSyncAt = new Date();
+      updateData.lastSentSyncAt = syncedAt;
+    if (folderId === "drafts") updateData.lastDraftsSyncAt = syncedAt;
 
     await sender.update(updateData);
 
@@ -761,7 +664,7 @@ export const syncOutlookMailbox = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: `Mailbox synced successfully (${folderId})`,
-      data: { syncedAt: new Date(), folderId },
+      data: { syncedAt, folderId, totalMessages, unreadMessages },
     });
   });
 });
@@ -771,10 +674,10 @@ export const syncOutlookMailbox = asyncHandler(async (req, res) => {
 // =========================
 export const refreshOutlookToken = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId },
+    where: { id: mailboxId, workspaceId },
     attributes: ["id", "refreshToken"],
   });
 
@@ -783,7 +686,7 @@ export const refreshOutlookToken = asyncHandler(async (req, res) => {
     throw new AppError("No refresh token available", 400);
 
   // Clear cached client
-  outlookClients.delete(`outlook_client_${mailboxId}`);
+  clearOutlookClient(mailboxId);
 
   await getValidMicrosoftToken(sender);
   const updated = await OutlookSender.findByPk(sender.id, {
@@ -802,10 +705,10 @@ export const refreshOutlookToken = asyncHandler(async (req, res) => {
 // =========================
 export const disconnectOutlookMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId },
+    where: { id: mailboxId, workspaceId },
     attributes: ["id"],
   });
 
@@ -817,7 +720,7 @@ export const disconnectOutlookMailbox = asyncHandler(async (req, res) => {
   // Clear all caches and client
   await Promise.all([
     deleteCachedData(generateCacheKey("outlook", mailboxId, "*")),
-    Promise.resolve(outlookClients.delete(`outlook_client_${mailboxId}`)),
+    Promise.resolve(clearOutlookClient(mailboxId)),
     sender.destroy({ force: true }),
   ]);
 
@@ -884,7 +787,7 @@ export const getOutlookDrafts = asyncHandler(async (req, res) => {
 // =========================
 export const sendOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const {
     to,
     cc,
@@ -893,7 +796,6 @@ export const sendOutlookMessage = asyncHandler(async (req, res) => {
     body,
     html,
     attachments = [],
-    saveToSent = true,
   } = req.body;
 
   if (!to || !subject || (!body && !html)) {
@@ -901,79 +803,31 @@ export const sendOutlookMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    // Helper function to parse recipients - handles both string and array
-    const parseRecipients = (recipientField) => {
-      if (!recipientField) return [];
-
-      // If it's already an array, format it directly
-      if (Array.isArray(recipientField)) {
-        return recipientField.map((email) => ({
-          emailAddress: {
-            address:
-              typeof email === "string" ? email.trim() : email.address || email,
-          },
-        }));
-      }
-
-      // If it's a string, split by comma
-      if (typeof recipientField === "string") {
-        return recipientField.split(",").map((email) => ({
-          emailAddress: { address: email.trim() },
-        }));
-      }
-
-      return [];
-    };
-
-    // Format recipients
-    const toRecipients = parseRecipients(to);
-    const ccRecipients = parseRecipients(cc);
-    const bccRecipients = parseRecipients(bcc);
-
     // Inject tracking
     const { injectTracking } = await import("../utils/tracking-injector.js");
     const emailId = (await import("crypto")).randomUUID();
     
-    const trackedHtml = injectTracking(html || body, emailId, {
+    // Compose sends aren't stored as Email rows, so there is no link map
+    // to resolve clicks against; links are left untouched
+    const { html: trackedHtml } = injectTracking(html || body, emailId, {
       trackOpens: true,
-      trackClicks: true,
+      trackClicks: false,
     });
 
-    // Build message
-    const message = {
+    const sent = await outlookProvider.sendMessage(sender, {
+      to,
+      cc,
+      bcc,
       subject,
-      toRecipients,
-      ccRecipients,
-      bccRecipients,
-      body: {
-        contentType: "html",
-        content: trackedHtml,
-      },
-    };
-
-    // Add attachments if any
-    if (attachments && attachments.length > 0) {
-      message.attachments = attachments.map((att) => ({
-        "@odata.type": "#microsoft.graph.fileAttachment",
-        name: att.filename || att.name,
-        contentType: att.mimeType || att.contentType,
-        contentBytes: att.content, // base64 encoded content
-      }));
-    }
-
-    // Microsoft Graph expects a different structure for sendMail
-    const response = await client.post("/me/sendMail", {
-      message,
-      saveToSentItems: saveToSent,
+      html: trackedHtml,
+      attachments,
     });
 
     await sender.update({ lastUsedAt: new Date() });
@@ -990,7 +844,7 @@ export const sendOutlookMessage = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Email sent successfully",
-      data: response.data,
+      data: sent,
     });
   });
 });
@@ -1000,62 +854,28 @@ export const sendOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const replyToOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
-  const { body, html, replyAll = false } = req.body;
+  const workspaceId = req.workspace.id;
+  const { body, html, replyAll = false, attachments } = req.body;
 
   if (!body && !html) {
     throw new AppError("Message body is required", 400);
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    // Get original message
-    const original = await client.get(`/me/messages/${messageId}`, {
-      params: {
-        $select:
-          "id,subject,from,toRecipients,ccRecipients,conversationId,internetMessageId,parentFolderId",
-      },
+    const sent = await outlookProvider.replyToMessage(sender, messageId, {
+      text: body,
+      html,
+      replyAll,
+      attachments,
     });
 
-    // Create reply
-    const reply = {
-      message: {
-        subject: original.data.subject.startsWith("Re:")
-          ? original.data.subject
-          : `Re: ${original.data.subject}`,
-        body: {
-          contentType: html ? "html" : "text",
-          content: html || body,
-        },
-        toRecipients: replyAll
-          ? [
-            original.data.from,
-            ...(original.data.toRecipients || []),
-            ...(original.data.ccRecipients || []),
-          ].filter(
-            (r) =>
-              r.emailAddress.address.toLowerCase() !==
-              sender.email.toLowerCase(),
-          )
-          : [original.data.from],
-      },
-      comment: html || body,
-    };
-
-    const endpoint = replyAll
-      ? `/me/messages/${messageId}/replyAll`
-      : `/me/messages/${messageId}/reply`;
-
-    const response = await client.post(endpoint, reply);
-
     await sender.update({ lastUsedAt: new Date() });
 
     // Invalidate caches
@@ -1070,7 +890,7 @@ export const replyToOutlookMessage = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Reply sent successfully",
-      data: response.data,
+      data: sent,
     });
   });
 });
@@ -1080,7 +900,7 @@ export const replyToOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const forwardOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, body, html } = req.body;
 
   if (!to || (!body && !html)) {
@@ -1088,7 +908,7 @@ export const forwardOutlookMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -1158,61 +978,26 @@ export const forwardOutlookMessage = asyncHandler(async (req, res) => {
 // =========================
 export const createOutlookDraft = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments = [] } = req.body;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    // Format recipients
-    const toRecipients = to
-      ? to.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }))
-      : [];
-
-    const ccRecipients = cc
-      ? cc.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }))
-      : [];
-
-    const bccRecipients = bcc
-      ? bcc.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }))
-      : [];
-
-    // Build draft
-    const draft = {
-      subject: subject || "",
-      toRecipients,
-      ccRecipients,
-      bccRecipients,
-      body: {
-        contentType: html ? "html" : "text",
-        content: html || body || "",
-      },
-    };
-
-    // Add attachments if any
-    if (attachments && attachments.length > 0) {
-      draft.attachments = attachments.map((att) => ({
-        "@odata.type": "#microsoft.graph.fileAttachment",
-        name: att.filename,
-        contentType: att.mimeType,
-        contentBytes: att.content,
-      }));
-    }
-
-    const response = await client.post("/me/messages", draft);
+    const draft = await outlookProvider.createDraft(sender, {
+      to,
+      cc,
+      bcc,
+      subject,
+      text: body,
+      html,
+      attachments,
+    });
 
     await sender.update({ lastUsedAt: new Date() });
 
@@ -1224,7 +1009,7 @@ export const createOutlookDraft = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Draft created successfully",
-      data: response.data,
+      data: draft,
     });
   });
 });
@@ -1234,48 +1019,26 @@ export const createOutlookDraft = asyncHandler(async (req, res) => {
 // =========================
 export const updateOutlookDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html } = req.body;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    const updateData = {};
-
-    if (to) {
-      updateData.toRecipients = to.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }));
-    }
-    if (cc) {
-      updateData.ccRecipients = cc.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }));
-    }
-    if (bcc) {
-      updateData.bccRecipients = bcc.split(",").map((email) => ({
-        emailAddress: { address: email.trim() },
-      }));
-    }
-    if (subject !== undefined) updateData.subject = subject;
-    if (body !== undefined || html !== undefined) {
-      updateData.body = {
-        contentType: html ? "html" : "text",
-        content: html || body || "",
-      };
-    }
-
-    const response = await client.patch(
-      `/me/messages/${messageId}`,
-      updateData,
-    );
+    // Only the fields sent in the request are patched
+    const draft = await outlookProvider.updateDraft(sender, messageId, {
+      ...(to && { to }),
+      ...(cc && { cc }),
+      ...(bcc && { bcc }),
+      subject,
+      text: body,
+      html,
+    });
 
     await sender.update({ lastUsedAt: new Date() });
 
@@ -1290,7 +1053,7 @@ export const updateOutlookDraft = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Draft updated successfully",
-      data: response.data,
+      data: draft,
     });
   });
 });
@@ -1300,19 +1063,17 @@ export const updateOutlookDraft = asyncHandler(async (req, res) => {
 // =========================
 export const deleteOutlookDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.delete(`/me/messages/${messageId}`);
+    await outlookProvider.deleteDraft(sender, messageId);
 
     await sender.update({ lastUsedAt: new Date() });
 
@@ -1336,19 +1097,17 @@ export const deleteOutlookDraft = asyncHandler(async (req, res) => {
 // =========================
 export const sendOutlookDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    await client.post(`/me/messages/${messageId}/send`);
+    const sent = await outlookProvider.sendDraft(sender, messageId);
 
     await sender.update({ lastUsedAt: new Date() });
 
@@ -1367,6 +1126,7 @@ export const sendOutlookDraft = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Draft sent successfully",
+      data: sent,
     });
   });
 });
@@ -1376,26 +1136,19 @@ export const sendOutlookDraft = asyncHandler(async (req, res) => {
 // =========================
 export const toggleOutlookFlag = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
-  const { flagStatus } = req.body; // "flagged" or "normal"
+  const workspaceId = req.workspace.id;
+  const { flagStatus } = req.body; // "flagged" or "notFlagged"
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    const flag = {
-      flag: {
-        flagStatus: flagStatus || "flagged",
-      },
-    };
-
-    const response = await client.patch(`/me/messages/${messageId}`, flag);
+    const flagged = !flagStatus || flagStatus === "flagged";
+    await outlookProvider.setFlagged(sender, messageId, flagged);
 
     await sender.update({ lastUsedAt: new Date() });
 
@@ -1409,9 +1162,8 @@ export const toggleOutlookFlag = asyncHandler(async (req, res) => {
 
     res.json({
       success: true,
-      message:
-        flagStatus === "flagged" ? "Message flagged" : "Message unflagged",
-      data: response.data,
+      message: flagged ? "Message flagged" : "Message unflagged",
+      data: { flagStatus: flagged ? "flagged" : "notFlagged" },
     });
   });
 });
@@ -1421,10 +1173,10 @@ export const toggleOutlookFlag = asyncHandler(async (req, res) => {
 // =========================
 export const getOutlookAttachments = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -1443,21 +1195,18 @@ export const getOutlookAttachments = asyncHandler(async (req, res) => {
       return res.json({ success: true, data: cached, fromCache: true });
     }
 
-    const client = await getOutlookClient(sender);
-
-    const response = await client.get(`/me/messages/${messageId}/attachments`, {
-      params: {
-        $select: "id,name,contentType,size,lastModifiedDateTime",
-      },
-    });
+    const attachments = (
+      await outlookProvider.listAttachments(sender, messageId)
+    ).map((att) => ({
+      id: att.id,
+      name: att.filename,
+      contentType: att.contentType,
+      size: att.size,
+    }));
 
-    await setCachedData(
-      cacheKey,
-      response.data.value,
-      CACHE_TTL.SINGLE_MESSAGE,
-    );
+    await setCachedData(cacheKey, attachments, CACHE_TTL.SINGLE_MESSAGE);
 
-    res.json({ success: true, data: response.data.value });
+    res.json({ success: true, data: attachments });
   });
 });
 
@@ -1466,37 +1215,24 @@ export const getOutlookAttachments = asyncHandler(async (req, res) => {
 // =========================
 export const downloadOutlookAttachment = asyncHandler(async (req, res) => {
   const { mailboxId, messageId, attachmentId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
   if (!sender) throw new AppError("Outlook mailbox not found", 404);
 
   return withRateLimit(mailboxId, "outlook", async () => {
-    const client = await getOutlookClient(sender);
-
-    const response = await client.get(
-      `/me/messages/${messageId}/attachments/${attachmentId}`,
-      {
-        responseType: "arraybuffer",
-      },
-    );
-
-    const attachment = response.data;
-    const contentType =
-      response.headers["content-type"] || "application/octet-stream";
-    const contentDisposition =
-      response.headers["content-disposition"] ||
-      `attachment; filename="${attachmentId}"`;
+    const { filename, contentType, content } =
+      await outlookProvider.getAttachment(sender, messageId, attachmentId);
 
     res.setHeader("Content-Type", contentType);
-    res.setHeader("Content-Disposition", contentDisposition);
-    res.setHeader("Content-Length", Buffer.byteLength(attachment));
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Length", content.length);
 
-    res.send(attachment);
+    res.send(content);
   });
 });
 
@@ -1505,11 +1241,11 @@ export const downloadOutlookAttachment = asyncHandler(async (req, res) => {
 // =========================
 export const createOutlookReplyDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { replyAll = false } = req.body;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -1544,10 +1280,10 @@ export const createOutlookReplyDraft = asyncHandler(async (req, res) => {
 // =========================
 export const createOutlookForwardDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -1580,7 +1316,7 @@ export const createOutlookForwardDraft = asyncHandler(async (req, res) => {
 // =========================
 export const batchOutlookOperations = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { messageIds, operation, destinationFolderId } = req.body;
 
   if (!messageIds || !messageIds.length || !operation) {
@@ -1588,7 +1324,7 @@ export const batchOutlookOperations = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
@@ -1668,7 +1404,7 @@ const getOperationBody = (operation, destinationFolderId) => {
 // =========================
 export const copyOutlookMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { destinationFolderId } = req.body;
 
   if (!destinationFolderId) {
@@ -1676,7 +1412,7 @@ export const copyOutlookMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await OutlookSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true },
+    where: { id: mailboxId, workspaceId, isVerified: true },
     attributes: ["id", "email", "refreshToken", "accessToken", "expiresAt"],
   });
 
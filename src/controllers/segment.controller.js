@@ -0,0 +1,154 @@
+import { Op } from "sequelize";
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { Campaign, Segment } from "../models/index.js";
+import { segmentService } from "../services/segment.service.js";
+import { contactService } from "../services/contact.service.js";
+import { describeSegmentFields } from "../utils/segment-filter.js";
+
+const PREVIEW_SAMPLE_SIZE = 10;
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const findSegment = async (req) => {
+  if (!UUID_REGEX.test(req.params.id)) throw new AppError("Segment not found", 404);
+
+  const segment = await Segment.findOne({
+    where: { id: req.params.id, workspaceId: req.workspace.id },
+  });
+  if (!segment) throw new AppError("Segment not found", 404);
+  return segment;
+};
+
+const parseFilter = async (workspaceId, filter) => {
+  const errors = await segmentService.validate(workspaceId, filter);
+  if (errors.length) {
+    throw new AppError(`Invalid filter: ${errors.join("; ")}`, 400);
+  }
+  return { match: filter.match || "all", rules: filter.rules };
+};
+
+export const listSegments = asyncHandler(async (req, res) => {
+  const segments = await Segment.findAll({
+    where: { workspaceId: req.workspace.id },
+    order: [["createdAt", "DESC"]],
+  });
+  res.json({ success: true, data: segments });
+});
+
+export const getSegmentFields = asyncHandler(async (req, res) => {
+  const fields = await contactService.getFields(req.workspace.id);
+  res.json({ success: true, data: describeSegmentFields(fields) });
+});
+
+// Count and sample for an unsaved filter, while editing
+export const previewSegment = asyncHandler(async (req, res) => {
+  const filter = await parseFilter(req.workspace.id, req.body.filter);
+
+  const { count, rows } = await segmentService.findContacts(req.workspace.id, filter, {
+    limit: PREVIEW_SAMPLE_SIZE,
+  });
+
+  res.json({ success: true, data: { count, sample: rows } });
+});
+
+export const getSegment = asyncHandler(async (req, res) => {
+  const segment = await findSegment(req);
+  res.json({ success: true, data: segment });
+});
+
+export const createSegment = asyncHandler(async (req, res) => {
+  const name = String(req.body.name || "").trim();
+  if (!name) throw new AppError("name is required", 400);
+
+  const filter = await parseFilter(req.workspace.id, req.body.filter);
+
+  const segment = await Segment.create({
+    workspaceId: req.workspace.id,
+    userId: req.user.id,
+    name: name.slice(0, 255),
+    description: req.body.description ? String(req.body.description).slice(0, 500) : null,
+    filter,
+  });
+  await segmentService.refreshCount(segment);
+
+  res.status(201).json({ success: true, data: segment, message: "Segment created" });
+});
+
+export const updateSegment = asyncHandler(async (req, res) => {
+  const segment = await findSegment(req);
+  const { name, description, filter } = req.body;
+
+  const updates = {};
+  if (name !== undefined) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new AppError("name is required", 400);
+    updates.name = trimmed.slice(0, 255);
+  }
+  if (description !== undefined) {
+    updates.description = description ? String(description).slice(0, 500) : null;
+  }
+  if (filter !== undefined) {
+    updates.filter = await parseFilter(req.workspace.id, filter);
+  }
+
+  await segment.update(updates);
+  if (updates.filter) await segmentService.refreshCount(segment);
+
+  res.json({ success: true, data: segment, message: "Segment updated" });
+});
+
+export const deleteSegment = asyncHandler(async (req, res) => {
+  const segment = await findSegment(req);
+
+  // Draft campaigns resolve their segments on activation
+  const targeting = await Campaign.count({
+    where: {
+      workspaceId: req.workspace.id,
+      status: "draft",
+      segmentIds: { [Op.contains]: [segment.id] },
+    },
+  });
+  if (targeting) {
+    throw new AppError(`Segment is targeted by ${targeting} draft campaign(s)`, 409);
+  }
+
+  await segment.destroy();
+  res.json({ success: true, message: "Segment deleted" });
+});
+
+export const getSegmentCount = asyncHandler(async (req, res) => {
+  const segment = await findSegment(req);
+  const count = await segmentService.refreshCount(segment);
+
+  res.json({
+    success: true,
+    data: { count, countedAt: segment.lastCountedAt },
+  });
+});
+
+export const getSegmentContacts = asyncHandler(async (req, res) => {
+  const segment = await findSegment(req);
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  const { count, rows } = await segmentService.findContacts(req.workspace.id, segment.filter, {
+    limit,
+    offset: (page - 1) * limit,
+    label: segment.name,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      contacts: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit),
+      },
+    },
+  });
+});
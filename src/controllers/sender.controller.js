@@ -12,6 +12,7 @@ import { testOutlookConnection } from "../utils/outlook-tester.js";
 
 import { verifySmtp, verifyImap } from "../services/smtp-imap.service.js";
 import { senderHealthService } from "../services/sender-health.service.js";
+import { dkimService } from "../services/dkim.service.js";
 import pLimit from "p-limit";
 import { getNextProxy } from "../utils/proxy-fetcher.js";
 
@@ -92,6 +93,7 @@ export const createSender = asyncHandler(async (req, res) => {
 
   const sender = await SmtpSender.create({
     userId: req.user.id,
+    workspaceId: req.workspace.id,
     email: emailLower,
     displayName,
     domain,
@@ -212,6 +214,7 @@ export const bulkUploadSenders = asyncHandler(async (req, res) => {
 
       sendersToCreate.push({
         userId,
+        workspaceId: req.workspace.id,
         email: emailLower,
         displayName,
         domain: domainLower,
@@ -367,23 +370,23 @@ export const bulkUploadSenders = asyncHandler(async (req, res) => {
 // =========================
 export const listSenders = asyncHandler(async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
 
     const [smtpSenders, gmailSenders, outlookSenders] = await Promise.all([
       SmtpSender.findAll({
-        where: { userId },
+        where: { workspaceId },
         attributes: { exclude: ["smtpPassword", "imapPassword"] },
         paranoid: false,
       }),
       GmailSender.findAll({
-        where: { userId },
+        where: { workspaceId },
         attributes: {
           exclude: ["accessToken", "refreshToken", "googleProfile"],
         },
         paranoid: false,
       }),
       OutlookSender.findAll({
-        where: { userId },
+        where: { workspaceId },
         attributes: { exclude: ["accessToken", "refreshToken"] },
         paranoid: false,
       }),
@@ -404,7 +407,6 @@ export const listSenders = asyncHandler(async (req, res) => {
         /* DKIM & Reputation */
         dkimEnabled: sender.dkimEnabled,
         dkimSelector: sender.dkimSelector,
-        dkimPrivateKey: sender.dkimPrivateKey,
         sendingIp: sender.sendingIp,
       })),
       ...gmailSenders.map((sender) => ({
@@ -472,7 +474,7 @@ export const listSenders = asyncHandler(async (req, res) => {
 // =========================
 export const bulkDeleteSenders = asyncHandler(async (req, res) => {
   const { senderIds } = req.body; // Array of { id, type }
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   if (!senderIds || !Array.isArray(senderIds)) {
     throw new AppError("senderIds array is required", 400);
@@ -493,7 +495,7 @@ export const bulkDeleteSenders = asyncHandler(async (req, res) => {
       else if (type === "smtp") model = SmtpSender;
       else throw new Error(`Invalid type: ${type}`);
 
-      const sender = await model.findOne({ where: { id, userId } });
+      const sender = await model.findOne({ where: { id, workspaceId } });
       if (sender) {
         await sender.destroy({ force: true });
         results.success++;
@@ -520,7 +522,7 @@ export const bulkDeleteSenders = asyncHandler(async (req, res) => {
 export const deleteSender = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
   const { type } = req.query;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   let deleted = false;
   let deletedType = null;
@@ -530,7 +532,7 @@ export const deleteSender = asyncHandler(async (req, res) => {
     const sender = await OutlookSender.findOne({
       where: {
         id: senderId,
-        userId,
+        workspaceId,
       },
       paranoid: false,
     });
@@ -558,13 +560,13 @@ export const deleteSender = asyncHandler(async (req, res) => {
 // =========================
 export const testSender = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   // Try to find sender in each model
   const [gmailSender, outlookSender, smtpSender] = await Promise.all([
-    GmailSender.findOne({ where: { id: senderId, userId } }),
-    OutlookSender.findOne({ where: { id: senderId, userId } }),
-    SmtpSender.findOne({ where: { id: senderId, userId } }),
+    GmailSender.findOne({ where: { id: senderId, workspaceId } }),
+    OutlookSender.findOne({ where: { id: senderId, workspaceId } }),
+    SmtpSender.findOne({ where: { id: senderId, workspaceId } }),
   ]);
 
   let sender = gmailSender || outlookSender || smtpSender;
@@ -672,12 +674,12 @@ export const testSender = asyncHandler(async (req, res) => {
 // =========================
 export const refreshSenderToken = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   // Only applicable to OAuth senders
   const [gmailSender, outlookSender] = await Promise.all([
-    GmailSender.findOne({ where: { id: senderId, userId } }),
-    OutlookSender.findOne({ where: { id: senderId, userId } }),
+    GmailSender.findOne({ where: { id: senderId, workspaceId } }),
+    OutlookSender.findOne({ where: { id: senderId, workspaceId } }),
   ]);
 
   const sender = gmailSender || outlookSender;
@@ -704,12 +706,12 @@ export const refreshSenderToken = asyncHandler(async (req, res) => {
 // =========================
 export const revokeSenderAccess = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   // Only applicable to OAuth senders
   const [gmailSender, outlookSender] = await Promise.all([
-    GmailSender.findOne({ where: { id: senderId, userId } }),
-    OutlookSender.findOne({ where: { id: senderId, userId } }),
+    GmailSender.findOne({ where: { id: senderId, workspaceId } }),
+    OutlookSender.findOne({ where: { id: senderId, workspaceId } }),
   ]);
 
   const sender = gmailSender || outlookSender;
@@ -743,14 +745,14 @@ export const revokeSenderAccess = asyncHandler(async (req, res) => {
 // =========================
 export const updateSender = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const updateData = req.body;
 
   // Only SMTP senders can be updated via API
   const smtpSender = await SmtpSender.findOne({
     where: {
       id: senderId,
-      userId: userId,
+      workspaceId,
     },
   });
 
@@ -801,12 +803,12 @@ export const updateSender = asyncHandler(async (req, res) => {
 // =========================
 export const getSender = asyncHandler(async (req, res) => {
   const { senderId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const [gmailSender, outlookSender, smtpSender] = await Promise.all([
-    GmailSender.findOne({ where: { id: senderId, userId } }),
-    OutlookSender.findOne({ where: { id: senderId, userId } }),
-    SmtpSender.findOne({ where: { id: senderId, userId } }),
+    GmailSender.findOne({ where: { id: senderId, workspaceId } }),
+    OutlookSender.findOne({ where: { id: senderId, workspaceId } }),
+    SmtpSender.findOne({ where: { id: senderId, workspaceId } }),
   ]);
 
   const sender = gmailSender || outlookSender || smtpSender;
@@ -879,3 +881,67 @@ export const testImapConnection = asyncHandler(async (req, res) => {
     message: "IMAP connection successful",
   });
 });
+
+// =========================
+// PLATFORM DKIM (SMTP SENDERS)
+// =========================
+const findSmtpSender = async (req) => {
+  const sender = await SmtpSender.findOne({
+    where: { id: req.params.senderId, workspaceId: req.workspace.id },
+  });
+  if (!sender) throw new AppError("SMTP sender not found", 404);
+  return sender;
+};
+
+const serializeDkimKey = (key) => ({
+  domain: key.domain,
+  selector: key.selector,
+  status: key.status,
+  verifiedAt: key.verifiedAt,
+  lastCheckedAt: key.lastCheckedAt,
+  lastError: key.lastError,
+  dnsRecord: dkimService.dnsRecord(key),
+  // Rotation waiting on its TXT record; the key above signs until then
+  pending: key.pendingSelector
+    ? { selector: key.pendingSelector, dnsRecord: dkimService.pendingDnsRecord(key) }
+    : null,
+});
+
+export const getSenderDkim = asyncHandler(async (req, res) => {
+  const key = await dkimService.findKey(await findSmtpSender(req));
+  if (!key) throw new AppError("No DKIM key for this sender's domain", 404);
+
+  res.json({ success: true, data: serializeDkimKey(key) });
+});
+
+export const generateSenderDkim = asyncHandler(async (req, res) => {
+  const sender = await findSmtpSender(req);
+  const { selector } = req.body || {};
+
+  if (selector !== undefined && !/^[a-z0-9][a-z0-9-]{0,62}$/i.test(selector)) {
+    throw new AppError("selector may only contain letters, digits and dashes", 400);
+  }
+
+  const key = await dkimService.generateKey(sender, selector || undefined);
+
+  res.status(201).json({
+    success: true,
+    data: serializeDkimKey(key),
+    message: key.pendingSelector
+      ? "Publish the new TXT record, then verify it to switch keys. The current key signs until then"
+      : "Publish the TXT record, then verify it to start signing",
+  });
+});
+
+export const verifySenderDkim = asyncHandler(async (req, res) => {
+  const key = await dkimService.findKey(await findSmtpSender(req));
+  if (!key) throw new AppError("No DKIM key for this sender's domain", 404);
+
+  await dkimService.verify(key);
+
+  res.json({
+    success: true,
+    data: serializeDkimKey(key),
+    message: key.lastError || "DKIM record verified",
+  });
+});
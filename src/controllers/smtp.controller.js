@@ -1,7 +1,5 @@
 /* eslint-disable no-unused-vars */
 // controllers/smtp.controller.js
-import Imap from "imap";
-import { simpleParser } from "mailparser";
 import SmtpSender from "../models/smtp-sender.model.js";
 import { asyncHandler } from "../helpers/async-handler.js";
 import AppError from "../utils/app-error.js";
@@ -16,8 +14,13 @@ import util from "util";
 import {
   createImapConnection,
   resolveFolder,
+  openFolder,
+  fetchMessages,
+  fetchUidsForRange,
+  parseMessagesInParallel,
 } from "../utils/imap-helper.js";
 import { getNextProxy } from "../utils/proxy-fetcher.js";
+import { smtpProvider } from "../providers/smtp.provider.js";
 
 // Cache TTLs
 const CACHEerrTTL = {
@@ -28,110 +31,16 @@ const CACHEerrTTL = {
 
 // IMAP helper functions moved to ../utils/imap-helper.js
 
-// =========================
-// HELPER: open a folder and return the box info
-// =========================
-async function openFolder(imap, folderName) {
-  return util.promisify(imap.openBox).bind(imap)(folderName, false);
-}
-
-// =========================
-// HELPER: fetch messages from an OPEN imap connection
-// =========================
-function fetchMessages(imap, uids, options) {
-  return new Promise((resolve, reject) => {
-    const fetch = imap.fetch(uids, options);
-    const messages = [];
-
-    fetch.on("message", (msg) => {
-      const message = { parts: [], attributes: null };
-
-      msg.on("body", (stream, info) => {
-        let buffer = "";
-        stream.on("data", (chunk) => (buffer += chunk.toString("utf8")));
-        stream.on("end", () => {
-          message.parts.push({ which: info.which, data: buffer });
-        });
-      });
-
-      msg.once("attributes", (attrs) => {
-        message.attributes = attrs;
-      });
-      msg.once("end", () => {
-        messages.push(message);
-      });
-    });
-
-    fetch.once("error", reject);
-    fetch.once("end", () => resolve(messages));
-  });
-}
-
-// =========================
-// HELPER: fetch UIDs for a sequence range
-// =========================
-function fetchUidsForRange(imap, range) {
-  return new Promise((resolve, reject) => {
-    const fetch = imap.seq.fetch(range, { bodies: "", struct: true });
-    const uidList = [];
-    fetch.on("message", (msg) => {
-      msg.once("attributes", (attrs) => {
-        if (attrs.uid) uidList.push(attrs.uid);
-      });
-    });
-    fetch.once("error", reject);
-    fetch.once("end", () => resolve(uidList));
-  });
-}
-
-// =========================
-// BATCH MESSAGE PARSER
-// =========================
-const parseMessagesInParallel = async (messages) => {
-  const parsePromises = messages.map(async (msg) => {
-    try {
-      const fullEmail = msg.parts.map((p) => p.data).join("");
-      const parsed = await simpleParser(fullEmail);
-
-      return {
-        id: msg.attributes?.uid || msg.seqno,
-        uid: msg.attributes?.uid,
-        seqno: msg.seqno,
-        subject: parsed.subject || "(No Subject)",
-        from: parsed.from?.text || "",
-        to: parsed.to?.text || "",
-        date: parsed.date || new Date(),
-        text: parsed.text,
-        html: parsed.html,
-        attachments: parsed.attachments?.map((a) => ({
-          filename: a.filename,
-          contentType: a.contentType,
-          size: a.size,
-        })),
-        flags: msg.attributes?.flags || [],
-        isRead: msg.attributes?.flags?.includes("\\Seen") || false,
-        isStarred: msg.attributes?.flags?.includes("\\Flagged") || false,
-      };
-    } catch (err) {
-      console.error("Failed to parse message:", err);
-      return null;
-    }
-  });
-
-  const results = await Promise.all(parsePromises);
-  return results.filter((r) => r !== null);
-};
-
 // =========================
 // CORE MESSAGE FETCHER - plain async so it can be called by any handler
 // =========================
 async function fetchSmtpMessagesForFolder(req, res, folder) {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { page = 1, limit = 10 } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -316,10 +225,10 @@ export const getSmtpArchiveMessages = asyncHandler(async (req, res) => {
 // =========================
 export const getSmtpFolders = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -409,11 +318,11 @@ export const getSmtpFolders = asyncHandler(async (req, res) => {
 // =========================
 export const getSmtpMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -431,37 +340,10 @@ export const getSmtpMessage = asyncHandler(async (req, res) => {
       return res.json({ success: true, data: cached, fromCache: true });
     }
 
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-
-      const uid = parseInt(messageId);
-      const rawMessages = await fetchMessages(imap, [uid], {
-        bodies: "",
-        struct: true,
-      });
-
-      if (rawMessages.length === 0)
-        throw new AppError("Message not found", 404);
-
-      const parsedMessages = await parseMessagesInParallel(rawMessages);
-      if (parsedMessages.length === 0)
-        throw new AppError("Message not found", 404);
-
-      const message = parsedMessages[0];
-      message.folder = folder;
+    const { raw } = await smtpProvider.getMessage(sender, messageId, { folder });
 
-      await setCachedData(cacheKey, message, CACHEerrTTL.SINGLEerrMESSAGE);
-      res.json({ success: true, data: message });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) {
-        console.log(err);
-      }
-    }
+    await setCachedData(cacheKey, raw, CACHEerrTTL.SINGLEerrMESSAGE);
+    res.json({ success: true, data: raw });
   });
 });
 
@@ -470,38 +352,26 @@ export const getSmtpMessage = asyncHandler(async (req, res) => {
 // =========================
 export const markSmtpAsRead = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-        "\\Seen",
-      ]);
-      Promise.all([
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
-        ),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, folder),
-        ),
-        deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
-      ]).catch(() => { });
-      res.json({ success: true, message: "Message marked as read" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.setRead(sender, messageId, true, { folder });
+    Promise.all([
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
+      ),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, folder),
+      ),
+      deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
+    ]).catch(() => { });
+    res.json({ success: true, message: "Message marked as read" });
   });
 });
 
@@ -510,38 +380,26 @@ export const markSmtpAsRead = asyncHandler(async (req, res) => {
 // =========================
 export const markSmtpAsUnread = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      await util.promisify(imap.delFlags).bind(imap)(parseInt(messageId), [
-        "\\Seen",
-      ]);
-      Promise.all([
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
-        ),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, folder),
-        ),
-        deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
-      ]).catch(() => { });
-      res.json({ success: true, message: "Message marked as unread" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.setRead(sender, messageId, false, { folder });
+    Promise.all([
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
+      ),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, folder),
+      ),
+      deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
+    ]).catch(() => { });
+    res.json({ success: true, message: "Message marked as unread" });
   });
 });
 
@@ -550,31 +408,21 @@ export const markSmtpAsUnread = asyncHandler(async (req, res) => {
 // =========================
 export const deleteSmtpMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-        "\\Deleted",
-      ]);
-      await util.promisify(imap.expunge).bind(imap)();
-      await deleteCachedData(generateCacheKey("smtp", mailboxId, "*"));
-      res.json({ success: true, message: "Message deleted successfully" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.deleteMessage(sender, messageId, {
+      permanent: true,
+      folder,
+    });
+    await deleteCachedData(generateCacheKey("smtp", mailboxId, "*"));
+    res.json({ success: true, message: "Message deleted successfully" });
   });
 });
 
@@ -583,74 +431,54 @@ export const deleteSmtpMessage = asyncHandler(async (req, res) => {
 // =========================
 export const moveSmtpMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { sourceFolder = "INBOX", targetFolder } = req.body;
 
   if (!targetFolder) throw new AppError("Target folder is required", 400);
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    try {
-      const resolvedSource = await resolveFolder(imap, sender, sourceFolder);
-      const resolvedTarget = await resolveFolder(imap, sender, targetFolder);
-      await openFolder(imap, resolvedSource);
-      await util.promisify(imap.move).bind(imap)(
-        parseInt(messageId),
-        resolvedTarget,
-      );
-      Promise.all([
-        deleteCachedData(generateCacheKey("smtp", mailboxId, "messages", "*")),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
-        ),
-        deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
-      ]).catch(() => { });
-      res.json({ success: true, message: `Message moved to ${targetFolder}` });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.moveMessage(sender, messageId, targetFolder, {
+      folder: sourceFolder,
+    });
+    Promise.all([
+      deleteCachedData(generateCacheKey("smtp", mailboxId, "messages", "*")),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
+      ),
+      deleteCachedData(generateCacheKey("smtp", mailboxId, "folders")),
+    ]).catch(() => { });
+    res.json({ success: true, message: `Message moved to ${targetFolder}` });
   });
 });
+
 // =========================
 // SYNC SMTP MAILBOX - FIXED
 // =========================
 export const syncSmtpMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
   const { folder = "INBOX" } = req.query;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const proxy = await getNextProxy();
-    const imap = await createImapConnection(sender, proxy);
-    let box;
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      box = await openFolder(imap, resolvedFolder);
-    } catch (err) {
-      box = null;
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    const { syncedAt, totalMessages, unreadMessages } = await smtpProvider.sync(
+      sender,
+      { folder },
+    );
 
-    const updateData = { lastInboxSyncAt: new Date() };
-    if (folder.toUpperCase() === "SENT") updateData.lastSentSyncAt = new Date();
+    const updateData = { lastInboxSyncAt: syncedAt };
+    if (folder.toUpperCase() === "SENT") updateData.lastSentSyncAt = syncedAt;
     if (folder.toUpperCase() === "DRAFTS")
-      updateData.lastDraftsSyncAt = new Date();
+      updateData.lastDraftsSyncAt = syncedAt;
     await sender.update(updateData);
 
     await Promise.all([
@@ -663,12 +491,7 @@ export const syncSmtpMailbox = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: `Mailbox synced successfully (${folder})`,
-      data: {
-        syncedAt: new Date(),
-        folder,
-        totalMessages: box?.messages?.total || 0,
-        unreadMessages: box?.messages?.unseen || 0,
-      },
+      data: { syncedAt, folder, totalMessages, unreadMessages },
     });
   });
 });
@@ -678,10 +501,10 @@ export const syncSmtpMailbox = asyncHandler(async (req, res) => {
 // =========================
 export const getSmtpStatus = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -744,9 +567,9 @@ export const getSmtpStatus = asyncHandler(async (req, res) => {
 // =========================
 export const disconnectSmtpMailbox = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
-  const sender = await SmtpSender.findOne({ where: { id: mailboxId, userId } });
+  const sender = await SmtpSender.findOne({ where: { id: mailboxId, workspaceId } });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   // Clean up rate limiter and cache
@@ -782,7 +605,7 @@ const mapFolderType = (folderPath) => {
 // =========================
 export const sendSmtpMessage = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments = [] } = req.body;
 
   if (!to || !subject || (!body && !html)) {
@@ -790,58 +613,31 @@ export const sendSmtpMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isActive: true },
+    where: { id: mailboxId, workspaceId, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
-  // Use nodemailer for sending
-  const nodemailer = (await import("nodemailer")).default;
-
   return withRateLimit(mailboxId, "smtp", async () => {
-    // Create transporter
-    const transporter = nodemailer.createTransport({
-      host: sender.smtpHost,
-      port: sender.smtpPort,
-      secure: sender.smtpSecure,
-      auth: {
-        user: sender.smtpUsername,
-        pass: sender.smtpPassword,
-      },
-    });
-
     // Inject tracking
     const { injectTracking } = await import("../utils/tracking-injector.js");
     const emailId = (await import("crypto")).randomUUID();
     
-    const trackedHtml = injectTracking(html || body, emailId, {
+    // Compose sends aren't stored as Email rows, so there is no link map
+    // to resolve clicks against; links are left untouched
+    const { html: trackedHtml } = injectTracking(html || body, emailId, {
       trackOpens: true,
-      trackClicks: true,
+      trackClicks: false,
     });
 
-    // Build mail options
-    const mailOptions = {
-      from: `"${sender.displayName}" <${sender.email}>`,
-      to: to,
-      cc: cc,
-      bcc: bcc,
-      subject: subject,
+    const sent = await smtpProvider.sendMessage(sender, {
+      to,
+      cc,
+      bcc,
+      subject,
       text: body,
       html: trackedHtml,
-    };
-
-    // Add attachments if any
-    if (attachments && attachments.length > 0) {
-      mailOptions.attachments = attachments.map((att) => ({
-        filename: att.filename,
-        content: Buffer.from(att.content, "base64"),
-        contentType: att.mimeType,
-      }));
-    }
-
-    // Send mail
-    const info = await transporter.sendMail(mailOptions);
-
-    await sender.update({ lastUsedAt: new Date(), lastSentAt: new Date() });
+      attachments,
+    });
 
     // Invalidate sent messages cache
     await deleteCachedData(
@@ -851,7 +647,7 @@ export const sendSmtpMessage = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: "Email sent successfully",
-      data: { messageId: info.messageId },
+      data: { messageId: sent.messageId },
     });
   });
 });
@@ -861,54 +657,34 @@ export const sendSmtpMessage = asyncHandler(async (req, res) => {
 // =========================
 export const createSmtpDraft = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments = [] } = req.body;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedDrafts = await resolveFolder(imap, sender, "DRAFTS");
-      await openFolder(imap, resolvedDrafts);
-
-      const emailLines = [
-        `From: ${sender.email}`,
-        ...(to ? [`To: ${to}`] : []),
-        ...(cc ? [`Cc: ${cc}`] : []),
-        ...(bcc ? [`Bcc: ${bcc}`] : []),
-        `Subject: ${subject || ""}`,
-        "MIME-Version: 1.0",
-        `Content-Type: ${html ? "text/html" : "text/plain"}; charset="UTF-8"`,
-        "",
-        html || body || "",
-      ];
-      const emailRaw = emailLines.join("\r\n");
-
-      await new Promise((resolve, reject) => {
-        imap.append(
-          emailRaw,
-          { mailbox: resolvedDrafts, flags: ["\\Draft"] },
-          (err) => {
-            if (err) reject(err);
-            else resolve();
-          },
-        );
-      });
+    const draft = await smtpProvider.createDraft(sender, {
+      to,
+      cc,
+      bcc,
+      subject,
+      text: body,
+      html,
+      attachments,
+    });
 
-      await sender.update({ lastUsedAt: new Date() });
-      await deleteCachedData(
-        generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
-      );
-      res.json({ success: true, message: "Draft created successfully" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await sender.update({ lastUsedAt: new Date() });
+    await deleteCachedData(
+      generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
+    );
+    res.json({
+      success: true,
+      message: "Draft created successfully",
+      data: draft,
+    });
   });
 });
 
@@ -917,65 +693,40 @@ export const createSmtpDraft = asyncHandler(async (req, res) => {
 // =========================
 export const updateSmtpDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { to, cc, bcc, subject, body, html, attachments = [] } = req.body;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedDrafts = await resolveFolder(imap, sender, "DRAFTS");
-      await openFolder(imap, resolvedDrafts);
-
-      // Delete old draft
-      await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-        "\\Deleted",
-      ]);
-      await util.promisify(imap.expunge).bind(imap)();
-
-      const emailLines = [
-        `From: ${sender.email}`,
-        ...(to ? [`To: ${to}`] : []),
-        ...(cc ? [`Cc: ${cc}`] : []),
-        ...(bcc ? [`Bcc: ${bcc}`] : []),
-        `Subject: ${subject || ""}`,
-        "MIME-Version: 1.0",
-        `Content-Type: ${html ? "text/html" : "text/plain"}; charset="UTF-8"`,
-        "",
-        html || body || "",
-      ];
-      const emailRaw = emailLines.join("\r\n");
-
-      await new Promise((resolve, reject) => {
-        imap.append(
-          emailRaw,
-          { mailbox: resolvedDrafts, flags: ["\\Draft"] },
-          (err) => {
-            if (err) reject(err);
-            else resolve();
-          },
-        );
-      });
+    // IMAP messages are immutable, so the draft is replaced
+    const draft = await smtpProvider.updateDraft(sender, messageId, {
+      to,
+      cc,
+      bcc,
+      subject,
+      text: body,
+      html,
+      attachments,
+    });
 
-      await sender.update({ lastUsedAt: new Date() });
-      await Promise.all([
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
-        ),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
-        ),
-      ]);
-      res.json({ success: true, message: "Draft updated successfully" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await sender.update({ lastUsedAt: new Date() });
+    await Promise.all([
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
+      ),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
+      ),
+    ]);
+    res.json({
+      success: true,
+      message: "Draft updated successfully",
+      data: draft,
+    });
   });
 });
 
@@ -984,37 +735,25 @@ export const updateSmtpDraft = asyncHandler(async (req, res) => {
 // =========================
 export const deleteSmtpDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedDrafts = await resolveFolder(imap, sender, "DRAFTS");
-      await openFolder(imap, resolvedDrafts);
-      await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-        "\\Deleted",
-      ]);
-      await util.promisify(imap.expunge).bind(imap)();
-      await sender.update({ lastUsedAt: new Date() });
-      await Promise.all([
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
-        ),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
-        ),
-      ]);
-      res.json({ success: true, message: "Draft deleted successfully" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.deleteDraft(sender, messageId);
+    await sender.update({ lastUsedAt: new Date() });
+    await Promise.all([
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "messages", "DRAFTS", "*"),
+      ),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
+      ),
+    ]);
+    res.json({ success: true, message: "Draft deleted successfully" });
   });
 });
 
@@ -1023,67 +762,27 @@ export const deleteSmtpDraft = asyncHandler(async (req, res) => {
 // =========================
 export const sendSmtpDraft = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
-  const nodemailer = (await import("nodemailer")).default;
-
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedDrafts = await resolveFolder(imap, sender, "DRAFTS");
-      await openFolder(imap, resolvedDrafts);
-
-      const rawMessages = await fetchMessages(imap, [parseInt(messageId)], {
-        bodies: "",
-        struct: true,
-      });
-      if (rawMessages.length === 0) throw new AppError("Draft not found", 404);
-
-      const parsedMessages = await parseMessagesInParallel(rawMessages);
-      if (parsedMessages.length === 0)
-        throw new AppError("Draft not found", 404);
+    const sent = await smtpProvider.sendDraft(sender, messageId);
 
-      const draft = parsedMessages[0];
-
-      const transporter = nodemailer.createTransport({
-        host: sender.smtpHost,
-        port: sender.smtpPort,
-        secure: sender.smtpSecure,
-        auth: { user: sender.smtpUsername, pass: sender.smtpPassword },
-      });
-
-      await transporter.sendMail({
-        from: `"${sender.displayName}" <${sender.email}>`,
-        to: draft.to,
-        subject: draft.subject,
-        text: draft.text,
-        html: draft.html,
-      });
-
-      // Delete the draft after sending
-      await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-        "\\Deleted",
-      ]);
-      await util.promisify(imap.expunge).bind(imap)();
-
-      await sender.update({ lastUsedAt: new Date(), lastSentAt: new Date() });
-      await Promise.all([
-        deleteCachedData(generateCacheKey("smtp", mailboxId, "messages", "*")),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
-        ),
-      ]);
-      res.json({ success: true, message: "Draft sent successfully" });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await Promise.all([
+      deleteCachedData(generateCacheKey("smtp", mailboxId, "messages", "*")),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, "*"),
+      ),
+    ]);
+    res.json({
+      success: true,
+      message: "Draft sent successfully",
+      data: { messageId: sent.messageId },
+    });
   });
 });
 
@@ -1092,46 +791,29 @@ export const sendSmtpDraft = asyncHandler(async (req, res) => {
 // =========================
 export const toggleSmtpFlag = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { flagged, folder = "INBOX" } = req.body;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      if (flagged) {
-        await util.promisify(imap.addFlags).bind(imap)(parseInt(messageId), [
-          "\\Flagged",
-        ]);
-      } else {
-        await util.promisify(imap.delFlags).bind(imap)(parseInt(messageId), [
-          "\\Flagged",
-        ]);
-      }
-      await sender.update({ lastUsedAt: new Date() });
-      await Promise.all([
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
-        ),
-        deleteCachedData(
-          generateCacheKey("smtp", mailboxId, "message", messageId, folder),
-        ),
-      ]);
-      res.json({
-        success: true,
-        message: flagged ? "Message flagged" : "Message unflagged",
-      });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await smtpProvider.setFlagged(sender, messageId, !!flagged, { folder });
+    await sender.update({ lastUsedAt: new Date() });
+    await Promise.all([
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "messages", folder, "*"),
+      ),
+      deleteCachedData(
+        generateCacheKey("smtp", mailboxId, "message", messageId, folder),
+      ),
+    ]);
+    res.json({
+      success: true,
+      message: flagged ? "Message flagged" : "Message unflagged",
+    });
   });
 });
 
@@ -1140,11 +822,11 @@ export const toggleSmtpFlag = asyncHandler(async (req, res) => {
 // =========================
 export const getSmtpAttachments = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -1160,36 +842,12 @@ export const getSmtpAttachments = asyncHandler(async (req, res) => {
     if (cached)
       return res.json({ success: true, data: cached, fromCache: true });
 
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      const rawMessages = await fetchMessages(imap, [parseInt(messageId)], {
-        bodies: "",
-        struct: true,
-      });
-      if (rawMessages.length === 0)
-        throw new AppError("Message not found", 404);
+    const attachments = await smtpProvider.listAttachments(sender, messageId, {
+      folder,
+    });
 
-      const fullEmail = rawMessages[0].parts.map((p) => p.data).join("");
-      const parsed = await simpleParser(fullEmail);
-      const attachments =
-        parsed.attachments?.map((att) => ({
-          id: att.contentId || att.filename,
-          filename: att.filename,
-          contentType: att.contentType,
-          size: att.size,
-          contentId: att.contentId,
-          related: att.related,
-        })) || [];
-
-      await setCachedData(cacheKey, attachments, CACHEerrTTL.SINGLEerrMESSAGE);
-      res.json({ success: true, data: attachments });
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    await setCachedData(cacheKey, attachments, CACHEerrTTL.SINGLEerrMESSAGE);
+    res.json({ success: true, data: attachments });
   });
 });
 
@@ -1198,50 +856,26 @@ export const getSmtpAttachments = asyncHandler(async (req, res) => {
 // =========================
 export const downloadSmtpAttachment = asyncHandler(async (req, res) => {
   const { mailboxId, messageId, attachmentId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { folder = "INBOX" } = req.query;
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
   return withRateLimit(mailboxId, "smtp", async () => {
-    const imap = await createImapConnection(sender);
-    try {
-      const resolvedFolder = await resolveFolder(imap, sender, folder);
-      await openFolder(imap, resolvedFolder);
-      const rawMessages = await fetchMessages(imap, [parseInt(messageId)], {
-        bodies: "",
-        struct: true,
-      });
-      if (rawMessages.length === 0)
-        throw new AppError("Message not found", 404);
+    const { filename, contentType, content } = await smtpProvider.getAttachment(
+      sender,
+      messageId,
+      attachmentId,
+      { folder },
+    );
 
-      const fullEmail = rawMessages[0].parts.map((p) => p.data).join("");
-      const parsed = await simpleParser(fullEmail);
-      const attachment = parsed.attachments?.find(
-        (att) =>
-          att.contentId === attachmentId || att.filename === attachmentId,
-      );
-      if (!attachment) throw new AppError("Attachment not found", 404);
-
-      res.setHeader("Content-Type", attachment.contentType);
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${attachment.filename}"`,
-      );
-      res.setHeader("Content-Length", attachment.size);
-      res.send(
-        attachment.content instanceof Buffer
-          ? attachment.content
-          : Buffer.from(attachment.content),
-      );
-    } finally {
-      try {
-        imap.end();
-      } catch (err) { }
-    }
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Content-Length", content.length);
+    res.send(content);
   });
 });
 
@@ -1250,7 +884,7 @@ export const downloadSmtpAttachment = asyncHandler(async (req, res) => {
 // =========================
 export const batchSmtpOperations = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { messageIds, operation, targetFolder, folder = "INBOX" } = req.body;
 
   if (!messageIds || !messageIds.length || !operation) {
@@ -1258,7 +892,7 @@ export const batchSmtpOperations = asyncHandler(async (req, res) => {
   }
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -1348,7 +982,7 @@ export const batchSmtpOperations = asyncHandler(async (req, res) => {
 // =========================
 export const copySmtpMessage = asyncHandler(async (req, res) => {
   const { mailboxId, messageId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { sourceFolder = "INBOX", targetFolder } = req.body;
 
   if (!targetFolder) {
@@ -1356,7 +990,7 @@ export const copySmtpMessage = asyncHandler(async (req, res) => {
   }
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
@@ -1402,7 +1036,7 @@ export const copySmtpMessage = asyncHandler(async (req, res) => {
 // =========================
 export const searchSmtpMessages = asyncHandler(async (req, res) => {
   const { mailboxId } = req.params;
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
   const { query, folder = "INBOX", limit = 50 } = req.query;
 
   if (!query) {
@@ -1410,7 +1044,7 @@ export const searchSmtpMessages = asyncHandler(async (req, res) => {
   }
 
   const sender = await SmtpSender.findOne({
-    where: { id: mailboxId, userId, isVerified: true, isActive: true },
+    where: { id: mailboxId, workspaceId, isVerified: true, isActive: true },
   });
   if (!sender) throw new AppError("SMTP mailbox not found", 404);
 
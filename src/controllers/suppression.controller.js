@@ -0,0 +1,255 @@
+import fs from "fs";
+import { promises as fsPromises } from "fs";
+import path from "path";
+import csv from "csv-parser";
+import { Op } from "sequelize";
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { Suppression } from "../models/index.js";
+import {
+  suppressionService,
+  GLOBAL_SCOPE,
+  SUPPRESSION_REASONS,
+} from "../services/suppression.service.js";
+
+const EXPORT_COLUMNS = ["type", "value", "reason", "source", "note", "scope", "createdAt"];
+const SUPPRESSION_TYPES = ["email", "domain"];
+
+const isAdmin = (req) => req.user.role === "admin";
+
+/**
+ * "workspace" → the current workspace's list (workspaceId), "global" →
+ * the shared list (null). The global list holds every tenant's
+ * unsubscribes and complaints, so only admins may read or change it.
+ */
+const resolveScope = (req, scope = "workspace") => {
+  if (scope === "global") {
+    if (!isAdmin(req)) {
+      throw new AppError("Only admins can access the global suppression list", 403);
+    }
+    return null;
+  }
+  if (scope !== "workspace") throw new AppError("scope must be 'workspace' or 'global'", 400);
+  return req.workspace.id;
+};
+
+const buildWhere = (req) => {
+  const { scope, type, reason, search } = req.query;
+
+  const where = {};
+  if (scope) {
+    const workspaceId = resolveScope(req, scope);
+    Object.assign(where, workspaceId ? { workspaceId } : GLOBAL_SCOPE);
+  } else if (isAdmin(req)) {
+    where[Op.or] = [GLOBAL_SCOPE, { workspaceId: req.workspace.id }];
+  } else {
+    where.workspaceId = req.workspace.id;
+  }
+
+  if (type) {
+    if (!SUPPRESSION_TYPES.includes(type)) {
+      throw new AppError("type must be 'email' or 'domain'", 400);
+    }
+    where.type = type;
+  }
+  if (reason) {
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      throw new AppError(`reason must be one of: ${SUPPRESSION_REASONS.join(", ")}`, 400);
+    }
+    where.reason = reason;
+  }
+  if (search) {
+    // ?search=a&search=b arrives as an array
+    if (typeof search !== "string") throw new AppError("search must be a string", 400);
+    where.value = { [Op.iLike]: `%${search.trim().toLowerCase()}%` };
+  }
+
+  return where;
+};
+
+const serialize = (s) => ({
+  id: s.id,
+  type: s.type,
+  value: s.value,
+  reason: s.reason,
+  source: s.source,
+  note: s.note,
+  scope: suppressionService.isGlobal(s) ? "global" : "workspace",
+  createdAt: s.createdAt,
+});
+
+/* =========================
+   LIST / CREATE / DELETE
+========================= */
+
+export const getSuppressions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  const { count, rows } = await Suppression.findAndCountAll({
+    where: buildWhere(req),
+    order: [["createdAt", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      suppressions: rows.map(serialize),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit),
+      },
+    },
+  });
+});
+
+export const createSuppression = asyncHandler(async (req, res) => {
+  const { value, type, reason = "manual", note, scope = "workspace" } = req.body;
+
+  if (type && !SUPPRESSION_TYPES.includes(type)) {
+    throw new AppError("type must be 'email' or 'domain'", 400);
+  }
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw new AppError(`reason must be one of: ${SUPPRESSION_REASONS.join(", ")}`, 400);
+  }
+
+  const { suppression, created } = await suppressionService.add({
+    workspaceId: resolveScope(req, scope),
+    value,
+    type,
+    reason,
+    note,
+    source: "api",
+    createdBy: req.user.id,
+  });
+
+  if (!suppression) throw new AppError("Invalid email address or domain", 400);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: serialize(suppression),
+    message: created ? "Suppression added" : "Already suppressed",
+  });
+});
+
+export const deleteSuppression = asyncHandler(async (req, res) => {
+  const suppression = await Suppression.findByPk(req.params.id);
+
+  // Global entries are invisible to non-admins
+  if (
+    !suppression ||
+    (suppressionService.isGlobal(suppression)
+      ? !isAdmin(req)
+      : suppression.workspaceId !== req.workspace.id)
+  ) {
+    throw new AppError("Suppression not found", 404);
+  }
+
+  await suppressionService.remove(suppression);
+
+  res.json({ success: true, message: "Suppression removed" });
+});
+
+/* =========================
+   CSV IMPORT / EXPORT
+========================= */
+
+// Reads one target per row from an `email`, `domain` or `value` column
+// (CSV needs a header row); .txt files are one target per line.
+const readImportRows = async (file) => {
+  if (path.extname(file.originalname).toLowerCase() === ".txt") {
+    const text = await fsPromises.readFile(file.path, "utf8");
+    return text.split(/\r?\n/).map((line) => ({ value: line.trim() }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(file.path)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on("data", (row) => {
+        if (row.email) rows.push({ ...row, value: row.email, type: "email" });
+        else if (row.domain) rows.push({ ...row, value: row.domain, type: "domain" });
+        else rows.push({ ...row, value: row.value, type: row.type });
+      })
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+};
+
+export const importSuppressions = asyncHandler(async (req, res) => {
+  if (!req.file) throw new AppError("No file uploaded", 400);
+
+  const { scope = "workspace", reason: defaultReason = "manual" } = req.body;
+
+  try {
+    if (!SUPPRESSION_REASONS.includes(defaultReason)) {
+      throw new AppError(`reason must be one of: ${SUPPRESSION_REASONS.join(", ")}`, 400);
+    }
+    const workspaceId = resolveScope(req, scope);
+    const rows = await readImportRows(req.file);
+
+    const summary = { imported: 0, existing: 0, invalid: 0 };
+
+    for (const row of rows) {
+      if (!row.value?.trim()) continue;
+
+      const reason = SUPPRESSION_REASONS.includes(row.reason)
+        ? row.reason
+        : defaultReason;
+      const type = SUPPRESSION_TYPES.includes(row.type) ? row.type : undefined;
+
+      const { suppression, created } = await suppressionService.add({
+        workspaceId,
+        value: row.value,
+        type,
+        reason,
+        note: row.note || null,
+        source: "csv",
+        createdBy: req.user.id,
+      });
+
+      if (!suppression) summary.invalid++;
+      else if (created) summary.imported++;
+      else summary.existing++;
+    }
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Imported ${summary.imported} suppressions`,
+    });
+  } finally {
+    await fsPromises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheets run cells starting with = + - @ (or tab / CR) as formulas
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const exportSuppressions = asyncHandler(async (req, res) => {
+  const suppressions = await Suppression.findAll({
+    where: buildWhere(req),
+    order: [["createdAt", "DESC"]],
+  });
+
+  const lines = suppressions.map((s) => {
+    const row = serialize(s);
+    return EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(",");
+  });
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=suppressions-${new Date().toISOString().slice(0, 10)}.csv`,
+  );
+  res.send([EXPORT_COLUMNS.join(","), ...lines].join("\n"));
+});
@@ -0,0 +1,116 @@
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { TrackingDomain, getSenderWithType } from "../models/index.js";
+import { trackingDomainService } from "../services/tracking-domain.service.js";
+
+const SENDER_TYPES = ["gmail", "outlook", "smtp"];
+
+const serialize = (d) => ({
+  id: d.id,
+  domain: d.domain,
+  senderId: d.senderId,
+  senderType: d.senderType,
+  status: d.status,
+  verifiedAt: d.verifiedAt,
+  lastCheckedAt: d.lastCheckedAt,
+  lastError: d.lastError,
+  dns: {
+    type: "CNAME",
+    name: d.domain,
+    value: trackingDomainService.cnameTarget,
+  },
+  ownership: d.verificationToken ? trackingDomainService.challenge(d) : null,
+  createdAt: d.createdAt,
+});
+
+const findWorkspaceDomain = async (req) => {
+  const trackingDomain = await TrackingDomain.findOne({
+    where: { id: req.params.id, workspaceId: req.workspace.id },
+  });
+  if (!trackingDomain) throw new AppError("Tracking domain not found", 404);
+  return trackingDomain;
+};
+
+export const getTrackingDomains = asyncHandler(async (req, res) => {
+  const domains = await TrackingDomain.findAll({
+    where: { workspaceId: req.workspace.id },
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.json({ success: true, data: domains.map(serialize) });
+});
+
+export const createTrackingDomain = asyncHandler(async (req, res) => {
+  const { senderId = null, senderType = null } = req.body;
+
+  const domain = trackingDomainService.normalizeDomain(req.body.domain);
+  if (!domain) throw new AppError("A valid hostname is required (e.g. track.example.com)", 400);
+
+  if (!!senderId !== !!senderType) {
+    throw new AppError("senderId and senderType must be given together", 400);
+  }
+  if (senderId) {
+    if (!SENDER_TYPES.includes(senderType)) {
+      throw new AppError(`senderType must be one of: ${SENDER_TYPES.join(", ")}`, 400);
+    }
+    const sender = await getSenderWithType(senderId, senderType);
+    if (!sender || sender.workspaceId !== req.workspace.id) {
+      throw new AppError("Sender not found", 404);
+    }
+  }
+
+  // An unproven claim by someone else doesn't block the real owner: they
+  // take it over and still have to publish their own TXT challenge
+  const existing = await TrackingDomain.findOne({ where: { domain } });
+  if (existing) {
+    if (existing.status === "verified" || existing.workspaceId === req.workspace.id) {
+      throw new AppError("This domain is already registered", 409);
+    }
+    await existing.destroy();
+    trackingDomainService.forget(domain);
+  }
+
+  const trackingDomain = await TrackingDomain.create({
+    workspaceId: req.workspace.id,
+    userId: req.user.id,
+    domain,
+    senderId,
+    senderType,
+    verificationToken: trackingDomainService.createVerificationToken(),
+  });
+
+  // Try straight away; most users add the record before registering
+  await trackingDomainService.verify(trackingDomain);
+  const challenge = trackingDomainService.challenge(trackingDomain);
+
+  res.status(201).json({
+    success: true,
+    data: serialize(trackingDomain),
+    message:
+      trackingDomain.status === "verified"
+        ? "Tracking domain verified"
+        : `Add a CNAME record for ${domain} pointing to ${trackingDomainService.cnameTarget} and a TXT record at ${challenge.name} containing "${challenge.value}", then verify`,
+  });
+});
+
+export const verifyTrackingDomain = asyncHandler(async (req, res) => {
+  const trackingDomain = await trackingDomainService.verify(await findWorkspaceDomain(req));
+
+  res.json({
+    success: true,
+    data: serialize(trackingDomain),
+    message:
+      trackingDomain.status === "verified"
+        ? "Tracking domain verified"
+        : trackingDomain.lastError,
+  });
+});
+
+export const deleteTrackingDomain = asyncHandler(async (req, res) => {
+  const trackingDomain = await findWorkspaceDomain(req);
+
+  await trackingDomain.destroy();
+  trackingDomainService.forget(trackingDomain.domain);
+
+  res.json({ success: true, message: "Tracking domain removed" });
+});
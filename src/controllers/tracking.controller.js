@@ -4,16 +4,76 @@ import Campaign from "../models/campaign.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
 import CampaignSend from "../models/campaign-send.model.js";
 import GlobalEmailRegistry from "../models/global-email-registry.model.js";
+import EmailEvent from "../models/email-event.model.js";
 import sequelize from "../config/db.js";
+import { suppressionService } from "../services/suppression.service.js";
+import { webhookService } from "../services/webhook.service.js";
+import { readTrackingToken, HONEYPOT_LINK_INDEX } from "../utils/tracking-token.js";
+import {
+  engagementClassifier,
+  ENGAGEMENT,
+} from "../services/engagement-classifier.service.js";
+import AppError from "../utils/app-error.js";
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shown for tampered, unknown or expired tracking links instead of redirecting
+const linkUnavailablePage = (res, status = 404) =>
+  res.status(status).send(`
+    <html>
+      <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;">
+        <h2>This link is no longer available.</h2>
+        <p>It may have been mistyped or has expired.</p>
+      </body>
+    </html>
+  `);
+
+/**
+ * Mail sent before tracking tokens linked to /open|unsubscribe/:emailId.
+ * Those bare ids stay valid for that mail, but not for emails sent with
+ * signed links (metadata.signedLinks), where a guessed id must not work.
+ */
+const findLegacyEmail = async (emailId) => {
+  if (!UUID_REGEX.test(emailId)) return null;
+  const email = await Email.findByPk(emailId);
+  return email && !email.metadata?.signedLinks ? email : null;
+};
 
 export const trackOpen = asyncHandler(async (req, res) => {
-  const { emailId } = req.params;
+  const emailId = readTrackingToken(req.params.token, "open")?.emailId;
 
   try {
-    // Find the email and update openedAt
-    const email = await Email.findByPk(emailId);
+    // Signed pixel, or the bare /open/:emailId in mail sent before tokens
+    const email = emailId
+      ? await Email.findByPk(emailId)
+      : await findLegacyEmail(req.params.token);
 
-    if (email && !email.openedAt) {
+    const { classification, reasons } = email
+      ? await engagementClassifier.classify({
+        type: "open",
+        email,
+        userAgent: req.headers["user-agent"],
+        ipAddress: req.ip,
+      })
+      : {};
+
+    if (email) {
+      await EmailEvent.create({
+        emailId: email.id,
+        eventType: "open",
+        eventTimestamp: new Date(),
+        classification,
+        metadata: {
+          userAgent: req.headers["user-agent"],
+          ipAddress: req.ip,
+          reasons,
+        },
+      });
+    }
+
+    // Proxy prefetches and scanners don't count as opens
+    if (email && !email.openedAt && classification === ENGAGEMENT.HUMAN) {
       await email.update({
         openedAt: new Date(), // ✅ This sets openedAt
         userAgent: req.headers["user-agent"],
@@ -32,7 +92,7 @@ export const trackOpen = asyncHandler(async (req, res) => {
         { where: { emailId: email.id } }
       );
 
-      console.log(`✅ Open tracked for email ${emailId}`);
+      console.log(`✅ Open tracked for email ${email.id}`);
     }
 
     // Return 1x1 transparent GIF
@@ -64,51 +124,137 @@ export const trackOpen = asyncHandler(async (req, res) => {
     );
   }
 });
-export const trackClick = asyncHandler(async (req, res) => {
-  const { emailId } = req.params;
+/**
+ * Clicks resolve the destination from Email.trackedLinks by the index in
+ * the signed token; the URL is never taken from the request.
+ */
+const resolveClick = async (req) => {
+  const parsed = readTrackingToken(req.params.token, "click");
+  if (parsed) {
+    const email = await Email.findByPk(parsed.emailId);
+    if (parsed.index === HONEYPOT_LINK_INDEX) return { email, honeypot: true };
+    return {
+      email,
+      url: email?.trackedLinks?.[parsed.index],
+      linkIndex: parsed.index,
+    };
+  }
+
+  // Mail sent before tokens: /click/:emailId?url=… is only followed when
+  // that exact tracked link is in the email we sent
   const { url } = req.query;
+  if (!UUID_REGEX.test(req.params.token) || typeof url !== "string") return {};
 
-  if (!url) return res.redirect("/");
+  const email = await Email.findByPk(req.params.token);
+  const trackedHref = `/click/${req.params.token}?url=${encodeURIComponent(url)}`;
+  return email?.htmlBody?.includes(trackedHref)
+    ? { email, url, linkIndex: null }
+    : {};
+};
 
-  const decodedUrl = decodeURIComponent(url);
+export const trackClick = asyncHandler(async (req, res) => {
+  const { email, url, linkIndex, honeypot } = await resolveClick(req);
+
+  if (email && honeypot) {
+    // Only machines follow the hidden link; later clicks in the same
+    // burst are classified as machine too
+    await EmailEvent.create({
+      emailId: email.id,
+      eventType: "click",
+      eventTimestamp: new Date(),
+      classification: ENGAGEMENT.MACHINE,
+      metadata: {
+        honeypot: true,
+        userAgent: req.headers["user-agent"],
+        ipAddress: req.ip,
+        reasons: ["honeypot"],
+      },
+    }).catch((error) => console.error("Error tracking honeypot click:", error));
+    return linkUnavailablePage(res, 200);
+  }
+
+  if (!email || !url || !/^https?:\/\//i.test(url)) {
+    return linkUnavailablePage(res);
+  }
 
   try {
-    // Find the email and update clickedAt
-    const email = await Email.findByPk(emailId);
+    const { classification, reasons } = await engagementClassifier.classify({
+      type: "click",
+      email,
+      userAgent: req.headers["user-agent"],
+      ipAddress: req.ip,
+    });
 
-    if (email) {
-      await email.update({
-        clickedAt: email.clickedAt || new Date(), // ✅ This sets clickedAt
-        clickCount: sequelize.literal("clickCount + 1"),
+    // Per-click event (sequence "clicked link" conditions and per-link
+    // analytics read this)
+    await EmailEvent.create({
+      emailId: email.id,
+      eventType: "click",
+      eventTimestamp: new Date(),
+      classification,
+      metadata: {
+        url,
+        linkIndex,
         userAgent: req.headers["user-agent"],
         ipAddress: req.ip,
-      });
+        reasons,
+      },
+    });
 
-      // Also update campaign stats
-      await Campaign.increment("totalClicks", {
-        by: 1,
-        where: { id: email.campaignId },
-      });
+    // Scanner clicks still redirect, but don't count as engagement
+    if (classification === ENGAGEMENT.MACHINE) {
+      console.log(`🤖 Machine click on email ${email.id} (${reasons.join(", ")})`);
+      return res.redirect(302, url);
+    }
 
-      // Update CampaignSend record for orchestration
-      await CampaignSend.update(
-        { clickedAt: new Date() },
-        { where: { emailId: email.id } }
-      );
+    await email.update({
+      clickedAt: email.clickedAt || new Date(), // ✅ This sets clickedAt
+      clickCount: sequelize.literal('"clickCount" + 1'),
+      userAgent: req.headers["user-agent"],
+      ipAddress: req.ip,
+    });
 
-      console.log(`✅ Click tracked for email ${emailId} to ${decodedUrl}`);
-    }
+    // Also update campaign stats
+    await Campaign.increment("totalClicks", {
+      by: 1,
+      where: { id: email.campaignId },
+    });
+
+    // Update CampaignSend record for orchestration
+    await CampaignSend.update(
+      { clickedAt: new Date() },
+      { where: { emailId: email.id } }
+    );
+
+    console.log(`✅ Click tracked for email ${email.id} to ${url}`);
   } catch (error) {
     console.error("Error tracking click:", error);
     // Still redirect even if tracking fails
   }
 
   // Redirect to original URL
-  res.redirect(302, decodedUrl);
+  res.redirect(302, url);
 });
 
+/**
+ * GET  → footer link, answers with a confirmation page.
+ * POST → RFC 8058 one-click (body "List-Unsubscribe=One-Click"), sent by
+ *        the mailbox provider without cookies; answers with JSON.
+ * Both require the signed token in the link, except in mail sent before
+ * links were signed.
+ */
 export const trackUnsubscribe = asyncHandler(async (req, res) => {
-  const { emailId } = req.params;
+  const { token } = req.params;
+  const oneClick = req.method === "POST";
+
+  // Signed token, or the bare /unsubscribe/:emailId in mail already delivered
+  let emailId = readTrackingToken(token, "unsubscribe")?.emailId;
+  if (!emailId) emailId = (await findLegacyEmail(token))?.id;
+
+  if (!emailId) {
+    if (oneClick) throw new AppError("Invalid unsubscribe link", 400);
+    return linkUnavailablePage(res, 400);
+  }
 
   try {
     const email = await Email.findByPk(emailId);
@@ -120,7 +266,12 @@ export const trackUnsubscribe = asyncHandler(async (req, res) => {
         await recipient.update({
           status: "stopped",
           nextRunAt: null,
-          metadata: { ...recipient.metadata, unsubscribed: true, unsubscribedAt: new Date() }
+          metadata: {
+            ...recipient.metadata,
+            unsubscribed: true,
+            unsubscribedAt: new Date(),
+            unsubscribedVia: oneClick ? "one-click" : "link",
+          }
         });
         
         // Update campaign stats
@@ -129,25 +280,44 @@ export const trackUnsubscribe = asyncHandler(async (req, res) => {
             where: { id: email.campaignId },
           });
         }
-        
-        // 🔹 Mark globally unsubscribed in GlobalEmailRegistry
-        if (email.recipientEmail) {
-          const normalizedEmail = email.recipientEmail.toLowerCase().trim();
-          await GlobalEmailRegistry.upsert({
-            normalizedEmail,
-            unsubscribed: true,
-            unsubscribedAt: new Date(),
-            lastSeenAt: new Date()
-          });
-        }
-        
+
         console.log(`🚫 Unsubscribe tracked for email ${emailId}`);
       }
     }
+
+    // 🔹 Mark globally unsubscribed, even if the recipient already finished
+    if (email?.recipientEmail) {
+      const normalizedEmail = email.recipientEmail.toLowerCase().trim();
+      await GlobalEmailRegistry.upsert({
+        normalizedEmail,
+        unsubscribed: true,
+        unsubscribedAt: new Date(),
+        lastSeenAt: new Date()
+      });
+
+      const { created } = await suppressionService.add({
+        value: normalizedEmail,
+        type: "email",
+        reason: "unsubscribe",
+        source: oneClick ? "one-click" : "link",
+      });
+
+      // Repeat clicks on the link don't re-notify
+      if (created) {
+        await webhookService.dispatchForCampaign(email.campaignId, "recipient.unsubscribed", {
+          ...webhookService.emailData(email),
+          source: oneClick ? "one-click" : "link",
+        });
+      }
+    }
   } catch (error) {
     console.error("Error tracking unsubscribe:", error);
   }
 
+  if (oneClick) {
+    return res.json({ success: true, message: "Unsubscribed" });
+  }
+
   // Return a simple HTML message for GET requests
   res.send(`
     <html>
@@ -0,0 +1,194 @@
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { withRateLimit } from "../utils/rate-limiter.js";
+import { getWorkspaceMailboxes, MAIL_FOLDERS } from "../providers/index.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Cursor keys carried between pages; more than this many messages at one
+// exact timestamp is not a real mailbox
+const MAX_EXCLUDE = 200;
+// Upper bound on what one mailbox is asked for per page
+const MAX_PER_MAILBOX = MAX_LIMIT * 2;
+
+/* =========================
+   CURSOR
+   base64url JSON { before, exclude }:
+   - before: date of the last message returned (inclusive bound)
+   - exclude: keys already returned at exactly that date
+========================= */
+
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+function decodeCursor(cursor) {
+  if (!cursor) return { before: null, exclude: [] };
+
+  try {
+    const { before, exclude = [] } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8"),
+    );
+    const date = new Date(before);
+    if (
+      isNaN(date.getTime()) ||
+      !Array.isArray(exclude) ||
+      exclude.length > MAX_EXCLUDE ||
+      !exclude.every((key) => typeof key === "string")
+    ) {
+      throw new Error();
+    }
+    return { before: date, exclude };
+  } catch {
+    throw new AppError("Invalid cursor", 400);
+  }
+}
+
+const toList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean)
+    : [];
+
+/* =========================
+   FAN-OUT + MERGE
+========================= */
+
+/**
+ * Fetches one page from every mailbox and merges them newest-first.
+ * A mailbox with more pages only vouches for messages down to the oldest
+ * one it returned, so nothing older than that is emitted on this page.
+ */
+async function fetchUnifiedPage(req, fetchPage) {
+  const workspaceId = req.workspace.id;
+  const { cursor, mailboxIds, types } = req.query;
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT,
+  );
+  const { before, exclude } = decodeCursor(cursor);
+
+  const mailboxes = await getWorkspaceMailboxes(workspaceId, {
+    types: toList(types),
+    ids: toList(mailboxIds),
+  });
+
+  if (!mailboxes.length) {
+    return { messages: [], nextCursor: null, hasMore: false, errors: [] };
+  }
+
+  // Over-fetch so excluded messages don't shorten the page
+  const perMailbox = Math.min(limit + exclude.length, MAX_PER_MAILBOX);
+
+  const results = await Promise.allSettled(
+    mailboxes.map(({ sender, provider }) =>
+      withRateLimit(sender.id, provider.type, () =>
+        fetchPage(provider, sender, { limit: perMailbox, before }),
+      ),
+    ),
+  );
+
+  const pages = [];
+  const errors = [];
+  results.forEach((r, i) => {
+    const { sender, provider } = mailboxes[i];
+    if (r.status === "fulfilled") {
+      pages.push(r.value);
+    } else {
+      errors.push({
+        mailboxId: sender.id,
+        type: provider.type,
+        email: sender.email,
+        error: r.reason?.message || "Failed to fetch mailbox",
+      });
+    }
+  });
+
+  let watermark = -Infinity;
+  for (const page of pages) {
+    if (!page.hasMore || !page.messages.length) continue;
+    const oldest = Math.min(...page.messages.map((m) => new Date(m.date).getTime()));
+    watermark = Math.max(watermark, oldest);
+  }
+
+  // Newest-first, deduplicated on Message-ID across mailboxes
+  const excluded = new Set(exclude);
+  const byMessageId = new Map();
+  const merged = [];
+
+  const candidates = pages
+    .flatMap((p) => p.messages)
+    .filter((m) => !excluded.has(m.key))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  for (const message of candidates) {
+    const existing = message.messageId && byMessageId.get(message.messageId);
+    if (existing) {
+      existing.alsoIn.push({ ...message.mailbox, key: message.key });
+      continue;
+    }
+
+    const entry = { ...message, alsoIn: [] };
+    if (message.messageId) byMessageId.set(message.messageId, entry);
+    merged.push(entry);
+  }
+
+  const safe = merged.filter((m) => new Date(m.date).getTime() >= watermark);
+  const messages = safe.slice(0, limit);
+
+  const hasMore =
+    merged.length > messages.length || pages.some((p) => p.hasMore);
+
+  let nextCursor = null;
+  if (hasMore && messages.length) {
+    const last = messages[messages.length - 1];
+    const lastTime = new Date(last.date).getTime();
+
+    const keys = messages
+      .filter((m) => new Date(m.date).getTime() === lastTime)
+      .flatMap((m) => [m.key, ...m.alsoIn.map((a) => a.key)]);
+
+    // Same boundary as before: keep excluding what earlier pages returned
+    const carried =
+      before && before.getTime() === lastTime ? exclude : [];
+
+    nextCursor = encodeCursor({
+      before: last.date,
+      exclude: [...new Set([...carried, ...keys])].slice(-MAX_EXCLUDE),
+    });
+  }
+
+  return { messages, nextCursor, hasMore: !!nextCursor, errors };
+}
+
+/* =========================
+   UNIFIED MESSAGES
+========================= */
+export const getUnifiedMessages = asyncHandler(async (req, res) => {
+  const folder = (req.query.folder || "inbox").toLowerCase();
+  if (!MAIL_FOLDERS.includes(folder)) {
+    throw new AppError(`folder must be one of: ${MAIL_FOLDERS.join(", ")}`, 400);
+  }
+
+  const data = await fetchUnifiedPage(req, (provider, sender, options) =>
+    provider.listMessages(sender, { ...options, folder }),
+  );
+
+  res.json({ success: true, data: { ...data, folder } });
+});
+
+/* =========================
+   UNIFIED SEARCH
+========================= */
+export const searchUnifiedMessages = asyncHandler(async (req, res) => {
+  const query = String(req.query.query || "").trim();
+  if (!query) throw new AppError("Search query is required", 400);
+
+  const data = await fetchUnifiedPage(req, (provider, sender, options) =>
+    provider.searchMessages(sender, { ...options, query }),
+  );
+
+  res.json({ success: true, data: { ...data, query } });
+});
@@ -2,6 +2,7 @@ import { asyncHandler } from "../helpers/async-handler.js";
 import AppError from "../utils/app-error.js";
 import User from "../models/user.model.js";
 import { comparePassword, hashPassword } from "../helpers/hash-password.js";
+import { getEmailVerifier } from "../providers/verifiers/index.js";
 
 export const getProfile = asyncHandler(async (req, res) => {
   res.ok({
@@ -12,17 +13,21 @@ export const getProfile = asyncHandler(async (req, res) => {
       role: req.user.role,
       isVerified: req.user.isVerified,
       googleId: req.user.googleId,
+      verificationProvider: req.user.verificationProvider,
     },
   });
 });
 
 export const updateProfile = asyncHandler(async (req, res) => {
-  const { name, email } = req.body;
+  const { name, email, verificationProvider } = req.body;
 
-  if (!name && !email) {
+  if (!name && !email && verificationProvider === undefined) {
     throw new AppError("At least one field is required to update", 400);
   }
 
+  // null resets to the default; unknown names throw 400
+  if (verificationProvider) getEmailVerifier(verificationProvider);
+
   const user = await User.findByPk(req.user.id);
 
   if (!user) {
@@ -38,6 +43,9 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   if (name) user.name = name;
   if (email) user.email = email;
+  if (verificationProvider !== undefined) {
+    user.verificationProvider = verificationProvider || null;
+  }
 
   await user.save();
 
@@ -47,6 +55,7 @@ export const updateProfile = asyncHandler(async (req, res) => {
       id: user.id,
       name: user.name,
       email: user.email,
+      verificationProvider: user.verificationProvider,
     },
   });
 });
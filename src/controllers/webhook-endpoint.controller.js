@@ -0,0 +1,169 @@
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { WebhookEndpoint, WebhookDelivery } from "../models/index.js";
+import { webhookService, WEBHOOK_EVENTS } from "../services/webhook.service.js";
+import { assertPublicUrl } from "../utils/public-address.js";
+
+const DELIVERY_STATUSES = ["pending", "retrying", "succeeded", "failed"];
+
+// Endpoints must be public: deliveries (and their logged responses) would
+// otherwise expose internal services and cloud metadata
+const validateUrl = async (raw) => {
+  let url;
+  try {
+    url = new URL(String(raw || "").trim());
+  } catch {
+    throw new AppError("A valid endpoint URL is required", 400);
+  }
+
+  const allowed = process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+  if (!allowed.includes(url.protocol)) {
+    throw new AppError(`Endpoint URL must use ${allowed.join(" or ").replace(/:/g, "")}`, 400);
+  }
+
+  try {
+    await assertPublicUrl(url);
+  } catch (err) {
+    throw new AppError(`Endpoint URL must point to a public host (${err.message})`, 400);
+  }
+  return url.toString();
+};
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || !events.length) {
+    throw new AppError("Subscribe to at least one event", 400);
+  }
+  const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown event(s): ${unknown.join(", ")}. Allowed: ${WEBHOOK_EVENTS.join(", ")}`,
+      400,
+    );
+  }
+  return [...new Set(events)];
+};
+
+const findEndpoint = async (req) => {
+  const endpoint = await WebhookEndpoint.findOne({
+    where: { id: req.params.id, workspaceId: req.workspace.id },
+  });
+  if (!endpoint) throw new AppError("Webhook endpoint not found", 404);
+  return endpoint;
+};
+
+/* =========================
+   ENDPOINTS
+========================= */
+
+export const getWebhookEvents = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: WEBHOOK_EVENTS });
+});
+
+export const listWebhookEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await WebhookEndpoint.findAll({
+    where: { workspaceId: req.workspace.id },
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.json({ success: true, data: endpoints });
+});
+
+export const createWebhookEndpoint = asyncHandler(async (req, res) => {
+  const secret = webhookService.generateSecret();
+
+  const endpoint = await WebhookEndpoint.create({
+    workspaceId: req.workspace.id,
+    userId: req.user.id,
+    url: await validateUrl(req.body.url),
+    events: validateEvents(req.body.events),
+    description: req.body.description ? String(req.body.description).slice(0, 255) : null,
+    secret,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { ...endpoint.toJSON(), secret },
+    message: "Webhook endpoint created. Copy the signing secret now, it will not be shown again",
+  });
+});
+
+export const updateWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req);
+  const { url, events, description, isActive } = req.body;
+
+  const updates = {};
+  if (url !== undefined) updates.url = await validateUrl(url);
+  if (events !== undefined) updates.events = validateEvents(events);
+  if (description !== undefined) {
+    updates.description = description ? String(description).slice(0, 255) : null;
+  }
+  if (isActive !== undefined) updates.isActive = Boolean(isActive);
+
+  await endpoint.update(updates);
+  res.json({ success: true, data: endpoint, message: "Webhook endpoint updated" });
+});
+
+export const deleteWebhookEndpoint = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req);
+  await endpoint.destroy();
+  res.json({ success: true, message: "Webhook endpoint deleted" });
+});
+
+export const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req);
+  const secret = webhookService.generateSecret();
+
+  await endpoint.update({ secret });
+  res.json({
+    success: true,
+    data: { id: endpoint.id, secret },
+    message: "Signing secret rotated. Deliveries are signed with the new secret from now on",
+  });
+});
+
+export const sendTestWebhook = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req);
+  const delivery = await webhookService.sendTest(endpoint);
+
+  res.status(202).json({
+    success: true,
+    data: { deliveryId: delivery.id, event: delivery.event },
+    message: "Test event queued",
+  });
+});
+
+/* =========================
+   DELIVERY LOG
+========================= */
+
+export const listWebhookDeliveries = asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req);
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const { status, event } = req.query;
+
+  const where = { endpointId: endpoint.id };
+  if (status) {
+    if (!DELIVERY_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${DELIVERY_STATUSES.join(", ")}`, 400);
+    }
+    where.status = status;
+  }
+  if (event) where.event = String(event);
+
+  const { rows, count } = await WebhookDelivery.findAndCountAll({
+    where,
+    order: [["createdAt", "DESC"]],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      deliveries: rows,
+      pagination: { page, limit, total: count, pages: Math.ceil(count / limit) },
+    },
+  });
+});
@@ -0,0 +1,32 @@
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import { getEspWebhook } from "../webhooks/index.js";
+import { espEventService } from "../services/esp-event.service.js";
+
+/**
+ * POST /api/v1/webhooks/:provider
+ * Public endpoint for ESP event feeds. The body arrives raw so the adapter
+ * can verify the provider's signature over the exact bytes sent.
+ */
+export const receiveEspWebhook = asyncHandler(async (req, res) => {
+  const webhook = getEspWebhook(req.params.provider);
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    throw new AppError("Invalid JSON payload", 400);
+  }
+
+  await webhook.verify({ payload, rawBody, headers: req.headers });
+
+  const events = await webhook.parse(payload);
+  const applied = await espEventService.applyEvents(webhook.name, events);
+
+  res.json({
+    success: true,
+    data: { received: events.length, applied },
+  });
+});
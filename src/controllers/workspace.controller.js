@@ -0,0 +1,230 @@
+import { asyncHandler } from "../helpers/async-handler.js";
+import AppError from "../utils/app-error.js";
+import {
+  User,
+  WorkspaceMember,
+  WorkspaceInvitation,
+} from "../models/index.js";
+import { workspaceService, hasRole } from "../services/workspace.service.js";
+
+const INVITABLE_ROLES = ["admin", "member", "viewer"];
+
+const serializeWorkspace = (workspace, role) => ({
+  id: workspace.id,
+  name: workspace.name,
+  isPersonal: workspace.isPersonal,
+  ownerId: workspace.ownerId,
+  role,
+  createdAt: workspace.createdAt,
+});
+
+const validateName = (name) => {
+  const trimmed = String(name || "").trim();
+  if (trimmed.length < 2 || trimmed.length > 100) {
+    throw new AppError("Workspace name must be 2-100 characters", 400);
+  }
+  return trimmed;
+};
+
+/* =========================
+   WORKSPACES
+========================= */
+
+export const listWorkspaces = asyncHandler(async (req, res) => {
+  const workspaces = await workspaceService.listForUser(req.user.id);
+  res.json({ success: true, data: workspaces });
+});
+
+export const createWorkspace = asyncHandler(async (req, res) => {
+  const workspace = await workspaceService.create(req.user, validateName(req.body.name));
+
+  res.status(201).json({
+    success: true,
+    data: serializeWorkspace(workspace, "owner"),
+    message: "Workspace created",
+  });
+});
+
+export const getCurrentWorkspace = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: serializeWorkspace(req.workspace, req.workspaceRole),
+  });
+});
+
+export const updateCurrentWorkspace = asyncHandler(async (req, res) => {
+  await req.workspace.update({ name: validateName(req.body.name) });
+
+  res.json({
+    success: true,
+    data: serializeWorkspace(req.workspace, req.workspaceRole),
+    message: "Workspace updated",
+  });
+});
+
+export const deleteCurrentWorkspace = asyncHandler(async (req, res) => {
+  if (req.workspace.isPersonal) {
+    throw new AppError("Personal workspaces cannot be deleted", 400);
+  }
+  if (!(await workspaceService.isEmpty(req.workspace.id))) {
+    throw new AppError(
+      "Move or delete the workspace's campaigns, senders, lists and templates first",
+      409,
+    );
+  }
+
+  await req.workspace.destroy();
+  res.json({ success: true, message: "Workspace deleted" });
+});
+
+/* =========================
+   MEMBERS
+========================= */
+
+export const listMembers = asyncHandler(async (req, res) => {
+  const members = await WorkspaceMember.findAll({
+    where: { workspaceId: req.workspace.id },
+    include: [{ model: User, attributes: ["id", "name", "email"] }],
+    order: [["createdAt", "ASC"]],
+  });
+
+  res.json({
+    success: true,
+    data: members.map((m) => ({
+      userId: m.userId,
+      name: m.User?.name,
+      email: m.User?.email,
+      role: m.role,
+      joinedAt: m.createdAt,
+    })),
+  });
+});
+
+const findMember = async (req) => {
+  const member = await WorkspaceMember.findOne({
+    where: { workspaceId: req.workspace.id, userId: req.params.userId },
+  });
+  if (!member) throw new AppError("Member not found", 404);
+  return member;
+};
+
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError(`role must be one of: ${INVITABLE_ROLES.join(", ")}`, 400);
+  }
+
+  const member = await findMember(req);
+  if (member.role === "owner") {
+    throw new AppError("The owner's role cannot be changed", 400);
+  }
+  // Only the owner can promote to, or demote from, admin
+  if ((role === "admin" || member.role === "admin") && !hasRole(req.workspaceRole, "owner")) {
+    throw new AppError("Only the workspace owner can change admin roles", 403);
+  }
+
+  await member.update({ role });
+  res.json({ success: true, data: { userId: member.userId, role }, message: "Role updated" });
+});
+
+export const removeMember = asyncHandler(async (req, res) => {
+  const member = await findMember(req);
+  const isSelf = member.userId === req.user.id;
+
+  if (member.role === "owner") {
+    throw new AppError("The owner cannot be removed from the workspace", 400);
+  }
+  if (!isSelf && !hasRole(req.workspaceRole, "admin")) {
+    throw new AppError("This action requires the admin role in this workspace", 403);
+  }
+  if (!isSelf && member.role === "admin" && !hasRole(req.workspaceRole, "owner")) {
+    throw new AppError("Only the workspace owner can remove admins", 403);
+  }
+
+  await member.destroy();
+  res.json({ success: true, message: isSelf ? "You left the workspace" : "Member removed" });
+});
+
+/* =========================
+   INVITATIONS
+========================= */
+
+export const listInvitations = asyncHandler(async (req, res) => {
+  const invitations = await WorkspaceInvitation.findAll({
+    where: { workspaceId: req.workspace.id, status: "pending" },
+    attributes: ["id", "email", "role", "invitedBy", "expiresAt", "createdAt"],
+    order: [["createdAt", "DESC"]],
+  });
+
+  res.json({ success: true, data: invitations });
+});
+
+export const createInvitation = asyncHandler(async (req, res) => {
+  const email = String(req.body.email || "").trim().toLowerCase();
+  const { role = "member" } = req.body;
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new AppError("A valid email is required", 400);
+  }
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new AppError(`role must be one of: ${INVITABLE_ROLES.join(", ")}`, 400);
+  }
+  if (role === "admin" && !hasRole(req.workspaceRole, "owner")) {
+    throw new AppError("Only the workspace owner can invite admins", 403);
+  }
+
+  const existingUser = await User.findOne({ where: { email } });
+  if (
+    existingUser &&
+    (await WorkspaceMember.findOne({
+      where: { workspaceId: req.workspace.id, userId: existingUser.id },
+    }))
+  ) {
+    throw new AppError("This user is already a member of the workspace", 409);
+  }
+
+  const invitation = await workspaceService.invite(req.workspace, { email, role }, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    },
+    message: `Invitation sent to ${email}`,
+  });
+});
+
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await WorkspaceInvitation.findOne({
+    where: {
+      id: req.params.invitationId,
+      workspaceId: req.workspace.id,
+      status: "pending",
+    },
+  });
+  if (!invitation) throw new AppError("Invitation not found", 404);
+
+  await invitation.update({ status: "revoked" });
+  res.json({ success: true, message: "Invitation revoked" });
+});
+
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await workspaceService.findPendingInvitation(req.params.token);
+  if (!invitation) throw new AppError("Invitation is invalid or has expired", 404);
+
+  if (invitation.email.toLowerCase() !== req.user.email.toLowerCase()) {
+    throw new AppError("This invitation was sent to a different email address", 403);
+  }
+
+  const membership = await workspaceService.acceptInvitation(invitation, req.user);
+  const workspace = invitation.Workspace;
+
+  res.json({
+    success: true,
+    data: serializeWorkspace(workspace, membership.role),
+    message: `You joined ${workspace.name}`,
+  });
+});
@@ -0,0 +1,11 @@
+export const ReplyIntent = Object.freeze({
+  INTERESTED: "interested",
+  NOT_INTERESTED: "not_interested",
+  OUT_OF_OFFICE: "out_of_office",
+  AUTO_REPLY: "auto_reply",
+  WRONG_PERSON: "wrong_person",
+  UNSUBSCRIBE: "unsubscribe",
+  BOUNCE: "bounce",
+
+  UNKNOWN: "unknown",
+});
@@ -0,0 +1,25 @@
+import { getChannel } from "../queues/rabbit.js";
+import { QUEUES } from "../queues/queues.js";
+
+export const enqueueListIngestion = async (batchId) => {
+  try {
+    const channel = await getChannel();
+    await channel.assertQueue(QUEUES.LIST_INGEST, { durable: true });
+
+    const message = JSON.stringify({
+      batchId,
+      enqueuedAt: new Date().toISOString(),
+    });
+
+    channel.sendToQueue(QUEUES.LIST_INGEST, Buffer.from(message), {
+      persistent: true,
+      contentType: "application/json",
+    });
+
+    console.log(`✅ Batch ${batchId} enqueued for ingestion`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to enqueue batch ${batchId} for ingestion:`, error);
+    return false;
+  }
+};
@@ -1,9 +1,79 @@
 import jwt from "jsonwebtoken";
 import AppError from "../utils/app-error.js";
 import User from "../models/user.model.js";
+import { workspaceService, hasRole } from "../services/workspace.service.js";
+import { apiKeyService } from "../services/api-key.service.js";
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Sets req.workspace / req.workspaceRole for `user`. `pinnedId` is the
+ * workspace of a workspace-scoped API key.
+ * @returns {Promise<AppError | null>}
+ */
+const attachWorkspace = async (req, user, pinnedId = null) => {
+  // Workspace the request acts in (X-Workspace-Id, else personal)
+  const requestedId = req.get("x-workspace-id") || null;
+  if (requestedId && !UUID_REGEX.test(requestedId)) {
+    return new AppError("Invalid workspace id", 400);
+  }
+  if (pinnedId && requestedId && requestedId !== pinnedId) {
+    return new AppError("This API key is limited to another workspace", 403);
+  }
+
+  const context = await workspaceService.resolve(user, pinnedId || requestedId);
+  if (!context) {
+    return new AppError("You are not a member of this workspace", 403);
+  }
+
+  req.workspace = context.workspace;
+  req.workspaceRole = context.role;
+  return null;
+};
+
+/**
+ * `Authorization: Bearer <api key>`: the key acts as its creator, limited
+ * to its scopes and rate limit.
+ */
+const protectWithApiKey = async (req, res, next, key) => {
+  const apiKey = await apiKeyService.authenticate(key, req.ip);
+  if (!apiKey) {
+    return next(new AppError("Invalid or revoked API key", 401));
+  }
+
+  const scope = apiKeyService.requiredScope(req.baseUrl, req.method);
+  if (!scope) {
+    return next(new AppError("This endpoint is not available to API keys", 403));
+  }
+  if (!apiKeyService.hasScope(apiKey, scope)) {
+    return next(new AppError(`This API key is missing the ${scope} scope`, 403));
+  }
+
+  const rate = await apiKeyService.consumeRateLimit(apiKey);
+  res.set({
+    "X-RateLimit-Limit": String(rate.limit),
+    "X-RateLimit-Remaining": String(rate.remaining),
+    "X-RateLimit-Reset": String(rate.resetIn),
+  });
+  if (!rate.allowed) {
+    res.set("Retry-After", String(rate.resetIn));
+    return next(new AppError("API key rate limit exceeded", 429));
+  }
+
+  req.user = apiKey.User;
+  req.apiKey = apiKey;
+
+  const error = await attachWorkspace(req, apiKey.User, apiKey.workspaceId);
+  next(error || undefined);
+};
 
 export const protect = async (req, res, next) => {
   try {
+    const authorization = req.get("authorization") || "";
+    if (authorization.startsWith("Bearer ")) {
+      return await protectWithApiKey(req, res, next, authorization.slice(7).trim());
+    }
+
     // Check for token in cookies
     const token = req.cookies?.access_token;
 
@@ -22,7 +92,9 @@ export const protect = async (req, res, next) => {
     }
 
     req.user = user;
-    next();
+
+    const error = await attachWorkspace(req, user);
+    next(error || undefined);
   } catch (err) {
     console.error("Auth middleware error:", err.message);
 
@@ -38,6 +110,22 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Requires at least `role` (owner > admin > member > viewer) in the
+ * request's workspace. Use after `protect`.
+ */
+export const authorize = (role) => (req, res, next) => {
+  if (!req.workspace) {
+    return next(new AppError("Not authenticated", 401));
+  }
+
+  if (!hasRole(req.workspaceRole, role)) {
+    return next(new AppError(`This action requires the ${role} role in this workspace`, 403));
+  }
+
+  next();
+};
+
 export const protectOptional = async (req, res, next) => {
   const token = req.cookies?.access_token;
 
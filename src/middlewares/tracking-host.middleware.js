@@ -0,0 +1,32 @@
+import { trackingDomainService } from "../services/tracking-domain.service.js";
+
+const appHost = () => {
+  try {
+    return new URL(process.env.APP_URL || "http://localhost:8080").hostname;
+  } catch {
+    return "localhost";
+  }
+};
+
+/**
+ * Requests arriving on a customer's tracking domain (CNAMEd to us) may only
+ * reach the public tracking endpoints; everything else (auth, API, static
+ * pages) is served on the app's own host only.
+ */
+export const trackingHost = async (req, res, next) => {
+  const host = req.hostname?.toLowerCase();
+
+  if (!host || host === appHost() || host === "localhost" || host === "127.0.0.1") {
+    return next();
+  }
+
+  try {
+    if (!(await trackingDomainService.isTrackingHost(host))) return next();
+  } catch (err) {
+    return next(err);
+  }
+
+  if (req.path.startsWith("/api/v1/tracking/")) return next();
+
+  res.status(404).type("text/plain").send("Not found");
+};
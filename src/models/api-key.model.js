@@ -0,0 +1,90 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Programmatic access key. It acts as its creator (userId), limited to
+ * `scopes`. workspaceId = null makes it user-scoped: it works in any
+ * workspace the creator belongs to (X-Workspace-Id, else personal).
+ */
+const ApiKey = sequelize.define(
+  "ApiKey",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+    },
+
+    // sha256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    // e.g. ["campaigns:read", "contacts:write"]
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+
+    // Requests per minute
+    rateLimit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60,
+    },
+
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "api_keys",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["keyHash"] },
+      { fields: ["userId"] },
+      { fields: ["workspaceId"] },
+    ],
+  }
+);
+
+export default ApiKey;
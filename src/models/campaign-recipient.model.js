@@ -30,11 +30,39 @@ const CampaignRecipient = sequelize.define(
       defaultValue: {},
     },
 
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    // IANA timezone resolved from metadata at activation (send windows)
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // Mailbox that sent step 0 — follow-ups stay on it to keep the thread
+    senderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    senderType: {
+      type: DataTypes.ENUM("gmail", "outlook", "smtp"),
+      allowNull: true,
+    },
+
     currentStep: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
     },
 
+    // Graph sequences: node to run next (null = entry node)
+    currentNodeId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
     nextRunAt: {
       type: DataTypes.DATE,
       allowNull: true,
@@ -65,6 +93,8 @@ const CampaignRecipient = sequelize.define(
       { fields: ["campaignId"] },
       { fields: ["email"] },
       { fields: ["status"] },
+      { fields: ["senderId"] },
+      { fields: ["contactId"] },
       { unique: true, fields: ["campaignId", "email"] },
     ],
   }
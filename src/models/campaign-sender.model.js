@@ -0,0 +1,47 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+// Sender pool for a campaign: every mailbox listed here can be picked
+// by the orchestrator for a recipient's first step.
+const CampaignSender = sequelize.define(
+  "CampaignSender",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    campaignId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    senderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      // Polymorphic (gmail | outlook | smtp) - no FK reference
+    },
+
+    senderType: {
+      type: DataTypes.ENUM("gmail", "outlook", "smtp"),
+      allowNull: false,
+    },
+
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+  },
+  {
+    tableName: "campaign_senders",
+    timestamps: true,
+    indexes: [
+      { fields: ["campaignId"] },
+      { fields: ["senderId", "senderType"] },
+      { unique: true, fields: ["campaignId", "senderId", "senderType"] },
+    ],
+  },
+);
+
+export default CampaignSender;
@@ -55,6 +55,51 @@ const CampaignStep = sequelize.define(
       type: DataTypes.JSONB,
       defaultValue: [],
     },
+
+    // Auto-optimize: once every variant has optimizeMinSample sends and one
+    // is significantly better on optimizeMetric, the rest get the winner.
+    autoOptimize: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+
+    optimizeMetric: {
+      type: DataTypes.ENUM("open", "click", "reply"),
+      defaultValue: "open",
+    },
+
+    optimizeMinSample: {
+      type: DataTypes.INTEGER,
+      defaultValue: 100,
+    },
+
+    optimizeConfidence: {
+      type: DataTypes.FLOAT,
+      defaultValue: 0.95,
+    },
+
+    winningVariantId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    winnerSelectedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    // Stats snapshot at the moment the test ran, winner or not
+    winnerMeta: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+
+    // Auto-optimize tests once, when every variant first reaches
+    // optimizeMinSample: re-testing every tick inflates false winners
+    optimizeEvaluatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     tableName: "campaign_steps",
@@ -15,6 +15,12 @@ const Campaign = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     senderId: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -43,6 +49,13 @@ const Campaign = sequelize.define(
       allowNull: true,
     },
 
+    // Segments whose members are added to the list's recipients on activation
+    segmentIds: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+    },
+
     status: {
       type: DataTypes.ENUM(
         "draft",
@@ -109,6 +122,23 @@ const Campaign = sequelize.define(
       type: DataTypes.STRING,
       defaultValue: "UTC",
     },
+
+    // Allowed send times, evaluated in each recipient's timezone:
+    // { days: [1,2,3,4,5], start: "09:00", end: "17:00" } (0 = Sunday)
+    // null = send at any time
+    sendWindow: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+    },
+    // Branching sequence graph ({ entryNodeId, nodes, edges }).
+    // null = classic linear stepOrder sequence.
+    sequence: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+    },
+
     maxFollowUps: {
       type: DataTypes.INTEGER,
       defaultValue: 3,
@@ -131,6 +161,7 @@ const Campaign = sequelize.define(
     paranoid: true,
     indexes: [
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["senderId"] },
       { fields: ["status"] },
       { fields: ["scheduledAt"] },
@@ -0,0 +1,54 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+export const CONTACT_FIELD_TYPES = ["text", "number", "date", "boolean", "select"];
+
+/**
+ * Custom field definition for a workspace's contacts. Values live in
+ * Contact.customFields under `key` and are cast to `type`.
+ */
+const ContactField = sequelize.define(
+  "ContactField",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // snake_case, matches the slugified column header of list uploads
+    key: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+
+    label: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+
+    type: {
+      type: DataTypes.ENUM(...CONTACT_FIELD_TYPES),
+      allowNull: false,
+      defaultValue: "text",
+    },
+
+    // Allowed values for "select" fields
+    options: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "contact_fields",
+    timestamps: true,
+    indexes: [{ unique: true, fields: ["workspaceId", "key"] }],
+  }
+);
+
+export default ContactField;
@@ -0,0 +1,89 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+export const LIFECYCLE_STAGES = [
+  "lead",
+  "contacted",
+  "engaged",
+  "opportunity",
+  "customer",
+  "unqualified",
+];
+
+/**
+ * A person in a workspace's contact database, one per normalized email.
+ * List uploads upsert into it; campaign recipients link back via contactId.
+ */
+const Contact = sequelize.define(
+  "Contact",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // normalizeEmail() form, as in ListUploadRecord.normalizedEmail
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    domain: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // Workspace member responsible for the contact
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    lifecycleStage: {
+      type: DataTypes.ENUM(...LIFECYCLE_STAGES),
+      defaultValue: "lead",
+    },
+
+    tags: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+
+    // key → value, typed by the workspace's ContactFields
+    customFields: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    },
+
+    // upload | manual | api
+    source: {
+      type: DataTypes.STRING(20),
+      defaultValue: "manual",
+    },
+  },
+  {
+    tableName: "contacts",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["workspaceId", "email"] },
+      { fields: ["workspaceId", "lifecycleStage"] },
+      { fields: ["ownerId"] },
+      { using: "gin", fields: ["tags"] },
+    ],
+  }
+);
+
+export default Contact;
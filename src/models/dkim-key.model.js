@@ -0,0 +1,92 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Platform-managed DKIM keypair for a user's SMTP sending domain. Mail from
+ * every SMTP sender on the domain is signed once the TXT record is verified.
+ */
+const DkimKey = sequelize.define(
+  "DkimKey",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    domain: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    selector: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    // base64 SPKI, the p= value of the TXT record
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+
+    // PEM, encrypted with utils/secret-box.js
+    privateKey: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+    },
+
+    status: {
+      type: DataTypes.ENUM("pending", "verified", "failed"),
+      defaultValue: "pending",
+    },
+
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    lastError: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    // Rotation in progress: the replacement keypair, published under its
+    // own selector. The current key keeps signing until this one verifies.
+    pendingSelector: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    pendingPublicKey: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    // PEM, encrypted with utils/secret-box.js
+    pendingPrivateKey: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "dkim_keys",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["userId", "domain"] },
+      { fields: ["status"] },
+    ],
+  }
+);
+
+export default DkimKey;
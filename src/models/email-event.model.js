@@ -8,12 +8,15 @@ const EmailEvent = sequelize.define(
     emailId: { type: DataTypes.UUID, allowNull: false },
     eventType: { type: DataTypes.STRING, allowNull: false },
     eventTimestamp: { type: DataTypes.DATE, allowNull: false },
+    // Opens/clicks: "human" or "machine" (proxies, scanners); null otherwise
+    classification: { type: DataTypes.STRING, allowNull: true },
     metadata: DataTypes.JSONB,
   },
   {
     tableName: "email_events",
     timestamps: true,
     updatedAt: false,
+    indexes: [{ fields: ["emailId", "eventType", "classification"] }],
   }
 );
 
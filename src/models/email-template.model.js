@@ -15,6 +15,12 @@ const EmailTemplate = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     name: {
       type: DataTypes.STRING(150),
       allowNull: false,
@@ -66,6 +72,7 @@ const EmailTemplate = sequelize.define(
     timestamps: true,
     indexes: [
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["status"] },
       { unique: false, fields: ["userId", "name"] },
     ],
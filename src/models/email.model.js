@@ -120,6 +120,12 @@ const Email = sequelize.define(
       defaultValue: 0,
     },
 
+    // Original click destinations; tracking tokens carry an index into this
+    trackedLinks: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+    },
+
     userAgent: {
       type: DataTypes.TEXT,
       allowNull: true,
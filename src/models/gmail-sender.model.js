@@ -1,5 +1,6 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/db.js";
+import { encryptedField, toJSONWithout } from "../utils/encrypted-field.js";
 
 const GmailSender = sequelize.define(
   "GmailSender",
@@ -15,6 +16,12 @@ const GmailSender = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     email: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -44,11 +51,13 @@ const GmailSender = sequelize.define(
 
     accessToken: {
       type: DataTypes.TEXT,
+      ...encryptedField("accessToken"),
       allowNull: false,
     },
 
     refreshToken: {
       type: DataTypes.TEXT,
+      ...encryptedField("refreshToken"),
       allowNull: true, // Might not be returned on first auth
     },
 
@@ -129,10 +138,14 @@ const GmailSender = sequelize.define(
     indexes: [
       { unique: true, fields: ["email"] },
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["googleId"] },
       { fields: ["isVerified"] },
     ],
   },
 );
 
+// Secrets are encrypted at rest and never serialized into API responses
+GmailSender.prototype.toJSON = toJSONWithout(["accessToken", "refreshToken"]);
+
 export default GmailSender;
@@ -6,6 +6,7 @@ import Campaign from "./campaign.model.js";
 import CampaignStep from "./campaign-step.model.js";
 import CampaignRecipient from "./campaign-recipient.model.js";
 import CampaignSend from "./campaign-send.model.js";
+import CampaignSender from "./campaign-sender.model.js";
 
 import Email from "./email.model.js";
 import EmailEvent from "./email-event.model.js";
@@ -17,6 +18,18 @@ import ListUploadRecord from "./list-upload-record.model.js";
 import GlobalEmailRegistry from "./global-email-registry.model.js";
 import SenderHealth from "./sender-health.model.js";
 import Notification from "./notification.model.js";
+import Suppression from "./suppression.model.js";
+import TrackingDomain from "./tracking-domain.model.js";
+import DkimKey from "./dkim-key.model.js";
+import Workspace from "./workspace.model.js";
+import WorkspaceMember from "./workspace-member.model.js";
+import WorkspaceInvitation from "./workspace-invitation.model.js";
+import ApiKey from "./api-key.model.js";
+import WebhookEndpoint from "./webhook-endpoint.model.js";
+import WebhookDelivery from "./webhook-delivery.model.js";
+import Contact from "./contact.model.js";
+import ContactField from "./contact-field.model.js";
+import Segment from "./segment.model.js";
 /* =====================================================
    USER OWNERSHIP
 ===================================================== */
@@ -45,6 +58,67 @@ Email.belongsTo(User, { foreignKey: "userId" });
 User.hasMany(ListUploadBatch, { foreignKey: "userId", onDelete: "CASCADE" });
 ListUploadBatch.belongsTo(User, { foreignKey: "userId" });
 
+// User → Suppressions (entries from before workspaces)
+User.hasMany(Suppression, { foreignKey: "userId", onDelete: "CASCADE" });
+Suppression.belongsTo(User, { foreignKey: "userId" });
+
+// User → Tracking Domains
+User.hasMany(TrackingDomain, { foreignKey: "userId", onDelete: "CASCADE" });
+TrackingDomain.belongsTo(User, { foreignKey: "userId" });
+
+// User → DKIM Keys
+User.hasMany(DkimKey, { foreignKey: "userId", onDelete: "CASCADE" });
+DkimKey.belongsTo(User, { foreignKey: "userId" });
+
+/* =====================================================
+   WORKSPACES
+   Resources keep userId (creator) and are shared via workspaceId
+===================================================== */
+
+// Workspace → Members
+Workspace.hasMany(WorkspaceMember, {
+  foreignKey: "workspaceId",
+  as: "members",
+  onDelete: "CASCADE",
+});
+WorkspaceMember.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+// User → Memberships
+User.hasMany(WorkspaceMember, { foreignKey: "userId", onDelete: "CASCADE" });
+WorkspaceMember.belongsTo(User, { foreignKey: "userId" });
+
+// Workspace → Invitations
+Workspace.hasMany(WorkspaceInvitation, {
+  foreignKey: "workspaceId",
+  as: "invitations",
+  onDelete: "CASCADE",
+});
+WorkspaceInvitation.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+// User → API Keys (workspaceId = null: usable in any of the user's workspaces)
+User.hasMany(ApiKey, { foreignKey: "userId", onDelete: "CASCADE" });
+ApiKey.belongsTo(User, { foreignKey: "userId" });
+Workspace.hasMany(ApiKey, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+ApiKey.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+// Workspace → Webhook Endpoints → Deliveries
+Workspace.hasMany(WebhookEndpoint, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+WebhookEndpoint.belongsTo(Workspace, { foreignKey: "workspaceId" });
+WebhookEndpoint.hasMany(WebhookDelivery, {
+  foreignKey: "endpointId",
+  as: "deliveries",
+  onDelete: "CASCADE",
+});
+WebhookDelivery.belongsTo(WebhookEndpoint, { foreignKey: "endpointId", as: "endpoint" });
+
+// Workspace → Suppressions (workspaceId = null is the global list)
+Workspace.hasMany(Suppression, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+Suppression.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+// Workspace → Tracking Domains
+Workspace.hasMany(TrackingDomain, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+TrackingDomain.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
 /* =====================================================
    POLYMORPHIC SENDER RELATIONSHIPS
    IMPORTANT: constraints: false everywhere
@@ -168,6 +242,15 @@ CampaignSend.belongsTo(Campaign, {
   foreignKey: "campaignId",
 });
 
+// Campaign → Sender pool (inbox rotation)
+Campaign.hasMany(CampaignSender, {
+  foreignKey: "campaignId",
+  onDelete: "CASCADE",
+});
+CampaignSender.belongsTo(Campaign, {
+  foreignKey: "campaignId",
+});
+
 /* =====================================================
    CAMPAIGN RECIPIENT LINKS
 ===================================================== */
@@ -246,6 +329,28 @@ ListUploadBatch.hasMany(Campaign, {
   foreignKey: "listBatchId",
 });
 
+/* =====================================================
+   CONTACTS
+   One per (workspace, normalized email); uploads upsert into it
+===================================================== */
+
+Workspace.hasMany(Contact, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+Contact.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+Workspace.hasMany(ContactField, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+ContactField.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
+Contact.belongsTo(User, { foreignKey: "ownerId", as: "owner" });
+
+Contact.hasMany(ListUploadRecord, { foreignKey: "contactId", onDelete: "SET NULL" });
+ListUploadRecord.belongsTo(Contact, { foreignKey: "contactId" });
+
+Contact.hasMany(CampaignRecipient, { foreignKey: "contactId", onDelete: "SET NULL" });
+CampaignRecipient.belongsTo(Contact, { foreignKey: "contactId" });
+
+Workspace.hasMany(Segment, { foreignKey: "workspaceId", onDelete: "CASCADE" });
+Segment.belongsTo(Workspace, { foreignKey: "workspaceId" });
+
 /* =====================================================
    EMAIL VERIFICATION LINK
 ===================================================== */
@@ -331,6 +436,7 @@ export {
   CampaignStep,
   CampaignRecipient,
   CampaignSend,
+  CampaignSender,
   Email,
   EmailEvent,
   ReplyEvent,
@@ -340,4 +446,16 @@ export {
   GlobalEmailRegistry,
   SenderHealth,
   Notification,
+  Suppression,
+  TrackingDomain,
+  DkimKey,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceInvitation,
+  ApiKey,
+  WebhookEndpoint,
+  WebhookDelivery,
+  Contact,
+  ContactField,
+  Segment,
 };
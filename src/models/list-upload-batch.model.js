@@ -16,6 +16,12 @@ const ListUploadBatch = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     originalFilename: {
       type: DataTypes.STRING,
     },
@@ -32,6 +38,7 @@ const ListUploadBatch = sequelize.define(
     // Updated status enum to include verification statuses
     status: {
       type: DataTypes.ENUM(
+        "awaiting_mapping", // Uploaded, columns not confirmed yet
         "uploaded",
         "parsing",
         "deduping",
@@ -50,6 +57,17 @@ const ListUploadBatch = sequelize.define(
     duplicateRecords: DataTypes.INTEGER,
     failedRecords: DataTypes.INTEGER,
 
+    // Ingestion progress: rows read so far and percent of the file
+    processedRecords: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
+    progress: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
     // Add verification tracking fields
     verifiedCount: {
       type: DataTypes.INTEGER,
@@ -81,6 +99,8 @@ const ListUploadBatch = sequelize.define(
       allowNull: false,
     },
 
+    // Detected headers, sample rows, suggested and confirmed column
+    // mapping (see utils/list-mapping.js)
     mapping: {
       type: DataTypes.JSONB,
       allowNull: true,
@@ -93,6 +113,7 @@ const ListUploadBatch = sequelize.define(
     timestamps: true,
     indexes: [
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["status"] },
       { unique: true, fields: ["userId", "checksum"] },
     ],
@@ -22,6 +22,12 @@ const ListUploadRecord = sequelize.define(
 
     metadata: DataTypes.JSONB,
 
+    // Workspace contact the row was upserted into
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     status: {
       type: DataTypes.ENUM(
         "parsed",
@@ -44,6 +50,7 @@ const ListUploadRecord = sequelize.define(
       { fields: ["batchId"] },
       { fields: ["normalizedEmail"] },
       { fields: ["status"] },
+      { fields: ["contactId"] },
     ],
   }
 );
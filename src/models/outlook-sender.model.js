@@ -1,5 +1,6 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/db.js";
+import { encryptedField, toJSONWithout } from "../utils/encrypted-field.js";
 
 const OutlookSender = sequelize.define(
   "OutlookSender",
@@ -15,6 +16,12 @@ const OutlookSender = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     email: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -49,11 +56,13 @@ const OutlookSender = sequelize.define(
 
     accessToken: {
       type: DataTypes.TEXT,
+      ...encryptedField("accessToken"),
       allowNull: false,
     },
 
     refreshToken: {
       type: DataTypes.TEXT,
+      ...encryptedField("refreshToken"),
       allowNull: true,
     },
 
@@ -123,10 +132,14 @@ const OutlookSender = sequelize.define(
     indexes: [
       { unique: true, fields: ["email"] },
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["microsoftId"] },
       { fields: ["isVerified"] },
     ],
   },
 );
 
+// Secrets are encrypted at rest and never serialized into API responses
+OutlookSender.prototype.toJSON = toJSONWithout(["accessToken", "refreshToken"]);
+
 export default OutlookSender;
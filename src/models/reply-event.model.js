@@ -43,6 +43,32 @@ const ReplyEvent = sequelize.define(
       allowNull: true,
     },
 
+    // Reply classification (see reply-classifier.service.js)
+    intent: {
+      type: DataTypes.ENUM(
+        "interested",
+        "not_interested",
+        "out_of_office",
+        "auto_reply",
+        "wrong_person",
+        "unsubscribe",
+        "bounce",
+        "unknown"
+      ),
+      defaultValue: "unknown",
+    },
+
+    intentConfidence: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+    },
+
+    // { source, rule, returnDate }
+    intentMeta: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+    },
+
     isFollowUp: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -58,6 +84,7 @@ const ReplyEvent = sequelize.define(
     indexes: [
       { fields: ["emailId"] },
       { fields: ["campaignId"] },
+      { fields: ["intent"] },
       { fields: ["providerMessageId"] },
       { fields: ["providerThreadId"] },
       { fields: ["providerConversationId"] },
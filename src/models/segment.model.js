@@ -0,0 +1,64 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Saved, dynamic set of a workspace's contacts. Membership is never stored:
+ * the filter (see utils/segment-filter.js) is evaluated on every count,
+ * listing and campaign activation.
+ */
+const Segment = sequelize.define(
+  "Segment",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // Creator
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+    },
+
+    // { match: "all" | "any", rules: [...] }
+    filter: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { match: "all", rules: [] },
+    },
+
+    // Result of the last count, for list views
+    lastCount: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+
+    lastCountedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "segments",
+    timestamps: true,
+    indexes: [{ fields: ["workspaceId"] }],
+  }
+);
+
+export default Segment;
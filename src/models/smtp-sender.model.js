@@ -1,5 +1,6 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../config/db.js";
+import { encryptedField, toJSONWithout } from "../utils/encrypted-field.js";
 
 const SmtpSender = sequelize.define(
   "SmtpSender",
@@ -15,6 +16,12 @@ const SmtpSender = sequelize.define(
       allowNull: false,
     },
 
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
     email: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -59,7 +66,8 @@ const SmtpSender = sequelize.define(
     },
 
     smtpPassword: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
+      ...encryptedField("smtpPassword"),
       allowNull: false,
     },
 
@@ -88,7 +96,8 @@ const SmtpSender = sequelize.define(
     },
 
     imapPassword: {
-      type: DataTypes.STRING,
+      type: DataTypes.TEXT,
+      ...encryptedField("imapPassword"),
       allowNull: true,
     },
 
@@ -197,6 +206,7 @@ const SmtpSender = sequelize.define(
     indexes: [
       { unique: true, fields: ["email"] },
       { fields: ["userId"] },
+      { fields: ["workspaceId"] },
       { fields: ["domain"] },
       { fields: ["isVerified"] },
       { fields: ["isActive"] },
@@ -205,4 +215,7 @@ const SmtpSender = sequelize.define(
   },
 );
 
+// Secrets are encrypted at rest and never serialized into API responses
+SmtpSender.prototype.toJSON = toJSONWithout(["smtpPassword", "imapPassword"]);
+
 export default SmtpSender;
@@ -0,0 +1,76 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Addresses and domains that must never be mailed, per workspace.
+ * workspaceId = null (and userId = null) is the global list, applied to
+ * every workspace.
+ */
+const Suppression = sequelize.define(
+  "Suppression",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    // Owner of entries from before workspaces, until
+    // scripts/backfill-workspaces.js moves them into a workspace
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    type: {
+      type: DataTypes.ENUM("email", "domain"),
+      allowNull: false,
+      defaultValue: "email",
+    },
+
+    // Lowercased address, or bare domain for type = domain
+    value: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    reason: {
+      type: DataTypes.ENUM("unsubscribe", "bounce", "complaint", "manual"),
+      allowNull: false,
+      defaultValue: "manual",
+    },
+
+    // Where the entry came from: link, reply, dsn, ses, csv, api...
+    source: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "suppressions",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["workspaceId", "type", "value"] },
+      { fields: ["userId"] },
+      { fields: ["value"] },
+      { fields: ["reason"] },
+    ],
+  }
+);
+
+export default Suppression;
@@ -0,0 +1,84 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Custom tracking host (e.g. track.customer.com) CNAMEd to our tracking
+ * endpoint. senderId = null applies to all of the workspace's senders.
+ */
+const TrackingDomain = sequelize.define(
+  "TrackingDomain",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    // Shared with the workspace's members; userId is the creator
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // Polymorphic sender (gmail | outlook | smtp), like Email.senderId
+    senderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+
+    senderType: {
+      type: DataTypes.ENUM("gmail", "outlook", "smtp"),
+      allowNull: true,
+    },
+
+    domain: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+    },
+
+    // Published by the owner as a TXT record to prove they control the
+    // domain; the CNAME alone can be claimed by anyone
+    verificationToken: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+
+    status: {
+      type: DataTypes.ENUM("pending", "verified", "failed"),
+      defaultValue: "pending",
+    },
+
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    lastError: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "tracking_domains",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["domain"] },
+      { fields: ["userId"] },
+      { fields: ["workspaceId"] },
+      { fields: ["senderId"] },
+    ],
+  }
+);
+
+export default TrackingDomain;
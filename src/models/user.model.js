@@ -87,6 +87,13 @@ const User = sequelize.define(
       defaultValue: "local",
       allowNull: false,
     },
+
+    // Email verification service for this user's uploads (see
+    // EMAIL_VERIFIERS); null uses the deployment default
+    verificationProvider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
   },
   {
     tableName: "users",
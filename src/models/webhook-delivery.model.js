@@ -0,0 +1,84 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Delivery log: one row per event sent to an endpoint, updated on every
+ * attempt with the latest response.
+ */
+const WebhookDelivery = sequelize.define(
+  "WebhookDelivery",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    endpointId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    event: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+    },
+
+    // Request body, sent unchanged on every attempt
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+    },
+
+    status: {
+      type: DataTypes.ENUM("pending", "retrying", "succeeded", "failed"),
+      defaultValue: "pending",
+    },
+
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+
+    // Truncated response body
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+
+    nextRetryAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "webhook_deliveries",
+    timestamps: true,
+    indexes: [
+      { fields: ["endpointId", "createdAt"] },
+      { fields: ["status"] },
+    ],
+  }
+);
+
+export default WebhookDelivery;
@@ -0,0 +1,72 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+import { encryptedField, toJSONWithout } from "../utils/encrypted-field.js";
+
+/**
+ * Customer URL that receives signed event deliveries for a workspace
+ * (see services/webhook.service.js).
+ */
+const WebhookEndpoint = sequelize.define(
+  "WebhookEndpoint",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // Creator
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+    },
+
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+    },
+
+    // Subscribed event types, e.g. ["reply.received", "email.bounced"]
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+    },
+
+    // HMAC signing secret
+    secret: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      ...encryptedField("secret"),
+    },
+
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+
+    lastDeliveryAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "webhook_endpoints",
+    timestamps: true,
+    indexes: [{ fields: ["workspaceId", "isActive"] }],
+  }
+);
+
+WebhookEndpoint.prototype.toJSON = toJSONWithout(["secret"]);
+
+export default WebhookEndpoint;
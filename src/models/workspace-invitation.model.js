@@ -0,0 +1,68 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+const WorkspaceInvitation = sequelize.define(
+  "WorkspaceInvitation",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true,
+      },
+    },
+
+    role: {
+      type: DataTypes.ENUM("admin", "member", "viewer"),
+      allowNull: false,
+      defaultValue: "member",
+    },
+
+    // sha256 of the token mailed to the invitee
+    tokenHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+
+    invitedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    status: {
+      type: DataTypes.ENUM("pending", "accepted", "revoked"),
+      defaultValue: "pending",
+    },
+
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+
+    acceptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    tableName: "workspace_invitations",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["tokenHash"] },
+      { fields: ["workspaceId", "email"] },
+    ],
+  }
+);
+
+export default WorkspaceInvitation;
@@ -0,0 +1,41 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+export const WORKSPACE_ROLES = ["owner", "admin", "member", "viewer"];
+
+const WorkspaceMember = sequelize.define(
+  "WorkspaceMember",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    role: {
+      type: DataTypes.ENUM(...WORKSPACE_ROLES),
+      allowNull: false,
+      defaultValue: "member",
+    },
+  },
+  {
+    tableName: "workspace_members",
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ["workspaceId", "userId"] },
+      { fields: ["userId"] },
+    ],
+  }
+);
+
+export default WorkspaceMember;
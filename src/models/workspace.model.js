@@ -0,0 +1,49 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../config/db.js";
+
+/**
+ * Team space that owns campaigns, senders, lists and templates. Every user
+ * gets a personal workspace; agencies invite teammates into shared ones.
+ */
+const Workspace = sequelize.define(
+  "Workspace",
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+    },
+
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+
+    // Created automatically for each user; cannot be deleted
+    isPersonal: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+    },
+  },
+  {
+    tableName: "workspaces",
+    timestamps: true,
+    indexes: [
+      { fields: ["ownerId"] },
+      // One personal workspace per user, even under concurrent first requests
+      {
+        name: "workspaces_personal_owner_unique",
+        unique: true,
+        fields: ["ownerId"],
+        where: { isPersonal: true },
+      },
+    ],
+  }
+);
+
+export default Workspace;
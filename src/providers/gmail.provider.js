@@ -0,0 +1,427 @@
+import axios from "axios";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import GmailSender from "../models/gmail-sender.model.js";
+import AppError from "../utils/app-error.js";
+import { getGmailClient } from "../utils/gmail-client.js";
+import { refreshGoogleToken } from "../utils/refresh-google-token.js";
+import { MailProvider } from "./mail-provider.js";
+
+const GMAIL_API_URL = "https://gmail.googleapis.com/gmail/v1";
+
+const FOLDER_LABELS = {
+  inbox: "INBOX",
+  sent: "SENT",
+  drafts: "DRAFT",
+  trash: "TRASH",
+  spam: "SPAM",
+};
+
+const METADATA_HEADERS = [
+  "From",
+  "To",
+  "Subject",
+  "Date",
+  "Message-ID",
+  "In-Reply-To",
+  "References",
+];
+
+const header = (data, name) =>
+  (data.payload?.headers || []).find(
+    (h) => h.name.toLowerCase() === name.toLowerCase(),
+  )?.value || "";
+
+// Gmail bodies are base64url; Buffer's base64 decoder accepts both alphabets
+function findBody(part, mimeType) {
+  if (!part) return "";
+  if (part.mimeType === mimeType && part.body?.data && !part.filename) {
+    return Buffer.from(part.body.data, "base64").toString("utf8");
+  }
+  for (const child of part.parts || []) {
+    const body = findBody(child, mimeType);
+    if (body) return body;
+  }
+  return "";
+}
+
+function collectAttachments(part, list = []) {
+  if (!part) return list;
+  if (part.filename && part.body?.attachmentId) {
+    list.push({
+      id: part.body.attachmentId,
+      filename: part.filename,
+      contentType: part.mimeType,
+      size: part.body.size,
+    });
+  }
+  for (const child of part.parts || []) collectAttachments(child, list);
+  return list;
+}
+
+class GmailProvider extends MailProvider {
+  constructor() {
+    super("gmail", GmailSender);
+  }
+
+  /* =========================
+     READ
+  ========================= */
+
+  async listMessages(sender, { folder = "inbox", limit, before }) {
+    return this._list(sender, {
+      labelIds: [FOLDER_LABELS[folder] || "INBOX"],
+      q: this._beforeQuery(before),
+      includeSpamTrash: ["trash", "spam"].includes(folder),
+      limit,
+      before,
+      folder,
+    });
+  }
+
+  async searchMessages(sender, { query, limit, before }) {
+    return this._list(sender, {
+      q: [query, this._beforeQuery(before)].filter(Boolean).join(" "),
+      limit,
+      before,
+      folder: null,
+    });
+  }
+
+  async getMessage(sender, id) {
+    const gmail = await getGmailClient(sender);
+    const { data } = await gmail.users.messages.get({
+      userId: "me",
+      id,
+      format: "full",
+    });
+
+    return {
+      ...this.normalize(sender, data),
+      cc: MailProvider.parseAddressList(header(data, "Cc")),
+      text: findBody(data.payload, "text/plain"),
+      html: findBody(data.payload, "text/html"),
+      headers: Object.fromEntries(
+        (data.payload?.headers || []).map((h) => [h.name, h.value]),
+      ),
+      attachments: collectAttachments(data.payload),
+      raw: data,
+    };
+  }
+
+  async getSource(sender, id) {
+    const gmail = await getGmailClient(sender);
+    const { data } = await gmail.users.messages.get({
+      userId: "me",
+      id,
+      format: "raw",
+    });
+    return Buffer.from(data.raw, "base64");
+  }
+
+  // Gmail's before: is second-granular and exclusive
+  _beforeQuery(before) {
+    return before ? `before:${Math.floor(before.getTime() / 1000) + 1}` : "";
+  }
+
+  async _list(sender, { labelIds, q, includeSpamTrash, limit, before, folder }) {
+    const gmail = await getGmailClient(sender);
+
+    const response = await gmail.users.messages.list({
+      userId: "me",
+      maxResults: limit,
+      labelIds,
+      q: q || undefined,
+      includeSpamTrash,
+    });
+
+    const messages = await Promise.all(
+      (response.data.messages || []).map(async ({ id }) => {
+        try {
+          const { data } = await gmail.users.messages.get({
+            userId: "me",
+            id,
+            format: "metadata",
+            metadataHeaders: METADATA_HEADERS,
+          });
+          return this.normalize(sender, data, folder);
+        } catch (err) {
+          console.error("Failed to fetch Gmail message:", err.message);
+          return null;
+        }
+      }),
+    );
+
+    sender.update({ lastUsedAt: new Date() }).catch(console.error);
+
+    return {
+      messages: MailProvider.notAfter(messages.filter(Boolean), before),
+      hasMore: !!response.data.nextPageToken,
+    };
+  }
+
+  /* =========================
+     SEND
+  ========================= */
+
+  async sendMessage(sender, message) {
+    const data = await this._send(
+      sender,
+      {
+        raw: await this._raw(sender, message),
+        threadId: message.threadId || undefined,
+      },
+      message.proxy,
+    );
+
+    return this._sent(data, message.messageId);
+  }
+
+  async replyToMessage(sender, id, reply) {
+    const original = await this.getMessage(sender, id);
+
+    return this.sendMessage(sender, {
+      ...MailProvider.replyMessage(sender, original, reply),
+      threadId: original.threadId,
+    });
+  }
+
+  async _raw(sender, message) {
+    const mail = new MailComposer(MailProvider.composeOptions(sender, message));
+    const buffer = await mail.compile().build();
+
+    return buffer
+      .toString("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  async _send(sender, requestBody, proxy) {
+    if (!proxy) {
+      const gmail = await getGmailClient(sender);
+      const { data } = await gmail.users.messages.send({
+        userId: "me",
+        requestBody,
+      });
+      return data;
+    }
+
+    // googleapis can't be routed through our proxies, so call REST directly
+    const token = await refreshGoogleToken(sender);
+    if (!token) throw new AppError("Failed to refresh Gmail token", 401);
+
+    const { data } = await axios.post(
+      `${GMAIL_API_URL}/users/me/messages/send`,
+      requestBody,
+      {
+        headers: { Authorization: `Bearer ${token.accessToken}` },
+        httpsAgent: new HttpsProxyAgent(proxy),
+        proxy: false,
+      },
+    );
+    return data;
+  }
+
+  // Gmail threads by threadId, which doubles as the conversation id
+  _sent(data, messageId = null) {
+    return {
+      id: data.id,
+      threadId: data.threadId,
+      conversationId: data.threadId,
+      messageId,
+      labelIds: data.labelIds,
+    };
+  }
+
+  /* =========================
+     ORGANIZE
+  ========================= */
+
+  async moveMessage(sender, id, folder) {
+    const gmail = await getGmailClient(sender);
+
+    if (folder === "trash") {
+      await gmail.users.messages.trash({ userId: "me", id });
+      return;
+    }
+
+    // Folders are labels: add the target, drop the other "location" labels
+    const target = folder === "archive" ? null : FOLDER_LABELS[folder] || folder;
+    await this._modify(gmail, id, {
+      addLabelIds: target ? [target] : [],
+      removeLabelIds: ["INBOX", "SPAM", "TRASH"].filter((l) => l !== target),
+    });
+  }
+
+  async deleteMessage(sender, id, { permanent = false } = {}) {
+    const gmail = await getGmailClient(sender);
+
+    if (permanent) {
+      await gmail.users.messages.delete({ userId: "me", id });
+    } else {
+      await gmail.users.messages.trash({ userId: "me", id });
+    }
+  }
+
+  async setRead(sender, id, isRead) {
+    const gmail = await getGmailClient(sender);
+    await this._modify(gmail, id, {
+      [isRead ? "removeLabelIds" : "addLabelIds"]: ["UNREAD"],
+    });
+  }
+
+  async setFlagged(sender, id, flagged) {
+    const gmail = await getGmailClient(sender);
+    await this._modify(gmail, id, {
+      [flagged ? "addLabelIds" : "removeLabelIds"]: ["STARRED"],
+    });
+  }
+
+  _modify(gmail, id, requestBody) {
+    return gmail.users.messages.modify({ userId: "me", id, requestBody });
+  }
+
+  /* =========================
+     DRAFTS
+  ========================= */
+
+  async createDraft(sender, message) {
+    const gmail = await getGmailClient(sender);
+    const { data } = await gmail.users.drafts.create({
+      userId: "me",
+      requestBody: {
+        message: {
+          raw: await this._raw(sender, message),
+          threadId: message.threadId || undefined,
+        },
+      },
+    });
+
+    return this._draft(data);
+  }
+
+  async updateDraft(sender, draftId, message) {
+    const gmail = await getGmailClient(sender);
+    const { data } = await gmail.users.drafts.update({
+      userId: "me",
+      id: draftId,
+      requestBody: {
+        message: {
+          raw: await this._raw(sender, message),
+          threadId: message.threadId || undefined,
+        },
+      },
+    });
+
+    return this._draft(data);
+  }
+
+  async deleteDraft(sender, draftId) {
+    const gmail = await getGmailClient(sender);
+    await gmail.users.drafts.delete({ userId: "me", id: draftId });
+  }
+
+  async sendDraft(sender, draftId) {
+    const gmail = await getGmailClient(sender);
+    const { data } = await gmail.users.drafts.send({
+      userId: "me",
+      requestBody: { id: draftId },
+    });
+
+    return this._sent(data);
+  }
+
+  _draft(data) {
+    return {
+      id: data.id,
+      messageId: data.message?.id || null,
+      threadId: data.message?.threadId || null,
+    };
+  }
+
+  /* =========================
+     ATTACHMENTS
+  ========================= */
+
+  async listAttachments(sender, id) {
+    const { attachments } = await this.getMessage(sender, id);
+    return attachments;
+  }
+
+  async getAttachment(sender, id, attachmentId) {
+    const gmail = await getGmailClient(sender);
+
+    // The attachment endpoint only returns the bytes; name and type live
+    // on the message part
+    const [message, attachment] = await Promise.all([
+      gmail.users.messages.get({ userId: "me", id, format: "full" }),
+      gmail.users.messages.attachments.get({
+        userId: "me",
+        messageId: id,
+        id: attachmentId,
+      }),
+    ]);
+
+    const part = collectAttachments(message.data.payload).find(
+      (a) => a.id === attachmentId,
+    );
+
+    return {
+      filename: part?.filename || attachmentId,
+      contentType: part?.contentType || "application/octet-stream",
+      content: Buffer.from(attachment.data.data, "base64"),
+    };
+  }
+
+  /* =========================
+     SYNC
+  ========================= */
+
+  async sync(sender, { folder = "inbox" } = {}) {
+    const gmail = await getGmailClient(sender);
+    const labelId = FOLDER_LABELS[folder.toLowerCase()] || folder;
+
+    const { data } = await gmail.users.labels.get({ userId: "me", id: labelId });
+
+    return {
+      syncedAt: new Date(),
+      folder,
+      totalMessages: data.messagesTotal || 0,
+      unreadMessages: data.messagesUnread || 0,
+    };
+  }
+
+  /* =========================
+     NORMALIZATION
+  ========================= */
+
+  normalize(sender, data, folder) {
+    const labels = data.labelIds || [];
+
+    return {
+      key: this.messageKey(sender, data.id),
+      id: data.id,
+      threadId: data.threadId,
+      messageId: MailProvider.normalizeMessageId(header(data, "Message-ID")),
+      providerMessageId: data.id,
+      inReplyTo: MailProvider.normalizeMessageId(header(data, "In-Reply-To")),
+      references: MailProvider.parseReferences(header(data, "References")),
+      subject: header(data, "Subject") || "(no subject)",
+      from: MailProvider.parseAddress(header(data, "From")),
+      to: MailProvider.parseAddressList(header(data, "To")),
+      snippet: data.snippet || "",
+      date: new Date(Number(data.internalDate) || header(data, "Date") || Date.now()).toISOString(),
+      isRead: !labels.includes("UNREAD"),
+      hasAttachments: data.payload?.mimeType === "multipart/mixed",
+      folder:
+        folder ||
+        Object.keys(FOLDER_LABELS).find((f) => labels.includes(FOLDER_LABELS[f])) ||
+        "archive",
+      mailbox: this.mailboxRef(sender),
+    };
+  }
+}
+
+export const gmailProvider = new GmailProvider();
+export default gmailProvider;
@@ -0,0 +1,41 @@
+import { gmailProvider } from "./gmail.provider.js";
+import { outlookProvider } from "./outlook.provider.js";
+import { smtpProvider } from "./smtp.provider.js";
+import AppError from "../utils/app-error.js";
+
+export { MailProvider, MAIL_FOLDERS } from "./mail-provider.js";
+
+// senderType → adapter. A new provider only needs an entry here.
+export const MAIL_PROVIDERS = {
+  gmail: gmailProvider,
+  outlook: outlookProvider,
+  smtp: smtpProvider,
+};
+
+export function getMailProvider(type) {
+  const provider = MAIL_PROVIDERS[type];
+  if (!provider) throw new AppError(`Unsupported mailbox type: ${type}`, 400);
+  return provider;
+}
+
+/**
+ * Every readable mailbox shared in a workspace, across providers.
+ * @param {string} workspaceId
+ * @param {{ types?: string[], ids?: string[] }} filters
+ * @returns {Promise<Array<{ sender: Object, provider: MailProvider }>>}
+ */
+export async function getWorkspaceMailboxes(workspaceId, { types, ids } = {}) {
+  const selected = Object.values(MAIL_PROVIDERS).filter(
+    (p) => !types?.length || types.includes(p.type),
+  );
+
+  const lists = await Promise.all(
+    selected.map((provider) =>
+      provider
+        .findMailboxes({ workspaceId, ...(ids?.length && { id: ids }) })
+        .then((senders) => senders.map((sender) => ({ sender, provider }))),
+    ),
+  );
+
+  return lists.flat();
+}
@@ -0,0 +1,442 @@
+import AppError from "../utils/app-error.js";
+
+// Folder names every provider maps onto its own labels / folders
+export const MAIL_FOLDERS = ["inbox", "sent", "drafts", "trash", "spam"];
+
+/**
+ * Common interface over the Gmail API, Microsoft Graph and IMAP/SMTP.
+ * Controllers, the sender worker and reply ingestion all go through an
+ * adapter, so supporting a new provider means writing one subclass and
+ * registering it in MAIL_PROVIDERS.
+ *
+ * Adapters receive the sender model instance and return normalized messages:
+ *
+ * {
+ *   key,            // "<type>:<mailboxId>:<providerId>", unique per mailbox
+ *   id, threadId,
+ *   messageId,      // RFC 5322 Message-ID, used to dedupe across mailboxes
+ *   providerMessageId, // what Email / ReplyEvent store for this message
+ *   inReplyTo, references,
+ *   subject, from: { name, email }, to: [{ name, email }],
+ *   snippet, date, isRead, hasAttachments, folder,
+ *   mailbox: { id, type, email },
+ * }
+ *
+ * Pages are newest-first and only contain messages dated at or before
+ * `before`. `hasMore` is false only when the mailbox has nothing older.
+ *
+ * Outgoing messages use one shape for every provider:
+ *
+ * {
+ *   to, cc, bcc,        // string "a@x, b@y" or array
+ *   subject, text, html,
+ *   headers,            // { name: value }
+ *   messageId, inReplyTo, references, threadId,
+ *   attachments,        // [{ filename, content (base64), contentType }]
+ *   proxy,              // optional outbound proxy URL
+ * }
+ *
+ * IMAP ids are UIDs and only unique inside a folder, so per-message calls
+ * accept `{ folder }` in their options; the API providers ignore it.
+ */
+export class MailProvider {
+  /**
+   * @param {string} type - senderType stored on Email / Campaign rows
+   * @param {Object} model - Sequelize model holding this type's mailboxes
+   */
+  constructor(type, model) {
+    this.type = type;
+    this.model = model;
+  }
+
+  notImplemented(method) {
+    return new AppError(`${this.type} provider does not implement ${method}`, 501);
+  }
+
+  /* =========================
+     READ
+  ========================= */
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>} the sender model instance
+   */
+  async findMailbox(id) {
+    return this.model.findByPk(id);
+  }
+
+  // Filter for mailboxes this adapter can read from
+  usableWhere() {
+    return { isVerified: true };
+  }
+
+  /**
+   * Usable mailboxes of this type.
+   * @param {Object} where - extra filters (e.g. { userId, id: [...] })
+   * @returns {Promise<Object[]>}
+   */
+  async findMailboxes(where = {}) {
+    return this.model.findAll({
+      where: { ...this.usableWhere(), ...where },
+    });
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {{ folder: string, limit: number, before: Date|null }} options
+   * @returns {Promise<{ messages: Object[], hasMore: boolean }>}
+   */
+  async listMessages() {
+    throw this.notImplemented("listMessages");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {{ query: string, limit: number, before: Date|null }} options
+   * @returns {Promise<{ messages: Object[], hasMore: boolean }>}
+   */
+  async searchMessages() {
+    throw this.notImplemented("searchMessages");
+  }
+
+  /**
+   * A single message with its body. Adds { cc, text, html, headers,
+   * attachments } to the normalized fields and keeps the provider payload
+   * as `raw` for endpoints that return it unchanged.
+   * @param {Object} sender
+   * @param {string} id
+   * @param {{ folder?: string }} options
+   * @returns {Promise<Object>}
+   */
+  async getMessage() {
+    throw this.notImplemented("getMessage");
+  }
+
+  /**
+   * The message as RFC 5322 source, for parts the normalized shape drops
+   * (e.g. the delivery-status part of a bounce).
+   * @param {Object} sender
+   * @param {string} id
+   * @param {{ folder?: string }} options
+   * @returns {Promise<Buffer>}
+   */
+  async getSource() {
+    throw this.notImplemented("getSource");
+  }
+
+  /* =========================
+     SEND
+  ========================= */
+
+  /**
+   * @param {Object} sender
+   * @param {Object} message - outgoing message (see above)
+   * @returns {Promise<{ id: string, threadId: string|null, conversationId: string|null, messageId: string|null }>}
+   */
+  async sendMessage() {
+    throw this.notImplemented("sendMessage");
+  }
+
+  /**
+   * Replies in the original thread, quoting it.
+   * @param {Object} sender
+   * @param {string} id - message being replied to
+   * @param {{ text?: string, html?: string, replyAll?: boolean, attachments?: Object[], folder?: string }} reply
+   * @returns {Promise<Object>} same shape as sendMessage
+   */
+  async replyToMessage() {
+    throw this.notImplemented("replyToMessage");
+  }
+
+  /* =========================
+     ORGANIZE
+  ========================= */
+
+  /**
+   * @param {Object} sender
+   * @param {string} id
+   * @param {string} folder - one of MAIL_FOLDERS or a provider folder id
+   * @param {{ folder?: string }} options - source folder
+   */
+  async moveMessage() {
+    throw this.notImplemented("moveMessage");
+  }
+
+  /**
+   * Moves to trash, or removes for good with `permanent`.
+   * @param {Object} sender
+   * @param {string} id
+   * @param {{ permanent?: boolean, folder?: string }} options
+   */
+  async deleteMessage() {
+    throw this.notImplemented("deleteMessage");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {string} id
+   * @param {boolean} isRead
+   * @param {{ folder?: string }} options
+   */
+  async setRead() {
+    throw this.notImplemented("setRead");
+  }
+
+  /**
+   * Star (Gmail) / flag (Outlook, IMAP).
+   * @param {Object} sender
+   * @param {string} id
+   * @param {boolean} flagged
+   * @param {{ folder?: string }} options
+   */
+  async setFlagged() {
+    throw this.notImplemented("setFlagged");
+  }
+
+  /* =========================
+     DRAFTS
+  ========================= */
+
+  /**
+   * `id` is what the other draft methods take; `messageId` is the draft's
+   * message (Gmail / Graph id, or Message-ID for IMAP).
+   * @param {Object} sender
+   * @param {Object} message - outgoing message (see above)
+   * @returns {Promise<{ id: string|null, messageId: string|null, threadId: string|null }>}
+   */
+  async createDraft() {
+    throw this.notImplemented("createDraft");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {string} draftId
+   * @param {Object} message - outgoing message (see above)
+   * @returns {Promise<{ id: string, messageId: string|null, threadId: string|null }>}
+   */
+  async updateDraft() {
+    throw this.notImplemented("updateDraft");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {string} draftId
+   */
+  async deleteDraft() {
+    throw this.notImplemented("deleteDraft");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {string} draftId
+   * @returns {Promise<Object>} same shape as sendMessage
+   */
+  async sendDraft() {
+    throw this.notImplemented("sendDraft");
+  }
+
+  /* =========================
+     ATTACHMENTS
+  ========================= */
+
+  /**
+   * @param {Object} sender
+   * @param {string} id
+   * @param {{ folder?: string }} options
+   * @returns {Promise<Array<{ id: string, filename: string, contentType: string, size: number }>>}
+   */
+  async listAttachments() {
+    throw this.notImplemented("listAttachments");
+  }
+
+  /**
+   * @param {Object} sender
+   * @param {string} id
+   * @param {string} attachmentId
+   * @param {{ folder?: string }} options
+   * @returns {Promise<{ filename: string, contentType: string, content: Buffer }>}
+   */
+  async getAttachment() {
+    throw this.notImplemented("getAttachment");
+  }
+
+  /* =========================
+     SYNC
+  ========================= */
+
+  /**
+   * Checks the folder is reachable and returns its counters when the
+   * provider has them.
+   * @param {Object} sender
+   * @param {{ folder?: string }} options
+   * @returns {Promise<{ syncedAt: Date, folder: string, totalMessages?: number, unreadMessages?: number }>}
+   */
+  async sync() {
+    throw this.notImplemented("sync");
+  }
+
+  /* =========================
+     NORMALIZATION HELPERS
+  ========================= */
+
+  mailboxRef(sender) {
+    return { id: sender.id, type: this.type, email: sender.email };
+  }
+
+  messageKey(sender, id) {
+    return `${this.type}:${sender.id}:${id}`;
+  }
+
+  /**
+   * "Jane Doe <jane@acme.com>" → { name: "Jane Doe", email: "jane@acme.com" }
+   */
+  static parseAddress(value) {
+    if (!value) return null;
+    if (typeof value === "object") {
+      return {
+        name: value.name || "",
+        email: (value.address || value.email || "").toLowerCase(),
+      };
+    }
+
+    const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/.exec(value);
+    return match
+      ? { name: match[1].trim(), email: match[2].trim().toLowerCase() }
+      : { name: "", email: String(value).trim().toLowerCase() };
+  }
+
+  static parseAddressList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    return list.map((v) => MailProvider.parseAddress(v)).filter((a) => a?.email);
+  }
+
+  // "a@x, b@y" / ["a@x", ...] → ["a@x", "b@y"], blanks dropped
+  static recipientList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    return list
+      .map((v) => (typeof v === "string" ? v : v?.address || v?.email || ""))
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+
+  static fromAddress(sender) {
+    return sender.displayName
+      ? `"${sender.displayName}" <${sender.email}>`
+      : sender.email;
+  }
+
+  // Outgoing message → nodemailer / MailComposer options
+  static composeOptions(sender, message) {
+    const list = (v) => {
+      const r = MailProvider.recipientList(v);
+      return r.length ? r : undefined;
+    };
+
+    return {
+      from: MailProvider.fromAddress(sender),
+      to: list(message.to),
+      cc: list(message.cc),
+      bcc: list(message.bcc),
+      subject: message.subject || "",
+      text: message.text,
+      html: message.html,
+      headers: message.headers,
+      messageId: message.messageId,
+      inReplyTo: message.inReplyTo,
+      references: message.references,
+      attachments: (message.attachments || []).map((att) => ({
+        filename: att.filename || att.name,
+        content: att.content,
+        encoding: "base64",
+        contentType: att.contentType || att.mimeType,
+      })),
+    };
+  }
+
+  // "Re: " prefix and quoted original for replies
+  static replySubject(subject) {
+    return /^re:/i.test(subject || "") ? subject : `Re: ${subject || ""}`;
+  }
+
+  static quote(original, { html }) {
+    const when = new Date(original.date).toLocaleString();
+    const from = original.from?.name
+      ? `${original.from.name} <${original.from.email}>`
+      : original.from?.email || "";
+    const body = original.text || original.snippet || "";
+
+    return html
+      ? `<br><br><div class="gmail_quote">On ${when}, ${from} wrote:<br><blockquote class="gmail_quote" style="margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex">${original.html || body}</blockquote></div>`
+      : `\n\nOn ${when}, ${from} wrote:\n> ${body.replace(/\n/g, "\n> ")}`;
+  }
+
+  /**
+   * Recipients of a reply: the original sender, plus everyone else on
+   * To / Cc for reply-all, never the mailbox itself.
+   */
+  static replyRecipients(sender, original, replyAll) {
+    const self = sender.email.toLowerCase();
+    // Replying to something we sent goes back to its recipients
+    const fromSelf = original.from?.email === self;
+    const to = [
+      ...(fromSelf ? original.to || [] : [original.from]),
+      ...(replyAll && !fromSelf ? original.to || [] : []),
+    ]
+      .filter((a) => a?.email && a.email !== self)
+      .map((a) => a.email);
+    const cc = replyAll
+      ? (original.cc || []).filter((a) => a.email !== self).map((a) => a.email)
+      : [];
+
+    return { to: [...new Set(to)], cc };
+  }
+
+  /**
+   * Outgoing reply to a full message from getMessage(): recipients,
+   * "Re:" subject, quoted original and threading headers.
+   */
+  static replyMessage(sender, original, { text, html, replyAll = false, attachments }) {
+    const originalId = MailProvider.headerValue(original.headers, "Message-ID");
+    const references = MailProvider.headerValue(original.headers, "References");
+
+    return {
+      ...MailProvider.replyRecipients(sender, original, replyAll),
+      subject: MailProvider.replySubject(original.subject),
+      text: text ? text + MailProvider.quote(original, { html: false }) : undefined,
+      html: html ? html + MailProvider.quote(original, { html: true }) : undefined,
+      inReplyTo: originalId || undefined,
+      references: [references, originalId].filter(Boolean).join(" ") || undefined,
+      attachments,
+    };
+  }
+
+  // Case-insensitive lookup in a { name: value } header object
+  static headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(
+      (k) => k.toLowerCase() === name.toLowerCase(),
+    );
+    const value = key ? headers[key] : "";
+    return Array.isArray(value) ? value.join(" ") : String(value ?? "");
+  }
+
+  // References header (string or list) → normalized Message-IDs
+  static parseReferences(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split(/\s+/);
+    return list.map((id) => MailProvider.normalizeMessageId(id)).filter(Boolean);
+  }
+
+  static normalizeMessageId(messageId) {
+    return messageId ? String(messageId).replace(/[<>]/g, "").trim().toLowerCase() : null;
+  }
+
+  // Messages strictly newer than `before` are dropped from a page
+  static notAfter(messages, before) {
+    return before
+      ? messages.filter((m) => new Date(m.date).getTime() <= before.getTime())
+      : messages;
+  }
+}
+
+export default MailProvider;
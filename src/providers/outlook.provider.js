@@ -0,0 +1,433 @@
+import axios from "axios";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import OutlookSender from "../models/outlook-sender.model.js";
+import AppError from "../utils/app-error.js";
+import { getOutlookClient } from "../utils/outlook-client.js";
+import { getValidMicrosoftToken } from "../utils/get-valid-microsoft-token.js";
+import { MailProvider } from "./mail-provider.js";
+
+const GRAPH_API_URL = "https://graph.microsoft.com/v1.0";
+
+// Graph well-known folder names
+const FOLDER_IDS = {
+  inbox: "inbox",
+  sent: "sentitems",
+  drafts: "drafts",
+  trash: "deleteditems",
+  spam: "junkemail",
+  archive: "archive",
+};
+
+const SELECT_FIELDS =
+  "id,subject,from,toRecipients,bodyPreview,conversationId,internetMessageId,receivedDateTime,isRead,parentFolderId,hasAttachments";
+
+const FULL_SELECT_FIELDS = `${SELECT_FIELDS},ccRecipients,bccRecipients,body,internetMessageHeaders`;
+
+const recipients = (value) =>
+  MailProvider.recipientList(value).map((address) => ({
+    emailAddress: { address },
+  }));
+
+// Graph only accepts custom internet headers prefixed with "X-"
+const graphHeaders = (headers = {}) =>
+  Object.entries(headers).map(([name, value]) => ({
+    name: /^x-/i.test(name) ? name : `X-${name}`,
+    value: String(value),
+  }));
+
+// Standard headers (List-Unsubscribe) only survive a MIME upload
+const needsMime = (headers = {}) =>
+  Object.keys(headers).some((name) => !/^x-/i.test(name));
+
+// Graph creates messages from base64 MIME sent as text/plain
+async function toMime(sender, message) {
+  const mail = new MailComposer(MailProvider.composeOptions(sender, message));
+  const buffer = await mail.compile().build();
+  return buffer.toString("base64");
+}
+
+/**
+ * Outgoing message → Graph message resource. Only fields present on the
+ * input are set, so the result can also be used to PATCH a draft.
+ */
+function toGraphMessage(message) {
+  const payload = {};
+
+  if (message.subject !== undefined) payload.subject = message.subject || "";
+  if (message.to !== undefined) payload.toRecipients = recipients(message.to);
+  if (message.cc !== undefined) payload.ccRecipients = recipients(message.cc);
+  if (message.bcc !== undefined) payload.bccRecipients = recipients(message.bcc);
+
+  if (message.html !== undefined || message.text !== undefined) {
+    payload.body = {
+      contentType: message.html ? "HTML" : "Text",
+      content: message.html || message.text || "",
+    };
+  }
+
+  if (message.headers && Object.keys(message.headers).length) {
+    payload.internetMessageHeaders = graphHeaders(message.headers);
+  }
+
+  if (message.attachments?.length) {
+    payload.attachments = message.attachments.map((att) => ({
+      "@odata.type": "#microsoft.graph.fileAttachment",
+      name: att.filename || att.name,
+      contentType: att.contentType || att.mimeType,
+      contentBytes: att.content, // base64 encoded content
+    }));
+  }
+
+  return payload;
+}
+
+class OutlookProvider extends MailProvider {
+  constructor() {
+    super("outlook", OutlookSender);
+  }
+
+  /**
+   * Pooled client, or a one-off client routed through `proxy`.
+   */
+  async _client(sender, proxy = null) {
+    if (!proxy) return getOutlookClient(sender);
+
+    const token = await getValidMicrosoftToken(sender);
+    if (!token) throw new AppError("Failed to refresh Outlook token", 401);
+
+    return axios.create({
+      baseURL: GRAPH_API_URL,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 30000,
+      httpsAgent: new HttpsProxyAgent(proxy),
+      proxy: false,
+    });
+  }
+
+  _folderId(folder) {
+    return FOLDER_IDS[String(folder).toLowerCase()] || folder;
+  }
+
+  /* =========================
+     READ
+  ========================= */
+
+  async listMessages(sender, { folder = "inbox", limit, before }) {
+    const client = await this._client(sender);
+    const folderId = FOLDER_IDS[folder] || "inbox";
+
+    const response = await client.get(`/me/mailFolders/${folderId}/messages`, {
+      params: {
+        $top: limit,
+        $orderby: "receivedDateTime desc",
+        $select: SELECT_FIELDS,
+        ...(before && {
+          $filter: `receivedDateTime le ${before.toISOString()}`,
+        }),
+      },
+    });
+
+    return this._page(sender, response, folder, before);
+  }
+
+  async searchMessages(sender, { query, limit, before }) {
+    const client = await this._client(sender);
+
+    // $search can't be combined with $filter on messages, so the date bound
+    // goes into the KQL (day-granular) and is tightened afterwards
+    const kql = [
+      query.replace(/"/g, ""),
+      before && `received<=${before.toISOString().slice(0, 10)}`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    const response = await client.get("/me/messages", {
+      params: {
+        $top: limit,
+        $search: `"${kql}"`,
+        $select: SELECT_FIELDS,
+      },
+    });
+
+    return this._page(sender, response, null, before);
+  }
+
+  async getMessage(sender, id) {
+    const client = await this._client(sender);
+
+    const { data } = await client.get(`/me/messages/${id}`, {
+      headers: { Prefer: 'outlook.body-content-type="html"' },
+      params: { $select: FULL_SELECT_FIELDS },
+    });
+
+    const html = data.body?.contentType === "html" ? data.body.content : "";
+
+    return {
+      ...this.normalize(sender, data),
+      cc: (data.ccRecipients || [])
+        .map((r) => MailProvider.parseAddress(r.emailAddress))
+        .filter(Boolean),
+      text: html ? html.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim() : data.body?.content || "",
+      html,
+      headers: Object.fromEntries(
+        (data.internetMessageHeaders || []).map((h) => [h.name, h.value]),
+      ),
+      attachments: data.hasAttachments ? await this.listAttachments(sender, id) : [],
+      raw: data,
+    };
+  }
+
+  async getSource(sender, id) {
+    const client = await this._client(sender);
+    const { data } = await client.get(`/me/messages/${id}/$value`, {
+      responseType: "arraybuffer",
+    });
+    return Buffer.from(data);
+  }
+
+  _page(sender, response, folder, before) {
+    const messages = (response.data.value || []).map((msg) =>
+      this.normalize(sender, msg, folder),
+    );
+
+    sender.update({ lastUsedAt: new Date() }).catch(console.error);
+
+    return {
+      messages: MailProvider.notAfter(messages, before),
+      hasMore: !!response.data["@odata.nextLink"],
+    };
+  }
+
+  /* =========================
+     SEND
+  ========================= */
+
+  /**
+   * Creates the message first, then sends it, so the Graph id and
+   * conversationId are known for tracking.
+   */
+  async sendMessage(sender, message) {
+    const client = await this._client(sender, message.proxy);
+
+    const { data } = needsMime(message.headers)
+      ? await client.post("/me/messages", await toMime(sender, message), {
+        headers: { "Content-Type": "text/plain" },
+      })
+      : await client.post("/me/messages", toGraphMessage(message));
+    await client.post(`/me/messages/${data.id}/send`, {});
+
+    return {
+      id: data.id,
+      threadId: data.conversationId,
+      conversationId: data.conversationId,
+      messageId: data.internetMessageId || null,
+    };
+  }
+
+  /**
+   * Graph builds the quote and threading headers itself; the reply body
+   * goes in as the comment.
+   */
+  async replyToMessage(sender, id, { text, html, replyAll = false, attachments }) {
+    const client = await this._client(sender);
+
+    const original = await client.get(`/me/messages/${id}`, {
+      params: { $select: "id,conversationId" },
+    });
+
+    const payload = { comment: html || text };
+    if (attachments?.length) {
+      payload.message = { attachments: toGraphMessage({ attachments }).attachments };
+    }
+
+    await client.post(`/me/messages/${id}/${replyAll ? "replyAll" : "reply"}`, payload);
+
+    // reply / replyAll return 202 without the new message
+    return {
+      id: null,
+      threadId: original.data.conversationId,
+      conversationId: original.data.conversationId,
+      messageId: null,
+    };
+  }
+
+  /* =========================
+     ORGANIZE
+  ========================= */
+
+  async moveMessage(sender, id, folder) {
+    const client = await this._client(sender);
+    const { data } = await client.post(`/me/messages/${id}/move`, {
+      destinationId: this._folderId(folder),
+    });
+    return { id: data.id };
+  }
+
+  async deleteMessage(sender, id, { permanent = false } = {}) {
+    const client = await this._client(sender);
+
+    if (permanent) {
+      await client.post(`/me/messages/${id}/permanentDelete`, {});
+    } else {
+      // DELETE moves the message to Deleted Items
+      await client.delete(`/me/messages/${id}`);
+    }
+  }
+
+  async setRead(sender, id, isRead) {
+    const client = await this._client(sender);
+    await client.patch(`/me/messages/${id}`, { isRead });
+  }
+
+  async setFlagged(sender, id, flagged) {
+    const client = await this._client(sender);
+    await client.patch(`/me/messages/${id}`, {
+      flag: { flagStatus: flagged ? "flagged" : "notFlagged" },
+    });
+  }
+
+  /* =========================
+     DRAFTS (drafts are messages in the Drafts folder)
+  ========================= */
+
+  async createDraft(sender, message) {
+    const client = await this._client(sender);
+    const { data } = await client.post("/me/messages", toGraphMessage(message));
+    return this._draft(data);
+  }
+
+  async updateDraft(sender, draftId, message) {
+    const client = await this._client(sender);
+    const { data } = await client.patch(
+      `/me/messages/${draftId}`,
+      toGraphMessage(message),
+    );
+    return this._draft(data);
+  }
+
+  async deleteDraft(sender, draftId) {
+    const client = await this._client(sender);
+    await client.delete(`/me/messages/${draftId}`);
+  }
+
+  async sendDraft(sender, draftId) {
+    const client = await this._client(sender);
+
+    const { data } = await client.get(`/me/messages/${draftId}`, {
+      params: { $select: "id,conversationId,internetMessageId" },
+    });
+    await client.post(`/me/messages/${draftId}/send`, {});
+
+    return {
+      id: data.id,
+      threadId: data.conversationId,
+      conversationId: data.conversationId,
+      messageId: data.internetMessageId || null,
+    };
+  }
+
+  _draft(data) {
+    return {
+      id: data.id,
+      messageId: data.id,
+      threadId: data.conversationId || null,
+    };
+  }
+
+  /* =========================
+     ATTACHMENTS
+  ========================= */
+
+  async listAttachments(sender, id) {
+    const client = await this._client(sender);
+    const { data } = await client.get(`/me/messages/${id}/attachments`, {
+      params: { $select: "id,name,contentType,size" },
+    });
+
+    return (data.value || []).map((att) => ({
+      id: att.id,
+      filename: att.name,
+      contentType: att.contentType,
+      size: att.size,
+    }));
+  }
+
+  async getAttachment(sender, id, attachmentId) {
+    const client = await this._client(sender);
+    const { data } = await client.get(
+      `/me/messages/${id}/attachments/${attachmentId}`,
+    );
+
+    if (!data.contentBytes) {
+      // Item / reference attachments have no bytes to download
+      throw new AppError("Attachment has no downloadable content", 400);
+    }
+
+    return {
+      filename: data.name || attachmentId,
+      contentType: data.contentType || "application/octet-stream",
+      content: Buffer.from(data.contentBytes, "base64"),
+    };
+  }
+
+  /* =========================
+     SYNC
+  ========================= */
+
+  async sync(sender, { folder = "inbox" } = {}) {
+    const client = await this._client(sender);
+    const { data } = await client.get(`/me/mailFolders/${this._folderId(folder)}`, {
+      params: { $select: "id,totalItemCount,unreadItemCount" },
+    });
+
+    return {
+      syncedAt: new Date(),
+      folder,
+      totalMessages: data.totalItemCount || 0,
+      unreadMessages: data.unreadItemCount || 0,
+    };
+  }
+
+  /* =========================
+     NORMALIZATION
+  ========================= */
+
+  normalize(sender, msg, folder) {
+    const headers = Object.fromEntries(
+      (msg.internetMessageHeaders || []).map((h) => [h.name, h.value]),
+    );
+
+    return {
+      key: this.messageKey(sender, msg.id),
+      id: msg.id,
+      threadId: msg.conversationId,
+      messageId: MailProvider.normalizeMessageId(msg.internetMessageId),
+      providerMessageId: msg.id,
+      inReplyTo: MailProvider.normalizeMessageId(
+        MailProvider.headerValue(headers, "In-Reply-To"),
+      ),
+      references: MailProvider.parseReferences(
+        MailProvider.headerValue(headers, "References"),
+      ),
+      subject: msg.subject || "(no subject)",
+      from: MailProvider.parseAddress(msg.from?.emailAddress),
+      to: (msg.toRecipients || [])
+        .map((r) => MailProvider.parseAddress(r.emailAddress))
+        .filter(Boolean),
+      snippet: msg.bodyPreview || "",
+      date: new Date(msg.receivedDateTime).toISOString(),
+      isRead: !!msg.isRead,
+      hasAttachments: !!msg.hasAttachments,
+      folder: folder || null,
+      mailbox: this.mailboxRef(sender),
+    };
+  }
+}
+
+export const outlookProvider = new OutlookProvider();
+export default outlookProvider;
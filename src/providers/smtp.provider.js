@@ -0,0 +1,483 @@
+import util from "util";
+import { randomUUID, createHash } from "crypto";
+import { Op } from "sequelize";
+import nodemailer from "nodemailer";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import { simpleParser } from "mailparser";
+import SmtpSender from "../models/smtp-sender.model.js";
+import AppError from "../utils/app-error.js";
+import {
+  createImapConnection,
+  resolveFolder,
+  openFolder,
+  appendToFolder,
+  fetchMessages,
+  parseMessagesInParallel,
+} from "../utils/imap-helper.js";
+import { getNextProxy } from "../utils/proxy-fetcher.js";
+import { dkimService } from "../services/dkim.service.js";
+import { MailProvider } from "./mail-provider.js";
+
+// Friendly names understood by resolveFolder()
+const FOLDER_NAMES = {
+  inbox: "INBOX",
+  sent: "SENT",
+  drafts: "DRAFTS",
+  trash: "TRASH",
+  spam: "SPAM",
+  archive: "ARCHIVE",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* =========================
+   SMTP TRANSPORTER CACHE
+   Reuse transporters per sender — avoids creating a new one per email.
+   TTL: 30 minutes. Evicted on auth/connection errors.
+========================= */
+const transporterCache = new Map(); // "<senderId>:<proxy>:<dkim key>" → { transporter, expiresAt }
+const TRANSPORTER_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// Rotated keys get a fresh transporter even when the selector is reused
+const dkimFingerprint = (dkim) =>
+  dkim
+    ? createHash("sha256").update(dkim.privateKey).digest("hex").slice(0, 16)
+    : "unsigned";
+
+function getOrCreateTransporter(sender, proxy = null, dkim = null) {
+  const cacheKey = `${sender.id}:${proxy || "direct"}:${dkimFingerprint(dkim)}`;
+  const cached = transporterCache.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.transporter;
+  }
+
+  const transportConfig = {
+    host: sender.smtpHost,
+    port: sender.smtpPort,
+    secure: sender.smtpSecure,
+    auth: {
+      user: sender.smtpUsername,
+      pass: sender.smtpPassword,
+    },
+    tls: {
+      rejectUnauthorized: false,
+    },
+  };
+
+  if (proxy) {
+    transportConfig.proxy = proxy;
+  }
+
+  // Platform-managed key (see services/dkim.service.js)
+  if (dkim) {
+    transportConfig.dkim = dkim;
+  }
+
+  const transporter = nodemailer.createTransport(transportConfig);
+
+  transporterCache.set(cacheKey, {
+    transporter,
+    expiresAt: Date.now() + TRANSPORTER_TTL_MS,
+  });
+
+  return transporter;
+}
+
+function evictTransporter(senderId) {
+  for (const key of transporterCache.keys()) {
+    if (key.startsWith(`${senderId}:`)) transporterCache.delete(key);
+  }
+}
+
+function composeWithMessageId(sender, message) {
+  const options = MailProvider.composeOptions(sender, message);
+  if (!options.messageId) {
+    options.messageId = `<${randomUUID()}@${sender.email.split("@")[1]}>`;
+  }
+  return options;
+}
+
+/**
+ * IMAP for reading, SMTP for sending.
+ */
+class SmtpProvider extends MailProvider {
+  constructor() {
+    super("smtp", SmtpSender);
+  }
+
+  // Reading needs IMAP, which is optional on SMTP senders
+  usableWhere() {
+    return {
+      isVerified: true,
+      isActive: true,
+      imapHost: { [Op.ne]: null },
+    };
+  }
+
+  /* =========================
+     IMAP SESSION
+  ========================= */
+
+  /**
+   * Opens an IMAP connection for the duration of `fn`.
+   */
+  async _session(sender, fn) {
+    const proxy = await getNextProxy();
+    const imap = await createImapConnection(sender, proxy);
+
+    try {
+      return await fn(imap);
+    } finally {
+      try {
+        imap.end();
+      } catch {
+        // Connection already closed
+      }
+    }
+  }
+
+  async _open(imap, sender, folder = "inbox") {
+    const name = FOLDER_NAMES[String(folder).toLowerCase()] || folder;
+    const resolved = await resolveFolder(imap, sender, name);
+    const box = await openFolder(imap, resolved);
+    return { resolved, box };
+  }
+
+  async _fetchOne(imap, id) {
+    const raw = await fetchMessages(imap, [parseInt(id)], {
+      bodies: "",
+      struct: true,
+    });
+    if (!raw.length) throw new AppError("Message not found", 404);
+    return raw[0];
+  }
+
+  _flags(imap, id, flags, add) {
+    const method = add ? imap.addFlags : imap.delFlags;
+    return util.promisify(method).bind(imap)(parseInt(id), flags);
+  }
+
+  async _expunge(imap, id) {
+    await this._flags(imap, id, ["\\Deleted"], true);
+    await util.promisify(imap.expunge).bind(imap)();
+  }
+
+  /* =========================
+     READ
+  ========================= */
+
+  async listMessages(sender, { folder = "inbox", limit, before }) {
+    return this._search(sender, { folder, criteria: [], limit, before });
+  }
+
+  async searchMessages(sender, { query, limit, before }) {
+    return this._search(sender, {
+      folder: "inbox",
+      criteria: [["TEXT", query]],
+      limit,
+      before,
+    });
+  }
+
+  async getMessage(sender, id, { folder = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+
+      const [parsed] = await parseMessagesInParallel([
+        await this._fetchOne(imap, id),
+      ]);
+      if (!parsed) throw new AppError("Message not found", 404);
+
+      return {
+        ...this.normalize(sender, parsed, folder),
+        cc: MailProvider.parseAddressList(parsed.cc),
+        text: parsed.text || "",
+        html: parsed.html || "",
+        headers: parsed.headers,
+        attachments: (parsed.attachments || []).map((a) => ({
+          id: a.id,
+          filename: a.filename,
+          contentType: a.contentType,
+          size: a.size,
+        })),
+        raw: { ...parsed, folder },
+      };
+    });
+  }
+
+  async getSource(sender, id, { folder = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+      const raw = await this._fetchOne(imap, id);
+      return Buffer.from(raw.parts.map((p) => p.data).join(""));
+    });
+  }
+
+  async _search(sender, { folder, criteria, limit, before }) {
+    return this._session(sender, async (imap) => {
+      try {
+        await this._open(imap, sender, folder);
+      } catch {
+        // Folder doesn't exist on this account
+        return { messages: [], hasMore: false };
+      }
+
+      // IMAP BEFORE is day-granular and exclusive: take the whole day of
+      // `before` and drop the newer messages after parsing
+      const search = [...criteria];
+      if (before) search.push(["BEFORE", new Date(before.getTime() + DAY_MS)]);
+      if (!search.length) search.push("ALL");
+
+      const uids = await util.promisify(imap.search).bind(imap)(search);
+      // UIDs grow with arrival order, so the highest are the newest
+      uids.sort((a, b) => b - a);
+
+      // Walk newest-first until the page is full or the folder runs out
+      const messages = [];
+      let offset = 0;
+      while (messages.length < limit && offset < uids.length) {
+        const chunk = uids.slice(offset, offset + limit);
+        offset += chunk.length;
+
+        const raw = await fetchMessages(imap, chunk, { bodies: "", struct: true });
+        const parsed = await parseMessagesInParallel(raw);
+        messages.push(
+          ...MailProvider.notAfter(
+            parsed.map((m) => this.normalize(sender, m, folder)),
+            before,
+          ),
+        );
+      }
+
+      sender.update({ lastInboxSyncAt: new Date() }).catch(() => { });
+
+      messages.sort((a, b) => new Date(b.date) - new Date(a.date));
+      return {
+        messages: messages.slice(0, limit),
+        hasMore: offset < uids.length || messages.length > limit,
+      };
+    });
+  }
+
+  /* =========================
+     SEND
+  ========================= */
+
+  async sendMessage(sender, message) {
+    // Pin the Message-ID so the Sent copy matches what was delivered
+    const options = composeWithMessageId(sender, message);
+
+    const dkim = await dkimService.signingOptions(sender);
+    const transporter = getOrCreateTransporter(sender, message.proxy, dkim);
+    try {
+      await transporter.sendMail(options);
+    } catch (err) {
+      // Evict cached transporter on auth/connection errors so next send gets a fresh one
+      if (
+        err.code === "EAUTH" ||
+        err.code === "ECONNECTION" ||
+        err.responseCode >= 500
+      ) {
+        evictTransporter(sender.id);
+      }
+      throw err;
+    }
+
+    sender.update({ lastUsedAt: new Date(), lastSentAt: new Date() }).catch(() => { });
+
+    // SMTP servers don't keep a copy, so file one in Sent ourselves
+    await this._appendToSent(sender, options);
+
+    return {
+      id: options.messageId,
+      threadId: null,
+      conversationId: null,
+      messageId: options.messageId,
+    };
+  }
+
+  async replyToMessage(sender, id, reply) {
+    const original = await this.getMessage(sender, id, { folder: reply.folder });
+    return this.sendMessage(sender, MailProvider.replyMessage(sender, original, reply));
+  }
+
+  async _appendToSent(sender, options) {
+    if (!sender.imapHost) return;
+
+    try {
+      const buffer = await new MailComposer(options).compile().build();
+      await this._session(sender, async (imap) => {
+        const sent = await resolveFolder(imap, sender, "SENT");
+        await appendToFolder(imap, sent, buffer);
+      });
+    } catch (err) {
+      // The message is already delivered; a missing Sent copy isn't fatal
+      console.error("Failed to append SMTP message to Sent folder:", err.message);
+    }
+  }
+
+  /* =========================
+     ORGANIZE
+  ========================= */
+
+  async moveMessage(sender, id, folder, { folder: source = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      const target = await resolveFolder(
+        imap,
+        sender,
+        FOLDER_NAMES[String(folder).toLowerCase()] || folder,
+      );
+      await this._open(imap, sender, source);
+      await util.promisify(imap.move).bind(imap)(parseInt(id), target);
+    });
+  }
+
+  async deleteMessage(sender, id, { permanent = false, folder = "inbox" } = {}) {
+    if (!permanent && String(folder).toLowerCase() !== "trash") {
+      return this.moveMessage(sender, id, "trash", { folder });
+    }
+
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+      await this._expunge(imap, id);
+    });
+  }
+
+  async setRead(sender, id, isRead, { folder = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+      await this._flags(imap, id, ["\\Seen"], isRead);
+    });
+  }
+
+  async setFlagged(sender, id, flagged, { folder = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+      await this._flags(imap, id, ["\\Flagged"], flagged);
+    });
+  }
+
+  /* =========================
+     DRAFTS (IMAP messages flagged \Draft in the Drafts folder)
+  ========================= */
+
+  async createDraft(sender, message) {
+    const options = composeWithMessageId(sender, message);
+    const buffer = await new MailComposer(options).compile().build();
+
+    await this._session(sender, async (imap) => {
+      const { resolved } = await this._open(imap, sender, "drafts");
+      await new Promise((resolve, reject) => {
+        imap.append(buffer, { mailbox: resolved, flags: ["\\Draft"] }, (err) =>
+          err ? reject(err) : resolve(),
+        );
+      });
+    });
+
+    // APPEND doesn't report the new UID without UIDPLUS
+    return { id: null, messageId: options.messageId, threadId: null };
+  }
+
+  async updateDraft(sender, draftId, message) {
+    await this.deleteDraft(sender, draftId);
+    return this.createDraft(sender, message);
+  }
+
+  async deleteDraft(sender, draftId) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, "drafts");
+      await this._expunge(imap, draftId);
+    });
+  }
+
+  async sendDraft(sender, draftId) {
+    const draft = await this.getMessage(sender, draftId, { folder: "drafts" });
+
+    const result = await this.sendMessage(sender, {
+      to: draft.to.map((a) => a.email),
+      cc: draft.cc.map((a) => a.email),
+      subject: draft.subject,
+      text: draft.text || undefined,
+      html: draft.html || undefined,
+    });
+
+    await this.deleteDraft(sender, draftId);
+    return result;
+  }
+
+  /* =========================
+     ATTACHMENTS
+  ========================= */
+
+  async listAttachments(sender, id, { folder = "inbox" } = {}) {
+    const { attachments } = await this.getMessage(sender, id, { folder });
+    return attachments;
+  }
+
+  async getAttachment(sender, id, attachmentId, { folder = "inbox" } = {}) {
+    return this._session(sender, async (imap) => {
+      await this._open(imap, sender, folder);
+
+      const raw = await this._fetchOne(imap, id);
+      const parsed = await simpleParser(raw.parts.map((p) => p.data).join(""));
+      const attachment = parsed.attachments?.find(
+        (att) => att.contentId === attachmentId || att.filename === attachmentId,
+      );
+      if (!attachment) throw new AppError("Attachment not found", 404);
+
+      return {
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: Buffer.isBuffer(attachment.content)
+          ? attachment.content
+          : Buffer.from(attachment.content),
+      };
+    });
+  }
+
+  /* =========================
+     SYNC
+  ========================= */
+
+  async sync(sender, { folder = "inbox" } = {}) {
+    const box = await this._session(sender, (imap) =>
+      this._open(imap, sender, folder).then(({ box }) => box),
+    ).catch(() => null);
+
+    return {
+      syncedAt: new Date(),
+      folder,
+      totalMessages: box?.messages?.total || 0,
+      unreadMessages: box?.messages?.unseen || 0,
+    };
+  }
+
+  /* =========================
+     NORMALIZATION
+  ========================= */
+
+  normalize(sender, msg, folder) {
+    return {
+      key: this.messageKey(sender, msg.uid || msg.id),
+      id: msg.uid || msg.id,
+      threadId: null,
+      messageId: MailProvider.normalizeMessageId(msg.messageId),
+      // The sender worker stores the raw Message-ID for SMTP sends
+      providerMessageId: msg.messageId || null,
+      inReplyTo: MailProvider.normalizeMessageId(msg.inReplyTo),
+      references: MailProvider.parseReferences(msg.references),
+      subject: msg.subject || "(No Subject)",
+      from: MailProvider.parseAddressList(msg.from)[0] || null,
+      to: MailProvider.parseAddressList(msg.to),
+      snippet: (msg.text || "").replace(/\s+/g, " ").trim().slice(0, 200),
+      date: new Date(msg.date).toISOString(),
+      isRead: !!msg.isRead,
+      hasAttachments: !!msg.attachments?.length,
+      folder,
+      mailbox: this.mailboxRef(sender),
+    };
+  }
+}
+
+export const smtpProvider = new SmtpProvider();
+export default smtpProvider;
@@ -0,0 +1,53 @@
+import AppError from "../../utils/app-error.js";
+
+/**
+ * Common interface over email verification services. The verifier worker
+ * hands an adapter chunks of normalized addresses and stores the verdicts
+ * on GlobalEmailRegistry, so supporting a new service means writing one
+ * subclass and registering it in EMAIL_VERIFIERS.
+ *
+ * verify() resolves to:
+ *
+ * {
+ *   jobId,        // provider-side reference for the chunk, or null
+ *   results: {
+ *     [email]: {
+ *       status,   // "valid" | "invalid" | "risky" | "unknown"
+ *       score,    // 0–100, or null when the service has none
+ *       meta,     // provider detail, stored as verificationMeta
+ *     },
+ *   },
+ * }
+ *
+ * Addresses missing from `results` got no verdict this time (job timed
+ * out, greylisted...) and are retried by the worker. verify() throws when
+ * the service itself can't be reached.
+ */
+export class EmailVerifier {
+  /**
+   * @param {string} name - stored as verificationProvider
+   * @param {Object} [options]
+   * @param {number} [options.batchSize] - most addresses per verify() call
+   */
+  constructor(name, { batchSize = 500 } = {}) {
+    this.name = name;
+    this.batchSize = batchSize;
+  }
+
+  notImplemented(method) {
+    return new AppError(`${this.name} verifier does not implement ${method}`, 501);
+  }
+
+  // Whether the service can be used here (credentials present etc.)
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {string[]} emails - normalized addresses
+   * @returns {Promise<{ jobId: string|null, results: Object }>}
+   */
+  async verify() {
+    throw this.notImplemented("verify");
+  }
+}
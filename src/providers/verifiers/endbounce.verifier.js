@@ -0,0 +1,143 @@
+import axios from "axios";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { getNextProxy } from "../../utils/proxy-fetcher.js";
+import { EmailVerifier } from "./email-verifier.js";
+
+const API_URL = "https://api.endbounce.com/api/integrations/v1";
+const POLL_INTERVAL_MS = 15000;
+const MAX_POLL_ATTEMPTS = 60;
+
+const normalizeEmail = (e) => (e || "").trim().toLowerCase();
+
+const mapStatus = (status) => {
+  const s = (status || "").toLowerCase();
+  const valid = ["valid", "invalid", "risky", "unknown", "verifying"];
+  if (valid.includes(s)) return s;
+
+  if (s === "completed" || s === "deliverable") return "valid";
+  if (s === "undeliverable") return "invalid";
+  if (s === "accept_all" || s === "risky" || s === "unverifiable") return "risky";
+
+  console.warn(`⚠️ Unmapped EndBounce status: "${status}", defaulting to "unknown"`);
+  return "unknown";
+};
+
+const toResult = (row, requestId) => ({
+  status: mapStatus(row.status),
+  score: row.score ?? null,
+  meta: { requestId, raw: row },
+});
+
+class EndBounceVerifier extends EmailVerifier {
+  constructor() {
+    super("endbounce", { batchSize: 500 });
+  }
+
+  isConfigured() {
+    return Boolean(process.env.ENDBOUNCE_API_KEY);
+  }
+
+  async requestConfig(extra = {}) {
+    const proxy = await getNextProxy();
+    const config = {
+      headers: { "x-api-key": process.env.ENDBOUNCE_API_KEY },
+      timeout: 30000,
+      ...extra,
+    };
+    if (proxy) {
+      config.httpsAgent = new HttpsProxyAgent(proxy);
+      config.proxy = false;
+    }
+    return config;
+  }
+
+  async verify(emails) {
+    const { requestId, results } = await this.submit(emails);
+    if (results) return { jobId: requestId, results };
+
+    console.log(`⏳ Polling status for job: ${requestId}...`);
+    for (let poll = 1; poll <= MAX_POLL_ATTEMPTS; poll++) {
+      const status = await this.getJobStatus(requestId);
+
+      if (status === "completed") {
+        console.log(`✅ Job ${requestId} completed. Fetching results...`);
+        return { jobId: requestId, results: await this.fetchResults(requestId) };
+      }
+
+      if (status === "failed" || status === "error") {
+        console.error(`❌ Job ${requestId} ${status}. Skipping polling.`);
+        break;
+      }
+
+      await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    }
+
+    // Nothing to report: every address goes back to the worker's retries
+    return { jobId: requestId, results: {} };
+  }
+
+  async submit(emails) {
+    console.log(`📤 Submitting ${emails.length} emails to EndBounce`);
+
+    try {
+      const config = await this.requestConfig({ timeout: 60000 });
+      config.headers["Content-Type"] = "application/json";
+
+      const res = await axios.post(`${API_URL}/verify`, { emails }, config);
+
+      // Detect mode: 'sync'
+      if (res.data.mode === "sync") {
+        console.log(`✅ Synchronous verification for ${res.data.email}: ${res.data.status}`);
+        const requestId = "sync_" + Date.now();
+        return {
+          requestId,
+          results: { [normalizeEmail(res.data.email)]: toResult(res.data, requestId) },
+        };
+      }
+
+      // Defensive check for requestId as underscore or camelCase
+      const requestId = res.data.request_id || res.data.requestId;
+
+      if (!requestId) {
+        console.error("❌ EndBounce response missing request_id and not sync:", res.data);
+        throw new Error("EndBounce failed to return a valid Request ID");
+      }
+
+      console.log(`🆔 requestId=${requestId}`);
+      return { requestId, results: null };
+    } catch (error) {
+      if (error.response) {
+        console.error("❌ EndBounce Submit Error:", error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  async getJobStatus(requestId) {
+    try {
+      const res = await axios.get(
+        `${API_URL}/jobs/${requestId}/status`,
+        await this.requestConfig(),
+      );
+      return res.data.status; // 'queued', 'processing', 'completed', 'failed'
+    } catch (error) {
+      console.error(`❌ Error checking status for ${requestId}:`, error.response?.data || error.message);
+      return "error";
+    }
+  }
+
+  async fetchResults(requestId) {
+    const res = await axios.get(
+      `${API_URL}/jobs/${requestId}/results`,
+      await this.requestConfig({ params: { status: "all" } }),
+    );
+
+    const results = {};
+    for (const row of res.data.rows || []) {
+      results[normalizeEmail(row.email)] = toResult(row, requestId);
+    }
+    return results;
+  }
+}
+
+export const endBounceVerifier = new EndBounceVerifier();
@@ -0,0 +1,39 @@
+import { endBounceVerifier } from "./endbounce.verifier.js";
+import { localVerifier } from "./local.verifier.js";
+import AppError from "../../utils/app-error.js";
+
+export { EmailVerifier } from "./email-verifier.js";
+
+// User.verificationProvider → adapter. A new service only needs an entry here.
+export const EMAIL_VERIFIERS = {
+  endbounce: endBounceVerifier,
+  local: localVerifier,
+};
+
+// Used when the chosen service isn't configured or fails outright
+export const FALLBACK_VERIFIER = localVerifier;
+
+export function getEmailVerifier(name) {
+  const verifier = Object.hasOwn(EMAIL_VERIFIERS, name) ? EMAIL_VERIFIERS[name] : null;
+  if (!verifier) throw new AppError(`Unsupported verification provider: ${name}`, 400);
+  return verifier;
+}
+
+/**
+ * The verifier for a user's uploads: their own choice, else
+ * EMAIL_VERIFIER, else EndBounce. Falls back to the local verifier when
+ * that service isn't configured here (e.g. no ENDBOUNCE_API_KEY).
+ * @param {string|null} preferred - User.verificationProvider
+ * @returns {EmailVerifier}
+ */
+export function resolveEmailVerifier(preferred) {
+  const name = preferred || process.env.EMAIL_VERIFIER || "endbounce";
+  const verifier = Object.hasOwn(EMAIL_VERIFIERS, name) ? EMAIL_VERIFIERS[name] : null;
+
+  if (verifier?.isConfigured()) return verifier;
+
+  console.warn(
+    `⚠️ Verification provider "${name}" is not available, using ${FALLBACK_VERIFIER.name}`,
+  );
+  return FALLBACK_VERIFIER;
+}
@@ -0,0 +1,215 @@
+import dns from "node:dns/promises";
+import os from "node:os";
+import { randomBytes } from "node:crypto";
+import { EmailVerifier } from "./email-verifier.js";
+import { probeRecipients } from "../../utils/smtp-probe.js";
+import {
+  extractDomain,
+  isDisposableEmail,
+  isValidEmail,
+} from "../../utils/email-processor.js";
+
+// Mailboxes that belong to a function or team rather than a person
+const ROLE_ACCOUNTS = new Set([
+  "abuse", "accounts", "admin", "billing", "careers", "contact", "enquiries",
+  "feedback", "hello", "help", "hostmaster", "hr", "info", "inquiries", "jobs",
+  "marketing", "media", "newsletter", "no-reply", "noreply", "office",
+  "postmaster", "press", "privacy", "sales", "security", "support", "team",
+  "webmaster",
+]);
+
+const SCORES = {
+  deliverable: 95, // mailbox accepted by its MX
+  unprobed: 70,    // MX exists, mailbox not asked
+  catchAll: 50,    // domain accepts any address
+  disposable: 10,
+};
+const ROLE_PENALTY = 20;
+
+// Domains resolved and probed in parallel
+const DOMAIN_CONCURRENCY = 5;
+// RCPT TO per SMTP session; servers cap recipients per message
+const RCPTS_PER_SESSION = 50;
+// MX hosts tried before giving up on a probe
+const MAX_PROBE_HOSTS = 2;
+
+// DNS answers meaning "no such record" rather than "try again later"
+const DNS_MISSING = ["ENODATA", "ENOTFOUND"];
+// 5xx RCPT replies about our IP or policy rather than the mailbox
+const POLICY_REJECTION = /block|blacklist|blocklist|spam|policy|reputation|rbl/i;
+
+const verdict = (status, score, meta) => ({ status, score, meta });
+
+const probeOptions = () => {
+  const heloName = process.env.LOCAL_VERIFIER_HELO || os.hostname();
+  return {
+    heloName,
+    mailFrom: process.env.LOCAL_VERIFIER_MAIL_FROM || `verify@${heloName}`,
+    timeoutMs: Number(process.env.LOCAL_VERIFIER_TIMEOUT_MS) || 10000,
+  };
+};
+
+/**
+ * Verifies addresses from this server, without a third-party service:
+ * syntax, MX lookup, disposable domains and role accounts. With
+ * LOCAL_VERIFIER_SMTP_PROBE=true it also asks each domain's MX whether it
+ * would accept the mailbox (RCPT TO, no DATA), after first trying a
+ * made-up address to spot catch-all domains. Outbound port 25 is blocked
+ * on many hosts, so the probe is off by default.
+ */
+class LocalVerifier extends EmailVerifier {
+  constructor() {
+    super("local", { batchSize: 500 });
+  }
+
+  async verify(emails) {
+    const results = {};
+    const byDomain = new Map();
+
+    for (const email of emails) {
+      const domain = extractDomain(email);
+      const [localPart] = email.split("@");
+
+      if (!domain || !isValidEmail(email) || email.length > 254 || localPart.length > 64) {
+        results[email] = verdict("invalid", 0, { syntax: false });
+        continue;
+      }
+      if (!byDomain.has(domain)) byDomain.set(domain, []);
+      byDomain.get(domain).push(email);
+    }
+
+    const domains = Array.from(byDomain.keys());
+    for (let i = 0; i < domains.length; i += DOMAIN_CONCURRENCY) {
+      const verdicts = await Promise.all(
+        domains
+          .slice(i, i + DOMAIN_CONCURRENCY)
+          .map((domain) => this.verifyDomain(domain, byDomain.get(domain))),
+      );
+      verdicts.forEach((v) => Object.assign(results, v));
+    }
+
+    return { jobId: null, results };
+  }
+
+  async verifyDomain(domain, emails) {
+    const mx = await this.lookupMx(domain);
+    // DNS trouble: no verdict, the worker retries later
+    if (mx.error) return {};
+
+    const results = {};
+    if (!mx.hosts.length) {
+      for (const email of emails) {
+        results[email] = verdict("invalid", 0, { syntax: true, mx: [], reason: "no_mx" });
+      }
+      return results;
+    }
+
+    const disposable = isDisposableEmail(domain);
+    const probe =
+      process.env.LOCAL_VERIFIER_SMTP_PROBE === "true" && !disposable
+        ? await this.probe(domain, mx.hosts, emails)
+        : null;
+
+    for (const email of emails) {
+      const role = ROLE_ACCOUNTS.has(email.split("@")[0].split("+")[0]);
+      const reply = probe?.replies.get(email);
+      const meta = {
+        syntax: true,
+        mx: mx.hosts,
+        disposable,
+        role,
+        catchAll: probe?.catchAll ?? null,
+        smtp: reply
+          ? { host: probe.host, code: reply.code, message: reply.message }
+          : { checked: false, ...(probe?.error && { error: probe.error }) },
+      };
+
+      let status = "valid";
+      let score = SCORES.unprobed;
+
+      if (disposable) {
+        status = "risky";
+        score = SCORES.disposable;
+      } else if (reply && reply.code >= 400 && reply.code < 500) {
+        // Greylisted or busy: ask again on the worker's next attempt
+        continue;
+      } else if (reply && reply.code >= 500 && !POLICY_REJECTION.test(reply.message)) {
+        results[email] = verdict("invalid", 0, { ...meta, reason: "mailbox_rejected" });
+        continue;
+      } else if (reply && reply.code < 300) {
+        status = probe.catchAll ? "risky" : "valid";
+        score = probe.catchAll ? SCORES.catchAll : SCORES.deliverable;
+      }
+
+      if (role) score = Math.max(0, score - ROLE_PENALTY);
+      results[email] = verdict(status, score, meta);
+    }
+
+    return results;
+  }
+
+  /**
+   * Mail exchangers for a domain, most preferred first. Falls back to the
+   * domain itself when it has an address but no MX (RFC 5321 §5.1).
+   * @returns {Promise<{ hosts: string[] } | { error: string }>}
+   */
+  async lookupMx(domain) {
+    try {
+      const records = await dns.resolveMx(domain);
+      return {
+        // A null MX ("." / "") means the domain takes no mail (RFC 7505)
+        hosts: records
+          .filter((r) => r.exchange && r.exchange !== ".")
+          .sort((a, b) => a.priority - b.priority)
+          .map((r) => r.exchange),
+      };
+    } catch (err) {
+      if (!DNS_MISSING.includes(err.code)) return { error: err.code || err.message };
+    }
+
+    try {
+      const addresses = await dns.resolve4(domain);
+      return { hosts: addresses.length ? [domain] : [] };
+    } catch (err) {
+      return DNS_MISSING.includes(err.code) ? { hosts: [] } : { error: err.code || err.message };
+    }
+  }
+
+  /**
+   * RCPT TO replies for every address, plus whether a random address at
+   * the domain is accepted too (catch-all). Addresses left out of
+   * `replies` couldn't be asked; `error` says why.
+   */
+  async probe(domain, hosts, emails) {
+    const options = probeOptions();
+    const canary = `${randomBytes(10).toString("hex")}@${domain}`;
+    const replies = new Map();
+    let host = null;
+    let error = null;
+
+    try {
+      for (let i = 0; i < emails.length; i += RCPTS_PER_SESSION) {
+        const recipients = emails.slice(i, i + RCPTS_PER_SESSION);
+        const session = await probeRecipients(
+          hosts.slice(0, MAX_PROBE_HOSTS),
+          i === 0 ? [canary, ...recipients] : recipients,
+          options,
+        );
+        host = session.host;
+        session.replies.forEach((reply, rcpt) => replies.set(rcpt, reply));
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const canaryReply = replies.get(canary);
+    return {
+      host,
+      error,
+      catchAll: canaryReply ? canaryReply.code < 300 : null,
+      replies,
+    };
+  }
+}
+
+export const localVerifier = new LocalVerifier();
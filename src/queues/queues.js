@@ -4,4 +4,6 @@ export const QUEUES = {
   EMAIL_SEND: "email.send",
   EMAIL_VERIFY: "email.verify",
   EMAIL_ROUTE: "email.route",
+  WEBHOOK_DELIVER: "webhook.deliver",
+  LIST_INGEST: "list.ingest",
 };
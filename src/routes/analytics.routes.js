@@ -8,6 +8,7 @@ import {
   getRecentReplies,
   getSenderStats,
   getHourlyStats,
+  getCampaignLinkStats,
 } from "../controllers/analytics.controller.js";
 
 const router = Router();
@@ -20,5 +21,6 @@ router.get("/top-campaigns", protect, getTopCampaigns);
 router.get("/recent-replies", protect, getRecentReplies);
 router.get("/sender-stats", protect, getSenderStats);
 router.get("/hourly", protect, getHourlyStats);
+router.get("/campaigns/:id/links", protect, getCampaignLinkStats);
 
 export default router;
@@ -0,0 +1,68 @@
+import express from "express";
+import { protect } from "../middlewares/auth.middleware.js";
+import {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/api-key.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: >
+ *     Keys for programmatic access. Send them as `Authorization: Bearer <key>`
+ *     to campaigns, contacts, segments, lists, suppressions, templates,
+ *     senders, mailboxes and analytics endpoints. Each key is limited to its
+ *     scopes and rate limit (X-RateLimit-* response headers). Keys cannot
+ *     manage keys.
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   get:
+ *     summary: List the caller's keys usable in the current workspace
+ *     tags: [API Keys]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Create a key (the full key is only returned once)
+ *     description: >
+ *       Scopes: campaigns:read, campaigns:write, contacts:read, contacts:write,
+ *       templates:read, templates:write, senders:read, senders:write,
+ *       mailboxes:read, mailboxes:send, analytics:read.
+ *       workspaceScoped (default true) pins the key to the current workspace;
+ *       false lets it act in any of the caller's workspaces via X-Workspace-Id.
+ *     tags: [API Keys]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: CRM sync
+ *             scopes: [campaigns:read, contacts:write]
+ *             workspaceScoped: true
+ *             expiresInDays: 90
+ */
+router.get("/", listApiKeys);
+router.post("/", createApiKey);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke a key (own keys; admins can revoke any key pinned to the workspace)
+ *     tags: [API Keys]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.delete("/:id", revokeApiKey);
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { protect } from "../middlewares/auth.middleware.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
 import {
   activateCampaign,
   createCampaign,
@@ -10,6 +10,7 @@ import {
   updateCampaign,
   deleteCampaign,
   getCampaignReplies,
+  getStepVariantReport,
 } from "../controllers/campaign.controller.js";
 
 /**
@@ -64,8 +65,6 @@ router.get("/", protect, getCampaigns);
  *             type: object
  *             required:
  *               - name
- *               - senderId
- *               - listBatchId
  *               - subject
  *               - htmlBody
  *             properties:
@@ -88,9 +87,28 @@ router.get("/", protect, getCampaigns);
  *               senderType:
  *                 type: string
  *                 enum: [gmail, outlook, smtp]
+ *               senders:
+ *                 type: array
+ *                 description: Sender pool for inbox rotation. Each recipient is assigned the mailbox with the most remaining quota and best reputation; follow-ups reuse it.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     senderId:
+ *                       type: string
+ *                       format: uuid
+ *                     senderType:
+ *                       type: string
+ *                       enum: [gmail, outlook, smtp]
  *               listBatchId:
  *                 type: string
  *                 format: uuid
+ *                 description: Verified list upload to send to. Required unless segmentIds is given.
+ *               segmentIds:
+ *                 type: array
+ *                 description: Contact segments to send to, combined with the list (if any). Membership is resolved when the campaign is activated; addresses in several sources are sent once.
+ *                 items:
+ *                   type: string
+ *                   format: uuid
  *               scheduleType:
  *                 type: string
  *                 enum: [now, later]
@@ -102,6 +120,67 @@ router.get("/", protect, getCampaigns);
  *               timezone:
  *                 type: string
  *                 default: UTC
+ *               sendWindow:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Days (0 = Sunday) and local hours when mail may be sent, evaluated in the recipient's timezone (metadata timezone or country, else the campaign timezone)
+ *                 properties:
+ *                   days:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                     example: [1, 2, 3, 4, 5]
+ *                   start:
+ *                     type: string
+ *                     example: "09:00"
+ *                   end:
+ *                     type: string
+ *                     example: "17:00"
+ *               sequence:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Branching sequence graph. Send nodes reference steps by stepOrder; condition nodes need one "true" and one "false" edge. Omit (or null) for a linear sequence.
+ *                 properties:
+ *                   entryNodeId:
+ *                     type: string
+ *                   nodes:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                           enum: [send, wait, condition, tag, end]
+ *                         stepOrder:
+ *                           type: integer
+ *                         delayMinutes:
+ *                           type: integer
+ *                         condition:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [opened_any, clicked_any, replied_any, opened_step, clicked_step, clicked_link, metadata_equals, has_tag]
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                   edges:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                         branch:
+ *                           type: string
+ *                           enum: ["true", "false"]
  *               throttlePerMinute:
  *                 type: integer
  *                 minimum: 1
@@ -124,7 +203,7 @@ router.get("/", protect, getCampaigns);
  *       401:
  *         description: Unauthorized
  */
-router.post("/create", protect, createCampaign);
+router.post("/create", protect, authorize("member"), createCampaign);
 
 /**
  * @swagger
@@ -197,8 +276,81 @@ router.get("/:id", protect, getCampaign);
  *                 format: date-time
  *               timezone:
  *                 type: string
+ *               sendWindow:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Days (0 = Sunday) and local hours when mail may be sent, evaluated in the recipient's timezone (metadata timezone or country, else the campaign timezone)
+ *                 properties:
+ *                   days:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                     example: [1, 2, 3, 4, 5]
+ *                   start:
+ *                     type: string
+ *                     example: "09:00"
+ *                   end:
+ *                     type: string
+ *                     example: "17:00"
+ *               sequence:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Branching sequence graph. Send nodes reference steps by stepOrder; condition nodes need one "true" and one "false" edge. Omit (or null) for a linear sequence.
+ *                 properties:
+ *                   entryNodeId:
+ *                     type: string
+ *                   nodes:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         type:
+ *                           type: string
+ *                           enum: [send, wait, condition, tag, end]
+ *                         stepOrder:
+ *                           type: integer
+ *                         delayMinutes:
+ *                           type: integer
+ *                         condition:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [opened_any, clicked_any, replied_any, opened_step, clicked_step, clicked_link, metadata_equals, has_tag]
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                   edges:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                         branch:
+ *                           type: string
+ *                           enum: ["true", "false"]
  *               throttlePerMinute:
  *                 type: integer
+ *               senders:
+ *                 type: array
+ *                 description: Replaces the campaign sender pool
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     senderId:
+ *                       type: string
+ *                       format: uuid
+ *                     senderType:
+ *                       type: string
+ *                       enum: [gmail, outlook, smtp]
  *               trackOpens:
  *                 type: boolean
  *               trackClicks:
@@ -215,7 +367,7 @@ router.get("/:id", protect, getCampaign);
  *       401:
  *         description: Unauthorized
  */
-router.put("/:id", protect, updateCampaign);
+router.put("/:id", protect, authorize("member"), updateCampaign);
 
 /**
  * @swagger
@@ -240,7 +392,7 @@ router.put("/:id", protect, updateCampaign);
  *       401:
  *         description: Unauthorized
  */
-router.delete("/:id", protect, deleteCampaign);
+router.delete("/:id", protect, authorize("member"), deleteCampaign);
 
 /**
  * @swagger
@@ -263,7 +415,7 @@ router.delete("/:id", protect, deleteCampaign);
  *       400:
  *         description: Invalid campaign state
  */
-router.post("/:id/activate", protect, activateCampaign);
+router.post("/:id/activate", protect, authorize("member"), activateCampaign);
 
 /**
  * @swagger
@@ -284,7 +436,7 @@ router.post("/:id/activate", protect, activateCampaign);
  *       200:
  *         description: Campaign paused
  */
-router.post("/:id/pause", protect, pauseCampaign);
+router.post("/:id/pause", protect, authorize("member"), pauseCampaign);
 
 /**
  * @swagger
@@ -305,9 +457,44 @@ router.post("/:id/pause", protect, pauseCampaign);
  *       200:
  *         description: Campaign resumed
  */
-router.post("/:id/resume", protect, resumeCampaign);
+router.post("/:id/resume", protect, authorize("member"), resumeCampaign);
 
 // In your campaign routes
 router.get("/:id/replies", protect, getCampaignReplies);
 
+/**
+ * @swagger
+ * /campaigns/{id}/steps/{stepOrder}/variants:
+ *   get:
+ *     summary: A/B variant report for a campaign step
+ *     description: Sends, opens, clicks and replies per variant with Wilson confidence intervals, plus whether the leading variant is significantly better on the chosen metric.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: stepOrder
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [open, click, reply]
+ *         description: Metric used for the significance test (defaults to the step's optimizeMetric)
+ *     responses:
+ *       200:
+ *         description: Variant report
+ *       404:
+ *         description: Campaign or step not found
+ */
+router.get("/:id/steps/:stepOrder/variants", protect, getStepVariantReport);
+
 export default router;
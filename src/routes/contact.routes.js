@@ -0,0 +1,155 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+  listContacts,
+  getContact,
+  createContact,
+  updateContact,
+  deleteContact,
+  getContactTimeline,
+  listContactFields,
+  createContactField,
+  updateContactField,
+  deleteContactField,
+} from "../controllers/contact.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Contacts
+ *   description: Workspace contact database. One contact per normalized email; list uploads upsert into it.
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/contacts/fields:
+ *   get:
+ *     summary: List the workspace's custom contact fields
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Define a custom field (admin)
+ *     description: >
+ *       Types: text, number, date, boolean, select (with options). List upload
+ *       columns whose slugified header equals the key fill the field.
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             key: company_size
+ *             label: Company size
+ *             type: select
+ *             options: ["1-10", "11-50", "51-200", "200+"]
+ * /api/v1/contacts/fields/{fieldId}:
+ *   put:
+ *     summary: Change a field's label or options (admin)
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *   delete:
+ *     summary: Delete a field and its stored values (admin)
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/fields", listContactFields);
+router.post("/fields", authorize("admin"), createContactField);
+router.put("/fields/:fieldId", authorize("admin"), updateContactField);
+router.delete("/fields/:fieldId", authorize("admin"), deleteContactField);
+
+/**
+ * @swagger
+ * /api/v1/contacts:
+ *   get:
+ *     summary: List contacts
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         description: Comma-separated; contacts must have all of them
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lifecycleStage
+ *         schema:
+ *           type: string
+ *           enum: [lead, contacted, engaged, opportunity, customer, unqualified]
+ *       - in: query
+ *         name: ownerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *   post:
+ *     summary: Create a contact
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             email: jane@acme.com
+ *             name: Jane Doe
+ *             lifecycleStage: lead
+ *             tags: [webinar, enterprise]
+ *             customFields:
+ *               company_size: "51-200"
+ */
+router.get("/", listContacts);
+router.post("/", authorize("member"), createContact);
+
+/**
+ * @swagger
+ * /api/v1/contacts/{id}:
+ *   get:
+ *     summary: Get a contact
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *   put:
+ *     summary: Update name, owner, lifecycle stage, tags or custom fields
+ *     description: customFields is merged; send null to clear a value. tags replaces the list.
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ *   delete:
+ *     summary: Delete a contact
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/contacts/{id}/timeline:
+ *   get:
+ *     summary: Activity timeline (sends, deliveries, opens, clicks, replies, bounces), newest first
+ *     tags: [Contacts]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/:id", getContact);
+router.put("/:id", authorize("member"), updateContact);
+router.delete("/:id", authorize("member"), deleteContact);
+router.get("/:id/timeline", getContactTimeline);
+
+export default router;
@@ -6,14 +6,14 @@ import {
   listEmailTemplates,
   deleteEmailTemplate,
 } from "../controllers/email-template.controller.js";
-import { protect } from "../middlewares/auth.middleware.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
-router.post("/", protect, createEmailTemplate);
+router.post("/", protect, authorize("member"), createEmailTemplate);
 router.get("/", protect, listEmailTemplates);
 router.get("/:templateId", protect, getEmailTemplate);
-router.put("/:templateId", protect, updateEmailTemplate);
-router.delete("/:templateId", protect, deleteEmailTemplate);
+router.put("/:templateId", protect, authorize("member"), updateEmailTemplate);
+router.delete("/:templateId", protect, authorize("member"), deleteEmailTemplate);
 
 export default router;
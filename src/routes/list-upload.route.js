@@ -9,8 +9,10 @@ import {
   retryBatch,
   uploadList,
   getAllUserContacts,
+  getBatchMapping,
+  confirmBatchMapping,
 } from "../controllers/list-upload.controller.js";
-import { protect } from "../middlewares/auth.middleware.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
 
 const router = Router();
 
@@ -28,14 +30,19 @@ const router = Router();
  *     summary: Upload a contact list file (CSV, XLSX, TXT)
  *     description: |
  *       Upload a list file containing email addresses.
- *       The file is validated, stored, and processed asynchronously.
+ *       The file is validated and stored, and the response returns its
+ *       detected columns, a sample of rows and a suggested column mapping.
+ *       Processing starts once the mapping is confirmed with
+ *       POST /api/v1/lists/batch/{batchId}/mapping, or immediately when a
+ *       `mapping` field is sent along with the file.
  *
- *       Processing includes:
- *       - Parsing & normalization
+ *       Processing runs on the list ingestion worker and includes:
+ *       - Streaming parse & normalization, in chunks of 1000 rows
  *       - Deduplication
  *       - Record-level job queuing
  *
- *       The request is non-blocking and returns a batch ID immediately.
+ *       Progress is reported by the batch status endpoint (progress,
+ *       processedRecords) and pushed as `list_upload_progress` socket events.
  *     tags: [Lists]
  *     security:
  *       - cookieAuth: []
@@ -52,9 +59,30 @@ const router = Router();
  *                 type: string
  *                 format: binary
  *                 description: CSV, XLSX, or TXT file containing email records
+ *               mapping:
+ *                 type: string
+ *                 description: Optional JSON object of column header → target, to skip the mapping step
+ *                 example: '{"E-mail":"email","First Name":"first_name","Company":"company","Notes":"ignore"}'
  *     responses:
+ *       201:
+ *         description: File stored; waiting for the column mapping
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               batchId: "c8e4a3b2-9f65-4b8f-9c9a-6d0a8d4e91ab"
+ *               status: awaiting_mapping
+ *               data:
+ *                 headers: [E-mail, First Name, Company, Plan]
+ *                 sample:
+ *                   - { E-mail: jane@acme.com, First Name: Jane, Company: Acme, Plan: pro }
+ *                 suggestedMapping: { E-mail: email, First Name: first_name, Company: company, Plan: plan }
+ *                 mapping: null
+ *                 targets:
+ *                   standard: [email, name, first_name, last_name, company, title, phone, website, city, country, timezone]
+ *                   custom: [{ key: plan, label: Plan, type: select }]
  *       202:
- *         description: File accepted and processing started
+ *         description: File accepted with a mapping and processing started
  *         content:
  *           application/json:
  *             schema:
@@ -84,13 +112,48 @@ const router = Router();
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/upload", protect, upload.single("file"), uploadList);
+router.post("/upload", protect, authorize("member"), upload.single("file"), uploadList);
+
+/**
+ * @swagger
+ * /api/v1/lists/batch/{batchId}/mapping:
+ *   get:
+ *     summary: Detected columns, sample rows and suggested / confirmed mapping
+ *     tags: [Lists]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Confirm the column mapping and start processing
+ *     description: >
+ *       Map each column header to a target: email (exactly one column),
+ *       name, first_name and last_name (joined into the name when there is
+ *       no name column), ignore, or any snake_case key, which is stored in
+ *       the record metadata for template variables and fills the custom
+ *       contact field with that key. Unmapped columns are ignored.
+ *     tags: [Lists]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             mapping:
+ *               E-mail: email
+ *               First Name: first_name
+ *               Company: company
+ *               Plan: plan
+ *               Notes: ignore
+ */
+router.get("/batch/:batchId/mapping", protect, getBatchMapping);
+router.post("/batch/:batchId/mapping", protect, authorize("member"), confirmBatchMapping);
 
 /**
  * @swagger
  * /api/v1/list/batch/{batchId}/status:
  *   get:
  *     summary: Get batch processing status
+ *     description: batch.progress (0-100) and batch.processedRecords track ingestion while the status is uploaded or parsing.
  *     tags: [Lists]
  *     security:
  *       - cookieAuth: []
@@ -120,9 +183,9 @@ router.get("/batches", protect, getUserBatches);
 router.get("/contacts", protect, getAllUserContacts);
 
 // In your backend routes (list-upload.routes.js or similar)
-router.delete("/batch/:batchId", protect, deleteBatch);
-router.delete("/contact/:recordId", protect, deleteContact);
-router.post("/batch/:batchId/retry", protect, retryBatch);
+router.delete("/batch/:batchId", protect, authorize("member"), deleteBatch);
+router.delete("/contact/:recordId", protect, authorize("member"), deleteContact);
+router.post("/batch/:batchId/retry", protect, authorize("member"), retryBatch);
 router.get("/batch/:batchId/export", protect, exportBatch);
 
 export default router;
@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { protect } from "../middlewares/auth.middleware.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
 
 // Import Gmail controllers
 import {
@@ -112,6 +112,12 @@ import {
   getMailboxById,
 } from "../controllers/mailboxes.controller.js";
 
+// Import unified inbox controllers
+import {
+  getUnifiedMessages,
+  searchUnifiedMessages,
+} from "../controllers/unified-inbox.controller.js";
+
 const router = Router();
 
 // Debug middleware for SMTP routes
@@ -127,10 +133,22 @@ router.use("/smtp/:mailboxId", (req, res, next) => {
 // =========================
 router.use(protect);
 
+// Viewers can read shared mailboxes; sending or changing mail needs member
+router.use((req, res, next) =>
+  req.method === "GET" ? next() : authorize("member")(req, res, next),
+);
+
 // =========================
 // MAILBOX MANAGEMENT
 // =========================
 router.get("/", getMailboxes);
+
+// =========================
+// UNIFIED INBOX (all mailboxes, cursor-paginated by date)
+// =========================
+router.get("/unified/messages", getUnifiedMessages);
+router.get("/unified/search", searchUnifiedMessages);
+
 router.get("/:mailboxId", getMailboxById);
 
 // =========================
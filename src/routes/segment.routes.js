@@ -0,0 +1,128 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+  listSegments,
+  getSegmentFields,
+  previewSegment,
+  getSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  getSegmentCount,
+  getSegmentContacts,
+} from "../controllers/segment.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Segments
+ *   description: Saved contact filters. Membership is evaluated live, and campaigns targeting segments resolve them when activated.
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/segments/fields:
+ *   get:
+ *     summary: Fields, operators and allowed values usable in segment rules
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/segments/preview:
+ *   post:
+ *     summary: Count and sample contacts for an unsaved filter
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             filter:
+ *               match: all
+ *               rules:
+ *                 - { field: opened, op: within_days, value: 30 }
+ *                 - { field: replied, op: never }
+ */
+router.get("/fields", getSegmentFields);
+router.post("/preview", previewSegment);
+
+/**
+ * @swagger
+ * /api/v1/segments:
+ *   get:
+ *     summary: List segments (with their last count)
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Create a segment
+ *     description: >
+ *       A filter is { match: all|any, rules: [...] } where each rule is
+ *       { field, op, value } or a nested group. Fields: contact attributes
+ *       (email, name, domain, source, ownerId, lifecycleStage, createdAt),
+ *       tags, custom.<key>, verificationStatus, mtaProvider, and engagement
+ *       (sent, opened, clicked, replied, bounced) with ever, never,
+ *       within_days and not_within_days.
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: Engaged Google leads
+ *             filter:
+ *               match: all
+ *               rules:
+ *                 - { field: lifecycleStage, op: eq, value: lead }
+ *                 - { field: mtaProvider, op: eq, value: google }
+ *                 - { field: verificationStatus, op: eq, value: valid }
+ *                 - { field: opened, op: within_days, value: 30 }
+ */
+router.get("/", listSegments);
+router.post("/", authorize("member"), createSegment);
+
+/**
+ * @swagger
+ * /api/v1/segments/{id}:
+ *   get:
+ *     summary: Get a segment
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ *   put:
+ *     summary: Update name, description or filter
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ *   delete:
+ *     summary: Delete a segment (not while a draft campaign targets it)
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/segments/{id}/count:
+ *   get:
+ *     summary: Live member count
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/segments/{id}/contacts:
+ *   get:
+ *     summary: Current members, paginated
+ *     tags: [Segments]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/:id", getSegment);
+router.put("/:id", authorize("member"), updateSegment);
+router.delete("/:id", authorize("member"), deleteSegment);
+router.get("/:id/count", getSegmentCount);
+router.get("/:id/contacts", getSegmentContacts);
+
+export default router;
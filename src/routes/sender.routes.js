@@ -1,5 +1,5 @@
 import { Router } from "express";
-import { protect } from "../middlewares/auth.middleware.js";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
 import { asyncHandler } from "../helpers/async-handler.js";
 import {
   createSender,
@@ -14,9 +14,14 @@ import {
   updateSender,
   bulkUploadSenders,
   bulkDeleteSenders,
+  getSenderDkim,
+  generateSenderDkim,
+  verifySenderDkim,
 } from "../controllers/sender.controller.js";
 import GmailSender from "../models/gmail-sender.model.js";
 import OutlookSender from "../models/outlook-sender.model.js";
+import { Workspace, WorkspaceMember } from "../models/index.js";
+import { hasRole } from "../services/workspace.service.js";
 import passportGoogle from "../config/passportgoogle-senders.js";
 import passportMicrosoft from "../config/passport-microsoft.config.js";
 import {upload} from "../middlewares/upload.middleware.js";
@@ -30,6 +35,22 @@ import {upload} from "../middlewares/upload.middleware.js";
 
 const router = Router();
 
+// OAuth state is "sender-<userId>:<workspaceId>". The mailbox joins that
+// workspace if the user still belongs to it, else their personal one.
+const parseOAuthState = (state = "") => {
+  const [userId, workspaceId] = state.replace("sender-", "").split(":");
+  return { userId, workspaceId };
+};
+
+const resolveOAuthWorkspace = async (userId, workspaceId) => {
+  if (workspaceId) {
+    const member = await WorkspaceMember.findOne({ where: { userId, workspaceId } });
+    if (member && hasRole(member.role, "admin")) return workspaceId;
+  }
+  const personal = await Workspace.findOne({ where: { ownerId: userId, isPersonal: true } });
+  return personal?.id || null;
+};
+
 // =========================
 // SMTP SENDER ENDPOINTS
 // =========================
@@ -95,9 +116,9 @@ const router = Router();
  *       400:
  *         description: Validation error
  */
-router.post("/create", protect, createSender);
-router.post("/bulk-upload", protect, upload.single("file"), bulkUploadSenders);
-router.post("/bulk-delete", protect, bulkDeleteSenders);
+router.post("/create", protect, authorize("admin"), createSender);
+router.post("/bulk-upload", protect, authorize("admin"), upload.single("file"), bulkUploadSenders);
+router.post("/bulk-delete", protect, authorize("admin"), bulkDeleteSenders);
 
 /**
  * @swagger
@@ -131,7 +152,7 @@ router.get("/", protect, listSenders);
  *       200:
  *         description: Sender deleted successfully
  */
-router.delete("/:senderId", protect, deleteSender);
+router.delete("/:senderId", protect, authorize("admin"), deleteSender);
 
 /**
  * @swagger
@@ -151,10 +172,47 @@ router.delete("/:senderId", protect, deleteSender);
  *       200:
  *         description: Test results
  */
-router.post("/:senderId/test", protect, testSender);
+router.post("/:senderId/test", protect, authorize("member"), testSender);
+
+/**
+ * @swagger
+ * /api/v1/senders/{senderId}/dkim:
+ *   get:
+ *     summary: Show the platform DKIM key and TXT record for an SMTP sender's domain
+ *     tags: [Senders]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Generate (or rotate) the DKIM keypair for an SMTP sender's domain
+ *     description: >
+ *       Mail is signed once the published TXT record is verified. Rotating a
+ *       verified key adds a pending key under a new selector, and the current
+ *       key keeps signing until the pending record is verified.
+ *     tags: [Senders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             selector: ub202610
+ */
+router.get("/:senderId/dkim", protect, getSenderDkim);
+router.post("/:senderId/dkim", protect, authorize("admin"), generateSenderDkim);
+
+/**
+ * @swagger
+ * /api/v1/senders/{senderId}/dkim/verify:
+ *   post:
+ *     summary: Check the published DKIM TXT record (the pending one during a rotation)
+ *     tags: [Senders]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post("/:senderId/dkim/verify", protect, authorize("admin"), verifySenderDkim);
 
 router.get("/:senderId", protect, getSender);
-router.put("/:senderId", protect, updateSender);
+router.put("/:senderId", protect, authorize("admin"), updateSender);
 
 // =========================
 // GMAIL OAUTH ENDPOINTS
@@ -173,8 +231,8 @@ router.put("/:senderId", protect, updateSender);
  *         description: Redirects to Google OAuth
  */
 // Change this in your /senders/oauth/gmail route:
-router.get("/oauth/gmail", protect, (req, res, next) => {
-  const state = `sender-${req.user.id}`;
+router.get("/oauth/gmail", protect, authorize("admin"), (req, res, next) => {
+  const state = `sender-${req.user.id}:${req.workspace.id}`;
 
   passportGoogle.authenticate("google-sender", {
     scope: [
@@ -264,6 +322,7 @@ router.get(
         // Create new Gmail sender
         sender = await GmailSender.create({
           userId: userId,
+          workspaceId: await resolveOAuthWorkspace(userId, userData.workspaceId),
           email: email.toLowerCase(),
           displayName: displayName || email.split("@")[0],
           domain: email.split("@")[1],
@@ -313,7 +372,7 @@ router.get(
  *       302:
  *         description: Redirects to Microsoft OAuth
  */
-router.get("/oauth/outlook", protect, (req, res, next) => {
+router.get("/oauth/outlook", protect, authorize("admin"), (req, res, next) => {
   const user = req.user;
 
   if (!user) {
@@ -334,7 +393,7 @@ router.get("/oauth/outlook", protect, (req, res, next) => {
       "Mail.Read",
       "Mail.ReadWrite",
     ],
-    state: `sender-${user.id}`,
+    state: `sender-${user.id}:${req.workspace.id}`,
     session: false,
   })(req, res, next);
 });
@@ -358,9 +417,8 @@ router.get(
   }),
   asyncHandler(async (req, res) => {
     try {
-      // Extract userId from state parameter
-      const state = req.query.state;
-      const userId = state?.replace("sender-", "");
+      // Extract userId / workspaceId from state parameter
+      const { userId, workspaceId } = parseOAuthState(req.query.state);
 
       if (!userId) {
         throw new Error("Missing user identification");
@@ -408,6 +466,7 @@ router.get(
         // Create new Outlook sender
         sender = await OutlookSender.create({
           userId,
+          workspaceId: await resolveOAuthWorkspace(userId, workspaceId),
           email: email.toLowerCase(),
           displayName: displayName || email.split("@")[0],
           domain: email.split("@")[1],
@@ -464,7 +523,7 @@ router.get(
  *       200:
  *         description: Token refreshed successfully
  */
-router.post("/:senderId/refresh-token", protect, refreshSenderToken);
+router.post("/:senderId/refresh-token", protect, authorize("admin"), refreshSenderToken);
 
 /**
  * @swagger
@@ -484,9 +543,9 @@ router.post("/:senderId/refresh-token", protect, refreshSenderToken);
  *       200:
  *         description: Access revoked successfully
  */
-router.post("/:senderId/revoke", protect, revokeSenderAccess);
+router.post("/:senderId/revoke", protect, authorize("admin"), revokeSenderAccess);
 
-router.post("/test-smtp", protect, testSmtpConnection);
-router.post("/test-imap", protect, testImapConnection);
+router.post("/test-smtp", protect, authorize("admin"), testSmtpConnection);
+router.post("/test-imap", protect, authorize("admin"), testImapConnection);
 
 export default router;
@@ -0,0 +1,86 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/upload.middleware.js";
+import {
+  getSuppressions,
+  createSuppression,
+  deleteSuppression,
+  importSuppressions,
+  exportSuppressions,
+} from "../controllers/suppression.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppressions
+ *   description: Per-workspace and global suppression lists (addresses and domains)
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/suppressions:
+ *   get:
+ *     summary: List the workspace's suppressions (plus global ones for admins)
+ *     tags: [Suppressions]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema: { type: string, enum: [workspace, global] }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [email, domain] }
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string, enum: [unsubscribe, bounce, complaint, manual] }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *   post:
+ *     summary: Suppress an address or a whole domain
+ *     description: Global entries (scope=global) can only be added by admins.
+ *     tags: [Suppressions]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             value: "@competitor.com"
+ *             reason: manual
+ *             scope: workspace
+ */
+router.get("/", getSuppressions);
+router.post("/", authorize("member"), createSuppression);
+
+/**
+ * @swagger
+ * /api/v1/suppressions/import:
+ *   post:
+ *     summary: Import suppressions from a CSV (email/domain/value, reason, note columns) or TXT file
+ *     tags: [Suppressions]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post("/import", authorize("member"), upload.single("file"), importSuppressions);
+
+/**
+ * @swagger
+ * /api/v1/suppressions/export:
+ *   get:
+ *     summary: Export suppressions as CSV (same filters as the list)
+ *     tags: [Suppressions]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/export", exportSuppressions);
+
+router.delete("/:id", authorize("member"), deleteSuppression);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+  getTrackingDomains,
+  createTrackingDomain,
+  verifyTrackingDomain,
+  deleteTrackingDomain,
+} from "../controllers/tracking-domain.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tracking Domains
+ *   description: Custom hosts for open, click and unsubscribe links
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/tracking-domains:
+ *   get:
+ *     summary: List the workspace's tracking domains with their CNAME and TXT instructions
+ *     tags: [Tracking Domains]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Register a tracking domain for all senders or one sender
+ *     description: >
+ *       The domain must have a CNAME to the tracking host, plus the TXT
+ *       ownership record returned in `ownership`, before links use it.
+ *       Unverified registrations by other workspaces are taken over;
+ *       verified domains return 409.
+ *     tags: [Tracking Domains]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             domain: track.example.com
+ *             senderId: 7b0a1c2e-0000-4000-8000-000000000000
+ *             senderType: smtp
+ */
+router.get("/", getTrackingDomains);
+router.post("/", authorize("admin"), createTrackingDomain);
+
+/**
+ * @swagger
+ * /api/v1/tracking-domains/{id}/verify:
+ *   post:
+ *     summary: Re-check the domain's CNAME and TXT ownership records
+ *     tags: [Tracking Domains]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post("/:id/verify", authorize("admin"), verifyTrackingDomain);
+
+/**
+ * @swagger
+ * /api/v1/tracking-domains/{id}:
+ *   delete:
+ *     summary: Remove a tracking domain
+ *     tags: [Tracking Domains]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.delete("/:id", authorize("admin"), deleteTrackingDomain);
+
+export default router;
@@ -3,10 +3,12 @@ import { trackOpen, trackClick, trackUnsubscribe } from "../controllers/tracking
 
 const router = express.Router();
 
-// Public tracking endpoints (no auth required)
-router.get("/open/:emailId", trackOpen);
-router.get("/click/:emailId", trackClick);
-router.get("/unsubscribe/:emailId", trackUnsubscribe);
-router.post("/unsubscribe/:emailId", trackUnsubscribe);
+// Public tracking endpoints (no auth required); :token is a signed
+// tracking token (see utils/tracking-token.js)
+router.get("/open/:token", trackOpen);
+router.get("/click/:token", trackClick);
+router.get("/unsubscribe/:token", trackUnsubscribe);
+// RFC 8058 one-click unsubscribe (signed token, no cookies)
+router.post("/unsubscribe/:token", trackUnsubscribe);
 
 export default router;
@@ -37,6 +37,7 @@ const router = express.Router();
  *                 id: "b3b1c9e6-9b8d-4c4c-8c91-123456789abc"
  *                 name: "Aasif Ali"
  *                 email: "aasif@example.com"
+ *                 verificationProvider: null
  *       401:
  *         description: Unauthorized (user not logged in)
  *         content:
@@ -68,6 +69,16 @@ router.get("/me", protect, getProfile);
  *                 type: string
  *                 format: email
  *                 example: "newemail@example.com"
+ *               verificationProvider:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [endbounce, local]
+ *                 description: >
+ *                   Service that verifies this user's list uploads. "local"
+ *                   checks syntax, MX records, disposable domains and role
+ *                   accounts on this server (plus an SMTP RCPT probe when
+ *                   enabled). null uses the server default.
+ *                 example: "local"
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -82,8 +93,9 @@ router.get("/me", protect, getProfile);
  *                 id: "b3b1c9e6-9b8d-4c4c-8c91-123456789abc"
  *                 name: "Aasif Ali"
  *                 email: "newemail@example.com"
+ *                 verificationProvider: "local"
  *       400:
- *         description: No fields provided to update
+ *         description: No fields provided to update, or unknown verificationProvider
  *         content:
  *           application/json:
  *             schema:
@@ -0,0 +1,131 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+  getWebhookEvents,
+  listWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  sendTestWebhook,
+  listWebhookDeliveries,
+} from "../controllers/webhook-endpoint.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhook Endpoints
+ *   description: >
+ *     Outbound webhooks for the current workspace. Each delivery is a JSON POST
+ *     `{ id, type, createdAt, workspaceId, data }` with headers X-Unibox-Event,
+ *     X-Unibox-Delivery and X-Unibox-Signature `t=<unix seconds>,v1=<hex>`,
+ *     where v1 is HMAC-SHA256 of "<t>.<raw body>" keyed with the endpoint's
+ *     signing secret. Non-2xx responses are retried with exponential backoff
+ *     (6 attempts over about 2.5 hours).
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/webhook-endpoints/events:
+ *   get:
+ *     summary: Event types endpoints can subscribe to
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/events", getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/v1/webhook-endpoints:
+ *   get:
+ *     summary: List the workspace's webhook endpoints
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Register an endpoint (admin; the signing secret is only returned once)
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             url: https://crm.example.com/hooks/unibox
+ *             events: [reply.received, recipient.unsubscribed]
+ *             description: CRM sync
+ */
+router.get("/", listWebhookEndpoints);
+router.post("/", authorize("admin"), createWebhookEndpoint);
+
+/**
+ * @swagger
+ * /api/v1/webhook-endpoints/{id}:
+ *   put:
+ *     summary: Update an endpoint's URL, events, description or isActive (admin)
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ *   delete:
+ *     summary: Delete an endpoint and its delivery log (admin)
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.put("/:id", authorize("admin"), updateWebhookEndpoint);
+router.delete("/:id", authorize("admin"), deleteWebhookEndpoint);
+
+/**
+ * @swagger
+ * /api/v1/webhook-endpoints/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret (admin)
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/webhook-endpoints/{id}/test:
+ *   post:
+ *     summary: Send a webhook.test event to the endpoint (admin)
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post("/:id/rotate-secret", authorize("admin"), rotateWebhookSecret);
+router.post("/:id/test", authorize("admin"), sendTestWebhook);
+
+/**
+ * @swagger
+ * /api/v1/webhook-endpoints/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log for an endpoint, newest first
+ *     tags: [Webhook Endpoints]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, retrying, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ */
+router.get("/:id/deliveries", listWebhookDeliveries);
+
+export default router;
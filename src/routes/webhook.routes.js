@@ -0,0 +1,14 @@
+import express from "express";
+import { receiveEspWebhook } from "../controllers/webhook.controller.js";
+
+const router = express.Router();
+
+// Public ESP webhooks (signature-verified per provider, no auth).
+// SNS posts JSON as text/plain, so accept any content type as raw bytes.
+router.post(
+  "/:provider",
+  express.raw({ type: "*/*", limit: "5mb" }),
+  receiveEspWebhook,
+);
+
+export default router;
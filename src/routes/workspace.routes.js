@@ -0,0 +1,150 @@
+import express from "express";
+import { protect, authorize } from "../middlewares/auth.middleware.js";
+import {
+  listWorkspaces,
+  createWorkspace,
+  getCurrentWorkspace,
+  updateCurrentWorkspace,
+  deleteCurrentWorkspace,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+} from "../controllers/workspace.controller.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workspaces
+ *   description: >
+ *     Shared workspaces, members and invitations. Requests act in the
+ *     workspace given by the X-Workspace-Id header (default: the user's
+ *     personal workspace).
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/workspaces:
+ *   get:
+ *     summary: List the workspaces the user belongs to, with their role
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Create a workspace (the caller becomes its owner)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: Acme Agency
+ */
+router.get("/", listWorkspaces);
+router.post("/", createWorkspace);
+
+/**
+ * @swagger
+ * /api/v1/workspaces/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept an invitation sent to the caller's email address
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.post("/invitations/:token/accept", acceptInvitation);
+
+/**
+ * @swagger
+ * /api/v1/workspaces/current:
+ *   get:
+ *     summary: Current workspace and the caller's role
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *   put:
+ *     summary: Rename the current workspace (admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *   delete:
+ *     summary: Delete the current workspace (owner; it must be empty)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/current", getCurrentWorkspace);
+router.put("/current", authorize("admin"), updateCurrentWorkspace);
+router.delete("/current", authorize("owner"), deleteCurrentWorkspace);
+
+/**
+ * @swagger
+ * /api/v1/workspaces/current/members:
+ *   get:
+ *     summary: List members of the current workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ * /api/v1/workspaces/current/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (admin; admin roles need the owner)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             role: viewer
+ *   delete:
+ *     summary: Remove a member (admin), or leave the workspace (self)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/current/members", listMembers);
+router.put("/current/members/:userId", authorize("admin"), updateMemberRole);
+router.delete("/current/members/:userId", removeMember);
+
+/**
+ * @swagger
+ * /api/v1/workspaces/current/invitations:
+ *   get:
+ *     summary: List pending invitations (admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *   post:
+ *     summary: Invite someone by email (admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             email: teammate@example.com
+ *             role: member
+ * /api/v1/workspaces/current/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation (admin)
+ *     tags: [Workspaces]
+ *     security:
+ *       - cookieAuth: []
+ */
+router.get("/current/invitations", authorize("admin"), listInvitations);
+router.post("/current/invitations", authorize("admin"), createInvitation);
+router.delete("/current/invitations/:invitationId", authorize("admin"), revokeInvitation);
+
+export default router;
@@ -0,0 +1,117 @@
+// scripts/backfill-contacts.js
+//
+// Creates workspace contacts from list uploads made before the contact
+// database existed, and links their upload records and campaign recipients.
+//
+//   node src/scripts/backfill-contacts.js [--dry-run]
+//
+// Safe to re-run: only rows without a contactId are touched.
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import {
+  Campaign,
+  ListUploadBatch,
+  ListUploadRecord,
+  CampaignRecipient,
+} from "../models/index.js";
+import { contactService } from "../services/contact.service.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 1000;
+
+const backfillBatch = async (batch) => {
+  let lastId = null;
+  let count = 0;
+
+  // Recipients of campaigns sent to this list
+  const campaigns = await Campaign.findAll({
+    where: { listBatchId: batch.id },
+    attributes: ["id"],
+  });
+  const campaignIds = campaigns.map((c) => c.id);
+
+  for (;;) {
+    const records = await ListUploadRecord.findAll({
+      where: {
+        batchId: batch.id,
+        contactId: null,
+        normalizedEmail: { [Op.ne]: null },
+        ...(lastId && { id: { [Op.gt]: lastId } }),
+      },
+      attributes: ["id", "normalizedEmail", "name", "domain", "metadata"],
+      order: [["id", "ASC"]],
+      limit: BATCH_SIZE,
+    });
+    if (!records.length) break;
+
+    lastId = records[records.length - 1].id;
+    count += records.length;
+    if (DRY_RUN) continue;
+
+    const contactIds = await contactService.upsertFromUpload(
+      batch.workspaceId,
+      records.map((r) => ({
+        email: r.normalizedEmail,
+        name: r.name,
+        domain: r.domain,
+        metadata: r.metadata,
+      })),
+    );
+
+    for (const record of records) {
+      const contactId = contactIds.get(record.normalizedEmail);
+      if (!contactId) continue;
+
+      await ListUploadRecord.update({ contactId }, { where: { id: record.id } });
+      if (campaignIds.length) {
+        await CampaignRecipient.update(
+          { contactId },
+          {
+            where: {
+              campaignId: { [Op.in]: campaignIds },
+              email: record.normalizedEmail,
+              contactId: null,
+            },
+          },
+        );
+      }
+    }
+  }
+
+  return count;
+};
+
+const backfillContacts = async () => {
+  console.log(`👥 Backfilling contacts${DRY_RUN ? " (dry run)" : ""}`);
+  console.log("=".repeat(60));
+
+  let failed = 0;
+  try {
+    const batches = await ListUploadBatch.findAll({
+      where: { workspaceId: { [Op.ne]: null } },
+      attributes: ["id", "workspaceId", "originalFilename"],
+      order: [["createdAt", "ASC"]],
+    });
+
+    for (const batch of batches) {
+      try {
+        const count = await backfillBatch(batch);
+        if (count) {
+          console.log(`   ✅ ${batch.originalFilename} (${batch.id}): ${count} record(s) ${DRY_RUN ? "to link" : "linked"}`);
+        }
+      } catch (err) {
+        failed++;
+        console.error(`   ❌ ${batch.id}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Backfill aborted:", err.message);
+    failed++;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(failed ? 1 : 0);
+};
+
+backfillContacts();
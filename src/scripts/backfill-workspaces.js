@@ -0,0 +1,217 @@
+// scripts/backfill-workspaces.js
+//
+// One-off workspace migration, kept out of the request path:
+//   1. merges duplicate personal workspaces (created by concurrent first
+//      requests before the unique index existed) into the oldest one;
+//      run this before starting the API so the index can be built
+//   2. gives users with resources from before workspaces a personal
+//      workspace and moves those resources into it, including their
+//      tracking domains and suppression lists
+//
+//   node src/scripts/backfill-workspaces.js [--dry-run]
+//
+// Safe to re-run: merged workspaces are deleted and moved rows no longer
+// have a null workspaceId.
+import { Op, fn, col } from "sequelize";
+import sequelize from "../config/db.js";
+import {
+  User,
+  Workspace,
+  WorkspaceMember,
+  WorkspaceInvitation,
+  ApiKey,
+  WebhookEndpoint,
+  Segment,
+  Contact,
+  ContactField,
+  ListUploadRecord,
+  CampaignRecipient,
+  Suppression,
+  TrackingDomain,
+} from "../models/index.js";
+import { workspaceService, SCOPED_MODELS } from "../services/workspace.service.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Moved wholesale from a duplicate workspace to the one kept
+const MOVED_MODELS = [
+  ...SCOPED_MODELS,
+  ApiKey,
+  WebhookEndpoint,
+  Segment,
+  WorkspaceInvitation,
+  TrackingDomain,
+];
+
+// Keyed by userId before workspaces, but not part of SCOPED_MODELS: they
+// go with a deleted workspace rather than keep it from being deleted
+const SETTINGS_MODELS = [TrackingDomain, Suppression];
+
+/**
+ * Moves suppressions into `workspaceId`, dropping those the workspace
+ * already has (unique per workspace).
+ */
+const moveSuppressions = async (where, workspaceId, transaction) => {
+  const suppressions = await Suppression.findAll({ where, transaction });
+  for (const suppression of suppressions) {
+    const kept = await Suppression.findOne({
+      where: { workspaceId, type: suppression.type, value: suppression.value },
+      transaction,
+    });
+    if (kept) await suppression.destroy({ transaction });
+    else await suppression.update({ workspaceId, userId: null }, { transaction });
+  }
+  return suppressions.length;
+};
+
+/**
+ * Moves everything in `from` into `into` and deletes `from`. Contacts and
+ * contact fields are unique per workspace: duplicates are folded into the
+ * kept row.
+ */
+const mergeWorkspace = async (from, into, transaction) => {
+  for (const model of MOVED_MODELS) {
+    await model.update(
+      { workspaceId: into.id },
+      { where: { workspaceId: from.id }, transaction },
+    );
+  }
+
+  await moveSuppressions({ workspaceId: from.id }, into.id, transaction);
+
+  const fields = await ContactField.findAll({ where: { workspaceId: from.id }, transaction });
+  for (const field of fields) {
+    const kept = await ContactField.findOne({
+      where: { workspaceId: into.id, key: field.key },
+      transaction,
+    });
+    if (kept) await field.destroy({ transaction });
+    else await field.update({ workspaceId: into.id }, { transaction });
+  }
+
+  const contacts = await Contact.findAll({ where: { workspaceId: from.id }, transaction });
+  for (const contact of contacts) {
+    const kept = await Contact.findOne({
+      where: { workspaceId: into.id, email: contact.email },
+      transaction,
+    });
+    if (!kept) {
+      await contact.update({ workspaceId: into.id }, { transaction });
+      continue;
+    }
+    for (const model of [ListUploadRecord, CampaignRecipient]) {
+      await model.update(
+        { contactId: kept.id },
+        { where: { contactId: contact.id }, transaction },
+      );
+    }
+    await contact.destroy({ transaction });
+  }
+
+  const members = await WorkspaceMember.findAll({ where: { workspaceId: from.id }, transaction });
+  for (const member of members) {
+    await WorkspaceMember.findOrCreate({
+      where: { workspaceId: into.id, userId: member.userId },
+      defaults: { role: member.role },
+      transaction,
+    });
+    await member.destroy({ transaction });
+  }
+
+  await from.destroy({ transaction });
+};
+
+const mergeDuplicates = async () => {
+  const owners = await Workspace.findAll({
+    where: { isPersonal: true },
+    attributes: ["ownerId", [fn("COUNT", col("id")), "count"]],
+    group: ["ownerId"],
+    having: sequelize.where(fn("COUNT", col("id")), { [Op.gt]: 1 }),
+    raw: true,
+  });
+
+  for (const { ownerId } of owners) {
+    const [kept, ...duplicates] = await Workspace.findAll({
+      where: { ownerId, isPersonal: true },
+      order: [["createdAt", "ASC"]],
+    });
+
+    console.log(`   🔀 User ${ownerId}: ${duplicates.length} duplicate(s) into ${kept.id}`);
+    if (DRY_RUN) continue;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const duplicate of duplicates) {
+        await mergeWorkspace(duplicate, kept, transaction);
+      }
+    });
+  }
+
+  return owners.length;
+};
+
+const adoptLegacyResources = async () => {
+  const userIds = new Set();
+  for (const model of [...SCOPED_MODELS, ...SETTINGS_MODELS]) {
+    const rows = await model.findAll({
+      where: { workspaceId: null, userId: { [Op.ne]: null } },
+      attributes: [[fn("DISTINCT", col("userId")), "userId"]],
+      raw: true,
+    });
+    rows.forEach((r) => userIds.add(r.userId));
+  }
+
+  let failed = 0;
+  for (const userId of userIds) {
+    try {
+      const user = await User.findByPk(userId);
+      if (!user) continue;
+      if (DRY_RUN) {
+        console.log(`   📦 User ${userId}: resources to move`);
+        continue;
+      }
+
+      const workspace = await workspaceService.ensurePersonalWorkspace(user);
+      let moved = await workspaceService.adoptLegacyResources(user.id, workspace.id);
+      moved += await sequelize.transaction(async (transaction) => {
+        const [domains] = await TrackingDomain.update(
+          { workspaceId: workspace.id },
+          { where: { userId, workspaceId: null }, transaction },
+        );
+        const suppressions = await moveSuppressions(
+          { userId, workspaceId: null },
+          workspace.id,
+          transaction,
+        );
+        return domains + suppressions;
+      });
+      console.log(`   ✅ User ${userId}: ${moved} resource(s) moved into ${workspace.id}`);
+    } catch (err) {
+      failed++;
+      console.error(`   ❌ ${userId}: ${err.message}`);
+    }
+  }
+
+  return failed;
+};
+
+const backfillWorkspaces = async () => {
+  console.log(`🏢 Backfilling workspaces${DRY_RUN ? " (dry run)" : ""}`);
+  console.log("=".repeat(60));
+
+  let failed = 0;
+  try {
+    const merged = await mergeDuplicates();
+    console.log(`   ${merged} user(s) with duplicate personal workspaces`);
+
+    failed += await adoptLegacyResources();
+  } catch (err) {
+    console.error("❌ Backfill aborted:", err.message);
+    failed++;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(failed ? 1 : 0);
+};
+
+backfillWorkspaces();
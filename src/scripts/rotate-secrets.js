@@ -0,0 +1,98 @@
+// scripts/rotate-secrets.js
+//
+// Re-encrypts every stored secret under the current SECRETS_MASTER_KEY.
+// Also encrypts rows written before encryption at rest was enabled.
+//
+//   1. Move the old key into SECRETS_MASTER_KEY_PREVIOUS, set the new one
+//   2. node src/scripts/rotate-secrets.js [--dry-run]
+//   3. Drop the old key from SECRETS_MASTER_KEY_PREVIOUS
+import sequelize from "../config/db.js";
+import {
+  GmailSender,
+  OutlookSender,
+  SmtpSender,
+  DkimKey,
+  WebhookEndpoint,
+} from "../models/index.js";
+import { rotateSecret } from "../utils/secret-box.js";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 500;
+
+const TARGETS = [
+  { model: SmtpSender, fields: ["smtpPassword", "imapPassword"] },
+  { model: GmailSender, fields: ["accessToken", "refreshToken"] },
+  { model: OutlookSender, fields: ["accessToken", "refreshToken"] },
+  { model: DkimKey, fields: ["privateKey", "pendingPrivateKey"] },
+  { model: WebhookEndpoint, fields: ["secret"] },
+];
+
+const rotateModel = async ({ model, fields }) => {
+  let offset = 0;
+  let updated = 0;
+  let failed = 0;
+
+  for (;;) {
+    // raw rows: read the stored ciphertext, not the decrypting getters
+    const rows = await model.findAll({
+      attributes: ["id", ...fields],
+      order: [["id", "ASC"]],
+      limit: BATCH_SIZE,
+      offset,
+      paranoid: false,
+      raw: true,
+    });
+    if (!rows.length) break;
+    offset += rows.length;
+
+    for (const row of rows) {
+      try {
+        const changes = {};
+        for (const field of fields) {
+          const rotated = rotateSecret(row[field]);
+          if (rotated !== row[field]) changes[field] = rotated;
+        }
+        if (!Object.keys(changes).length) continue;
+
+        // validate: false writes the values as-is (no setters/getters)
+        if (!DRY_RUN) {
+          await model.update(changes, {
+            where: { id: row.id },
+            validate: false,
+            hooks: false,
+            silent: true,
+            paranoid: false,
+          });
+        }
+        updated++;
+      } catch (err) {
+        failed++;
+        console.error(`   ❌ ${model.name} ${row.id}: ${err.message}`);
+      }
+    }
+  }
+
+  console.log(`   ✅ ${model.name}: ${updated} row(s) ${DRY_RUN ? "to update" : "updated"}, ${failed} failed`);
+  return failed;
+};
+
+const rotateSecrets = async () => {
+  console.log(`🔐 Rotating secrets${DRY_RUN ? " (dry run)" : ""}`);
+  console.log("=".repeat(60));
+
+  let failed = 0;
+  try {
+    for (const target of TARGETS) {
+      failed += await rotateModel(target);
+    }
+  } catch (err) {
+    console.error("❌ Rotation aborted:", err.message);
+    failed++;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(failed ? 1 : 0);
+};
+
+rotateSecrets();
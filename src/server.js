@@ -10,6 +10,7 @@ import { initSocket } from "./config/socket.js";
 import sequelize from "./config/db.js";
 import "./models/index.js";
 import { checkAllCampaignsCompletion } from "./utils/campaign-completion.checker.js";
+import { assertTrackingSecret } from "./utils/tracking-token.js";
 
 const PORT = process.env.PORT || 8080;
 
@@ -18,6 +19,7 @@ const CAMPAIGN_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
 
 async function startServer() {
   try {
+    assertTrackingSecret();
     await sequelize.authenticate();
     console.log("PostgreSQL connected");
     sequelize.query("SELECT current_database();").then(([res]) => {
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+import { ApiKey, User } from "../models/index.js";
+import redisClient from "../utils/redis-client.js";
+
+export const API_KEY_SCOPES = [
+  "campaigns:read",
+  "campaigns:write",
+  "contacts:read",
+  "contacts:write",
+  "templates:read",
+  "templates:write",
+  "senders:read",
+  "senders:write",
+  "mailboxes:read",
+  "mailboxes:send",
+  "analytics:read",
+];
+
+// Public REST surface: route prefix → scope resource. Everything else
+// (auth, users, workspaces, api-keys, ...) is session-only.
+const SCOPED_ROUTES = {
+  "/api/v1/campaigns": "campaigns",
+  "/api/v1/contacts": "contacts",
+  "/api/v1/segments": "contacts",
+  "/api/v1/lists": "contacts",
+  "/api/v1/suppressions": "contacts",
+  "/api/v1/templates": "templates",
+  "/api/v1/senders": "senders",
+  "/api/v1/mailboxes": "mailboxes",
+  "/api/v1/analytics": "analytics",
+};
+
+const KEY_PREFIX = "ubx_";
+const DISPLAY_PREFIX_LENGTH = 12;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+class ApiKeyService {
+  /**
+   * Creates a key. The plaintext key is only returned here; we keep its hash.
+   * @returns {Promise<{ apiKey: Object, key: string }>}
+   */
+  async create({ userId, workspaceId = null, name, scopes, expiresAt = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+      userId,
+      workspaceId,
+      name,
+      scopes,
+      expiresAt,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Active key (with its User) for a presented key, else null. Records
+   * last use at most once a minute.
+   */
+  async authenticate(key, ip = null) {
+    if (!key?.startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({
+      where: { keyHash: hashKey(key) },
+      include: [{ model: User, attributes: { exclude: ["password"] } }],
+    });
+
+    if (!apiKey || !apiKey.User || apiKey.revokedAt) return null;
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) return null;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      apiKey
+        .update({ lastUsedAt: new Date(), lastUsedIp: ip }, { silent: true })
+        .catch((err) => console.error("API key last-used update failed:", err.message));
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Scope an API key request needs, from the router it hit and the method.
+   * null when the route is not available to API keys.
+   */
+  requiredScope(baseUrl, method) {
+    const resource = SCOPED_ROUTES[baseUrl];
+    if (!resource) return null;
+
+    if (method === "GET" || method === "HEAD") return `${resource}:read`;
+    return resource === "mailboxes" ? "mailboxes:send" : `${resource}:write`;
+  }
+
+  hasScope(apiKey, scope) {
+    return Array.isArray(apiKey.scopes) && apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Counts a request against the key's per-minute limit (fixed window).
+   * Fails open when Redis is unavailable.
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetIn: number }>}
+   */
+  async consumeRateLimit(apiKey) {
+    const limit = apiKey.rateLimit;
+    const window = Math.floor(Date.now() / 1000 / RATE_LIMIT_WINDOW_SECONDS);
+    const resetIn = RATE_LIMIT_WINDOW_SECONDS - (Math.floor(Date.now() / 1000) % RATE_LIMIT_WINDOW_SECONDS);
+    const redisKey = `ratelimit:apikey:${apiKey.id}:${window}`;
+
+    try {
+      const count = await redisClient.incr(redisKey);
+      if (count === 1) await redisClient.expire(redisKey, RATE_LIMIT_WINDOW_SECONDS);
+
+      return {
+        allowed: count <= limit,
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetIn,
+      };
+    } catch (err) {
+      console.error("API key rate limit error:", err.message);
+      return { allowed: true, limit, remaining: limit, resetIn };
+    }
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -0,0 +1,292 @@
+import { Op } from "sequelize";
+import {
+  Contact,
+  ContactField,
+  Campaign,
+  Email,
+  EmailEvent,
+  ReplyEvent,
+} from "../models/index.js";
+import { normalizeEmail } from "../utils/email-processor.js";
+
+const UPSERT_CHUNK_SIZE = 1000;
+const TAG_MAX_LENGTH = 50;
+const TIMELINE_EMAIL_LIMIT = 500;
+
+const EVENT_TYPES = {
+  delivered: "email_delivered",
+  open: "email_opened",
+  click: "link_clicked",
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+class ContactService {
+  /**
+   * Trimmed, lowercased, de-duplicated tags; empty ones dropped.
+   */
+  normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [
+      ...new Set(
+        tags
+          .map((t) => String(t ?? "").trim().toLowerCase().slice(0, TAG_MAX_LENGTH))
+          .filter(Boolean),
+      ),
+    ];
+  }
+
+  /**
+   * Merges tags into a contact's tags (sequence tag nodes). The contact is
+   * found by id, or by email for recipients added before contacts existed.
+   * @returns {Promise<Contact|null>} null when there's no such contact
+   */
+  async addTags(workspaceId, { contactId, email }, tags) {
+    const additions = this.normalizeTags(tags);
+    if (!workspaceId || !additions.length) return null;
+
+    const where = contactId
+      ? { workspaceId, id: contactId }
+      : { workspaceId, email: normalizeEmail(email) };
+    if (!where.id && !where.email) return null;
+
+    const contact = await Contact.findOne({ where });
+    if (!contact) return null;
+
+    const merged = this.normalizeTags([...(contact.tags || []), ...additions]);
+    if (merged.length !== (contact.tags || []).length) {
+      await contact.update({ tags: merged });
+    }
+    return contact;
+  }
+
+  async getFields(workspaceId) {
+    return ContactField.findAll({
+      where: { workspaceId },
+      order: [["createdAt", "ASC"]],
+    });
+  }
+
+  /**
+   * Casts one value to the field's type.
+   * @returns {{ value: any } | { error: string }} null/"" clear the value
+   */
+  castValue(field, raw) {
+    if (raw === null || raw === undefined || raw === "") return { value: null };
+
+    switch (field.type) {
+      case "number": {
+        const value = typeof raw === "number" ? raw : Number(String(raw).replace(/,/g, "").trim());
+        return Number.isFinite(value) ? { value } : { error: `${field.key} must be a number` };
+      }
+      case "date": {
+        const date = new Date(raw);
+        return Number.isNaN(date.getTime())
+          ? { error: `${field.key} must be a date` }
+          : { value: date.toISOString() };
+      }
+      case "boolean": {
+        if (typeof raw === "boolean") return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (["true", "yes", "y", "1"].includes(text)) return { value: true };
+        if (["false", "no", "n", "0"].includes(text)) return { value: false };
+        return { error: `${field.key} must be true or false` };
+      }
+      case "select": {
+        const value = String(raw).trim();
+        return (field.options || []).includes(value)
+          ? { value }
+          : { error: `${field.key} must be one of: ${(field.options || []).join(", ")}` };
+      }
+      default:
+        return { value: String(raw) };
+    }
+  }
+
+  /**
+   * Casts `values` against the field definitions. Keys without a
+   * definition are ignored in lenient mode (list uploads) and rejected
+   * in strict mode (API input).
+   * @returns {{ values: Object, errors: string[] }}
+   */
+  castCustomFields(fields, values = {}, { strict = false } = {}) {
+    const byKey = new Map(fields.map((f) => [f.key, f]));
+    const result = {};
+    const errors = [];
+
+    for (const [key, raw] of Object.entries(values || {})) {
+      const field = byKey.get(key);
+      if (!field) {
+        if (strict) errors.push(`Unknown custom field: ${key}`);
+        continue;
+      }
+
+      const cast = this.castValue(field, raw);
+      if (cast.error) {
+        if (strict) errors.push(cast.error);
+        continue;
+      }
+      result[key] = cast.value;
+    }
+
+    return { values: result, errors };
+  }
+
+  /**
+   * Upserts list upload rows into the workspace's contacts. Existing
+   * contacts keep their name unless they had none; custom field values
+   * from the upload overwrite older ones.
+   * @param {Array<{ email: string, name?: string, domain?: string, metadata?: Object }>} rows
+   * @returns {Promise<Map<string, string>>} normalized email → contactId
+   */
+  async upsertFromUpload(workspaceId, rows) {
+    const contactIds = new Map();
+    if (!workspaceId || !rows.length) return contactIds;
+
+    const fields = await this.getFields(workspaceId);
+
+    // Last row wins when a file lists the same address twice
+    const byEmail = new Map();
+    for (const row of rows) {
+      const email = normalizeEmail(row.email);
+      if (!email) continue;
+      const previous = byEmail.get(email);
+      byEmail.set(email, {
+        email,
+        name: row.name || previous?.name || null,
+        domain: row.domain || email.split("@")[1] || null,
+        customFields: {
+          ...previous?.customFields,
+          ...this.castCustomFields(fields, row.metadata).values,
+        },
+      });
+    }
+
+    for (const emails of chunk([...byEmail.keys()], UPSERT_CHUNK_SIZE)) {
+      const existing = await Contact.findAll({
+        where: { workspaceId, email: { [Op.in]: emails } },
+      });
+      const existingByEmail = new Map(existing.map((c) => [c.email, c]));
+
+      const toCreate = emails
+        .filter((email) => !existingByEmail.has(email))
+        .map((email) => ({ ...byEmail.get(email), workspaceId, source: "upload" }));
+
+      if (toCreate.length) {
+        // ignoreDuplicates: a concurrent upload may have created some already
+        await Contact.bulkCreate(toCreate, { ignoreDuplicates: true });
+      }
+
+      for (const contact of existing) {
+        const row = byEmail.get(contact.email);
+        const updates = {};
+        if (!contact.name && row.name) updates.name = row.name;
+        if (Object.keys(row.customFields).length) {
+          updates.customFields = { ...contact.customFields, ...row.customFields };
+        }
+        if (Object.keys(updates).length) await contact.update(updates);
+      }
+
+      // Re-read to pick up ids of rows created here or concurrently
+      const saved = await Contact.findAll({
+        where: { workspaceId, email: { [Op.in]: emails } },
+        attributes: ["id", "email"],
+      });
+      saved.forEach((c) => contactIds.set(c.email, c.id));
+    }
+
+    return contactIds;
+  }
+
+  /**
+   * Activity across the workspace's campaigns, newest first: sends,
+   * deliveries, opens, clicks, replies and bounces.
+   */
+  async timeline(contact, { limit = 100 } = {}) {
+    const emails = await Email.findAll({
+      where: { recipientEmail: contact.email },
+      include: [
+        {
+          model: Campaign,
+          where: { workspaceId: contact.workspaceId },
+          attributes: ["id", "name"],
+          required: true,
+        },
+      ],
+      attributes: ["id", "campaignId", "subject", "status", "sentAt", "bouncedAt", "bounceType", "bounceReason"],
+      order: [["createdAt", "DESC"]],
+      limit: TIMELINE_EMAIL_LIMIT,
+    });
+    if (!emails.length) return [];
+
+    const emailIds = emails.map((e) => e.id);
+    const [events, replies] = await Promise.all([
+      EmailEvent.findAll({
+        where: { emailId: { [Op.in]: emailIds }, eventType: Object.keys(EVENT_TYPES) },
+        attributes: ["emailId", "eventType", "eventTimestamp", "classification", "metadata"],
+      }),
+      ReplyEvent.findAll({
+        where: { emailId: { [Op.in]: emailIds } },
+        attributes: ["id", "emailId", "subject", "body", "intent", "receivedAt", "createdAt"],
+      }),
+    ]);
+
+    const emailById = new Map(emails.map((e) => [e.id, e]));
+    const base = (email) => ({
+      emailId: email.id,
+      campaignId: email.campaignId,
+      campaignName: email.Campaign?.name,
+      subject: email.subject,
+    });
+
+    const items = [];
+    for (const email of emails) {
+      if (email.sentAt) items.push({ type: "email_sent", at: email.sentAt, ...base(email) });
+      if (email.bouncedAt) {
+        items.push({
+          type: "bounced",
+          at: email.bouncedAt,
+          ...base(email),
+          details: { bounceType: email.bounceType, reason: email.bounceReason },
+        });
+      }
+    }
+
+    for (const event of events) {
+      items.push({
+        type: EVENT_TYPES[event.eventType],
+        at: event.eventTimestamp,
+        ...base(emailById.get(event.emailId)),
+        details: {
+          classification: event.classification,
+          ...(event.eventType === "click" && { url: event.metadata?.url }),
+        },
+      });
+    }
+
+    for (const reply of replies) {
+      items.push({
+        type: "replied",
+        at: reply.receivedAt || reply.createdAt,
+        ...base(emailById.get(reply.emailId)),
+        details: {
+          replyId: reply.id,
+          intent: reply.intent,
+          subject: reply.subject,
+          snippet: (reply.body || "").slice(0, 200),
+        },
+      });
+    }
+
+    return items
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+      .slice(0, limit);
+  }
+}
+
+export const contactService = new ContactService();
+export default contactService;
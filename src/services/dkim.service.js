@@ -0,0 +1,219 @@
+import crypto from "crypto";
+import util from "util";
+import dns from "dns/promises";
+import { DkimKey } from "../models/index.js";
+import { encryptSecret, decryptSecret } from "../utils/secret-box.js";
+import AppError from "../utils/app-error.js";
+
+const generateKeyPair = util.promisify(crypto.generateKeyPair);
+
+const KEY_BITS = 2048;
+
+// Signing keys are read on every SMTP send
+const SIGNING_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const senderDomain = (sender) => sender.email.split("@")[1].toLowerCase();
+
+class DkimService {
+  constructor() {
+    this.signing = new Map(); // "<userId>:<domain>" → { options, expiresAt }
+  }
+
+  /**
+   * TXT record the user must publish for `key`.
+   */
+  dnsRecord(key) {
+    return {
+      type: "TXT",
+      name: `${key.selector}._domainkey.${key.domain}`,
+      value: `v=DKIM1; k=rsa; p=${key.publicKey}`,
+    };
+  }
+
+  defaultSelector() {
+    const now = new Date();
+    return `ub${now.getUTCFullYear()}${String(now.getUTCMonth() + 1).padStart(2, "0")}`;
+  }
+
+  async findKey(sender) {
+    return DkimKey.findOne({
+      where: { userId: sender.userId, domain: senderDomain(sender) },
+    });
+  }
+
+  /**
+   * TXT record for a rotation in progress, or null.
+   */
+  pendingDnsRecord(key) {
+    if (!key.pendingSelector) return null;
+    return this.dnsRecord({
+      domain: key.domain,
+      selector: key.pendingSelector,
+      publicKey: key.pendingPublicKey,
+    });
+  }
+
+  /**
+   * Creates (or replaces) the keypair for the sender's domain. A verified
+   * key is rotated instead: the new pair is kept as pending under another
+   * selector and the current key signs until the new record is verified.
+   */
+  async generateKey(sender, selector) {
+    const existing = await this.findKey(sender);
+    const rotating = existing?.status === "verified";
+
+    if (rotating && selector === existing.selector) {
+      throw new AppError(`Selector ${selector} is in use by the current key`, 400);
+    }
+    if (!selector) {
+      selector = this.defaultSelector();
+      // Second rotation in a month
+      if (rotating && selector === existing.selector) {
+        selector = `${selector}-${crypto.randomBytes(2).toString("hex")}`;
+      }
+    }
+
+    const { publicKey, privateKey } = await generateKeyPair("rsa", {
+      modulusLength: KEY_BITS,
+      publicKeyEncoding: { type: "spki", format: "der" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+
+    if (rotating) {
+      await existing.update({
+        pendingSelector: selector,
+        pendingPublicKey: publicKey.toString("base64"),
+        pendingPrivateKey: encryptSecret(privateKey),
+        lastError: null,
+      });
+      return existing;
+    }
+
+    const values = {
+      selector,
+      publicKey: publicKey.toString("base64"),
+      privateKey: encryptSecret(privateKey),
+      status: "pending",
+      verifiedAt: null,
+      lastCheckedAt: null,
+      lastError: null,
+      pendingSelector: null,
+      pendingPublicKey: null,
+      pendingPrivateKey: null,
+    };
+
+    const key = existing
+      ? await existing.update(values)
+      : await DkimKey.create({
+        userId: sender.userId,
+        domain: senderDomain(sender),
+        ...values,
+      });
+
+    this.forget(key);
+    return key;
+  }
+
+  /**
+   * Looks up a TXT record and checks it carries `publicKey`. Returns the
+   * problem, or null when the record matches.
+   */
+  async checkRecord(name, publicKey) {
+    try {
+      const records = await dns.resolveTxt(name);
+      const published = records
+        .map((chunks) => chunks.join(""))
+        .find((r) => r.includes("v=DKIM1"));
+
+      const p = published?.match(/(?:^|;)\s*p=([^;]*)/)?.[1].replace(/\s+/g, "");
+
+      if (!published) return `No DKIM record found at ${name}`;
+      if (p !== publicKey) return `The record at ${name} has a different public key`;
+      return null;
+    } catch (err) {
+      return err.code === "ENODATA" || err.code === "ENOTFOUND"
+        ? `No DKIM record found at ${name}`
+        : `DNS lookup failed: ${err.code || err.message}`;
+    }
+  }
+
+  /**
+   * Checks the key's TXT record. During a rotation the pending record is
+   * checked instead and, once it matches, the pending key replaces the
+   * current one; until then the current key stays verified.
+   */
+  async verify(key) {
+    if (key.pendingSelector) {
+      const pending = this.pendingDnsRecord(key);
+      const lastError = await this.checkRecord(pending.name, key.pendingPublicKey);
+
+      await key.update({
+        lastError,
+        lastCheckedAt: new Date(),
+        ...(!lastError && {
+          selector: key.pendingSelector,
+          publicKey: key.pendingPublicKey,
+          privateKey: key.pendingPrivateKey,
+          status: "verified",
+          verifiedAt: new Date(),
+          pendingSelector: null,
+          pendingPublicKey: null,
+          pendingPrivateKey: null,
+        }),
+      });
+
+      this.forget(key);
+      return key;
+    }
+
+    const { name } = this.dnsRecord(key);
+    const lastError = await this.checkRecord(name, key.publicKey);
+    const status = lastError ? "failed" : "verified";
+
+    await key.update({
+      status,
+      lastError,
+      lastCheckedAt: new Date(),
+      verifiedAt: status === "verified" ? key.verifiedAt || new Date() : null,
+    });
+
+    this.forget(key);
+    return key;
+  }
+
+  /**
+   * nodemailer `dkim` options for an SMTP sender, or null when the domain
+   * has no verified platform key.
+   */
+  async signingOptions(sender) {
+    const cacheKey = `${sender.userId}:${senderDomain(sender)}`;
+    const cached = this.signing.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.options;
+
+    const key = await DkimKey.findOne({
+      where: {
+        userId: sender.userId,
+        domain: senderDomain(sender),
+        status: "verified",
+      },
+    });
+
+    const options = key
+      ? {
+        domainName: key.domain,
+        keySelector: key.selector,
+        privateKey: decryptSecret(key.privateKey),
+      }
+      : null;
+
+    this.signing.set(cacheKey, { options, expiresAt: Date.now() + SIGNING_CACHE_TTL_MS });
+    return options;
+  }
+
+  forget(key) {
+    this.signing.delete(`${key.userId}:${key.domain}`);
+  }
+}
+
+export const dkimService = new DkimService();
+export default dkimService;
@@ -4,9 +4,10 @@ import { Op } from "sequelize";
 /* =========================
    CREATE TEMPLATE
 ========================= */
-export const createTemplate = async (userId, payload) => {
+export const createTemplate = async (userId, workspaceId, payload) => {
   const template = await EmailTemplate.create({
     userId,
+    workspaceId,
     name: payload.name,
     subject: payload.subject,
     htmlContent: payload.htmlContent,
@@ -22,9 +23,9 @@ export const createTemplate = async (userId, payload) => {
 /* =========================
    UPDATE TEMPLATE
 ========================= */
-export const updateTemplate = async (templateId, userId, payload) => {
+export const updateTemplate = async (templateId, workspaceId, payload) => {
   const template = await EmailTemplate.findOne({
-    where: { id: templateId, userId },
+    where: { id: templateId, workspaceId },
   });
 
   if (!template) {
@@ -47,9 +48,9 @@ export const updateTemplate = async (templateId, userId, payload) => {
 /* =========================
    GET SINGLE TEMPLATE
 ========================= */
-export const getTemplateById = async (templateId, userId) => {
+export const getTemplateById = async (templateId, workspaceId) => {
   const template = await EmailTemplate.findOne({
-    where: { id: templateId, userId },
+    where: { id: templateId, workspaceId },
   });
 
   if (!template) {
@@ -62,8 +63,8 @@ export const getTemplateById = async (templateId, userId) => {
 /* =========================
    LIST TEMPLATES
 ========================= */
-export const listTemplates = async (userId, filters = {}) => {
-  const where = { userId };
+export const listTemplates = async (workspaceId, filters = {}) => {
+  const where = { workspaceId };
 
   if (filters.status) {
     where.status = filters.status;
@@ -82,9 +83,9 @@ export const listTemplates = async (userId, filters = {}) => {
 /* =========================
    DELETE TEMPLATE
 ========================= */
-export const deleteTemplate = async (templateId, userId) => {
+export const deleteTemplate = async (templateId, workspaceId) => {
   const deleted = await EmailTemplate.destroy({
-    where: { id: templateId, userId },
+    where: { id: templateId, workspaceId },
   });
 
   if (!deleted) {
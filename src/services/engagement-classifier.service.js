@@ -0,0 +1,129 @@
+import { Op } from "sequelize";
+import { EmailEvent } from "../models/index.js";
+
+export const ENGAGEMENT = { HUMAN: "human", MACHINE: "machine" };
+
+const BOT_USER_AGENTS = [
+  /bot\b|crawler|spider|slurp/i,
+  /curl|wget|python-requests|python-urllib|go-http-client|java\/|okhttp|libwww|httpclient/i,
+  /headlesschrome|phantomjs|puppeteer/i,
+  // Link scanners / secure email gateways
+  /proofpoint|mimecast|barracuda|symantec|messagelabs|forcepoint|trendmicro|sophos|fortiguard/i,
+  /microsoft office|ms-office|skypeuripreview|microsoftpreview|office 365 safelinks/i,
+  /preview|linkcheck|urlscan/i,
+];
+
+// Apple Mail Privacy Protection prefetches with a bare "Mozilla/5.0"
+const MPP_USER_AGENT = /^Mozilla\/5\.0$/;
+
+// Published egress ranges of common link scanners. Extend with
+// SCANNER_IP_RANGES (comma-separated CIDRs).
+const SCANNER_IP_RANGES = [
+  "148.163.128.0/19", // Proofpoint
+  "67.231.144.0/20", // Proofpoint
+  "205.139.110.0/24", // Mimecast
+  "207.211.30.0/24", // Mimecast
+  "170.10.128.0/22", // Mimecast
+  "64.235.144.0/20", // Barracuda
+  "209.222.80.0/21", // Barracuda
+  "216.82.240.0/20", // Symantec / Broadcom MessageLabs
+];
+
+// Faster than any reader: the message was fetched as it was delivered
+const MIN_SECONDS_AFTER_SEND = { open: 2, click: 10 };
+
+// Scanners follow every link at once; clicks this close to a honeypot hit
+// are treated as part of the same scan
+const HONEYPOT_WINDOW_MS = 60 * 1000;
+
+const ipToInt = (ip) =>
+  ip.split(".").reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+
+function parseCidr(cidr) {
+  const [range, bits = "32"] = cidr.trim().split("/");
+  const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return { base: ipToInt(range) & mask, mask };
+}
+
+/**
+ * Tells reader engagement apart from machine traffic (privacy proxies,
+ * security scanners, link previewers) so opens and clicks only count
+ * when a person did them.
+ */
+class EngagementClassifier {
+  constructor() {
+    this.ranges = [
+      ...SCANNER_IP_RANGES,
+      ...(process.env.SCANNER_IP_RANGES || "").split(",").filter(Boolean),
+    ].map(parseCidr);
+  }
+
+  isScannerIp(ip) {
+    // Express reports IPv4 clients as ::ffff:a.b.c.d behind dual-stack sockets
+    const v4 = String(ip || "").replace(/^::ffff:/, "");
+    if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(v4)) return false;
+
+    const value = ipToInt(v4);
+    return this.ranges.some(({ base, mask }) => (value & mask) === base);
+  }
+
+  /**
+   * @param {Object} hit
+   * @param {"open"|"click"} hit.type
+   * @param {Object} hit.email - Email row (sentAt, id)
+   * @param {string} [hit.userAgent]
+   * @param {string} [hit.ipAddress]
+   * @param {boolean} [hit.honeypot] - the hidden link was followed
+   * @param {Date} [hit.at]
+   * @returns {Promise<{ classification: "human"|"machine", reasons: string[] }>}
+   */
+  async classify({ type, email, userAgent, ipAddress, honeypot = false, at = new Date() }) {
+    const reasons = [];
+    const ua = String(userAgent || "").trim();
+
+    if (honeypot) reasons.push("honeypot");
+
+    if (!ua) reasons.push("no_user_agent");
+    else if (BOT_USER_AGENTS.some((re) => re.test(ua))) reasons.push("bot_user_agent");
+    else if (type === "open" && MPP_USER_AGENT.test(ua)) reasons.push("privacy_proxy");
+
+    if (this.isScannerIp(ipAddress)) reasons.push("scanner_ip");
+
+    if (email?.sentAt) {
+      const seconds = (at.getTime() - new Date(email.sentAt).getTime()) / 1000;
+      if (seconds >= 0 && seconds < MIN_SECONDS_AFTER_SEND[type]) {
+        reasons.push("too_soon_after_send");
+      }
+    }
+
+    if (type === "click" && !honeypot && email?.id && (await this.recentHoneypotHit(email.id, at))) {
+      reasons.push("honeypot_burst");
+    }
+
+    return {
+      classification: reasons.length ? ENGAGEMENT.MACHINE : ENGAGEMENT.HUMAN,
+      reasons,
+    };
+  }
+
+  async recentHoneypotHit(emailId, at) {
+    const hit = await EmailEvent.findOne({
+      where: {
+        emailId,
+        eventType: "click",
+        "metadata.honeypot": true,
+        eventTimestamp: {
+          [Op.between]: [
+            new Date(at.getTime() - HONEYPOT_WINDOW_MS),
+            new Date(at.getTime() + HONEYPOT_WINDOW_MS),
+          ],
+        },
+      },
+      attributes: ["id"],
+    });
+    return !!hit;
+  }
+}
+
+export const engagementClassifier = new EngagementClassifier();
+export default engagementClassifier;
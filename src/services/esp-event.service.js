@@ -0,0 +1,243 @@
+import {
+  EmailEvent,
+  BounceEvent,
+  Campaign,
+  CampaignSend,
+  CampaignRecipient,
+  GlobalEmailRegistry,
+} from "../models/index.js";
+import { BounceProcessor } from "../utils/bounce-processor.js";
+import { findSentEmail } from "../utils/email-lookup.js";
+import { senderHealthService } from "./sender-health.service.js";
+import { suppressionService } from "./suppression.service.js";
+import { engagementClassifier, ENGAGEMENT } from "./engagement-classifier.service.js";
+
+/**
+ * Applies normalized ESP webhook events (see src/webhooks) to our records:
+ * bounces and complaints become BounceEvents, deliveries and opens become
+ * EmailEvents. Events are deduplicated on the ESP event id since every ESP
+ * retries deliveries it didn't see acknowledged.
+ */
+class EspEventService {
+  /**
+   * @param {string} provider - webhook adapter name
+   * @param {Array<Object>} events - normalized events
+   * @returns {Promise<number>} number of events applied
+   */
+  async applyEvents(provider, events) {
+    let applied = 0;
+
+    for (const event of events) {
+      try {
+        if (await this.applyEvent(provider, event)) applied++;
+      } catch (err) {
+        console.error(
+          `🔥 ${provider} ${event.type} event ${event.eventId} failed:`,
+          err.message,
+        );
+      }
+    }
+
+    return applied;
+  }
+
+  async applyEvent(provider, event) {
+    if (!event.eventId) return false;
+
+    const email = await findSentEmail(event);
+    if (!email) return false;
+
+    // A multi-recipient notification must only touch the matching send
+    if (
+      event.recipient &&
+      email.recipientEmail &&
+      event.recipient.toLowerCase() !== email.recipientEmail.toLowerCase()
+    ) {
+      return false;
+    }
+
+    const metadata = {
+      source: provider,
+      providerEventId: event.eventId,
+      recipient: event.recipient || null,
+    };
+
+    switch (event.type) {
+      case "bounce":
+        return this.applyBounce(email, event, metadata);
+      case "complaint":
+        return this.applyComplaint(email, event, metadata);
+      case "delivery":
+        return this.applyDelivery(email, event, metadata);
+      case "open":
+        return this.applyOpen(email, event, metadata);
+      default:
+        return false;
+    }
+  }
+
+  async isDuplicate(Model, { source, providerEventId }) {
+    const existing = await Model.findOne({
+      where: {
+        "metadata.source": source,
+        "metadata.providerEventId": providerEventId,
+      },
+      attributes: ["id"],
+    });
+    return !!existing;
+  }
+
+  /* =========================
+     BOUNCES & COMPLAINTS
+  ========================= */
+
+  async applyBounce(email, event, metadata) {
+    if (await this.isDuplicate(BounceEvent, metadata)) return false;
+
+    const reason = event.reason || "bounce";
+
+    await BounceEvent.create({
+      emailId: email.id,
+      bounceType: event.bounceType || "hard",
+      reason: reason.slice(0, 255),
+      smtpResponse: event.smtpResponse || null,
+      metadata: { ...metadata, status: event.status || null },
+      occurredAt: event.occurredAt || new Date(),
+    });
+
+    await BounceProcessor.handleBounce(
+      email.id,
+      event.bounceType || "hard",
+      reason,
+      metadata.source,
+    );
+    await this.refreshSenderHealth(email);
+
+    return true;
+  }
+
+  async applyComplaint(email, event, metadata) {
+    if (await this.isDuplicate(BounceEvent, metadata)) return false;
+
+    await BounceEvent.create({
+      emailId: email.id,
+      bounceType: "complaint",
+      reason: (event.reason || "complaint").slice(0, 255),
+      metadata,
+      occurredAt: event.occurredAt || new Date(),
+    });
+
+    if (email.recipientId) {
+      await CampaignRecipient.update(
+        { status: "stopped", nextRunAt: null },
+        { where: { id: email.recipientId } },
+      );
+    }
+
+    // A spam report is a global opt-out: never mail the address again
+    if (email.recipientEmail) {
+      await GlobalEmailRegistry.upsert({
+        normalizedEmail: email.recipientEmail.toLowerCase(),
+        unsubscribed: true,
+        unsubscribedAt: event.occurredAt || new Date(),
+        lastSeenAt: new Date(),
+      });
+
+      await suppressionService.add({
+        value: email.recipientEmail,
+        type: "email",
+        reason: "complaint",
+        source: metadata.source,
+      });
+    }
+
+    await this.refreshSenderHealth(email);
+
+    console.log(`🚫 Complaint processed: ${email.recipientEmail}`);
+    return true;
+  }
+
+  async refreshSenderHealth(email) {
+    // SenderHealth is only tracked for SMTP senders
+    if (email.senderType !== "smtp" || !email.senderId) return;
+    await senderHealthService.refreshBehavioralMetrics(email.senderId);
+  }
+
+  /* =========================
+     DELIVERIES & OPENS
+  ========================= */
+
+  async applyDelivery(email, event, metadata) {
+    if (await this.isDuplicate(EmailEvent, metadata)) return false;
+
+    const deliveredAt = event.occurredAt || new Date();
+
+    // Never downgrade a bounced/replied email back to delivered
+    if (email.status === "sent") {
+      await email.update({ status: "delivered", deliveredAt });
+    }
+
+    await EmailEvent.create({
+      emailId: email.id,
+      eventType: "delivered",
+      eventTimestamp: deliveredAt,
+      metadata: { ...metadata, smtpResponse: event.smtpResponse || null },
+    });
+
+    return true;
+  }
+
+  async applyOpen(email, event, metadata) {
+    if (await this.isDuplicate(EmailEvent, metadata)) return false;
+
+    const openedAt = event.occurredAt || new Date();
+
+    const { classification, reasons } = await engagementClassifier.classify({
+      type: "open",
+      email,
+      userAgent: event.userAgent,
+      ipAddress: event.ipAddress,
+      at: openedAt,
+    });
+
+    // Same bookkeeping as the tracking pixel, which may also have fired;
+    // privacy-proxy and scanner opens are recorded but not counted
+    if (!email.openedAt && classification === ENGAGEMENT.HUMAN) {
+      await email.update({
+        openedAt,
+        userAgent: event.userAgent || null,
+        ipAddress: event.ipAddress || null,
+      });
+
+      if (email.campaignId) {
+        await Campaign.increment("totalOpens", {
+          by: 1,
+          where: { id: email.campaignId },
+        });
+      }
+
+      await CampaignSend.update(
+        { openedAt },
+        { where: { emailId: email.id } },
+      );
+    }
+
+    await EmailEvent.create({
+      emailId: email.id,
+      eventType: "open",
+      eventTimestamp: openedAt,
+      classification,
+      metadata: {
+        ...metadata,
+        userAgent: event.userAgent || null,
+        ipAddress: event.ipAddress || null,
+        reasons,
+      },
+    });
+
+    return true;
+  }
+}
+
+export const espEventService = new EspEventService();
+export default espEventService;
@@ -0,0 +1,279 @@
+import fs from "fs";
+import {
+  ListUploadBatch,
+  ListUploadRecord,
+  GlobalEmailRegistry,
+} from "../models/index.js";
+import { contactService } from "./contact.service.js";
+import { enqueueEmailVerification } from "../helpers/enqueue-email-verifier.js";
+import { emitToUser } from "../utils/event-broadcaster.js";
+import { openListFile } from "../utils/list-file-reader.js";
+import {
+  slugifyHeader,
+  applyMapping,
+  findEmailField,
+  findNameField,
+} from "../utils/list-mapping.js";
+import {
+  extractDomain,
+  getEmailProvider,
+  isValidEmail,
+  normalizeEmail,
+} from "../utils/email-processor.js";
+
+// Rows parsed, looked up and inserted together
+const CHUNK_SIZE = 1000;
+// Minimum time between progress writes / socket events
+const PROGRESS_INTERVAL_MS = 1000;
+
+export const PROGRESS_EVENT = "list_upload_progress";
+
+class ListIngestionService {
+  /**
+   * Parses a batch's file and stores its records, chunk by chunk, then
+   * queues verification. Safe to re-run after a crash or failure: records
+   * from an earlier attempt are cleared first.
+   */
+  async process(batchId) {
+    const batch = await ListUploadBatch.findByPk(batchId);
+    if (!batch) {
+      console.error(`Batch ${batchId} not found`);
+      return;
+    }
+    if (!["uploaded", "parsing"].includes(batch.status)) {
+      console.warn(`Batch ${batchId} is ${batch.status}, skipping ingestion`);
+      return;
+    }
+
+    console.log(`🔄 Processing batch ${batchId}: ${batch.originalFilename}`);
+
+    try {
+      if (!fs.existsSync(batch.storagePath)) {
+        throw new Error(`File not found: ${batch.storagePath}`);
+      }
+
+      // Leftovers of an interrupted run or a failed attempt being retried
+      await ListUploadRecord.destroy({ where: { batchId: batch.id } });
+
+      await batch.update({
+        status: "parsing",
+        progress: 0,
+        processedRecords: 0,
+        errorReason: null,
+      });
+
+      const stats = await this.ingestFile(batch);
+
+      await batch.update({
+        status: "completed",
+        totalRecords: stats.total,
+        validRecords: stats.valid,
+        duplicateRecords: stats.duplicate,
+        failedRecords: stats.failed,
+        processedRecords: stats.total,
+        progress: 100,
+        mapping: batch.mapping?.columns
+          ? batch.mapping
+          : Array.from(stats.headers).reduce((acc, header) => {
+              acc[slugifyHeader(header)] = header;
+              return acc;
+            }, {}),
+      });
+
+      console.log(`✅ Processing complete for batch ${batch.id}`);
+      this.reportProgress(batch);
+
+      emitToUser(batch.userId, "notification", {
+        type: "success",
+        category: "audience",
+        title: "Bulk Import Successful",
+        message: `${stats.valid} valid leads were successfully imported from "${batch.originalFilename}".`,
+      });
+
+      console.log(`📨 Enqueuing email verification for batch ${batch.id}...`);
+      await enqueueEmailVerification(batch.id);
+
+      // The file is only needed until its records are stored; failed
+      // batches keep it for a retry (deleteBatch removes it)
+      try {
+        fs.unlinkSync(batch.storagePath);
+        console.log(`🧹 Cleaned up file: ${batch.storagePath}`);
+      } catch (cleanupError) {
+        console.error("Failed to clean up file:", cleanupError);
+      }
+    } catch (error) {
+      console.error(`❌ Processing error for batch ${batchId}:`, error);
+
+      await batch.update({ status: "failed", errorReason: error.message });
+      this.reportProgress(batch);
+    }
+  }
+
+  /**
+   * Streams the file through ingestChunk(), reporting progress as it goes.
+   */
+  async ingestFile(batch) {
+    const reader = openListFile(batch.storagePath, batch.fileType);
+    const columns = batch.mapping?.columns || null;
+    const stats = { total: 0, valid: 0, duplicate: 0, failed: 0, headers: new Set() };
+    let lastReportAt = 0;
+    let chunk = [];
+
+    const flush = async () => {
+      await this.ingestChunk(batch, chunk, columns, stats);
+      chunk = [];
+
+      if (Date.now() - lastReportAt >= PROGRESS_INTERVAL_MS) {
+        lastReportAt = Date.now();
+        await batch.update({
+          processedRecords: stats.total,
+          validRecords: stats.valid,
+          duplicateRecords: stats.duplicate,
+          progress: Math.min(99, Math.floor(reader.progress() * 100)),
+        });
+        this.reportProgress(batch);
+      }
+    };
+
+    try {
+      // Awaiting each chunk pauses the file stream (back-pressure)
+      for await (const row of reader.rows) {
+        stats.total++;
+        chunk.push(row);
+        if (chunk.length >= CHUNK_SIZE) await flush();
+      }
+      if (chunk.length) await flush();
+    } finally {
+      reader.close();
+    }
+
+    return stats;
+  }
+
+  /**
+   * Validates, registers and stores one chunk of parsed rows.
+   */
+  async ingestChunk(batch, rows, columns, stats) {
+    const validRecordsData = [];
+    const normalizedToRaw = new Map();
+
+    // Step 1: Pre-process and validate
+    for (const record of rows) {
+      // Confirmed mapping; batches from before the mapping step guess columns
+      let mapped;
+      if (columns) {
+        mapped = applyMapping(record, columns);
+      } else {
+        Object.keys(record).forEach((key) => stats.headers.add(key));
+        mapped = { email: findEmailField(record), name: findNameField(record), metadata: {} };
+        Object.keys(record).forEach((key) => {
+          const slug = slugifyHeader(key);
+          if (!slug.includes("email") && !slug.includes("name")) {
+            mapped.metadata[slug] = record[key];
+          }
+        });
+      }
+
+      if (!mapped.email || !isValidEmail(mapped.email)) continue;
+
+      const normalizedEmail = normalizeEmail(mapped.email);
+      if (!normalizedEmail) continue;
+
+      const domain = extractDomain(normalizedEmail);
+      if (!domain) continue;
+
+      validRecordsData.push({
+        emailValue: mapped.email,
+        normalizedEmail,
+        domain,
+        name: mapped.name,
+        metadata: mapped.metadata,
+      });
+
+      if (!normalizedToRaw.has(normalizedEmail)) {
+        normalizedToRaw.set(normalizedEmail, { domain });
+      }
+    }
+
+    if (!validRecordsData.length) return;
+
+    // Step 2: Registry lookup
+    const uniqueEmails = Array.from(normalizedToRaw.keys());
+    const existingRegistryEntries = await GlobalEmailRegistry.findAll({
+      where: { normalizedEmail: uniqueEmails },
+      attributes: ["normalizedEmail"],
+    });
+    const existingEmailSet = new Set(existingRegistryEntries.map((e) => e.normalizedEmail));
+
+    // Step 3: Register new addresses, touch known ones
+    const registryToCreate = uniqueEmails
+      .filter((email) => !existingEmailSet.has(email))
+      .map((email) => ({
+        normalizedEmail: email,
+        domain: normalizedToRaw.get(email).domain,
+        emailProvider: getEmailProvider(normalizedToRaw.get(email).domain),
+        firstSeenAt: new Date(),
+        lastSeenAt: new Date(),
+      }));
+
+    if (registryToCreate.length > 0) {
+      await GlobalEmailRegistry.bulkCreate(registryToCreate, { ignoreDuplicates: true });
+    }
+    if (existingEmailSet.size > 0) {
+      await GlobalEmailRegistry.update(
+        { lastSeenAt: new Date() },
+        { where: { normalizedEmail: Array.from(existingEmailSet) } },
+      );
+    }
+
+    // Step 4: Upsert workspace contacts (one per address, across uploads)
+    const contactIds = await contactService.upsertFromUpload(
+      batch.workspaceId,
+      validRecordsData.map((data) => ({
+        email: data.normalizedEmail,
+        name: data.name,
+        domain: data.domain,
+        metadata: data.metadata,
+      })),
+    );
+
+    // Step 5: Insert batch records
+    const batchRecords = validRecordsData.map((data) => {
+      const isNew = !existingEmailSet.has(data.normalizedEmail);
+      if (isNew) stats.valid++;
+      else stats.duplicate++;
+
+      return {
+        batchId: batch.id,
+        rawEmail: data.emailValue,
+        normalizedEmail: data.normalizedEmail,
+        domain: data.domain,
+        name: data.name || null,
+        metadata: Object.keys(data.metadata).length > 0 ? data.metadata : null,
+        contactId: contactIds.get(data.normalizedEmail) || null,
+        status: isNew ? "parsed" : "duplicate",
+        failureReason: null,
+      };
+    });
+
+    await ListUploadRecord.bulkCreate(batchRecords, { ignoreDuplicates: true });
+  }
+
+  /**
+   * Pushes the batch's progress to its owner's sockets.
+   */
+  reportProgress(batch) {
+    emitToUser(batch.userId, PROGRESS_EVENT, {
+      batchId: batch.id,
+      status: batch.status,
+      progress: batch.progress,
+      processedRecords: batch.processedRecords,
+      validRecords: batch.validRecords,
+      duplicateRecords: batch.duplicateRecords,
+      errorReason: batch.errorReason,
+    });
+  }
+}
+
+export const listIngestionService = new ListIngestionService();
+export default listIngestionService;
@@ -0,0 +1,409 @@
+import axios from "axios";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { ReplyIntent } from "../enums/reply-intent.enum.js";
+
+dayjs.extend(utc);
+
+const MODEL_TIMEOUT_MS = 5000;
+
+// Rules at or above this confidence skip the model hook
+const MODEL_SKIP_CONFIDENCE = 0.9;
+
+// Return dates further out than this are treated as parse noise
+const MAX_RETURN_DAYS = 120;
+
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/* =========================
+   DEFAULT RULES
+   Lower priority runs first; the first matching rule wins.
+========================= */
+const DEFAULT_RULES = [
+  {
+    name: "bounce",
+    intent: ReplyIntent.BOUNCE,
+    priority: 10,
+    confidence: 0.95,
+    from: [/^(mailer-daemon|postmaster)@/i],
+    subject: [
+      /undeliver(able|ed)/i,
+      /delivery (status notification|has failed|failure)/i,
+      /mail delivery (failed|failure|subsystem)/i,
+      /returned mail/i,
+      /failure notice/i,
+    ],
+    body: [
+      /\b55[0-4][ -]5\.\d\.\d+/,
+      /\b(address|recipient|mailbox|user) (not found|unknown|does not exist)\b/i,
+      /\bno such (user|mailbox)\b/i,
+      /\b(couldn't|could not|wasn't|was not) be(en)? delivered\b/i,
+    ],
+  },
+  {
+    name: "unsubscribe",
+    intent: ReplyIntent.UNSUBSCRIBE,
+    priority: 20,
+    confidence: 0.9,
+    subject: [/\bunsubscribe\b/i, /^\s*stop\s*$/i],
+    body: [
+      /\bunsubscribe\b/i,
+      /\b(remove|take) me (off|from)\b/i,
+      /\bstop (emailing|contacting|sending|messaging)\b/i,
+      /\bopt(ed)?[- ]?out\b/i,
+      /\b(do not|don'?t) (contact|email|e-mail) me\b/i,
+      /^\s*stop\s*$/im,
+    ],
+  },
+  {
+    name: "out_of_office",
+    intent: ReplyIntent.OUT_OF_OFFICE,
+    priority: 30,
+    confidence: 0.9,
+    subject: [/\bout of (the )?office\b/i, /\bOOO\b/, /^automatic reply\b/i],
+    body: [
+      /\bout of (the )?office\b/i,
+      /\bOOO\b/,
+      /\bon (annual |parental |maternity |paternity |sick )?leave\b/i,
+      /\b(on|currently on) (vacation|holiday|holidays)\b/i,
+      /\blimited access to (my )?e-?mail\b/i,
+      /\baway from (the office|my desk)\b/i,
+      /\breturn(ing)? to the office\b/i,
+    ],
+  },
+  {
+    name: "auto_reply",
+    intent: ReplyIntent.AUTO_REPLY,
+    priority: 40,
+    confidence: 0.85,
+    headers: (h) =>
+      (h["auto-submitted"] && !/^no$/i.test(h["auto-submitted"])) ||
+      !!h["x-autoreply"] ||
+      !!h["x-autorespond"] ||
+      /auto_reply/i.test(h["precedence"] || ""),
+    subject: [/^auto(matic)?[- ]?(response|reply)\b/i],
+    body: [
+      /\bthis is an automated (message|response|reply)\b/i,
+      /\bwe have received your (message|email|e-mail|request)\b/i,
+      /\bticket (#|number|id)\b/i,
+      /\bplease do not reply to this (email|message)\b/i,
+    ],
+  },
+  {
+    name: "wrong_person",
+    intent: ReplyIntent.WRONG_PERSON,
+    priority: 50,
+    confidence: 0.75,
+    body: [
+      /\bwrong (person|contact|email|address)\b/i,
+      /\bno longer (works?|with|at|employed)\b/i,
+      /\b(has|have) left the (company|organi[sz]ation|firm)\b/i,
+      /\bnot the (right|correct|best) (person|contact)\b/i,
+      /\bI'?m not (the person|responsible for)\b/i,
+      /\byou (should|may want to|might want to) (contact|reach out to|speak (to|with))\b/i,
+    ],
+  },
+  {
+    name: "not_interested",
+    intent: ReplyIntent.NOT_INTERESTED,
+    priority: 60,
+    confidence: 0.75,
+    body: [
+      /\bnot interested\b/i,
+      /\bno,? thanks?\b/i,
+      /\bno thank you\b/i,
+      /\bnot (a good fit|a fit|a priority)\b/i,
+      /\bwe('re| are) (all set|covered)\b/i,
+      /\bnot (looking|in the market)\b/i,
+      /\bplease don'?t follow up\b/i,
+    ],
+  },
+  {
+    name: "interested",
+    intent: ReplyIntent.INTERESTED,
+    priority: 70,
+    confidence: 0.7,
+    body: [
+      /\binterested\b/i,
+      /\b(let'?s|happy to|love to|like to|open to) (chat|talk|connect|meet|hop on|jump on|schedule)\b/i,
+      /\b(book|schedule|set up) (a )?(call|meeting|time|demo)\b/i,
+      /\bsend (me |over )?(more )?(info|information|details|pricing)\b/i,
+      /\bwhat('s| is| are) (your |the )?(pricing|price|cost)\b/i,
+      /\bsounds (good|great|interesting)\b/i,
+      /\b(when|what time) (are you|works for you)\b/i,
+      /calendly\.com/i,
+    ],
+  },
+];
+
+/**
+ * Classifies reply intent with keyword rules and an optional model hook.
+ * - Quoted history (our own email, including its unsubscribe footer) is
+ *   stripped before matching
+ * - Rules run in priority order, the first match wins
+ * - A model registered via setModel() (or REPLY_CLASSIFIER_MODEL_URL for a
+ *   local HTTP model) is consulted when no rule is confident enough
+ */
+class ReplyClassifier {
+  constructor() {
+    this.rules = [];
+    this.model = null;
+    DEFAULT_RULES.forEach((rule) => this.registerRule(rule));
+  }
+
+  /* =========================
+     EXTENSION POINTS
+  ========================= */
+
+  /**
+   * Adds a rule. Matchers are optional; any hit matches the rule.
+   * @param {Object} rule - { name, intent, priority, confidence, from, subject, body, headers }
+   */
+  registerRule(rule) {
+    if (!Object.values(ReplyIntent).includes(rule.intent)) {
+      throw new Error(`Unknown reply intent "${rule.intent}"`);
+    }
+
+    this.rules = this.rules
+      .filter((r) => r.name !== rule.name)
+      .concat({ priority: 50, confidence: 0.7, ...rule })
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Registers a model: async ({ from, subject, text, headers }) =>
+   * { intent, confidence } | null
+   */
+  setModel(fn) {
+    this.model = fn;
+  }
+
+  /* =========================
+     PUBLIC API
+  ========================= */
+
+  /**
+   * @param {Object} reply - { from, subject, body, headers, receivedAt }
+   * @returns {Promise<{ intent: string, confidence: number, source: string, rule: string|null, returnDate: Date|null }>}
+   */
+  async classify(reply = {}) {
+    const input = {
+      from: (reply.from || "").toLowerCase(),
+      subject: reply.subject || "",
+      text: this.cleanBody(reply.body || ""),
+      headers: this._normalizeHeaders(reply.headers),
+    };
+
+    let result = this._applyRules(input);
+
+    if (!result || result.confidence < MODEL_SKIP_CONFIDENCE) {
+      const predicted = await this._runModel(input);
+      if (predicted && (!result || predicted.confidence > result.confidence)) {
+        result = predicted;
+      }
+    }
+
+    result ||= {
+      intent: ReplyIntent.UNKNOWN,
+      confidence: 0,
+      source: "default",
+      rule: null,
+    };
+
+    result.returnDate =
+      result.intent === ReplyIntent.OUT_OF_OFFICE
+        ? this.extractReturnDate(`${input.subject}\n${input.text}`, reply.receivedAt)
+        : null;
+
+    return result;
+  }
+
+  /**
+   * Plain-text reply without quoted history or HTML.
+   */
+  cleanBody(body) {
+    let text = String(body);
+
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+      text = text
+        .replace(/<(style|script|blockquote)[\s\S]*?<\/\1>/gi, "")
+        .replace(/<(br|\/p|\/div|hr)[^>]*>/gi, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/gi, " ")
+        .replace(/&amp;/gi, "&")
+        .replace(/&lt;/gi, "<")
+        .replace(/&gt;/gi, ">")
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, "'");
+    }
+
+    // Cut at the first reply / forward separator
+    const separators = [
+      /^On\s[\s\S]{0,200}?wrote:/m,
+      /^-{2,}\s*Original Message\s*-{2,}/im,
+      /^_{10,}/m,
+      /^From:\s.+$/m,
+    ];
+    for (const sep of separators) {
+      const match = sep.exec(text);
+      if (match) text = text.slice(0, match.index);
+    }
+
+    return text
+      .split("\n")
+      .filter((line) => !line.trim().startsWith(">"))
+      .join("\n")
+      .trim();
+  }
+
+  /**
+   * Finds the return date in an out-of-office message ("back on March 10",
+   * "until 12/03", "returning Monday"). Dates without a year roll forward.
+   * @returns {Date|null} start of the return day (UTC)
+   */
+  extractReturnDate(text, receivedAt = new Date()) {
+    const base = dayjs.utc(receivedAt || new Date());
+    const cue =
+      /\b(back|return(?:ing|s)?|in the office|available|until|till|through|thru|resum\w*)\b([^\n!?]{0,60})/gi;
+
+    for (const match of String(text).matchAll(cue)) {
+      const date = this._parseDate(match[2], base);
+      if (
+        date &&
+        date.isAfter(base.startOf("day")) &&
+        date.diff(base, "day") <= MAX_RETURN_DAYS
+      ) {
+        return date.toDate();
+      }
+    }
+
+    return null;
+  }
+
+  /* =========================
+     INTERNALS
+  ========================= */
+
+  _normalizeHeaders(headers = {}) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+      normalized[key.toLowerCase()] = String(value?.value ?? value ?? "");
+    }
+    return normalized;
+  }
+
+  _applyRules(input) {
+    for (const rule of this.rules) {
+      const hit =
+        (rule.headers && rule.headers(input.headers)) ||
+        (rule.from || []).some((re) => re.test(input.from)) ||
+        (rule.subject || []).some((re) => re.test(input.subject)) ||
+        (rule.body || []).some((re) => re.test(input.text));
+
+      if (hit) {
+        return {
+          intent: rule.intent,
+          confidence: rule.confidence,
+          source: "rule",
+          rule: rule.name,
+        };
+      }
+    }
+    return null;
+  }
+
+  async _runModel(input) {
+    const url = process.env.REPLY_CLASSIFIER_MODEL_URL;
+    const model =
+      this.model ||
+      (url
+        ? async (payload) =>
+            (await axios.post(url, payload, { timeout: MODEL_TIMEOUT_MS })).data
+        : null);
+
+    if (!model) return null;
+
+    try {
+      const predicted = await model(input);
+      if (!Object.values(ReplyIntent).includes(predicted?.intent)) return null;
+
+      return {
+        intent: predicted.intent,
+        confidence: Math.max(0, Math.min(1, Number(predicted.confidence) || 0)),
+        source: "model",
+        rule: null,
+      };
+    } catch (err) {
+      console.warn("⚠️ Reply classifier model failed:", err.message);
+      return null;
+    }
+  }
+
+  _parseDate(segment, base) {
+    if (/\btomorrow\b/i.test(segment)) {
+      return base.add(1, "day").startOf("day");
+    }
+
+    let m = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/.exec(segment);
+    if (m) return this._buildDate(base, +m[2] - 1, +m[3], +m[1]);
+
+    m = /\b(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2,4}))?\b/.exec(segment);
+    if (m) {
+      // Ambiguous numeric dates read as month/day unless that is impossible
+      const [a, b] = [+m[1], +m[2]];
+      const [month, day] = a > 12 ? [b, a] : [a, b];
+      const year = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : null;
+      return this._buildDate(base, month - 1, day, year);
+    }
+
+    m = new RegExp(
+      `\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`,
+      "i",
+    ).exec(segment);
+    if (m) {
+      return this._buildDate(base, this._month(m[1]), +m[2], m[3] ? +m[3] : null);
+    }
+
+    m = new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b\\.?(?:,?\\s+(\\d{4}))?`,
+      "i",
+    ).exec(segment);
+    if (m) {
+      return this._buildDate(base, this._month(m[2]), +m[1], m[3] ? +m[3] : null);
+    }
+
+    m = /\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/i.exec(segment);
+    if (m) {
+      const target = WEEKDAYS.indexOf(m[1].toLowerCase());
+      const ahead = (target - base.day() + 7) % 7 || 7;
+      return base.add(ahead, "day").startOf("day");
+    }
+
+    return null;
+  }
+
+  _month(name) {
+    return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  }
+
+  _buildDate(base, month, day, year) {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+    let date = dayjs.utc(Date.UTC(year ?? base.year(), month, day));
+    if (date.date() !== day) return null;
+
+    // "back on March 3" received in December means next year
+    if (!year && date.isBefore(base.startOf("day"))) {
+      date = date.add(1, "year");
+    }
+
+    return date;
+  }
+}
+
+export const replyClassifier = new ReplyClassifier();
+export default replyClassifier;
@@ -0,0 +1,111 @@
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import { Contact, Segment } from "../models/index.js";
+import { contactService } from "./contact.service.js";
+import AppError from "../utils/app-error.js";
+import {
+  validateSegmentFilter,
+  compileSegmentFilter,
+} from "../utils/segment-filter.js";
+
+class SegmentService {
+  /**
+   * Problems with a filter for this workspace (empty when valid).
+   * @returns {Promise<string[]>}
+   */
+  async validate(workspaceId, filter) {
+    const fields = await contactService.getFields(workspaceId);
+    return validateSegmentFilter(filter, fields);
+  }
+
+  /**
+   * Contact where-clause for one or more filters (OR-ed). Saved filters
+   * are re-validated: a custom field they use may have been deleted since.
+   * @param {string[]} [labels] - names for the filters in error messages
+   * @throws {AppError} 400 naming the stale rule
+   */
+  async buildWhere(workspaceId, filters, labels = []) {
+    const fields = await contactService.getFields(workspaceId);
+
+    filters.forEach((filter, i) => {
+      const errors = validateSegmentFilter(filter, fields);
+      if (errors.length) {
+        const subject = labels[i] ? `Segment "${labels[i]}"` : "Filter";
+        throw new AppError(`${subject} is no longer valid: ${errors.join("; ")}`, 400);
+      }
+    });
+
+    const conditions = filters.map((filter) =>
+      sequelize.literal(compileSegmentFilter(filter, { workspaceId, fields })),
+    );
+
+    return {
+      workspaceId,
+      [Op.and]: [conditions.length > 1 ? { [Op.or]: conditions } : conditions[0]],
+    };
+  }
+
+  async count(workspaceId, filter) {
+    return Contact.count({ where: await this.buildWhere(workspaceId, [filter]) });
+  }
+
+  /**
+   * Counts a saved segment and records the result on it.
+   */
+  async refreshCount(segment) {
+    const count = await Contact.count({
+      where: await this.buildWhere(segment.workspaceId, [segment.filter], [segment.name]),
+    });
+    await segment.update({ lastCount: count, lastCountedAt: new Date() });
+    return count;
+  }
+
+  async findContacts(workspaceId, filter, { limit = 50, offset = 0, label } = {}) {
+    return Contact.findAndCountAll({
+      where: await this.buildWhere(workspaceId, [filter], [label]),
+      order: [["createdAt", "DESC"]],
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * Workspace segments by id, in the given order. Missing ids are left out.
+   */
+  async findByIds(workspaceId, segmentIds) {
+    const segments = await Segment.findAll({
+      where: { workspaceId, id: { [Op.in]: segmentIds } },
+    });
+    const byId = new Map(segments.map((s) => [s.id, s]));
+    return segmentIds.map((id) => byId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Current members of the union of segments, for campaign activation.
+   * Contacts skip the list-upload verification step, so addresses the
+   * registry knows to be invalid are left out here.
+   */
+  async resolveContacts(workspaceId, segments) {
+    if (!segments.length) return [];
+
+    const where = await this.buildWhere(
+      workspaceId,
+      segments.map((s) => s.filter),
+      segments.map((s) => s.name),
+    );
+    where[Op.and].push(
+      sequelize.literal(
+        `NOT EXISTS (SELECT 1 FROM global_email_registry r WHERE r."normalizedEmail" = "Contact"."email" AND r."verificationStatus" = 'invalid')`,
+      ),
+    );
+
+    return Contact.findAll({
+      where,
+      attributes: ["id", "email", "name", "customFields"],
+      order: [["createdAt", "ASC"]],
+    });
+  }
+}
+
+export const segmentService = new SegmentService();
+export default segmentService;
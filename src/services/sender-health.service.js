@@ -5,7 +5,13 @@ import {
   SmtpSender,
   Email,
   BounceEvent,
+  DkimKey,
 } from "../models/index.js";
+import { webhookService } from "./webhook.service.js";
+
+// The router and sender block below 40 and throttle below 60
+const CRITICAL_SCORE = 40;
+const WARNING_SCORE = 60;
 
 class SenderHealthService {
   async evaluateSender(senderId) {
@@ -16,9 +22,15 @@ class SenderHealthService {
 
     const spf = await this.checkSPF(domain);
 
-    // Discover DKIM selector if not provided
+    // Platform-managed key first, then the sender's own selector, then discovery
+    const platformKey = await DkimKey.findOne({
+      where: { userId: sender.userId, domain: domain.toLowerCase(), status: "verified" },
+    });
+
     let dkimResult = { valid: false };
-    if (sender.dkimSelector) {
+    if (platformKey) {
+      dkimResult = await this.checkDKIM(domain, platformKey.selector);
+    } else if (sender.dkimSelector) {
       dkimResult = await this.checkDKIM(domain, sender.dkimSelector);
     } else {
       const discoveredDkim = await this.getDkimForDomain(domain);
@@ -71,6 +83,12 @@ class SenderHealthService {
       behavior,
     });
 
+    const healthStatus = this.classifyHealth(score, blacklist.blacklisted);
+    const previous = await SenderHealth.findOne({
+      where: { senderId },
+      attributes: ["healthStatus"],
+    });
+
     await SenderHealth.upsert({
       senderId,
       spfValid: spf.valid,
@@ -79,11 +97,28 @@ class SenderHealthService {
       ptrValid: ptrResult.valid,
       blacklisted: blacklist.blacklisted,
       reputationScore: score,
+      healthStatus,
       bounceRate: behavior.bounceRate,
       complaintRate: behavior.complaintRate,
       lastCheckedAt: new Date(),
     });
 
+    // Only on the transition, not on every hourly check while it stays critical
+    if (healthStatus === "critical" && previous?.healthStatus !== "critical") {
+      await webhookService.dispatch(sender.workspaceId, "sender.health_critical", {
+        senderId,
+        senderType: "smtp",
+        senderEmail: sender.email,
+        reputationScore: score,
+        blacklisted: blacklist.blacklisted,
+        bounceRate: behavior.bounceRate,
+        complaintRate: behavior.complaintRate,
+        spfValid: spf.valid,
+        dkimValid: dkimResult.valid,
+        ptrValid: ptrResult.valid,
+      });
+    }
+
     return score;
   }
 
@@ -212,30 +247,57 @@ class SenderHealthService {
       where: { senderId, sentAt: { [Op.gte]: last7Days } },
     });
 
-    const bounces = await BounceEvent.count({
-      include: [
-        {
-          model: Email,
-          as: "email",
-          where: { senderId },
-          required: true,
-        },
-      ],
-      where: { createdAt: { [Op.gte]: last7Days } },
-    });
-
-    const bounceRate = totalSent ? (bounces / totalSent) * 100 : 0;
+    const countEvents = (bounceType) =>
+      BounceEvent.count({
+        include: [
+          {
+            model: Email,
+            as: "email",
+            where: { senderId },
+            required: true,
+          },
+        ],
+        where: { bounceType, createdAt: { [Op.gte]: last7Days } },
+      });
+
+    // Spam complaints from ESP feedback loops are stored as BounceEvents
+    const bounces = await countEvents({ [Op.ne]: "complaint" });
+    const complaints = await countEvents("complaint");
 
     return {
-      bounceRate,
-      complaintRate: 0, // Expand later
+      bounceRate: totalSent ? (bounces / totalSent) * 100 : 0,
+      complaintRate: totalSent ? (complaints / totalSent) * 100 : 0,
     };
   }
 
+  /**
+   * Recomputes bounce/complaint rates without re-running the DNS checks.
+   * Used when ESP webhooks report events between full evaluations.
+   */
+  async refreshBehavioralMetrics(senderId) {
+    const behavior = await this.calculateBehavioralMetrics(senderId);
+
+    await SenderHealth.update(
+      {
+        bounceRate: behavior.bounceRate,
+        complaintRate: behavior.complaintRate,
+      },
+      { where: { senderId } },
+    );
+
+    return behavior;
+  }
+
   /* =========================
      REPUTATION SCORE
   ========================= */
 
+  classifyHealth(score, blacklisted) {
+    if (blacklisted || score < CRITICAL_SCORE) return "critical";
+    if (score < WARNING_SCORE) return "warning";
+    return "healthy";
+  }
+
   calculateReputationScore({ spf, dkim, dmarc, ptr, blacklist, behavior }) {
     let score = 0;
 
@@ -248,6 +310,9 @@ class SenderHealthService {
     if (behavior.bounceRate < 2) score += 10;
     else if (behavior.bounceRate > 5) score -= 20;
 
+    // Mailbox providers start filtering above ~0.3% complaints
+    if (behavior.complaintRate > 0.3) score -= 20;
+
     return Math.max(0, Math.min(score, 100));
   }
 }
@@ -0,0 +1,161 @@
+import { Op } from "sequelize";
+import { Suppression, GlobalEmailRegistry } from "../models/index.js";
+
+export const SUPPRESSION_REASONS = ["unsubscribe", "bounce", "complaint", "manual"];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+/**
+ * competitor.com also blocks mail.competitor.com, so a domain matches any
+ * of its parent domains (down to, but not including, the TLD).
+ */
+function domainCandidates(domain) {
+  const labels = domain.split(".");
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join("."));
+  }
+  return candidates;
+}
+
+// Global entries have neither; a userId alone is a row from before
+// workspaces that hasn't been moved into one yet
+export const GLOBAL_SCOPE = { workspaceId: null, userId: null };
+
+const scopeWhere = (workspaceId) =>
+  workspaceId ? { [Op.or]: [GLOBAL_SCOPE, { workspaceId }] } : GLOBAL_SCOPE;
+
+class SuppressionService {
+  /**
+   * Normalizes user input into a suppression target. Without an explicit
+   * type, "@acme.com" and "acme.com" are domains, anything with a local
+   * part is an address.
+   * @returns {{ type: "email"|"domain", value: string } | null}
+   */
+  parseValue(raw, type) {
+    let value = String(raw || "").trim().toLowerCase();
+    if (!value) return null;
+
+    if (!type) type = value.includes("@") && !value.startsWith("@") ? "email" : "domain";
+
+    if (type === "domain") {
+      value = value.replace(/^@/, "").replace(/\.$/, "");
+      return DOMAIN_REGEX.test(value) ? { type, value } : null;
+    }
+
+    return type === "email" && EMAIL_REGEX.test(value) ? { type, value } : null;
+  }
+
+  /**
+   * Adds an entry unless the same target is already suppressed in that
+   * scope. An existing entry keeps its original reason.
+   * @returns {Promise<{ suppression: Object, created: boolean }>}
+   */
+  async add({ workspaceId = null, value, type, reason = "manual", source = null, note = null, createdBy = null }) {
+    const target = this.parseValue(value, type);
+    if (!target) return { suppression: null, created: false };
+
+    const where = { workspaceId, userId: null, type: target.type, value: target.value };
+
+    // The unique index doesn't dedupe global rows (NULL workspaceId), so look first
+    const existing = await Suppression.findOne({ where });
+    if (existing) return { suppression: existing, created: false };
+
+    const suppression = await Suppression.create({
+      ...where,
+      reason: SUPPRESSION_REASONS.includes(reason) ? reason : "manual",
+      source,
+      note,
+      createdBy,
+    });
+
+    return { suppression, created: true };
+  }
+
+  /**
+   * Removes an entry. Lifting a global unsubscribe/complaint also clears the
+   * legacy GlobalEmailRegistry flag so the guards agree.
+   */
+  async remove(suppression) {
+    if (
+      this.isGlobal(suppression) &&
+      suppression.type === "email" &&
+      ["unsubscribe", "complaint"].includes(suppression.reason)
+    ) {
+      await GlobalEmailRegistry.update(
+        { unsubscribed: false, unsubscribedAt: null },
+        { where: { normalizedEmail: suppression.value } },
+      );
+    }
+
+    await suppression.destroy();
+  }
+
+  isGlobal(suppression) {
+    return !suppression.workspaceId && !suppression.userId;
+  }
+
+  /**
+   * First suppression (global or the workspace's own) matching the address
+   * or its domain, or null.
+   */
+  async findSuppression(email, workspaceId = null) {
+    const matches = await this.findSuppressions([email], workspaceId);
+    return matches.get(String(email).trim().toLowerCase()) || null;
+  }
+
+  /**
+   * Batch variant for the scheduler.
+   * @param {string[]} emails
+   * @param {string|null} workspaceId
+   * @returns {Promise<Map<string, Object>>} lowercased address → entry
+   */
+  async findSuppressions(emails, workspaceId = null) {
+    const addresses = [
+      ...new Set(emails.filter(Boolean).map((e) => e.trim().toLowerCase())),
+    ];
+    const matches = new Map();
+    if (!addresses.length) return matches;
+
+    const domains = new Set();
+    for (const address of addresses) {
+      const domain = address.split("@")[1];
+      if (domain) domainCandidates(domain).forEach((d) => domains.add(d));
+    }
+
+    const entries = await Suppression.findAll({
+      where: {
+        ...scopeWhere(workspaceId),
+        [Op.and]: [
+          {
+            [Op.or]: [
+              { type: "email", value: { [Op.in]: addresses } },
+              { type: "domain", value: { [Op.in]: [...domains] } },
+            ],
+          },
+        ],
+      },
+    });
+    if (!entries.length) return matches;
+
+    const byEmail = new Map();
+    const byDomain = new Map();
+    for (const entry of entries) {
+      (entry.type === "email" ? byEmail : byDomain).set(entry.value, entry);
+    }
+
+    for (const address of addresses) {
+      const domain = address.split("@")[1] || "";
+      const entry =
+        byEmail.get(address) ||
+        domainCandidates(domain).map((d) => byDomain.get(d)).find(Boolean);
+      if (entry) matches.set(address, entry);
+    }
+
+    return matches;
+  }
+}
+
+export const suppressionService = new SuppressionService();
+export default suppressionService;
@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import dns from "dns/promises";
+import { Op } from "sequelize";
+import { TrackingDomain } from "../models/index.js";
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+// TXT ownership challenge: <CHALLENGE_LABEL>.<domain> = "unibox-verification=<token>"
+const CHALLENGE_LABEL = "_unibox-verification";
+
+// Verified hosts seen by the tracking routes, refreshed this often
+const HOST_CACHE_TTL_MS = 60 * 1000;
+
+const defaultBaseUrl = () => process.env.APP_URL || "http://localhost:8080";
+
+class TrackingDomainService {
+  constructor() {
+    this.hosts = new Map(); // host → { verified, expiresAt }
+  }
+
+  /**
+   * Host customers point their CNAME at: TRACKING_CNAME_TARGET, else the
+   * APP_URL host.
+   */
+  get cnameTarget() {
+    return (
+      process.env.TRACKING_CNAME_TARGET || new URL(defaultBaseUrl()).hostname
+    ).toLowerCase();
+  }
+
+  normalizeDomain(raw) {
+    const domain = String(raw || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "")
+      .replace(/[/:].*$/, "")
+      .replace(/\.$/, "");
+    return DOMAIN_REGEX.test(domain) ? domain : null;
+  }
+
+  createVerificationToken() {
+    return crypto.randomBytes(16).toString("hex");
+  }
+
+  /**
+   * TXT record proving the registrant controls the domain. A TXT can't sit
+   * next to the CNAME, so it goes on a dedicated label.
+   */
+  challenge(trackingDomain) {
+    return {
+      type: "TXT",
+      name: `${CHALLENGE_LABEL}.${trackingDomain.domain}`,
+      value: `unibox-verification=${trackingDomain.verificationToken}`,
+    };
+  }
+
+  async checkCname(domain) {
+    const target = this.cnameTarget;
+    try {
+      const records = await dns.resolveCname(domain);
+      const names = records.map((r) => r.toLowerCase().replace(/\.$/, ""));
+      return names.includes(target)
+        ? null
+        : `CNAME points to ${names.join(", ") || "nothing"}, expected ${target}`;
+    } catch (err) {
+      return err.code === "ENODATA" || err.code === "ENOTFOUND"
+        ? `No CNAME record found for ${domain}`
+        : `DNS lookup failed: ${err.code || err.message}`;
+    }
+  }
+
+  async checkChallenge(trackingDomain) {
+    const { name, value } = this.challenge(trackingDomain);
+    try {
+      const records = await dns.resolveTxt(name);
+      return records.some((chunks) => chunks.join("") === value)
+        ? null
+        : `TXT record at ${name} doesn't contain ${value}`;
+    } catch (err) {
+      return err.code === "ENODATA" || err.code === "ENOTFOUND"
+        ? `No TXT record found at ${name}`
+        : `DNS lookup failed: ${err.code || err.message}`;
+    }
+  }
+
+  /**
+   * Checks the CNAME and the ownership TXT record and stores the outcome
+   * on the row. Rows registered before challenges existed get a token on
+   * their first check.
+   * @returns {Promise<Object>} the updated TrackingDomain
+   */
+  async verify(trackingDomain) {
+    if (!trackingDomain.verificationToken) {
+      await trackingDomain.update({ verificationToken: this.createVerificationToken() });
+    }
+
+    const lastError =
+      (await this.checkCname(trackingDomain.domain)) ||
+      (await this.checkChallenge(trackingDomain));
+    const status = lastError ? "failed" : "verified";
+
+    await trackingDomain.update({
+      status,
+      lastError,
+      lastCheckedAt: new Date(),
+      verifiedAt: status === "verified" ? trackingDomain.verifiedAt || new Date() : null,
+    });
+
+    this.hosts.delete(trackingDomain.domain);
+    return trackingDomain;
+  }
+
+  /**
+   * Tracking base URL for a send: the sender's own verified domain, else
+   * the workspace's default one, else APP_URL.
+   */
+  async resolveBaseUrl({ workspaceId, senderId, senderType }) {
+    if (!workspaceId) return defaultBaseUrl();
+
+    const domains = await TrackingDomain.findAll({
+      where: {
+        workspaceId,
+        status: "verified",
+        [Op.or]: [{ senderId: null }, ...(senderId ? [{ senderId, senderType }] : [])],
+      },
+      order: [["createdAt", "ASC"]],
+    });
+
+    const match =
+      domains.find((d) => senderId && d.senderId === senderId) ||
+      domains.find((d) => !d.senderId);
+
+    if (!match) return defaultBaseUrl();
+
+    const protocol = process.env.TRACKING_DOMAIN_PROTOCOL || "https";
+    return `${protocol}://${match.domain}`;
+  }
+
+  /**
+   * Whether `host` is a verified custom tracking domain (cached briefly,
+   * this runs on every tracking hit).
+   */
+  async isTrackingHost(host) {
+    const domain = String(host || "").toLowerCase().replace(/:\d+$/, "");
+    if (!domain) return false;
+
+    const cached = this.hosts.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached.verified;
+
+    const verified = !!(await TrackingDomain.count({
+      where: { domain, status: "verified" },
+    }));
+    this.hosts.set(domain, { verified, expiresAt: Date.now() + HOST_CACHE_TTL_MS });
+    return verified;
+  }
+
+  forget(domain) {
+    this.hosts.delete(domain);
+  }
+}
+
+export const trackingDomainService = new TrackingDomainService();
+export default trackingDomainService;
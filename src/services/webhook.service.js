@@ -0,0 +1,222 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import axios from "axios";
+import { Campaign, WebhookEndpoint, WebhookDelivery } from "../models/index.js";
+import { getChannel } from "../queues/rabbit.js";
+import { QUEUES } from "../queues/queues.js";
+import { assertPublicHost, publicLookup } from "../utils/public-address.js";
+
+export const WEBHOOK_EVENTS = [
+  "reply.received",
+  "email.bounced",
+  "recipient.unsubscribed",
+  "campaign.completed",
+  "sender.health_critical",
+];
+
+export const TEST_EVENT = "webhook.test";
+
+// Attempt n+1 runs RETRY_BASE_MS * 4^(n-1) after attempt n fails:
+// 30s, 2m, 8m, 32m, ~2h
+export const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30_000;
+
+const REQUEST_TIMEOUT_MS = 10_000;
+const RESPONSE_BODY_LIMIT = 1000;
+// Larger responses are abandoned rather than buffered
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Refuse private addresses at connect time, whatever the name resolves to now
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+export const retryDelayMs = (attempt) => RETRY_BASE_MS * 4 ** (attempt - 1);
+
+export const retryQueueName = (attempt) => `${QUEUES.WEBHOOK_DELIVER}.retry.${attempt}`;
+
+const assertedChannels = new WeakSet();
+
+/**
+ * Declares the delivery queue and one delay queue per retry. Delay queues
+ * have no consumer: messages expire after their TTL and are dead-lettered
+ * back onto the delivery queue.
+ */
+export async function assertWebhookQueues(channel) {
+  if (assertedChannels.has(channel)) return;
+
+  await channel.assertQueue(QUEUES.WEBHOOK_DELIVER, { durable: true });
+
+  for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+    await channel.assertQueue(retryQueueName(attempt), {
+      durable: true,
+      arguments: {
+        "x-message-ttl": retryDelayMs(attempt),
+        "x-dead-letter-exchange": "",
+        "x-dead-letter-routing-key": QUEUES.WEBHOOK_DELIVER,
+      },
+    });
+  }
+  assertedChannels.add(channel);
+}
+
+class WebhookService {
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * X-Unibox-Signature value: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+   * "<t>.<raw body>" keyed with the endpoint secret>.
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Queues `event` for every active endpoint of the workspace subscribed to
+   * it. Never throws: a webhook problem must not fail the caller.
+   */
+  async dispatch(workspaceId, event, data) {
+    if (!workspaceId) return;
+
+    try {
+      const endpoints = await WebhookEndpoint.findAll({
+        where: { workspaceId, isActive: true },
+      });
+
+      for (const endpoint of endpoints) {
+        if (!endpoint.events.includes(event)) continue;
+        await this.createDelivery(endpoint, event, data);
+      }
+    } catch (err) {
+      console.error(`Webhook dispatch failed for '${event}':`, err.message);
+    }
+  }
+
+  /**
+   * dispatch() for events that belong to a campaign's workspace.
+   */
+  async dispatchForCampaign(campaignId, event, data) {
+    if (!campaignId) return;
+
+    try {
+      const campaign = await Campaign.findByPk(campaignId, {
+        attributes: ["id", "workspaceId"],
+      });
+      if (campaign) await this.dispatch(campaign.workspaceId, event, data);
+    } catch (err) {
+      console.error(`Webhook dispatch failed for '${event}':`, err.message);
+    }
+  }
+
+  /**
+   * Common `data` fields for events about a sent Email.
+   */
+  emailData(email) {
+    return {
+      emailId: email.id,
+      campaignId: email.campaignId,
+      recipientId: email.recipientId,
+      recipientEmail: email.recipientEmail,
+      senderId: email.senderId,
+      senderType: email.senderType,
+    };
+  }
+
+  /**
+   * Queues a sample event for one endpoint, whatever its subscriptions.
+   */
+  async sendTest(endpoint) {
+    return this.createDelivery(endpoint, TEST_EVENT, {
+      message: "This is a test event from Unibox.",
+    });
+  }
+
+  async createDelivery(endpoint, event, data) {
+    const delivery = await WebhookDelivery.create({
+      endpointId: endpoint.id,
+      event,
+      payload: {
+        id: crypto.randomUUID(),
+        type: event,
+        createdAt: new Date().toISOString(),
+        workspaceId: endpoint.workspaceId,
+        data,
+      },
+    });
+
+    await this.enqueue(delivery.id);
+    return delivery;
+  }
+
+  async enqueue(deliveryId) {
+    const channel = await getChannel();
+    await assertWebhookQueues(channel);
+
+    channel.sendToQueue(
+      QUEUES.WEBHOOK_DELIVER,
+      Buffer.from(JSON.stringify({ deliveryId })),
+      { persistent: true, contentType: "application/json" },
+    );
+  }
+
+  /**
+   * POSTs the delivery's payload to the endpoint once. 2xx is success;
+   * redirects are not followed and private addresses are refused.
+   * @returns {Promise<{ ok: boolean, status: number|null, body: string|null, error: string|null, durationMs: number }>}
+   */
+  async deliver(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      // IP literals never go through the agents' lookup
+      assertPublicHost(new URL(endpoint.url));
+
+      const res = await axios.post(endpoint.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Unibox-Webhooks/1.0",
+          "X-Unibox-Event": delivery.event,
+          "X-Unibox-Delivery": delivery.id,
+          "X-Unibox-Signature": this.sign(endpoint.secret, timestamp, body),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength: MAX_RESPONSE_BYTES,
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        responseType: "text",
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+      });
+
+      const ok = res.status >= 200 && res.status < 300;
+      return {
+        ok,
+        status: res.status,
+        body: typeof res.data === "string" ? res.data.slice(0, RESPONSE_BODY_LIMIT) : null,
+        error: ok ? null : `HTTP ${res.status}`,
+        durationMs: Date.now() - startedAt,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        status: null,
+        body: null,
+        error: err.code ? `${err.code}: ${err.message}` : err.message,
+        durationMs: Date.now() - startedAt,
+      };
+    }
+  }
+}
+
+export const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import {
+  Workspace,
+  WorkspaceMember,
+  WorkspaceInvitation,
+  Campaign,
+  GmailSender,
+  OutlookSender,
+  SmtpSender,
+  ListUploadBatch,
+} from "../models/index.js";
+import EmailTemplate from "../models/email-template.model.js";
+import { sendEmail } from "../utils/send-email.js";
+
+// owner > admin > member > viewer
+const ROLE_RANK = { viewer: 0, member: 1, admin: 2, owner: 3 };
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Resources that used to belong to a single user
+export const SCOPED_MODELS = [
+  Campaign,
+  GmailSender,
+  OutlookSender,
+  SmtpSender,
+  ListUploadBatch,
+  EmailTemplate,
+];
+
+export const hasRole = (role, minimum) =>
+  ROLE_RANK[role] !== undefined && ROLE_RANK[role] >= ROLE_RANK[minimum];
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+class WorkspaceService {
+  /**
+   * The user's personal workspace, created on first use. Runs on every
+   * request, so concurrent first requests must converge on one row: the
+   * unique (ownerId) WHERE isPersonal index makes findOrCreate re-read the
+   * winner's row instead of inserting a second one.
+   */
+  async ensurePersonalWorkspace(user) {
+    const existing = await Workspace.findOne({
+      where: { ownerId: user.id, isPersonal: true },
+    });
+    if (existing) return existing;
+
+    const [workspace] = await Workspace.findOrCreate({
+      where: { ownerId: user.id, isPersonal: true },
+      defaults: { name: `${user.name}'s workspace` },
+    });
+    await WorkspaceMember.findOrCreate({
+      where: { workspaceId: workspace.id, userId: user.id },
+      defaults: { role: "owner" },
+    });
+
+    return workspace;
+  }
+
+  /**
+   * Moves resources a user created before workspaces existed into a
+   * workspace. One-off, run by scripts/backfill-workspaces.js.
+   * @returns {Promise<number>} rows moved
+   */
+  async adoptLegacyResources(userId, workspaceId, { transaction } = {}) {
+    let moved = 0;
+    for (const model of SCOPED_MODELS) {
+      const [count] = await model.update(
+        { workspaceId },
+        { where: { userId, workspaceId: null }, transaction },
+      );
+      moved += count;
+    }
+    return moved;
+  }
+
+  /**
+   * Workspace the request acts in: the requested one (X-Workspace-Id) when
+   * the user belongs to it, else their personal workspace.
+   * @returns {Promise<{ workspace: Object, role: string } | null>} null when
+   *   the user is not a member of the requested workspace
+   */
+  async resolve(user, requestedId = null) {
+    if (requestedId) {
+      const membership = await WorkspaceMember.findOne({
+        where: { workspaceId: requestedId, userId: user.id },
+        include: [{ model: Workspace }],
+      });
+      return membership
+        ? { workspace: membership.Workspace, role: membership.role }
+        : null;
+    }
+
+    const workspace = await this.ensurePersonalWorkspace(user);
+    return { workspace, role: "owner" };
+  }
+
+  async listForUser(userId) {
+    const memberships = await WorkspaceMember.findAll({
+      where: { userId },
+      include: [{ model: Workspace }],
+      order: [["createdAt", "ASC"]],
+    });
+
+    return memberships.map((m) => ({
+      id: m.Workspace.id,
+      name: m.Workspace.name,
+      isPersonal: m.Workspace.isPersonal,
+      role: m.role,
+    }));
+  }
+
+  async create(user, name) {
+    const workspace = await Workspace.create({ name, ownerId: user.id });
+    await WorkspaceMember.create({
+      workspaceId: workspace.id,
+      userId: user.id,
+      role: "owner",
+    });
+    return workspace;
+  }
+
+  async isEmpty(workspaceId) {
+    const counts = await Promise.all(
+      SCOPED_MODELS.map((model) => model.count({ where: { workspaceId } })),
+    );
+    return counts.every((c) => c === 0);
+  }
+
+  /* =========================
+     INVITATIONS
+  ========================= */
+
+  /**
+   * Creates an invitation (replacing any pending one for the address) and
+   * mails the accept link.
+   */
+  async invite(workspace, { email, role }, inviter) {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await WorkspaceInvitation.update(
+      { status: "revoked" },
+      { where: { workspaceId: workspace.id, email, status: "pending" } },
+    );
+
+    const invitation = await WorkspaceInvitation.create({
+      workspaceId: workspace.id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: inviter.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    });
+
+    const acceptUrl = `${process.env.FRONTEND_URL}/invitations/${token}`;
+    // Both names are user input, mailed to arbitrary addresses
+    const workspaceName = escapeHtml(workspace.name);
+    const inviterName = escapeHtml(inviter.name);
+
+    await sendEmail({
+      to: email,
+      subject: `${inviter.name} invited you to ${workspace.name} - Unibox`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Join ${workspaceName}</h2>
+        <p>${inviterName} invited you to the <strong>${workspaceName}</strong> workspace as ${role}.</p>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${acceptUrl}" style="background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Accept invitation</a>
+        </div>
+
+        <p>This invitation is valid for 7 days.</p>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;" />
+
+        <p style="color: #6b7280; font-size: 12px;">
+          © ${new Date().getFullYear()} Unibox. All rights reserved.
+        </p>
+      </div>
+    `,
+    });
+
+    return invitation;
+  }
+
+  async findPendingInvitation(token) {
+    const invitation = await WorkspaceInvitation.findOne({
+      where: { tokenHash: hashToken(String(token)), status: "pending" },
+      include: [{ model: Workspace }],
+    });
+
+    if (!invitation || invitation.expiresAt < new Date()) return null;
+    return invitation;
+  }
+
+  /**
+   * Adds the user to the invitation's workspace. An existing membership is
+   * kept as is.
+   */
+  async acceptInvitation(invitation, user) {
+    const [membership] = await WorkspaceMember.findOrCreate({
+      where: { workspaceId: invitation.workspaceId, userId: user.id },
+      defaults: { role: invitation.role },
+    });
+
+    await invitation.update({ status: "accepted", acceptedAt: new Date() });
+    return membership;
+  }
+}
+
+export const workspaceService = new WorkspaceService();
+export default workspaceService;
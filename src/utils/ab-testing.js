@@ -0,0 +1,218 @@
+import { Op } from "sequelize";
+import sequelize from "../config/db.js";
+import CampaignSend from "../models/campaign-send.model.js";
+import CampaignStep from "../models/campaign-step.model.js";
+
+/**
+ * A/B testing statistics for CampaignStep variants.
+ * Variant ids match what the orchestrator writes to CampaignSend.variantId:
+ * "default" for the step's own content, "variant_<i>" for step.variants[i].
+ */
+
+export const AB_METRICS = ["open", "click", "reply"];
+
+// Metric → counter returned by getVariantStats
+const METRIC_COUNTERS = {
+  open: "opens",
+  click: "clicks",
+  reply: "replies",
+};
+
+// Two-sided critical values for the confidence levels we allow
+const Z_CRITICAL = {
+  0.9: 1.645,
+  0.95: 1.96,
+  0.99: 2.576,
+};
+
+export const AB_CONFIDENCE_LEVELS = Object.keys(Z_CRITICAL).map(Number);
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation).
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z / Math.SQRT2));
+  const poly =
+    t *
+    (0.254829592 +
+      t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-((z / Math.SQRT2) ** 2));
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Wilson score interval for a binomial proportion.
+ * @returns {{ rate: number, low: number, high: number }}
+ */
+export function wilsonInterval(successes, trials, confidence = 0.95) {
+  if (!trials) return { rate: 0, low: 0, high: 0 };
+
+  const z = Z_CRITICAL[confidence] || Z_CRITICAL[0.95];
+  const p = successes / trials;
+  const z2 = z * z;
+  const denom = 1 + z2 / trials;
+  const centre = p + z2 / (2 * trials);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials);
+
+  return {
+    rate: p,
+    low: Math.max(0, (centre - margin) / denom),
+    high: Math.min(1, (centre + margin) / denom),
+  };
+}
+
+/**
+ * One-sided two-proportion z-test: is A's rate greater than B's?
+ * @returns {number} p-value
+ */
+export function twoProportionPValue(successA, trialsA, successB, trialsB) {
+  if (!trialsA || !trialsB) return 1;
+
+  const pA = successA / trialsA;
+  const pB = successB / trialsB;
+  const pooled = (successA + successB) / (trialsA + trialsB);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+
+  if (se === 0) return 1;
+  return 1 - normalCdf((pA - pB) / se);
+}
+
+/**
+ * Returns the content a variant id resolves to for a step.
+ */
+export function getVariantContent(step, variantId) {
+  const base = {
+    variantId: "default",
+    subject: step.subject,
+    htmlBody: step.htmlBody,
+    textBody: step.textBody,
+  };
+
+  const match = /^variant_(\d+)$/.exec(variantId || "");
+  const variant = match ? step.variants?.[Number(match[1])] : null;
+  if (!variant) return base;
+
+  return {
+    variantId,
+    subject: variant.subject || base.subject,
+    htmlBody: variant.htmlBody || base.htmlBody,
+    textBody: variant.textBody || base.textBody,
+  };
+}
+
+/**
+ * Aggregates sends / opens / clicks / replies per variant for one step.
+ * Every configured variant is returned, including ones with no sends yet.
+ */
+export async function getVariantStats(campaignId, step) {
+  const rows = await CampaignSend.findAll({
+    where: {
+      campaignId,
+      step: step.stepOrder,
+      status: "sent",
+    },
+    attributes: [
+      "variantId",
+      [sequelize.fn("COUNT", sequelize.col("id")), "sends"],
+      [sequelize.fn("COUNT", sequelize.col("openedAt")), "opens"],
+      [sequelize.fn("COUNT", sequelize.col("clickedAt")), "clicks"],
+      [sequelize.fn("COUNT", sequelize.col("repliedAt")), "replies"],
+    ],
+    group: ["variantId"],
+    raw: true,
+  });
+
+  const byId = new Map(rows.map((r) => [r.variantId || "default", r]));
+  const ids = [
+    "default",
+    ...(step.variants || []).map((_, i) => `variant_${i}`),
+  ];
+
+  return ids.map((variantId) => {
+    const row = byId.get(variantId) || {};
+    return {
+      variantId,
+      subject: getVariantContent(step, variantId).subject,
+      sends: parseInt(row.sends || 0),
+      opens: parseInt(row.opens || 0),
+      clicks: parseInt(row.clicks || 0),
+      replies: parseInt(row.replies || 0),
+    };
+  });
+}
+
+/**
+ * Picks a winner when the leading variant beats every other variant on the
+ * metric with the requested confidence (Bonferroni-corrected).
+ * @returns {{ leader: string|null, winner: string|null, pValues: Object }}
+ */
+export function evaluateVariants(stats, { metric, minSample, confidence }) {
+  const key = METRIC_COUNTERS[metric] || METRIC_COUNTERS.open;
+  const eligible = stats.filter((s) => s.sends >= minSample);
+
+  if (stats.length < 2 || eligible.length < stats.length) {
+    return { leader: null, winner: null, pValues: {} };
+  }
+
+  const rate = (s) => (s.sends ? s[key] / s.sends : 0);
+  const leader = [...eligible].sort((a, b) => rate(b) - rate(a))[0];
+  const alpha = (1 - confidence) / (eligible.length - 1);
+
+  const pValues = {};
+  let significant = true;
+
+  for (const other of eligible) {
+    if (other.variantId === leader.variantId) continue;
+    const p = twoProportionPValue(
+      leader[key],
+      leader.sends,
+      other[key],
+      other.sends,
+    );
+    pValues[other.variantId] = p;
+    if (p >= alpha) significant = false;
+  }
+
+  return {
+    leader: leader.variantId,
+    winner: significant ? leader.variantId : null,
+    pValues,
+  };
+}
+
+/**
+ * Auto-optimize: runs the significance test once, as soon as every variant
+ * has the minimum sample, and locks the step onto the winner if the result
+ * is significant. An inconclusive test keeps the split. Returns the winner id.
+ */
+export async function autoSelectWinner(step) {
+  if (!step.autoOptimize || step.winningVariantId || step.optimizeEvaluatedAt) {
+    return step.winningVariantId || null;
+  }
+  if (!Array.isArray(step.variants) || !step.variants.length) return null;
+
+  const stats = await getVariantStats(step.campaignId, step);
+  const { leader, winner, pValues } = evaluateVariants(stats, {
+    metric: step.optimizeMetric,
+    minSample: step.optimizeMinSample,
+    confidence: step.optimizeConfidence,
+  });
+
+  // No leader: some variant is still below the minimum sample
+  if (!leader) return null;
+
+  const now = new Date();
+
+  // Conditional update so concurrent schedulers don't test twice
+  const [updated] = await CampaignStep.update(
+    {
+      winningVariantId: winner,
+      winnerSelectedAt: winner ? now : null,
+      winnerMeta: { metric: step.optimizeMetric, pValues, stats },
+      optimizeEvaluatedAt: now,
+    },
+    { where: { id: step.id, optimizeEvaluatedAt: { [Op.is]: null } } },
+  );
+
+  return updated > 0 ? winner : null;
+}
@@ -2,6 +2,8 @@ import Email from "../models/email.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
 import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import { Campaign } from "../models/index.js";
+import { suppressionService } from "../services/suppression.service.js";
+import { webhookService } from "../services/webhook.service.js";
 
 /**
  * BounceProcessor handles incoming bounce notifications from providers (SES, SendGrid, Mailgun).
@@ -12,8 +14,9 @@ export class BounceProcessor {
    * @param {string} emailId - Internal Email UUID
    * @param {string} type - 'hard' or 'soft'
    * @param {string} reason - Diagnostic code
+   * @param {string} [source] - Where the bounce was reported (dsn, ses, ...)
    */
-  static async handleBounce(emailId, type = "hard", reason = "") {
+  static async handleBounce(emailId, type = "hard", reason = "", source = null) {
     try {
       const email = await Email.findByPk(emailId);
       if (!email) return;
@@ -41,6 +44,14 @@ export class BounceProcessor {
           verificationStatus: "invalid", // Treat as dead
           lastSeenAt: new Date(),
         });
+
+        await suppressionService.add({
+          value: email.recipientEmail,
+          type: "email",
+          reason: "bounce",
+          source,
+          note: reason ? String(reason).slice(0, 500) : null,
+        });
       }
 
       // 4. Update Campaign Stats
@@ -51,6 +62,13 @@ export class BounceProcessor {
         });
       }
 
+      await webhookService.dispatchForCampaign(email.campaignId, "email.bounced", {
+        ...webhookService.emailData(email),
+        bounceType: type,
+        reason,
+        source,
+      });
+
       console.log(`❌ Bounce processed: ${email.recipientEmail} (${type})`);
     } catch (err) {
       console.error("🔥 Bounce processing failed:", err.message);
@@ -4,6 +4,7 @@ import CampaignRecipient from "../models/campaign-recipient.model.js";
 import CampaignSend from "../models/campaign-send.model.js";
 import sequelize from "../config/db.js";
 import { emitToUser } from "./event-broadcaster.js";
+import { webhookService } from "../services/webhook.service.js";
 
 export async function checkAllCampaignsCompletion() {
   console.log(
@@ -173,7 +174,7 @@ export async function tryCompleteCampaign(campaignId) {
 
     console.log(`[Campaign ${campaignId}] ✅ Campaign marked as completed`);
 
-    const campaign = await Campaign.findByPk(campaignId, { attributes: ['userId', 'name'] });
+    const campaign = await Campaign.findByPk(campaignId, { attributes: ['userId', 'workspaceId', 'name'] });
     if (campaign) {
       emitToUser(campaign.userId, "notification", {
         type: "success",
@@ -181,6 +182,13 @@ export async function tryCompleteCampaign(campaignId) {
         title: "Campaign Completed",
         message: `Your campaign "${campaign.name}" has finished sending to all valid recipients.`,
       });
+
+      webhookService.dispatch(campaign.workspaceId, "campaign.completed", {
+        campaignId,
+        campaignName: campaign.name,
+        completedAt: new Date(),
+        summary,
+      });
     }
 
     // Log final stats
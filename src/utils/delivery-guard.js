@@ -18,9 +18,11 @@ export class DeliveryGuard {
 
   /**
    * Calculates the allowed daily volume for a sender based on age.
+   * Pass senderType for Gmail/Outlook mailboxes, which have no provider field.
    */
-  static async getAllowedVolume(sender) {
-    const providerKey = sender.provider?.toUpperCase() || "SMTP";
+  static async getAllowedVolume(sender, senderType = null) {
+    const providerKey =
+      (senderType || sender.provider)?.toUpperCase() || "SMTP";
     const config = this.LIMITS[providerKey] || this.LIMITS.SMTP;
 
     // Calculate account age in days
@@ -37,8 +39,8 @@ export class DeliveryGuard {
   /**
    * Checks if a sender can send more emails today.
    */
-  static async canSendToday(sender) {
-    const allowedLimit = await this.getAllowedVolume(sender);
+  static async canSendToday(sender, senderType = null) {
+    const allowedLimit = await this.getAllowedVolume(sender, senderType);
 
     // Count emails sent by this sender in the last 24 hours (UTC)
     const sentTodayCount = await Email.count({
@@ -0,0 +1,205 @@
+/**
+ * RFC 3464 delivery status notifications (asynchronous bounces).
+ * A DSN is a multipart/report; report-type=delivery-status message whose
+ * message/delivery-status part holds one per-message block followed by one
+ * block per recipient, and which usually returns the original message (or
+ * just its headers) as a message/rfc822 or text/rfc822-headers part.
+ */
+
+// Cheap pre-filter on listed messages before fetching the full source
+const DSN_FROM = /^(mailer-daemon|postmaster|mail-daemon)@/i;
+const DSN_FROM_NAME = /mail delivery (subsystem|system)|mailer-daemon/i;
+const DSN_SUBJECT = [
+  /delivery status notification/i,
+  /undeliver(able|ed)/i,
+  /delivery (has failed|failure|incomplete)/i,
+  /mail delivery failed/i,
+  /returned mail/i,
+  /failure notice/i,
+];
+
+// Statuses that are about the message or the sending side, not the address
+const SOFT_STATUS = /^(4\.|5\.2\.2|5\.3\.4|5\.7\.)/;
+
+/**
+ * Whether a normalized message looks like a bounce and is worth parsing.
+ * @param {{ from?: { name?: string, email?: string }, subject?: string }} message
+ */
+export function isDsnCandidate(message) {
+  const { name = "", email = "" } = message.from || {};
+  return (
+    DSN_FROM.test(email) ||
+    DSN_FROM_NAME.test(name) ||
+    DSN_SUBJECT.some((re) => re.test(message.subject || ""))
+  );
+}
+
+/**
+ * "hard" for permanent failures of the address, "soft" for transient ones
+ * and for policy / content rejections that say nothing about the mailbox.
+ * @param {string} status - RFC 3463 status code, e.g. "5.1.1"
+ */
+export function bounceTypeForStatus(status) {
+  return !status || SOFT_STATUS.test(status) ? "soft" : "hard";
+}
+
+/* =========================
+   MIME
+========================= */
+
+function splitHeaders(source) {
+  // A part may start straight with its body
+  const match = /(?:^|\r?\n)\r?\n/.exec(source);
+  return match
+    ? [source.slice(0, match.index), source.slice(match.index + match[0].length)]
+    : [source, ""];
+}
+
+// "Name: value" lines with folded continuations → Map(lowercase name → value)
+function parseFields(block) {
+  const fields = new Map();
+  let last = null;
+
+  for (const line of block.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && last) {
+      fields.set(last, `${fields.get(last)} ${line.trim()}`);
+      continue;
+    }
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    last = line.slice(0, colon).trim().toLowerCase();
+    // First occurrence wins, like the rest of the header readers
+    if (!fields.has(last)) fields.set(last, line.slice(colon + 1).trim());
+  }
+  return fields;
+}
+
+function parseContentType(value = "") {
+  const [type, ...rest] = value.split(";");
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf("=");
+    if (eq < 0) continue;
+    params[param.slice(0, eq).trim().toLowerCase()] = param
+      .slice(eq + 1)
+      .trim()
+      .replace(/^"(.*)"$/, "$1");
+  }
+  return { type: (type || "text/plain").trim().toLowerCase(), params };
+}
+
+function decodeBody(body, encoding = "") {
+  switch (encoding.toLowerCase()) {
+    case "base64":
+      return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+    case "quoted-printable":
+      return body
+        .replace(/=\r?\n/g, "")
+        .replace(/=([0-9A-F]{2})/gi, (_, hex) =>
+          String.fromCharCode(parseInt(hex, 16)),
+        );
+    default:
+      return body;
+  }
+}
+
+/**
+ * Leaf parts of a MIME entity. message/rfc822 parts are kept whole: only
+ * their headers matter here.
+ */
+function leafParts(source, depth = 0) {
+  const [head, body] = splitHeaders(source);
+  const headers = parseFields(head);
+  const contentType = parseContentType(headers.get("content-type"));
+
+  if (!contentType.type.startsWith("multipart/") || depth > 5) {
+    return [
+      {
+        contentType,
+        body: decodeBody(body, headers.get("content-transfer-encoding")),
+      },
+    ];
+  }
+
+  const boundary = contentType.params.boundary;
+  if (!boundary) return [];
+
+  const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(?:--)?[ \\t]*(?=\\r?\\n|$)`);
+
+  // Drop the preamble and whatever follows the closing delimiter
+  return body
+    .split(delimiter)
+    .slice(1, -1)
+    .map((part) => part.replace(/^\r?\n/, ""))
+    .flatMap((part) => leafParts(part, depth + 1));
+}
+
+const fieldValue = (value) =>
+  // "rfc822; user@example.com" / "smtp; 550 ..." → the part after the type
+  value ? value.replace(/^[\w-]+\s*;\s*/, "").trim() : null;
+
+/* =========================
+   PARSER
+========================= */
+
+/**
+ * @param {Buffer|string} source - full RFC 5322 message
+ * @returns {{
+ *   reportingMta: string|null,
+ *   arrivalDate: Date|null,
+ *   recipients: { finalRecipient, originalRecipient, action, status, diagnosticCode, remoteMta }[],
+ *   original: { messageId: string|null, emailId: string|null, subject: string|null },
+ * }|null} null when the message is not a delivery-status report
+ */
+export function parseDsn(source) {
+  const text = Buffer.isBuffer(source) ? source.toString("utf8") : String(source);
+  const parts = leafParts(text);
+
+  const status = parts.find(
+    (p) =>
+      p.contentType.type === "message/delivery-status" ||
+      p.contentType.type === "message/global-delivery-status",
+  );
+  if (!status) return null;
+
+  const [perMessage, ...perRecipient] = status.body
+    .split(/\r?\n(?:[ \t]*\r?\n)+/)
+    .filter((block) => block.trim())
+    .map(parseFields);
+
+  const recipients = perRecipient
+    .filter((fields) => fields.has("final-recipient") || fields.has("action"))
+    .map((fields) => ({
+      finalRecipient: fieldValue(fields.get("final-recipient"))?.toLowerCase() || null,
+      originalRecipient: fieldValue(fields.get("original-recipient"))?.toLowerCase() || null,
+      action: fields.get("action")?.toLowerCase() || null,
+      status: fields.get("status")?.match(/\d\.\d{1,3}\.\d{1,3}/)?.[0] || null,
+      diagnosticCode: fieldValue(fields.get("diagnostic-code")),
+      remoteMta: fieldValue(fields.get("remote-mta")),
+    }));
+
+  // The returned original: the headers of message/rfc822, or the
+  // text/rfc822-headers part as a whole
+  const returned = parts.find((p) =>
+    ["message/rfc822", "message/global", "text/rfc822-headers"].includes(
+      p.contentType.type,
+    ),
+  );
+  const originalHeaders = returned
+    ? parseFields(splitHeaders(returned.body)[0])
+    : new Map();
+
+  const arrival = perMessage?.get("arrival-date");
+
+  return {
+    reportingMta: fieldValue(perMessage?.get("reporting-mta")) || null,
+    arrivalDate: arrival && !isNaN(Date.parse(arrival)) ? new Date(arrival) : null,
+    recipients,
+    original: {
+      messageId: originalHeaders.get("message-id") || null,
+      emailId: originalHeaders.get("x-unibox-email-id") || null,
+      subject: originalHeaders.get("subject") || null,
+    },
+  };
+}
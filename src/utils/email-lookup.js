@@ -0,0 +1,39 @@
+import { Op } from "sequelize";
+import Email from "../models/email.model.js";
+
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Finds the Email a delivery notification (DSN, ESP webhook) refers to:
+ * by our X-Unibox-Email-Id when the notification carries it, else by the
+ * RFC Message-ID, which is stored as providerMessageId for SMTP and in
+ * metadata.messageId for every send.
+ * @param {{ emailId?: string, messageId?: string }} ref
+ * @param {Object} where - extra scope, e.g. { senderId }
+ * @returns {Promise<Object|null>}
+ */
+export async function findSentEmail({ emailId, messageId }, where = {}) {
+  if (emailId && UUID_REGEX.test(emailId)) {
+    const email = await Email.findOne({ where: { ...where, id: emailId } });
+    if (email) return email;
+  }
+
+  const bare = messageId ? String(messageId).replace(/[<>]/g, "").trim() : "";
+  if (!bare) return null;
+
+  // Stored with or without brackets; providers may lowercase the id
+  const variants = [
+    ...new Set([bare, `<${bare}>`, bare.toLowerCase(), `<${bare.toLowerCase()}>`]),
+  ];
+
+  return Email.findOne({
+    where: {
+      ...where,
+      [Op.or]: [
+        { providerMessageId: { [Op.in]: variants } },
+        { "metadata.messageId": { [Op.in]: variants } },
+      ],
+    },
+  });
+}
@@ -82,7 +82,11 @@ export const isValidEmail = (email) => {
 export const isDisposableEmail = (domain) => {
   const disposableDomains = [
     "tempmail.com", "10minutemail.com", "guerrillamail.com",
-    "mailinator.com", "yopmail.com", "throwawaymail.com"
+    "mailinator.com", "yopmail.com", "throwawaymail.com",
+    "temp-mail.org", "trashmail.com", "sharklasers.com",
+    "getnada.com", "maildrop.cc", "dispostable.com",
+    "fakeinbox.com", "mailnesia.com", "mintemail.com",
+    "emailondeck.com", "mohmal.com", "burnermail.io"
   ];
   return disposableDomains.some(d => domain.includes(d));
 };
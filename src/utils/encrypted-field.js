@@ -0,0 +1,39 @@
+import { encryptSecret, decryptSecret, isEncrypted } from "./secret-box.js";
+
+/**
+ * Getter/setter pair for a model attribute kept encrypted at rest (see
+ * secret-box.js). Reads of rows written before encryption was enabled
+ * return the plaintext until scripts/rotate-secrets.js has run.
+ *
+ * Write through instances (create / instance.update): static Model.update()
+ * validates via a built row and reads the value back through the getter.
+ *
+ *   smtpPassword: { type: DataTypes.TEXT, ...encryptedField("smtpPassword") }
+ */
+export const encryptedField = (name) => ({
+  get() {
+    const stored = this.getDataValue(name);
+    return isEncrypted(stored) ? decryptSecret(stored) : stored;
+  },
+  set(value) {
+    this.setDataValue(
+      name,
+      value === null || value === undefined || value === "" || isEncrypted(value)
+        ? value
+        : encryptSecret(value),
+    );
+  },
+});
+
+/**
+ * toJSON() for models with secrets: API responses never include them,
+ * whichever controller serializes the row.
+ */
+export const toJSONWithout = (secretFields) =>
+  function toJSON() {
+    const values = {};
+    for (const key of Object.keys(this.dataValues)) {
+      if (!secretFields.includes(key)) values[key] = this.get(key);
+    }
+    return values;
+  };
@@ -0,0 +1,25 @@
+import { google } from "googleapis";
+import AppError from "./app-error.js";
+import { refreshGoogleToken } from "./refresh-google-token.js";
+
+/**
+ * Returns an authenticated Gmail API client for a GmailSender,
+ * refreshing the access token when needed.
+ */
+export const getGmailClient = async (sender) => {
+  const validToken = await refreshGoogleToken(sender);
+  if (!validToken) throw new AppError("Failed to refresh Gmail token", 401);
+
+  const oauth2Client = new google.auth.OAuth2({
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_CALLBACK_URL_SENDER,
+  });
+
+  oauth2Client.setCredentials({
+    access_token: validToken.accessToken,
+    refresh_token: sender.refreshToken,
+  });
+
+  return google.gmail({ version: "v1", auth: oauth2Client });
+};
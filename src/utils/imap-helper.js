@@ -1,6 +1,10 @@
+import Imap from "imap";
+import { simpleParser } from "mailparser";
 import { HttpsProxyAgent } from "https-proxy-agent";
 import net from "net";
 import tls from "tls";
+import util from "util";
+import AppError from "./app-error.js";
 
 /**
  * Creates and connects a new IMAP client
@@ -186,3 +190,120 @@ export function appendToFolder(imap, folder, message) {
         });
     });
 }
+
+/**
+ * Opens a folder read-write and returns the box info
+ * @param {Imap} imap
+ * @param {string} folderName
+ * @returns {Promise<Object>}
+ */
+export async function openFolder(imap, folderName) {
+    return util.promisify(imap.openBox).bind(imap)(folderName, false);
+}
+
+/**
+ * Fetches messages by UID from an OPEN imap connection
+ * @param {Imap} imap
+ * @param {number[]} uids
+ * @param {Object} options - node-imap fetch options
+ * @returns {Promise<Array<{ parts: Object[], attributes: Object }>>}
+ */
+export function fetchMessages(imap, uids, options) {
+    return new Promise((resolve, reject) => {
+        const fetch = imap.fetch(uids, options);
+        const messages = [];
+
+        fetch.on("message", (msg) => {
+            const message = { parts: [], attributes: null };
+
+            msg.on("body", (stream, info) => {
+                let buffer = "";
+                stream.on("data", (chunk) => (buffer += chunk.toString("utf8")));
+                stream.on("end", () => {
+                    message.parts.push({ which: info.which, data: buffer });
+                });
+            });
+
+            msg.once("attributes", (attrs) => {
+                message.attributes = attrs;
+            });
+            msg.once("end", () => {
+                messages.push(message);
+            });
+        });
+
+        fetch.once("error", reject);
+        fetch.once("end", () => resolve(messages));
+    });
+}
+
+/**
+ * Fetches UIDs for a sequence range
+ * @param {Imap} imap
+ * @param {string} range - e.g. "1:50"
+ * @returns {Promise<number[]>}
+ */
+export function fetchUidsForRange(imap, range) {
+    return new Promise((resolve, reject) => {
+        const fetch = imap.seq.fetch(range, { bodies: "", struct: true });
+        const uidList = [];
+        fetch.on("message", (msg) => {
+            msg.once("attributes", (attrs) => {
+                if (attrs.uid) uidList.push(attrs.uid);
+            });
+        });
+        fetch.once("error", reject);
+        fetch.once("end", () => resolve(uidList));
+    });
+}
+
+/**
+ * Parses raw fetched messages in parallel, dropping any that fail
+ * @param {Array} messages - output of fetchMessages
+ * @returns {Promise<Object[]>}
+ */
+export async function parseMessagesInParallel(messages) {
+    const parsePromises = messages.map(async (msg) => {
+        try {
+            const fullEmail = msg.parts.map((p) => p.data).join("");
+            const parsed = await simpleParser(fullEmail);
+
+            return {
+                id: msg.attributes?.uid || msg.seqno,
+                uid: msg.attributes?.uid,
+                seqno: msg.seqno,
+                messageId: parsed.messageId || null,
+                inReplyTo: parsed.inReplyTo || null,
+                references: [].concat(parsed.references || []),
+                subject: parsed.subject || "(No Subject)",
+                from: parsed.from?.text || "",
+                to: parsed.to?.text || "",
+                cc: parsed.cc?.text || "",
+                date: parsed.date || new Date(),
+                text: parsed.text,
+                html: parsed.html,
+                headers: Object.fromEntries(
+                    (parsed.headerLines || []).map((h) => [
+                        h.key,
+                        h.line.slice(h.line.indexOf(":") + 1).trim(),
+                    ]),
+                ),
+                attachments: parsed.attachments?.map((a) => ({
+                    id: a.contentId || a.filename,
+                    filename: a.filename,
+                    contentType: a.contentType,
+                    size: a.size,
+                })),
+                flags: msg.attributes?.flags || [],
+                isRead: msg.attributes?.flags?.includes("\\Seen") || false,
+                isStarred: msg.attributes?.flags?.includes("\\Flagged") || false,
+            };
+        } catch (err) {
+            console.error("Failed to parse message:", err);
+            return null;
+        }
+    });
+
+    const results = await Promise.all(parsePromises);
+    return results.filter((r) => r !== null);
+}
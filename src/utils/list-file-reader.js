@@ -0,0 +1,169 @@
+import fs from "fs";
+import readline from "readline";
+import csv from "csv-parser";
+import XLSX from "xlsx";
+import { slugifyHeader } from "./list-mapping.js";
+
+// Rows converted from a worksheet at a time
+const XLSX_ROWS_PER_READ = 1000;
+
+/**
+ * Row reader over an uploaded list file. Rows are pulled one at a time
+ * with `for await`, so a slow consumer pauses the file read (CSV and TXT
+ * are streamed; XLSX workbooks are loaded whole but converted in slices).
+ *
+ * @param {string} filePath
+ * @param {"csv"|"xlsx"|"txt"} fileType
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - only needed rows (lets XLSX stop early)
+ * @returns {{
+ *   rows: AsyncIterable<Object>,
+ *   headers: () => string[],
+ *   progress: () => number,
+ *   close: () => void,
+ * }} progress is the fraction of the file read (0–1)
+ */
+export function openListFile(filePath, fileType, { maxRows } = {}) {
+  switch (fileType) {
+    case "csv":
+      return openCSV(filePath);
+    case "xlsx":
+      return openXLSX(filePath, maxRows);
+    case "txt":
+      return openTXT(filePath);
+    default:
+      throw new Error(`Unsupported file type: ${fileType}`);
+  }
+}
+
+/**
+ * Column headers and the first `limit` rows of a file.
+ */
+export async function previewListFile(filePath, fileType, limit) {
+  const reader = openListFile(filePath, fileType, { maxRows: limit });
+  const sample = [];
+
+  try {
+    for await (const row of reader.rows) {
+      sample.push(row);
+      if (sample.length >= limit) break;
+    }
+  } finally {
+    reader.close();
+  }
+
+  const headers = reader.headers();
+  return {
+    headers: headers.length ? headers : [...new Set(sample.flatMap((row) => Object.keys(row)))],
+    sample,
+  };
+}
+
+function openCSV(filePath) {
+  const { size } = fs.statSync(filePath);
+  const stream = fs.createReadStream(filePath);
+  let headers = [];
+
+  const parser = stream.pipe(csv()).on("headers", (h) => (headers = h));
+  // pipe() doesn't forward read errors to the parser being iterated
+  stream.on("error", (err) => parser.destroy(err));
+
+  return {
+    rows: parser,
+    headers: () => headers,
+    progress: () => (size ? stream.bytesRead / size : 1),
+    close: () => {
+      parser.destroy();
+      stream.destroy();
+    },
+  };
+}
+
+// One address per line; "email,rest" lines keep the address
+const parseTXTLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.includes(",")) {
+    const first = trimmed.split(",")[0].trim();
+    if (first.includes("@")) return { email: first };
+  }
+  return { email: trimmed };
+};
+
+function openTXT(filePath) {
+  const { size } = fs.statSync(filePath);
+  const stream = fs.createReadStream(filePath, { encoding: "utf-8" });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  async function* rows() {
+    for await (const line of lines) {
+      const row = parseTXTLine(line);
+      if (row) yield row;
+    }
+  }
+
+  return {
+    rows: rows(),
+    headers: () => ["email"],
+    progress: () => (size ? stream.bytesRead / size : 1),
+    close: () => {
+      lines.close();
+      stream.destroy();
+    },
+  };
+}
+
+function openXLSX(filePath, maxRows) {
+  let workbook;
+  try {
+    workbook = XLSX.readFile(filePath, maxRows ? { sheetRows: maxRows + 1 } : {});
+  } catch (error) {
+    throw new Error(`Failed to parse Excel file: ${error.message}`);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const range = XLSX.utils.decode_range(sheet?.["!ref"] || "A1:A1");
+  const lastRow = range.e.r;
+  const columns = { s: range.s.c, e: range.e.c };
+
+  // Slugified header row; rows are keyed by it
+  const headerRow = sheet
+    ? XLSX.utils.sheet_to_json(sheet, {
+        header: 1,
+        range: { s: { r: range.s.r, c: columns.s }, e: { r: range.s.r, c: columns.e } },
+      })[0] || []
+    : [];
+  const headers = Array.from(headerRow, (h) => slugifyHeader(h ?? ""));
+
+  let rowsRead = 0;
+  const totalRows = lastRow - range.s.r;
+
+  async function* rows() {
+    if (!sheet) return;
+
+    for (let start = range.s.r + 1; start <= lastRow; start += XLSX_ROWS_PER_READ) {
+      const end = Math.min(start + XLSX_ROWS_PER_READ - 1, lastRow);
+      const slice = XLSX.utils.sheet_to_json(sheet, {
+        header: headers,
+        range: { s: { r: start, c: columns.s }, e: { r: end, c: columns.e } },
+      });
+
+      for (const record of slice) {
+        const row = {};
+        for (const [key, value] of Object.entries(record)) {
+          if (key && value !== undefined && value !== null) row[key] = value;
+        }
+        yield row;
+      }
+      rowsRead = end - range.s.r;
+    }
+  }
+
+  return {
+    rows: rows(),
+    headers: () => headers.filter(Boolean),
+    progress: () => (totalRows > 0 ? rowsRead / totalRows : 1),
+    close: () => {},
+  };
+}
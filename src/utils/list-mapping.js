@@ -0,0 +1,289 @@
+/**
+ * Column mapping for list uploads, stored on ListUploadBatch.mapping:
+ *
+ * {
+ *   headers: ["E-mail", "First Name", "Company", "Plan"],
+ *   sample: [{ "E-mail": "jane@acme.com", ... }],
+ *   suggested: { "E-mail": "email", "First Name": "first_name", ... },
+ *   columns: { "E-mail": "email", "First Name": "first_name", "Plan": "plan" },
+ * }
+ *
+ * `columns` is null until the user confirms a mapping. Targets:
+ *   - "email"                 the address (exactly one column)
+ *   - "name"                  full name
+ *   - "first_name/last_name"  joined into name when no "name" column
+ *   - "ignore"                dropped
+ *   - any other snake_case key, stored in record metadata under that key
+ *     (template variables; custom contact fields pick up their own key)
+ */
+
+export const STANDARD_TARGETS = [
+  "email",
+  "name",
+  "first_name",
+  "last_name",
+  "company",
+  "title",
+  "phone",
+  "website",
+  "city",
+  "country",
+  "timezone",
+];
+
+const TARGET_KEY_REGEX = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Slugified header aliases → target
+const HEADER_ALIASES = {
+  email: ["email", "emailaddress", "email_address", "mail", "e-mail", "e_mail", "emailid", "contactemail", "primaryemail", "work_email"],
+  name: ["name", "fullname", "full_name", "contactname", "contact_name", "displayname", "display_name", "personname"],
+  first_name: ["firstname", "first_name", "fname", "given_name", "first"],
+  last_name: ["lastname", "last_name", "lname", "surname", "family_name", "last"],
+  company: ["company", "company_name", "companyname", "organization", "organisation", "org", "account", "account_name"],
+  title: ["title", "job_title", "jobtitle", "position", "role"],
+  phone: ["phone", "phone_number", "mobile", "telephone"],
+  website: ["website", "url", "company_website", "web"],
+  city: ["city", "town"],
+  country: ["country", "country_code"],
+  timezone: ["timezone", "time_zone", "tz"],
+};
+
+export const slugifyHeader = (text) => {
+  if (!text) return "";
+  return text
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "_")
+    .replace(/[^\w-]+/g, "")
+    .replace(/--+/g, "-")
+    .replace(/^-+/, "")
+    .replace(/-+$/, "");
+};
+
+// snake_case metadata key for an unmapped header
+const metadataKey = (header) => {
+  const key = slugifyHeader(header).replace(/-/g, "_").slice(0, 64);
+  return TARGET_KEY_REGEX.test(key) ? key : null;
+};
+
+const looksLikeEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value ?? "").trim());
+
+/**
+ * Best-guess mapping from the headers and a few sample rows. Each target
+ * is suggested for at most one column.
+ * @param {string[]} headers
+ * @param {Object[]} sample - parsed rows keyed by header
+ * @param {Object[]} fields - the workspace's ContactFields
+ * @returns {Object} header → target
+ */
+export function suggestMapping(headers, sample = [], fields = []) {
+  const customKeys = new Set(fields.map((f) => f.key));
+  const used = new Set();
+  const mapping = {};
+
+  const claim = (header, target) => {
+    if (used.has(target)) return false;
+    used.add(target);
+    mapping[header] = target;
+    return true;
+  };
+
+  for (const header of headers) {
+    const slug = slugifyHeader(header);
+    const alias = Object.keys(HEADER_ALIASES).find((target) =>
+      HEADER_ALIASES[target].includes(slug),
+    );
+
+    if (alias && claim(header, alias)) continue;
+    if (customKeys.has(slug)) claim(header, slug);
+  }
+
+  // No obvious email header: take the first column whose values are addresses
+  if (!used.has("email")) {
+    const header = headers.find(
+      (h) => !mapping[h] && sample.some((row) => looksLikeEmail(row[h])),
+    );
+    if (header) claim(header, "email");
+  }
+
+  for (const header of headers) {
+    if (mapping[header]) continue;
+    const key = metadataKey(header);
+    if (!(key && claim(header, key))) mapping[header] = "ignore";
+  }
+
+  // In column order
+  return Object.fromEntries(headers.map((h) => [h, mapping[h]]));
+}
+
+/**
+ * Validates a user-supplied mapping against the upload's headers.
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export function validateMapping(columns, headers) {
+  if (!columns || typeof columns !== "object" || Array.isArray(columns)) {
+    return ["mapping must be an object of header → target"];
+  }
+
+  const errors = [];
+  const known = new Set(headers);
+  const seen = new Map();
+
+  for (const [header, target] of Object.entries(columns)) {
+    if (!known.has(header)) {
+      errors.push(`Unknown column "${header}"`);
+      continue;
+    }
+    if (target === "ignore") continue;
+    if (typeof target !== "string" || !TARGET_KEY_REGEX.test(target)) {
+      errors.push(`Column "${header}" target must be "ignore" or a snake_case key`);
+      continue;
+    }
+    if (seen.has(target)) {
+      errors.push(`Columns "${seen.get(target)}" and "${header}" both map to "${target}"`);
+      continue;
+    }
+    seen.set(target, header);
+  }
+
+  if (!seen.has("email")) errors.push("One column must map to email");
+  return errors;
+}
+
+/**
+ * Applies a confirmed mapping to one parsed row. Headers missing from
+ * the mapping are ignored.
+ * @returns {{ email: string|null, name: string|null, metadata: Object }}
+ */
+export function applyMapping(row, columns) {
+  const metadata = {};
+  let email = null;
+  let name = null;
+
+  for (const [header, target] of Object.entries(columns)) {
+    if (target === "ignore") continue;
+
+    const raw = row[header];
+    const value = typeof raw === "string" ? raw.trim() : raw;
+    if (value === undefined || value === null || value === "") continue;
+
+    if (target === "email") email = String(value);
+    else if (target === "name") name = String(value);
+    else metadata[target] = value;
+  }
+
+  if (!name) {
+    name = [metadata.first_name, metadata.last_name].filter(Boolean).join(" ") || null;
+  }
+
+  return { email, name, metadata };
+}
+
+/* =========================
+   LEGACY COLUMN GUESSING
+   For batches uploaded before the mapping step
+========================= */
+
+// Find email field in record
+export const findEmailField = (record) => {
+  if (!record) return null;
+
+  const possibleEmailFields = [
+    "email",
+    "emailaddress",
+    "mail",
+    "e-mail",
+    "e_mail",
+    "emailid",
+    "useremail",
+    "username",
+    "contactemail",
+    "primaryemail",
+  ];
+
+  // Check exact matches first
+  for (const field of possibleEmailFields) {
+    if (
+      record[field] !== undefined &&
+      record[field] !== null &&
+      record[field] !== ""
+    ) {
+      return String(record[field]).trim();
+    }
+  }
+
+  // Check if any key contains "email"
+  for (const key in record) {
+    if (
+      key.toLowerCase().includes("email") &&
+      record[key] !== undefined &&
+      record[key] !== null &&
+      record[key] !== ""
+    ) {
+      return String(record[key]).trim();
+    }
+  }
+
+  // Check first column
+  const firstKey = Object.keys(record)[0];
+  if (firstKey && record[firstKey]) {
+    const value = String(record[firstKey]).trim();
+    if (value.includes("@")) {
+      return value;
+    }
+  }
+
+  // Check all values
+  for (const key in record) {
+    const value = String(record[key]).trim();
+    if (value.includes("@") && value.includes(".")) {
+      return value;
+    }
+  }
+
+  return null;
+};
+
+// Find name field in record
+export const findNameField = (record) => {
+  if (!record) return null;
+
+  const possibleNameFields = [
+    "name",
+    "fullname",
+    "full_name",
+    "firstname",
+    "first_name",
+    "lastname",
+    "last_name",
+    "username",
+    "displayname",
+    "contactname",
+    "personname",
+  ];
+
+  for (const field of possibleNameFields) {
+    if (
+      record[field] !== undefined &&
+      record[field] !== null &&
+      record[field] !== ""
+    ) {
+      return String(record[field]).trim();
+    }
+  }
+
+  // Check if any key contains "name"
+  for (const key in record) {
+    if (
+      key.toLowerCase().includes("name") &&
+      record[key] !== undefined &&
+      record[key] !== null &&
+      record[key] !== ""
+    ) {
+      return String(record[key]).trim();
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,73 @@
+import https from "https";
+import axios from "axios";
+import AppError from "./app-error.js";
+import { getValidMicrosoftToken } from "./get-valid-microsoft-token.js";
+
+const httpsAgent = new https.Agent({
+  keepAlive: true,
+  maxSockets: 25, // Max concurrent connections
+  maxFreeSockets: 10,
+  timeout: 60000,
+});
+
+// =========================
+// OUTLOOK CLIENT CACHE (for connection pooling)
+// =========================
+const outlookClients = new Map();
+
+const clientKey = (senderId) => `outlook_client_${senderId}`;
+
+/**
+ * Get or create Outlook client with token caching
+ */
+export const getOutlookClient = async (sender) => {
+  const cacheKey = clientKey(sender.id);
+
+  // Check for cached client
+  if (outlookClients.has(cacheKey)) {
+    const { client, expiry } = outlookClients.get(cacheKey);
+    if (Date.now() < expiry) {
+      return client;
+    }
+  }
+
+  const token = await getValidMicrosoftToken(sender);
+  if (!token) throw new AppError("Failed to refresh Outlook token", 401);
+
+  // Create axios instance with default headers
+  const client = axios.create({
+    baseURL: "https://graph.microsoft.com/v1.0",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    timeout: 30000,
+    httpsAgent,
+  });
+
+  // Add response interceptor for error handling
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      if (error.response?.status === 401) {
+        // Token expired - clear from cache
+        outlookClients.delete(cacheKey);
+      }
+      return Promise.reject(error);
+    },
+  );
+
+  // Cache client for 50 minutes (tokens usually last 60 min)
+  outlookClients.set(cacheKey, {
+    client,
+    expiry: Date.now() + 50 * 60 * 1000,
+  });
+
+  return client;
+};
+
+/**
+ * Drops the cached client (token refresh / disconnect)
+ */
+export const clearOutlookClient = (senderId) =>
+  outlookClients.delete(clientKey(senderId));
@@ -0,0 +1,93 @@
+import dns from "node:dns";
+import net from "node:net";
+
+// Loopback, private, link-local (incl. cloud metadata), CGNAT, multicast
+// and reserved ranges: nothing user-supplied URLs should reach
+const blocked = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, "ipv6"));
+
+// Names that never point at a public service
+const BLOCKED_HOSTNAME = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+/**
+ * Whether an IP literal is loopback, private, link-local or otherwise not
+ * publicly routable. IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4.
+ */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Throws when the URL's host is an IP literal or name that can't be
+ * public. Names are re-checked at connect time by publicLookup().
+ */
+export function assertPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) ? isPrivateAddress(host) : BLOCKED_HOSTNAME.test(host)) {
+    throw new Error(`${url.hostname} is not a public address`);
+  }
+}
+
+/**
+ * dns.lookup() replacement for http(s) agents that refuses private
+ * addresses. Checking at connect time (not only when a URL is saved)
+ * stops DNS rebinding: the name is resolved once and the checked
+ * address is the one connected to.
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") [callback, options] = [options, {}];
+  if (typeof options === "number") options = { family: options };
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const denied = addresses.find((a) => isPrivateAddress(a.address));
+    if (denied) {
+      const error = new Error(`${hostname} resolves to a private address (${denied.address})`);
+      error.code = "EPRIVATEADDRESS";
+      return callback(error);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolves a URL's host and throws if it is, or resolves to, a private
+ * address. For validating URLs when they're saved.
+ */
+export async function assertPublicUrl(url) {
+  assertPublicHost(url);
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return;
+
+  await new Promise((resolve, reject) =>
+    publicLookup(host, { all: true }, (err) => (err ? reject(err) : resolve())),
+  );
+}
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+
+/**
+ * Envelope encryption for secrets stored in the database. Every value gets
+ * its own random data key (AES-256-GCM); the data key is wrapped with the
+ * master key from SECRETS_MASTER_KEY and stored alongside the ciphertext:
+ *
+ *   enc:v2:<master key id>:<wrapped data key>:<iv|tag|ciphertext>
+ *
+ * Rotating the master key only re-wraps data keys (see
+ * scripts/rotate-secrets.js). Retired master keys stay readable while listed
+ * in SECRETS_MASTER_KEY_PREVIOUS (comma-separated).
+ */
+
+const V2_PREFIX = "enc:v2:";
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const deriveMaster = (secret) => ({
+  id: crypto.createHash("sha256").update(`kid:${secret}`).digest("hex").slice(0, 8),
+  key: crypto.createHash("sha256").update(secret).digest(),
+});
+
+const currentMaster = () => {
+  const secret = process.env.SECRETS_MASTER_KEY;
+  if (!secret) throw new Error("SECRETS_MASTER_KEY is not configured");
+  return deriveMaster(secret);
+};
+
+const allMasters = () => [
+  currentMaster(),
+  ...(process.env.SECRETS_MASTER_KEY_PREVIOUS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map(deriveMaster),
+];
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+};
+
+const open = (key, sealed) => {
+  const buffer = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const findMaster = (id) => {
+  const master = allMasters().find((m) => m.id === id);
+  if (!master) throw new Error(`Unknown master key ${id} (missing from SECRETS_MASTER_KEY_PREVIOUS?)`);
+  return master;
+};
+
+const parseV2 = (stored) => {
+  const [masterId, wrappedKey, payload] = stored.slice(V2_PREFIX.length).split(":");
+  return { masterId, wrappedKey, payload };
+};
+
+export const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(V2_PREFIX);
+
+export function encryptSecret(plaintext) {
+  const master = currentMaster();
+  const dataKey = crypto.randomBytes(32);
+
+  return `${V2_PREFIX}${master.id}:${seal(master.key, dataKey)}:${seal(dataKey, Buffer.from(String(plaintext), "utf8"))}`;
+}
+
+export function decryptSecret(stored) {
+  if (!isEncrypted(stored)) throw new Error("Value is not an encrypted secret");
+
+  const { masterId, wrappedKey, payload } = parseV2(stored);
+  const dataKey = open(findMaster(masterId).key, wrappedKey);
+  return open(dataKey, payload).toString("utf8");
+}
+
+/**
+ * Brings a stored value onto the current master key: encrypted values
+ * only get their data key re-wrapped, plaintext values are encrypted.
+ * Returns the value unchanged when nothing needs doing.
+ */
+export function rotateSecret(stored) {
+  if (stored === null || stored === undefined || stored === "") return stored;
+  if (!isEncrypted(stored)) return encryptSecret(stored);
+
+  const master = currentMaster();
+  const { masterId, wrappedKey, payload } = parseV2(stored);
+  if (masterId === master.id) return stored;
+
+  const dataKey = open(findMaster(masterId).key, wrappedKey);
+  return `${V2_PREFIX}${master.id}:${seal(master.key, dataKey)}:${payload}`;
+}
@@ -0,0 +1,365 @@
+import sequelize from "../config/db.js";
+import { LIFECYCLE_STAGES } from "../models/contact.model.js";
+import { EmailProvider } from "../enums/email-provider.enum.js";
+
+/**
+ * Segment filters are a small rule tree stored on Segment.filter:
+ *
+ * {
+ *   match: "all",                       // "all" (AND) | "any" (OR)
+ *   rules: [
+ *     { field: "lifecycleStage", op: "in", value: ["lead", "engaged"] },
+ *     { field: "tags", op: "has", value: "webinar" },
+ *     { field: "custom.company_size", op: "eq", value: "51-200" },
+ *     { field: "verificationStatus", op: "eq", value: "valid" },
+ *     { field: "mtaProvider", op: "in", value: ["google", "microsoft"] },
+ *     { field: "opened", op: "within_days", value: 30 },
+ *     { field: "replied", op: "never" },
+ *     { match: "any", rules: [ ... ] }, // nested group
+ *   ],
+ * }
+ *
+ * compileSegmentFilter() turns a validated tree into one SQL condition over
+ * the "Contact" table alias. Every user value goes through sequelize.escape.
+ */
+
+export const VERIFICATION_STATUSES = ["valid", "invalid", "risky", "unknown", "verifying"];
+
+const MAX_DEPTH = 3;
+const MAX_RULES = 50;
+const MAX_DAYS = 3650;
+
+// Contact columns usable in rules
+const ATTRIBUTE_FIELDS = {
+  email: "text",
+  name: "text",
+  domain: "text",
+  source: "text",
+  ownerId: "id",
+  lifecycleStage: "lifecycle",
+  createdAt: "date",
+};
+
+// Engagement field → Email column that marks it
+const ENGAGEMENT_FIELDS = {
+  sent: "sentAt",
+  opened: "openedAt",
+  clicked: "clickedAt",
+  replied: "repliedAt",
+  bounced: "bouncedAt",
+};
+
+const OPS_BY_KIND = {
+  text: ["eq", "neq", "in", "not_in", "contains", "not_contains", "starts_with", "ends_with", "is_empty", "is_not_empty"],
+  id: ["eq", "neq", "in", "not_in", "is_empty", "is_not_empty"],
+  lifecycle: ["eq", "neq", "in", "not_in"],
+  select: ["eq", "neq", "in", "not_in", "is_empty", "is_not_empty"],
+  number: ["eq", "neq", "gt", "gte", "lt", "lte", "is_empty", "is_not_empty"],
+  date: ["before", "after", "within_days", "not_within_days", "is_empty", "is_not_empty"],
+  boolean: ["eq", "is_empty", "is_not_empty"],
+  tags: ["has", "not_has", "has_any", "has_none"],
+  verification: ["eq", "neq", "in", "not_in"],
+  provider: ["eq", "neq", "in", "not_in"],
+  engagement: ["ever", "never", "within_days", "not_within_days"],
+};
+
+// Ops that take no value
+const UNARY_OPS = ["is_empty", "is_not_empty", "ever", "never"];
+const LIST_OPS = ["in", "not_in", "has_any", "has_none"];
+const DAY_OPS = ["within_days", "not_within_days"];
+
+const isGroup = (node) => node && typeof node === "object" && Array.isArray(node.rules);
+
+/**
+ * Kind of a rule's field, and for custom fields the ContactField behind it.
+ * @returns {{ kind: string, field?: Object } | null}
+ */
+function describeField(name, fieldsByKey) {
+  if (typeof name !== "string") return null;
+
+  if (name.startsWith("custom.")) {
+    const field = fieldsByKey.get(name.slice("custom.".length));
+    return field ? { kind: field.type, field } : null;
+  }
+  // Own keys only: "constructor", "toString"... aren't fields
+  if (Object.hasOwn(ATTRIBUTE_FIELDS, name)) return { kind: ATTRIBUTE_FIELDS[name] };
+  if (Object.hasOwn(ENGAGEMENT_FIELDS, name)) return { kind: "engagement" };
+  if (name === "tags") return { kind: "tags" };
+  if (name === "verificationStatus") return { kind: "verification" };
+  if (name === "mtaProvider") return { kind: "provider" };
+  return null;
+}
+
+const allowedValues = (kind, field) => {
+  if (kind === "lifecycle") return LIFECYCLE_STAGES;
+  if (kind === "verification") return VERIFICATION_STATUSES;
+  if (kind === "provider") return Object.values(EmailProvider);
+  if (kind === "select") return field.options || [];
+  return null;
+};
+
+function validateValue(rule, kind, field, errors) {
+  const label = `Rule "${rule.field} ${rule.op}"`;
+  if (UNARY_OPS.includes(rule.op)) return;
+
+  if (DAY_OPS.includes(rule.op)) {
+    if (!(Number.isInteger(rule.value) && rule.value > 0 && rule.value <= MAX_DAYS)) {
+      errors.push(`${label} needs a whole number of days between 1 and ${MAX_DAYS}`);
+    }
+    return;
+  }
+
+  const values = LIST_OPS.includes(rule.op) ? rule.value : [rule.value];
+  if (!Array.isArray(values) || !values.length) {
+    errors.push(`${label} needs a non-empty array value`);
+    return;
+  }
+
+  for (const value of values) {
+    if (value === null || value === undefined || value === "" || typeof value === "object") {
+      errors.push(`${label} has an empty or invalid value`);
+      return;
+    }
+    if (kind === "number" && !Number.isFinite(Number(value))) {
+      errors.push(`${label} needs a number`);
+      return;
+    }
+    if (kind === "date" && Number.isNaN(new Date(value).getTime())) {
+      errors.push(`${label} needs a date`);
+      return;
+    }
+    if (kind === "boolean" && typeof value !== "boolean") {
+      errors.push(`${label} needs true or false`);
+      return;
+    }
+    const allowed = allowedValues(kind, field);
+    if (allowed && !allowed.includes(value)) {
+      errors.push(`${label} value must be one of: ${allowed.join(", ")}`);
+      return;
+    }
+  }
+}
+
+/**
+ * Validates a segment filter before it is saved or run.
+ * @param {Object} filter
+ * @param {Object[]} fields - the workspace's ContactFields
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export function validateSegmentFilter(filter, fields = []) {
+  if (!isGroup(filter)) return ["Filter must be an object with a rules array"];
+
+  const fieldsByKey = new Map(fields.map((f) => [f.key, f]));
+  const errors = [];
+  let ruleCount = 0;
+
+  const walk = (group, depth) => {
+    if (depth > MAX_DEPTH) {
+      errors.push(`Groups can be nested at most ${MAX_DEPTH} levels deep`);
+      return;
+    }
+    if (group.match !== undefined && !["all", "any"].includes(group.match)) {
+      errors.push(`Group match must be "all" or "any"`);
+    }
+
+    for (const rule of group.rules) {
+      if (isGroup(rule)) {
+        walk(rule, depth + 1);
+        continue;
+      }
+      if (++ruleCount > MAX_RULES) {
+        errors.push(`A segment can have at most ${MAX_RULES} rules`);
+        return;
+      }
+
+      const described = describeField(rule?.field, fieldsByKey);
+      if (!described) {
+        errors.push(`Unknown field "${rule?.field}"`);
+        continue;
+      }
+      if (!OPS_BY_KIND[described.kind].includes(rule.op)) {
+        errors.push(
+          `Field "${rule.field}" supports: ${OPS_BY_KIND[described.kind].join(", ")}`,
+        );
+        continue;
+      }
+      validateValue(rule, described.kind, described.field, errors);
+    }
+  };
+
+  walk(filter, 1);
+  return errors;
+}
+
+/**
+ * Fields, operators and allowed values available to a workspace's
+ * filters, for building rule editors.
+ * @param {Object[]} fields - the workspace's ContactFields
+ */
+export function describeSegmentFields(fields = []) {
+  const entry = (field, kind, extra = {}) => {
+    const values = allowedValues(kind, extra.field);
+    return {
+      field,
+      type: kind,
+      ops: OPS_BY_KIND[kind],
+      ...(values && { values }),
+      ...(extra.label && { label: extra.label }),
+    };
+  };
+
+  return [
+    ...Object.entries(ATTRIBUTE_FIELDS).map(([name, kind]) => entry(name, kind)),
+    entry("tags", "tags"),
+    entry("verificationStatus", "verification"),
+    entry("mtaProvider", "provider"),
+    ...Object.keys(ENGAGEMENT_FIELDS).map((name) => entry(name, "engagement")),
+    ...fields.map((f) => entry(`custom.${f.key}`, f.type, { field: f, label: f.label })),
+  ];
+}
+
+/* =========================
+   SQL COMPILATION
+========================= */
+
+const esc = (value) => sequelize.escape(value);
+const list = (values) => values.map(esc).join(", ");
+const likePattern = (value) => String(value).replace(/[\\%_]/g, "\\$&");
+const daysAgo = (days) => `NOW() - INTERVAL '${Number(days)} days'`;
+
+// Compares a text-valued SQL expression; negative ops also match missing values
+function compareText(expr, op, value) {
+  switch (op) {
+    case "eq":
+      return `${expr} = ${esc(String(value))}`;
+    case "neq":
+      return `(${expr} IS NULL OR ${expr} <> ${esc(String(value))})`;
+    case "in":
+      return `${expr} IN (${list(value.map(String))})`;
+    case "not_in":
+      return `(${expr} IS NULL OR ${expr} NOT IN (${list(value.map(String))}))`;
+    case "contains":
+      return `${expr} ILIKE ${esc(`%${likePattern(value)}%`)}`;
+    case "not_contains":
+      return `(${expr} IS NULL OR ${expr} NOT ILIKE ${esc(`%${likePattern(value)}%`)})`;
+    case "starts_with":
+      return `${expr} ILIKE ${esc(`${likePattern(value)}%`)}`;
+    case "ends_with":
+      return `${expr} ILIKE ${esc(`%${likePattern(value)}`)}`;
+    case "is_empty":
+      return `(${expr} IS NULL OR ${expr} = '')`;
+    case "is_not_empty":
+      return `(${expr} IS NOT NULL AND ${expr} <> '')`;
+  }
+  return null;
+}
+
+function compareNumber(expr, op, value) {
+  const ops = { eq: "=", gt: ">", gte: ">=", lt: "<", lte: "<=" };
+  if (ops[op]) return `${expr} ${ops[op]} ${Number(value)}`;
+  if (op === "neq") return `(${expr} IS NULL OR ${expr} <> ${Number(value)})`;
+  if (op === "is_empty") return `${expr} IS NULL`;
+  if (op === "is_not_empty") return `${expr} IS NOT NULL`;
+  return null;
+}
+
+function compareDate(expr, op, value) {
+  switch (op) {
+    case "before":
+      return `${expr} < ${esc(new Date(value).toISOString())}::timestamptz`;
+    case "after":
+      return `${expr} > ${esc(new Date(value).toISOString())}::timestamptz`;
+    case "within_days":
+      return `${expr} >= ${daysAgo(value)}`;
+    case "not_within_days":
+      return `(${expr} IS NULL OR ${expr} < ${daysAgo(value)})`;
+    case "is_empty":
+      return `${expr} IS NULL`;
+    case "is_not_empty":
+      return `${expr} IS NOT NULL`;
+  }
+  return null;
+}
+
+function compareTags(op, value) {
+  const has = (tag) => `"Contact"."tags" @> ${esc(JSON.stringify([String(tag).trim().toLowerCase()]))}::jsonb`;
+
+  switch (op) {
+    case "has":
+      return has(value);
+    case "not_has":
+      return `NOT (${has(value)})`;
+    case "has_any":
+      return `(${value.map(has).join(" OR ")})`;
+    case "has_none":
+      return `NOT (${value.map(has).join(" OR ")})`;
+  }
+  return null;
+}
+
+function compileCustom(field, op, value) {
+  const raw = `("Contact"."customFields"->>${esc(field.key)})`;
+
+  switch (field.type) {
+    case "number":
+      return compareNumber(`(${raw})::numeric`, op, value);
+    case "date":
+      return compareDate(`(${raw})::timestamptz`, op, value);
+    case "boolean":
+      if (op === "eq") return `(${raw})::boolean = ${value ? "true" : "false"}`;
+      return compareNumber(raw, op, value);
+    default:
+      return compareText(raw, op, value);
+  }
+}
+
+// Contacts without a row count as "unknown"
+function lookupExpr(kind) {
+  if (kind === "verification") {
+    return `COALESCE((SELECT r."verificationStatus"::text FROM global_email_registry r WHERE r."normalizedEmail" = "Contact"."email"), 'unknown')`;
+  }
+  return `COALESCE((SELECT p."provider"::text FROM email_domain_providers p WHERE p."domain" = "Contact"."domain"), 'unknown')`;
+}
+
+// Emails from the workspace's campaigns to this contact with `column` set
+function compileEngagement(workspaceId, field, op, value) {
+  const column = ENGAGEMENT_FIELDS[field];
+  const since = DAY_OPS.includes(op) ? ` AND e."${column}" >= ${daysAgo(value)}` : "";
+  const exists = `EXISTS (SELECT 1 FROM emails e JOIN campaigns c ON c."id" = e."campaignId" WHERE c."workspaceId" = ${esc(workspaceId)} AND e."recipientEmail" = "Contact"."email" AND e."${column}" IS NOT NULL${since})`;
+
+  return op === "ever" || op === "within_days" ? exists : `NOT ${exists}`;
+}
+
+function compileRule(rule, workspaceId, fieldsByKey) {
+  const { kind, field } = describeField(rule.field, fieldsByKey);
+  const { op, value } = rule;
+
+  if (field) return compileCustom(field, op, value);
+  if (kind === "engagement") return compileEngagement(workspaceId, rule.field, op, value);
+  if (kind === "tags") return compareTags(op, value);
+  if (kind === "verification" || kind === "provider") return compareText(lookupExpr(kind), op, value);
+
+  const column = `"Contact"."${rule.field}"`;
+  if (kind === "date") return compareDate(column, op, value);
+  // Enum / UUID columns compare as text
+  return compareText(kind === "text" ? column : `${column}::text`, op, value);
+}
+
+/**
+ * SQL condition for a filter that passed validateSegmentFilter(). Empty
+ * groups match everything.
+ * @returns {string}
+ */
+export function compileSegmentFilter(filter, { workspaceId, fields = [] }) {
+  const fieldsByKey = new Map(fields.map((f) => [f.key, f]));
+
+  const compileGroup = (group) => {
+    const parts = group.rules
+      .map((rule) => (isGroup(rule) ? compileGroup(rule) : compileRule(rule, workspaceId, fieldsByKey)))
+      .filter(Boolean);
+    if (!parts.length) return "TRUE";
+    return `(${parts.join(group.match === "any" ? " OR " : " AND ")})`;
+  };
+
+  return compileGroup(filter);
+}
@@ -0,0 +1,174 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Campaign send windows.
+ * A window looks like { days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" }
+ * where days use dayjs numbering (0 = Sunday). Times are evaluated in the
+ * recipient's timezone, falling back to the campaign timezone.
+ */
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Metadata keys checked (in order) for an explicit IANA timezone
+const TIMEZONE_KEYS = ["timezone", "time_zone", "timeZone", "tz"];
+
+// Metadata keys checked for a country / region code
+const COUNTRY_KEYS = ["country", "country_code", "countryCode", "region"];
+
+// Representative timezone per country (ISO 3166-1 alpha-2). Countries that
+// span several zones map to their most populous one.
+const COUNTRY_TIMEZONES = {
+  US: "America/New_York",
+  CA: "America/Toronto",
+  MX: "America/Mexico_City",
+  BR: "America/Sao_Paulo",
+  AR: "America/Argentina/Buenos_Aires",
+  CL: "America/Santiago",
+  CO: "America/Bogota",
+  PE: "America/Lima",
+  GB: "Europe/London",
+  UK: "Europe/London",
+  IE: "Europe/Dublin",
+  PT: "Europe/Lisbon",
+  ES: "Europe/Madrid",
+  FR: "Europe/Paris",
+  BE: "Europe/Brussels",
+  NL: "Europe/Amsterdam",
+  DE: "Europe/Berlin",
+  CH: "Europe/Zurich",
+  AT: "Europe/Vienna",
+  IT: "Europe/Rome",
+  DK: "Europe/Copenhagen",
+  SE: "Europe/Stockholm",
+  NO: "Europe/Oslo",
+  FI: "Europe/Helsinki",
+  PL: "Europe/Warsaw",
+  CZ: "Europe/Prague",
+  GR: "Europe/Athens",
+  RO: "Europe/Bucharest",
+  UA: "Europe/Kyiv",
+  TR: "Europe/Istanbul",
+  RU: "Europe/Moscow",
+  IL: "Asia/Jerusalem",
+  AE: "Asia/Dubai",
+  SA: "Asia/Riyadh",
+  EG: "Africa/Cairo",
+  ZA: "Africa/Johannesburg",
+  NG: "Africa/Lagos",
+  KE: "Africa/Nairobi",
+  PK: "Asia/Karachi",
+  IN: "Asia/Kolkata",
+  BD: "Asia/Dhaka",
+  TH: "Asia/Bangkok",
+  VN: "Asia/Ho_Chi_Minh",
+  ID: "Asia/Jakarta",
+  MY: "Asia/Kuala_Lumpur",
+  SG: "Asia/Singapore",
+  PH: "Asia/Manila",
+  CN: "Asia/Shanghai",
+  HK: "Asia/Hong_Kong",
+  TW: "Asia/Taipei",
+  KR: "Asia/Seoul",
+  JP: "Asia/Tokyo",
+  AU: "Australia/Sydney",
+  NZ: "Pacific/Auckland",
+};
+
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolves the timezone for a recipient from its metadata.
+ * @param {Object} metadata - CampaignRecipient.metadata
+ * @param {string} fallback - Campaign timezone
+ */
+export function resolveRecipientTimezone(metadata = {}, fallback = "UTC") {
+  const meta = metadata || {};
+
+  for (const key of TIMEZONE_KEYS) {
+    if (isValidTimezone(meta[key])) return meta[key];
+  }
+
+  for (const key of COUNTRY_KEYS) {
+    const code = String(meta[key] || "").trim().toUpperCase();
+    if (COUNTRY_TIMEZONES[code]) return COUNTRY_TIMEZONES[code];
+  }
+
+  return isValidTimezone(fallback) ? fallback : "UTC";
+}
+
+/**
+ * Validates and normalizes a send window from request input.
+ * Returns null for "no window" and throws on malformed input.
+ */
+export function normalizeSendWindow(window) {
+  if (window === null || window === undefined) return null;
+
+  const { days, start, end } = window;
+
+  if (
+    !Array.isArray(days) ||
+    !days.length ||
+    !days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+  ) {
+    throw new Error("sendWindow.days must be a non-empty array of 0-6");
+  }
+
+  if (!TIME_REGEX.test(start || "") || !TIME_REGEX.test(end || "")) {
+    throw new Error("sendWindow.start and sendWindow.end must be HH:mm");
+  }
+
+  if (start >= end) {
+    throw new Error("sendWindow.start must be before sendWindow.end");
+  }
+
+  return { days: [...new Set(days)].sort(), start, end };
+}
+
+/**
+ * Returns the first instant >= date that falls inside the window.
+ * Without a window the date is returned unchanged.
+ * @param {Date} date
+ * @param {Object|null} window
+ * @param {string} tz - IANA timezone the window is evaluated in
+ * @returns {Date}
+ */
+export function nextOpenSlot(date, window, tz = "UTC") {
+  if (!window?.days?.length) return date;
+
+  const at = dayjs(date).tz(tz);
+
+  // A week always contains every allowed weekday
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = at.add(offset, "day");
+    if (!window.days.includes(day.day())) continue;
+
+    const dateStr = day.format("YYYY-MM-DD");
+    const opens = dayjs.tz(`${dateStr} ${window.start}`, tz);
+    const closes = dayjs.tz(`${dateStr} ${window.end}`, tz);
+
+    if (at.isBefore(opens)) return opens.toDate();
+    if (at.isBefore(closes)) return date;
+  }
+
+  return date;
+}
+
+/**
+ * True when the date falls inside the window for the given timezone.
+ */
+export function isWithinWindow(date, window, tz = "UTC") {
+  return nextOpenSlot(date, window, tz).getTime() === new Date(date).getTime();
+}
@@ -0,0 +1,105 @@
+import CampaignSender from "../models/campaign-sender.model.js";
+import SenderHealth from "../models/sender-health.model.js";
+import { getSenderWithType } from "../models/index.js";
+import { DeliveryGuard } from "./delivery-guard.js";
+
+/**
+ * SenderRotation spreads a campaign across its pool of mailboxes.
+ * 1. The pool is the campaign's CampaignSender rows (falls back to Campaign.senderId)
+ * 2. Each sender is scored by remaining daily quota weighted by reputation
+ * 3. Recipients keep the mailbox that sent step 0 for every follow-up,
+ *    while it is still verified and in the pool
+ */
+export class SenderRotation {
+  // Same default the email router uses when no health record exists yet
+  static DEFAULT_REPUTATION = 100;
+
+  /**
+   * Loads every usable sender for a campaign.
+   * @returns {Promise<Array<{ sender: object, senderType: string }>>}
+   */
+  static async getPool(campaign) {
+    const rows = await CampaignSender.findAll({
+      where: { campaignId: campaign.id, isActive: true },
+    });
+
+    const entries = rows.length
+      ? rows.map((r) => ({ senderId: r.senderId, senderType: r.senderType }))
+      : [{ senderId: campaign.senderId, senderType: campaign.senderType }];
+
+    const pool = [];
+    for (const { senderId, senderType } of entries) {
+      const sender = await getSenderWithType(senderId, senderType);
+      if (sender && sender.isVerified) pool.push({ sender, senderType });
+    }
+
+    return pool;
+  }
+
+  /**
+   * Attaches today's quota and reputation to each pool entry and sorts
+   * them best-first. Senders with no quota left are kept but flagged.
+   */
+  static async rank(pool) {
+    const ranked = await Promise.all(
+      pool.map(async ({ sender, senderType }) => {
+        const quota = await DeliveryGuard.canSendToday(sender, senderType);
+        const health = await SenderHealth.findOne({
+          where: { senderId: sender.id },
+          attributes: ["reputationScore"],
+        });
+
+        const reputationScore =
+          health?.reputationScore ?? this.DEFAULT_REPUTATION;
+
+        return {
+          sender,
+          senderType,
+          quota,
+          reputationScore,
+          score: quota.remaining * (reputationScore / 100),
+        };
+      }),
+    );
+
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Picks the best sender for a new recipient, or null when every
+   * mailbox in the pool is out of quota.
+   */
+  static async pick(campaign, pool = null) {
+    const ranked = await this.rank(pool || (await this.getPool(campaign)));
+    return ranked.find((r) => r.quota.allowed && r.score > 0) || null;
+  }
+
+  /**
+   * Resolves the sender for a recipient: the pinned one if step 0 was
+   * already sent, otherwise a fresh pick from the pool.
+   */
+  static async forRecipient(campaign, recipient) {
+    const pool = await this.getPool(campaign);
+
+    if (recipient.senderId && recipient.senderType) {
+      const entry = pool.find(
+        (p) =>
+          p.sender.id === recipient.senderId &&
+          p.senderType === recipient.senderType,
+      );
+
+      if (entry) {
+        const quota = await DeliveryGuard.canSendToday(
+          entry.sender,
+          entry.senderType,
+        );
+        return quota.allowed ? { ...entry, quota, pinned: true } : null;
+      }
+      // Pinned mailbox was removed, unverified or dropped from the pool —
+      // the thread is lost, re-pick from the pool
+    }
+
+    const picked = await this.pick(campaign, pool);
+    return picked ? { ...picked, pinned: false } : null;
+  }
+}
@@ -0,0 +1,285 @@
+import { Op } from "sequelize";
+import CampaignSend from "../models/campaign-send.model.js";
+import EmailEvent from "../models/email-event.model.js";
+import Email from "../models/email.model.js";
+
+/**
+ * Branching campaign sequences stored as a directed graph on Campaign.sequence:
+ *
+ * {
+ *   entryNodeId: "n1",
+ *   nodes: [
+ *     { id: "n1", type: "send", stepOrder: 0 },
+ *     { id: "n2", type: "wait", delayMinutes: 1440 },
+ *     { id: "n3", type: "condition", condition: { type: "opened_any" } },
+ *     { id: "n4", type: "tag", tags: ["engaged"] },
+ *     { id: "n5", type: "end" },
+ *   ],
+ *   edges: [
+ *     { from: "n1", to: "n2" },
+ *     { from: "n3", to: "n4", branch: "true" },
+ *     { from: "n3", to: "n5", branch: "false" },
+ *   ],
+ * }
+ *
+ * Send nodes point at a CampaignStep by stepOrder so content, variants and
+ * A/B auto-optimize keep working unchanged.
+ */
+
+export const NODE_TYPES = ["send", "wait", "condition", "tag", "end"];
+
+export const CONDITION_TYPES = [
+  "opened_any",
+  "clicked_any",
+  "replied_any",
+  "opened_step",
+  "clicked_step",
+  "clicked_link",
+  "metadata_equals",
+  "has_tag",
+];
+
+export function hasSequenceGraph(campaign) {
+  return Array.isArray(campaign?.sequence?.nodes) && campaign.sequence.nodes.length > 0;
+}
+
+export function getNode(graph, nodeId) {
+  return graph.nodes.find((n) => n.id === nodeId) || null;
+}
+
+export function getEntryNodeId(graph) {
+  return graph.entryNodeId || graph.nodes[0]?.id || null;
+}
+
+/**
+ * Follows the outgoing edge of a node. Condition nodes take the "true" or
+ * "false" branch; every other node has a single unlabelled edge.
+ */
+export function getNextNodeId(graph, nodeId, branch = null) {
+  const edges = (graph.edges || []).filter((e) => e.from === nodeId);
+  const edge = branch
+    ? edges.find((e) => String(e.branch) === branch)
+    : edges[0];
+  return edge?.to || null;
+}
+
+function validateCondition(node, errors) {
+  const condition = node.condition || {};
+
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    errors.push(`Node "${node.id}" has unknown condition "${condition.type}"`);
+    return;
+  }
+
+  if (
+    ["opened_step", "clicked_step"].includes(condition.type) &&
+    !Number.isInteger(condition.stepOrder)
+  ) {
+    errors.push(`Node "${node.id}" condition needs an integer stepOrder`);
+  }
+  if (condition.type === "clicked_link" && !condition.url) {
+    errors.push(`Node "${node.id}" condition needs a url`);
+  }
+  if (condition.type === "metadata_equals" && !condition.field) {
+    errors.push(`Node "${node.id}" condition needs a metadata field`);
+  }
+  if (condition.type === "has_tag" && !condition.tag) {
+    errors.push(`Node "${node.id}" condition needs a tag`);
+  }
+}
+
+/**
+ * Validates a sequence graph before it is saved.
+ * @param {Object} graph
+ * @param {number[]} stepOrders - stepOrders that exist for the campaign
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export function validateSequenceGraph(graph, stepOrders = []) {
+  const errors = [];
+
+  if (!graph || !Array.isArray(graph.nodes) || !graph.nodes.length) {
+    return ["Sequence must contain at least one node"];
+  }
+
+  const edges = Array.isArray(graph.edges) ? graph.edges : [];
+  const ids = new Set();
+  const sendSteps = new Set();
+
+  /* ---------- NODES ---------- */
+  for (const node of graph.nodes) {
+    if (!node?.id) {
+      errors.push("Every node needs an id");
+      continue;
+    }
+    if (ids.has(node.id)) errors.push(`Duplicate node id "${node.id}"`);
+    ids.add(node.id);
+
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`Node "${node.id}" has unknown type "${node.type}"`);
+      continue;
+    }
+
+    if (node.type === "send") {
+      if (!stepOrders.includes(node.stepOrder)) {
+        errors.push(`Node "${node.id}" references missing step ${node.stepOrder}`);
+      }
+      // CampaignSend is unique per (recipient, step)
+      if (sendSteps.has(node.stepOrder)) {
+        errors.push(`Step ${node.stepOrder} is used by more than one send node`);
+      }
+      sendSteps.add(node.stepOrder);
+    }
+
+    if (
+      node.type === "wait" &&
+      !(Number.isInteger(node.delayMinutes) && node.delayMinutes >= 0)
+    ) {
+      errors.push(`Node "${node.id}" needs a non-negative delayMinutes`);
+    }
+
+    if (node.type === "condition") validateCondition(node, errors);
+
+    if (node.type === "tag" && !(Array.isArray(node.tags) && node.tags.length)) {
+      errors.push(`Node "${node.id}" needs at least one tag`);
+    }
+  }
+
+  const entry = getEntryNodeId(graph);
+  if (!ids.has(entry)) errors.push(`Entry node "${entry}" does not exist`);
+
+  /* ---------- EDGES ---------- */
+  const outgoing = new Map([...ids].map((id) => [id, []]));
+  for (const edge of edges) {
+    if (!ids.has(edge.from) || !ids.has(edge.to)) {
+      errors.push(`Edge ${edge.from} → ${edge.to} references a missing node`);
+      continue;
+    }
+    outgoing.get(edge.from).push(edge);
+  }
+
+  for (const node of graph.nodes) {
+    if (!node?.id || !outgoing.has(node.id)) continue;
+    const out = outgoing.get(node.id);
+
+    if (node.type === "end" && out.length) {
+      errors.push(`End node "${node.id}" cannot have outgoing edges`);
+    } else if (node.type === "condition") {
+      const branches = out.map((e) => String(e.branch));
+      if (
+        out.length !== 2 ||
+        !branches.includes("true") ||
+        !branches.includes("false")
+      ) {
+        errors.push(`Condition node "${node.id}" needs exactly one "true" and one "false" edge`);
+      }
+    } else if (out.length > 1) {
+      errors.push(`Node "${node.id}" can only have one outgoing edge`);
+    }
+  }
+
+  if (errors.length) return errors;
+
+  /* ---------- CYCLES (DFS colouring) ---------- */
+  const state = new Map(); // id → "visiting" | "done"
+  const visit = (id) => {
+    state.set(id, "visiting");
+    for (const edge of outgoing.get(id)) {
+      const s = state.get(edge.to);
+      if (s === "visiting") {
+        errors.push(`Cycle detected through ${id} → ${edge.to}`);
+      } else if (!s) {
+        visit(edge.to);
+      }
+    }
+    state.set(id, "done");
+  };
+  for (const id of ids) if (!state.has(id)) visit(id);
+
+  /* ---------- REACHABILITY ---------- */
+  const reachable = new Set([entry]);
+  const queue = [entry];
+  while (queue.length) {
+    for (const edge of outgoing.get(queue.shift())) {
+      if (!reachable.has(edge.to)) {
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+  }
+  for (const id of ids) {
+    if (!reachable.has(id)) errors.push(`Node "${id}" is unreachable from the entry node`);
+  }
+
+  return errors;
+}
+
+/**
+ * Evaluates a condition node for a recipient.
+ * @returns {Promise<boolean>}
+ */
+export async function evaluateCondition(condition, { campaignId, recipient }) {
+  const sendWhere = { campaignId, recipientId: recipient.id };
+
+  switch (condition.type) {
+    case "opened_any":
+      return !!(await CampaignSend.count({
+        where: { ...sendWhere, openedAt: { [Op.ne]: null } },
+      }));
+
+    case "clicked_any":
+      return !!(await CampaignSend.count({
+        where: { ...sendWhere, clickedAt: { [Op.ne]: null } },
+      }));
+
+    case "replied_any":
+      return (
+        !!recipient.repliedAt ||
+        !!(await CampaignSend.count({
+          where: { ...sendWhere, repliedAt: { [Op.ne]: null } },
+        }))
+      );
+
+    case "opened_step":
+      return !!(await CampaignSend.count({
+        where: { ...sendWhere, step: condition.stepOrder, openedAt: { [Op.ne]: null } },
+      }));
+
+    case "clicked_step":
+      return !!(await CampaignSend.count({
+        where: { ...sendWhere, step: condition.stepOrder, clickedAt: { [Op.ne]: null } },
+      }));
+
+    case "clicked_link":
+      return !!(await EmailEvent.count({
+        where: {
+          eventType: "click",
+          metadata: { url: condition.url },
+          // Scanner clicks don't count; rows from before classification do
+          [Op.or]: [{ classification: "human" }, { classification: null }],
+        },
+        include: [
+          {
+            model: Email,
+            required: true,
+            attributes: [],
+            where: { campaignId, recipientId: recipient.id },
+          },
+        ],
+      }));
+
+    case "metadata_equals": {
+      const actual = recipient.metadata?.[condition.field];
+      if (actual === undefined || actual === null) return false;
+      return (
+        String(actual).trim().toLowerCase() ===
+        String(condition.value ?? "").trim().toLowerCase()
+      );
+    }
+
+    case "has_tag":
+      return (recipient.metadata?.tags || []).includes(condition.tag);
+
+    default:
+      return false;
+  }
+}
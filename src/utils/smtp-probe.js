@@ -0,0 +1,161 @@
+import net from "node:net";
+import { isPrivateAddress, publicLookup } from "./public-address.js";
+
+/**
+ * Bare-bones SMTP client for recipient probing: greets a mail exchanger
+ * on port 25 and asks RCPT TO for each address. DATA is never sent, so
+ * nothing is delivered.
+ */
+class SmtpSession {
+  constructor(socket, timeoutMs) {
+    this.socket = socket;
+    this.timeoutMs = timeoutMs;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("error", (err) => this.fail(err));
+    socket.on("close", () => this.fail(new Error("Connection closed by server")));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf("\n")) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, "");
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = {
+          code: Number(line.slice(0, 3)),
+          message: this.lines.map((l) => l.slice(4)).join(" ").trim(),
+        };
+        this.lines = [];
+
+        const waiter = this.waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(err) {
+    this.error ??= err;
+    for (const waiter of this.waiters.splice(0)) waiter.reject(err);
+  }
+
+  read() {
+    if (this.replies.length) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.socket.destroy();
+        reject(new Error("SMTP reply timed out"));
+      }, this.timeoutMs);
+
+      this.waiters.push({
+        resolve: (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        },
+        reject: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        },
+      });
+    });
+  }
+
+  command(line) {
+    if (!this.error) this.socket.write(`${line}\r\n`);
+    return this.read();
+  }
+
+  close() {
+    if (this.socket.destroyed) return;
+    this.socket.end("QUIT\r\n");
+    // Don't wait on servers that never hang up
+    setTimeout(() => this.socket.destroy(), 1000).unref();
+  }
+}
+
+// MX hosts come from the domains of uploaded addresses: never let one
+// point the probe at our own network
+function connect(host, port, timeoutMs) {
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return Promise.reject(new Error(`${host} is not a public address`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port, lookup: publicLookup });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("Connection timed out")));
+    socket.once("error", reject);
+    socket.once("connect", () => {
+      socket.setTimeout(0);
+      socket.off("error", reject);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Asks a domain's mail exchangers whether they'd accept each recipient.
+ * Hosts are tried in order until one completes the conversation.
+ *
+ * @param {string[]} hosts - MX hosts, most preferred first
+ * @param {string[]} recipients
+ * @param {Object} options
+ * @param {string} options.heloName - name announced in EHLO
+ * @param {string} options.mailFrom - envelope sender
+ * @param {number} [options.port]
+ * @param {number} [options.timeoutMs] - per connection / reply
+ * @returns {Promise<{ host: string, replies: Map<string, { code: number, message: string }> }>}
+ * @throws when no host could be asked (unreachable, sender refused...)
+ */
+export async function probeRecipients(
+  hosts,
+  recipients,
+  { heloName, mailFrom, port = 25, timeoutMs = 10000 },
+) {
+  let lastError = new Error("No mail exchanger to probe");
+
+  for (const host of hosts) {
+    let session;
+    try {
+      session = new SmtpSession(await connect(host, port, timeoutMs), timeoutMs);
+
+      const greeting = await session.read();
+      if (greeting.code !== 220) {
+        throw new Error(`Greeting refused: ${greeting.code} ${greeting.message}`);
+      }
+
+      let reply = await session.command(`EHLO ${heloName}`);
+      if (reply.code !== 250) reply = await session.command(`HELO ${heloName}`);
+      if (reply.code !== 250) throw new Error(`HELO refused: ${reply.code} ${reply.message}`);
+
+      reply = await session.command(`MAIL FROM:<${mailFrom}>`);
+      if (reply.code !== 250) throw new Error(`Sender refused: ${reply.code} ${reply.message}`);
+
+      const replies = new Map();
+      for (const recipient of recipients) {
+        replies.set(recipient, await session.command(`RCPT TO:<${recipient}>`));
+      }
+
+      return { host, replies };
+    } catch (err) {
+      lastError = err;
+    } finally {
+      session?.close();
+    }
+  }
+
+  throw lastError;
+}
@@ -21,6 +21,11 @@ const options = {
           in: "cookie",
           name: "access_token",
         },
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "API key (see API Keys)",
+        },
       },
       schemas: {
         SuccessResponse: {
@@ -1,10 +1,21 @@
+import { trackingUrl, HONEYPOT_LINK_INDEX } from "./tracking-token.js";
+
+/**
+ * Adds the open pixel, click redirects and unsubscribe footer to an email.
+ * Click links point at signed tokens holding an index into the returned
+ * `links`, which the caller stores on Email.trackedLinks; the destination
+ * is never read back from the URL.
+ *
+ * @returns {{ html: string, links: string[] }}
+ */
 export function injectTracking(html, emailId, options = {}) {
   const { trackOpens = true, trackClicks = true, baseUrl = process.env.APP_URL || "http://localhost:8080" } = options;
   let trackedHtml = html;
+  const links = [];
 
   // 1. Inject Open Tracking Pixel
   if (trackOpens) {
-    const pixelUrl = `${baseUrl}/api/v1/tracking/open/${emailId}`;
+    const pixelUrl = trackingUrl("open", emailId, { baseUrl });
     const pixelTag = `<img src="${pixelUrl}" width="1" height="1" style="display:none !important;" alt="" />`;
 
     if (trackedHtml.includes("</body>")) {
@@ -16,25 +27,40 @@ export function injectTracking(html, emailId, options = {}) {
 
   // 2. Inject Click Tracking
   if (trackClicks) {
-    const clickUrlBase = `${baseUrl}/api/v1/tracking/click/${emailId}?url=`;
-
     // Regex to find all href attributes in anchor tags
     const hrefRegex = /<a\s+(?:[^>]*?\s+)?href=["']([^"']*)["']/gi;
 
     trackedHtml = trackedHtml.replace(hrefRegex, (match, url) => {
-      // Don't track empty URLs, mailto, or anchor links
-      if (!url || url.startsWith("mailto:") || url.startsWith("#") || url.startsWith("tel:")) {
+      // Only http(s) links are redirected; mailto, tel, anchors stay as-is
+      if (!/^https?:\/\//i.test(url)) {
         return match;
       }
 
-      const trackedUrl = `${clickUrlBase}${encodeURIComponent(url)}`;
+      // Same destination → same index, so per-link stats group naturally
+      const destination = url.replace(/&amp;/g, "&");
+      let index = links.indexOf(destination);
+      if (index === -1) index = links.push(destination) - 1;
+
+      const trackedUrl = trackingUrl("click", emailId, { index, baseUrl });
       return match.replace(url, trackedUrl);
     });
+
+    // Hidden honeypot link: readers never see it, link scanners follow it
+    if (links.length) {
+      const honeypotUrl = trackingUrl("click", emailId, { index: HONEYPOT_LINK_INDEX, baseUrl });
+      const honeypotTag = `<a href="${honeypotUrl}" style="display:none !important;" aria-hidden="true" tabindex="-1"></a>`;
+
+      if (trackedHtml.includes("</body>")) {
+        trackedHtml = trackedHtml.replace("</body>", `${honeypotTag}</body>`);
+      } else {
+        trackedHtml += honeypotTag;
+      }
+    }
   }
 
   // 3. Inject Unsubscribe Link
   if (options.unsubscribeLink) {
-    const unsubUrl = `${baseUrl}/api/v1/tracking/unsubscribe/${emailId}`;
+    const unsubUrl = trackingUrl("unsubscribe", emailId, { baseUrl });
     const unsubHtml = `<div style="text-align: center; font-size: 11px; color: #777; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
       If you no longer wish to receive emails from us, you can <a href="${unsubUrl}" style="color: #777; text-decoration: underline;">unsubscribe here</a>.
     </div>`;
@@ -46,5 +72,5 @@ export function injectTracking(html, emailId, options = {}) {
     }
   }
 
-  return trackedHtml;
+  return { html: trackedHtml, links };
 }
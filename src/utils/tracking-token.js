@@ -0,0 +1,81 @@
+import crypto from "crypto";
+
+/**
+ * Opaque, HMAC-signed tokens for tracking URLs. A token packs the email id,
+ * the kind of link and (for clicks) the index into Email.trackedLinks, so
+ * neither the id nor the destination can be swapped without the secret.
+ *
+ * Layout (base64url): uuid(16) | kind(1) | index(2) | hmac(12)
+ */
+
+const KINDS = { open: 1, click: 2, unsubscribe: 3 };
+
+// Click index reserved for the hidden honeypot link (never a real link)
+export const HONEYPOT_LINK_INDEX = 0xffff;
+
+const PAYLOAD_LENGTH = 19;
+const SIGNATURE_LENGTH = 12;
+
+// Dedicated key: the API and every worker that writes links must share it
+const secret = () => {
+  const value = process.env.TRACKING_SECRET;
+  if (!value) throw new Error("TRACKING_SECRET is not configured");
+  return value;
+};
+
+/**
+ * Throws when TRACKING_SECRET is missing. Called when the API and the
+ * link-writing workers start, so a misconfigured process fails right away
+ * instead of sending links nothing can verify.
+ */
+export function assertTrackingSecret() {
+  secret();
+}
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(payload)
+    .digest()
+    .subarray(0, SIGNATURE_LENGTH);
+
+/**
+ * @param {"open"|"click"|"unsubscribe"} kind
+ * @param {string} emailId - Email UUID
+ * @param {number} [index] - position in Email.trackedLinks (clicks)
+ */
+export function createTrackingToken(kind, emailId, index = 0) {
+  const payload = Buffer.alloc(PAYLOAD_LENGTH);
+  Buffer.from(emailId.replace(/-/g, ""), "hex").copy(payload, 0);
+  payload.writeUInt8(KINDS[kind], 16);
+  payload.writeUInt16BE(index, 17);
+
+  return Buffer.concat([payload, sign(payload)]).toString("base64url");
+}
+
+/**
+ * @returns {{ emailId: string, index: number } | null} null when the token
+ *   is malformed, tampered with or of another kind
+ */
+export function readTrackingToken(token, kind) {
+  if (typeof token !== "string" || !/^[A-Za-z0-9_-]+$/.test(token)) return null;
+
+  const buffer = Buffer.from(token, "base64url");
+  if (buffer.length !== PAYLOAD_LENGTH + SIGNATURE_LENGTH) return null;
+
+  const payload = buffer.subarray(0, PAYLOAD_LENGTH);
+  const signature = buffer.subarray(PAYLOAD_LENGTH);
+  if (!crypto.timingSafeEqual(signature, sign(payload))) return null;
+  if (payload.readUInt8(16) !== KINDS[kind]) return null;
+
+  const hex = payload.subarray(0, 16).toString("hex");
+  return {
+    emailId: `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`,
+    index: payload.readUInt16BE(17),
+  };
+}
+
+export function trackingUrl(kind, emailId, { index, baseUrl } = {}) {
+  const base = baseUrl || process.env.APP_URL || "http://localhost:8080";
+  return `${base}/api/v1/tracking/${kind}/${createTrackingToken(kind, emailId, index)}`;
+}
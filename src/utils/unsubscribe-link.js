@@ -0,0 +1,22 @@
+import { trackingUrl } from "./tracking-token.js";
+
+/**
+ * Unsubscribe links are signed tracking tokens (see tracking-token.js), so
+ * they can be honoured without a session: RFC 8058 one-click POSTs carry
+ * no cookies.
+ */
+
+export function unsubscribeUrl(emailId, baseUrl) {
+  return trackingUrl("unsubscribe", emailId, { baseUrl });
+}
+
+/**
+ * List-Unsubscribe + List-Unsubscribe-Post (RFC 8058), required by the
+ * Gmail and Yahoo bulk-sender rules.
+ */
+export function listUnsubscribeHeaders(emailId, baseUrl) {
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl(emailId, baseUrl)}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
@@ -0,0 +1,33 @@
+import { sesWebhook } from "./ses.js";
+import { sendgridWebhook } from "./sendgrid.js";
+import { mailgunWebhook } from "./mailgun.js";
+import AppError from "../utils/app-error.js";
+
+/**
+ * Inbound ESP webhooks. Each adapter exposes:
+ *   verify({ payload, rawBody, headers }) - throws AppError when unsigned
+ *   parse(payload) - normalized events:
+ *
+ * {
+ *   type,           // "bounce" | "complaint" | "delivery" | "open"
+ *   eventId,        // ESP event id, used to drop redeliveries
+ *   recipient,
+ *   emailId,        // X-Unibox-Email-Id when the ESP echoes it
+ *   messageId,      // RFC Message-ID of the sent email
+ *   bounceType,     // "hard" | "soft" (bounces)
+ *   reason, smtpResponse, status,
+ *   userAgent, ipAddress, // opens
+ *   occurredAt,
+ * }
+ */
+export const ESP_WEBHOOKS = {
+  ses: sesWebhook,
+  sendgrid: sendgridWebhook,
+  mailgun: mailgunWebhook,
+};
+
+export function getEspWebhook(provider) {
+  const webhook = ESP_WEBHOOKS[String(provider).toLowerCase()];
+  if (!webhook) throw new AppError(`Unsupported webhook provider: ${provider}`, 404);
+  return webhook;
+}
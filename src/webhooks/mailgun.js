@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import AppError from "../utils/app-error.js";
+import redisClient from "../utils/redis-client.js";
+
+/**
+ * Mailgun webhooks. Each request carries { signature, "event-data" }; the
+ * signature is an HMAC-SHA256 of timestamp + token with the webhook
+ * signing key (MAILGUN_WEBHOOK_SIGNING_KEY). The signature doesn't cover
+ * event-data, so each token is accepted once.
+ */
+
+// Reject signatures older than this to limit replays
+const MAX_AGE_SECONDS = 5 * 60;
+// Used tokens are remembered for the whole window, in either direction of skew
+const TOKEN_TTL_SECONDS = MAX_AGE_SECONDS * 2;
+
+class MailgunWebhook {
+  constructor() {
+    this.name = "mailgun";
+  }
+
+  async verify({ payload }) {
+    const key = process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+    if (!key) throw new AppError("Mailgun webhook key is not configured", 503);
+
+    const { timestamp, token, signature } = payload?.signature || {};
+    if (!timestamp || !token || !signature) {
+      throw new AppError("Missing Mailgun signature", 401);
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > MAX_AGE_SECONDS) {
+      throw new AppError("Mailgun signature expired", 401);
+    }
+
+    const expected = crypto
+      .createHmac("sha256", key)
+      .update(`${timestamp}${token}`)
+      .digest("hex");
+
+    const valid =
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    if (!valid) throw new AppError("Invalid Mailgun signature", 401);
+
+    let fresh;
+    try {
+      fresh = await redisClient.set(`webhook:mailgun:token:${token}`, "1", {
+        NX: true,
+        EX: TOKEN_TTL_SECONDS,
+      });
+    } catch (err) {
+      // Can't rule out a replay; Mailgun retries later
+      console.error("Mailgun token check failed:", err.message);
+      throw new AppError("Mailgun webhook temporarily unavailable", 503);
+    }
+    if (!fresh) throw new AppError("Mailgun signature already used", 401);
+  }
+
+  async parse(payload) {
+    const e = payload["event-data"];
+    if (!e) return [];
+
+    const status = e["delivery-status"] || {};
+    const base = {
+      eventId: e.id,
+      recipient: e.recipient,
+      messageId: e.message?.headers?.["message-id"] || null,
+      emailId: e["user-variables"]?.emailId || null,
+      occurredAt: new Date((e.timestamp || Date.now() / 1000) * 1000),
+    };
+
+    switch (e.event) {
+      case "failed":
+        // Temporary failures are retried by Mailgun; only the final one counts
+        if (e.severity !== "permanent") return [];
+        return [
+          {
+            ...base,
+            type: "bounce",
+            bounceType: e.reason === "suppress-bounce" || status.code >= 500 ? "hard" : "soft",
+            reason: status.description || status.message || e.reason || "failed",
+            smtpResponse: status.message || null,
+            status: status["enhanced-code"] || null,
+          },
+        ];
+      case "complained":
+        return [{ ...base, type: "complaint", reason: "complained" }];
+      case "delivered":
+        return [
+          { ...base, type: "delivery", smtpResponse: status.message || null },
+        ];
+      case "opened":
+        return [
+          {
+            ...base,
+            type: "open",
+            userAgent: e["client-info"]?.["user-agent"] || null,
+            ipAddress: e.ip || null,
+          },
+        ];
+      default:
+        return [];
+    }
+  }
+}
+
+export const mailgunWebhook = new MailgunWebhook();
+export default mailgunWebhook;
@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import AppError from "../utils/app-error.js";
+
+/**
+ * SendGrid Event Webhook with signed events enabled. The ECDSA signature
+ * covers the timestamp header followed by the raw request body.
+ *
+ * SENDGRID_WEBHOOK_PUBLIC_KEY is the verification key from the SendGrid
+ * mail settings (base64 DER, as shown there).
+ */
+
+const SIGNATURE_HEADER = "x-twilio-email-event-webhook-signature";
+const TIMESTAMP_HEADER = "x-twilio-email-event-webhook-timestamp";
+
+// Reject signatures older than this to limit replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+function publicKey() {
+  const key = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  if (!key) throw new AppError("SendGrid webhook key is not configured", 503);
+
+  return key.includes("BEGIN PUBLIC KEY")
+    ? crypto.createPublicKey(key)
+    : crypto.createPublicKey({
+      key: Buffer.from(key, "base64"),
+      format: "der",
+      type: "spki",
+    });
+}
+
+class SendgridWebhook {
+  constructor() {
+    this.name = "sendgrid";
+  }
+
+  async verify({ rawBody, headers }) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    if (!signature || !timestamp) {
+      throw new AppError("Missing SendGrid signature", 401);
+    }
+
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > MAX_AGE_SECONDS) {
+      throw new AppError("SendGrid signature expired", 401);
+    }
+
+    const valid = crypto.verify(
+      "sha256",
+      Buffer.concat([Buffer.from(timestamp), rawBody]),
+      publicKey(),
+      Buffer.from(signature, "base64"),
+    );
+    if (!valid) throw new AppError("Invalid SendGrid signature", 401);
+  }
+
+  async parse(payload) {
+    if (!Array.isArray(payload)) return [];
+
+    return payload
+      .map((e) => {
+        const base = {
+          eventId: e.sg_event_id,
+          recipient: e.email,
+          messageId: e["smtp-id"] || null,
+          emailId: e.emailId || null,
+          occurredAt: new Date((e.timestamp || Date.now() / 1000) * 1000),
+        };
+
+        switch (e.event) {
+          case "bounce":
+            return {
+              ...base,
+              type: "bounce",
+              // "blocked" is a rejection of the message, not the address
+              bounceType: e.type === "blocked" ? "soft" : "hard",
+              reason: e.reason || e.type || "bounce",
+              smtpResponse: e.reason || null,
+              status: e.status || null,
+            };
+          case "spamreport":
+            return { ...base, type: "complaint", reason: "spamreport" };
+          case "delivered":
+            return {
+              ...base,
+              type: "delivery",
+              smtpResponse: e.response || null,
+            };
+          case "open":
+            // Apple Mail Privacy Protection prefetches aren't reader opens
+            if (e.sg_machine_open) return null;
+            return {
+              ...base,
+              type: "open",
+              userAgent: e.useragent || null,
+              ipAddress: e.ip || null,
+            };
+          default:
+            return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+export const sendgridWebhook = new SendgridWebhook();
+export default sendgridWebhook;
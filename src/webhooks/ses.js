@@ -0,0 +1,181 @@
+import crypto from "crypto";
+import axios from "axios";
+import AppError from "../utils/app-error.js";
+
+/**
+ * Amazon SES event notifications, delivered through an SNS HTTPS
+ * subscription. The SNS envelope is signed with an AWS certificate; the SES
+ * event is the JSON string in `Message`.
+ *
+ * SES_SNS_TOPIC_ARNS (comma-separated) lists the topics accepted. It is
+ * required: any AWS account can sign SNS messages, so without it anyone
+ * could subscribe their own topic and post bounces.
+ */
+
+const CERT_HOST = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Fields covered by the signature, in signing order
+const SIGNED_FIELDS = {
+  Notification: ["Message", "MessageId", "Subject", "Timestamp", "TopicArn", "Type"],
+  SubscriptionConfirmation: [
+    "Message",
+    "MessageId",
+    "SubscribeURL",
+    "Timestamp",
+    "Token",
+    "TopicArn",
+    "Type",
+  ],
+};
+SIGNED_FIELDS.UnsubscribeConfirmation = SIGNED_FIELDS.SubscriptionConfirmation;
+
+const certificates = new Map();
+
+function assertAwsUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:" || !CERT_HOST.test(hostname)) {
+    throw new AppError("Untrusted SNS URL", 401);
+  }
+}
+
+async function getCertificate(url) {
+  assertAwsUrl(url);
+
+  if (!certificates.has(url)) {
+    const { data } = await axios.get(url, {
+      responseType: "text",
+      timeout: 5000,
+    });
+    certificates.set(url, data);
+  }
+  return certificates.get(url);
+}
+
+const allowedTopics = () =>
+  (process.env.SES_SNS_TOPIC_ARNS || "")
+    .split(",")
+    .map((arn) => arn.trim())
+    .filter(Boolean);
+
+const header = (mail, name) =>
+  mail?.headers?.find((h) => h.name.toLowerCase() === name.toLowerCase())
+    ?.value || null;
+
+class SesWebhook {
+  constructor() {
+    this.name = "ses";
+  }
+
+  async verify({ payload }) {
+    const fields = SIGNED_FIELDS[payload?.Type];
+    if (!fields || !payload.Signature || !payload.SigningCertURL) {
+      throw new AppError("Invalid SNS message", 400);
+    }
+
+    const topics = allowedTopics();
+    if (!topics.length) throw new AppError("SES webhook topics are not configured", 503);
+    if (!topics.includes(payload.TopicArn)) {
+      throw new AppError("SNS topic not allowed", 403);
+    }
+
+    const signed = fields
+      .filter((field) => payload[field] !== undefined)
+      .map((field) => `${field}\n${payload[field]}\n`)
+      .join("");
+
+    const verifier = crypto.createVerify(
+      payload.SignatureVersion === "2" ? "RSA-SHA256" : "RSA-SHA1",
+    );
+    verifier.update(signed, "utf8");
+
+    const certificate = await getCertificate(payload.SigningCertURL);
+    if (!verifier.verify(certificate, payload.Signature, "base64")) {
+      throw new AppError("Invalid SNS signature", 401);
+    }
+  }
+
+  async parse(payload) {
+    if (payload.Type === "SubscriptionConfirmation") {
+      // Only ever subscribe to our own topics
+      if (!allowedTopics().includes(payload.TopicArn)) return [];
+      assertAwsUrl(payload.SubscribeURL);
+      await axios.get(payload.SubscribeURL, { timeout: 5000 });
+      return [];
+    }
+    if (payload.Type !== "Notification") return [];
+
+    let event;
+    try {
+      event = JSON.parse(payload.Message);
+    } catch {
+      return [];
+    }
+
+    const { mail } = event;
+    const type = event.eventType || event.notificationType;
+    const base = {
+      emailId: header(mail, "X-Unibox-Email-Id"),
+      messageId: mail?.commonHeaders?.messageId || header(mail, "Message-ID"),
+    };
+
+    switch (type) {
+      case "Bounce": {
+        const { bounce } = event;
+        // Undetermined bounces carry no verdict on the address
+        const bounceType = bounce.bounceType === "Permanent" ? "hard" : "soft";
+        return (bounce.bouncedRecipients || []).map((r) => ({
+          ...base,
+          type: "bounce",
+          eventId: `${payload.MessageId}:${r.emailAddress}`,
+          recipient: r.emailAddress,
+          bounceType,
+          reason: r.diagnosticCode || `${bounce.bounceType}/${bounce.bounceSubType}`,
+          smtpResponse: r.diagnosticCode || null,
+          status: r.status || null,
+          occurredAt: new Date(bounce.timestamp),
+        }));
+      }
+
+      case "Complaint": {
+        const { complaint } = event;
+        return (complaint.complainedRecipients || []).map((r) => ({
+          ...base,
+          type: "complaint",
+          eventId: `${payload.MessageId}:${r.emailAddress}`,
+          recipient: r.emailAddress,
+          reason: complaint.complaintFeedbackType || "abuse",
+          occurredAt: new Date(complaint.timestamp),
+        }));
+      }
+
+      case "Delivery": {
+        const { delivery } = event;
+        return (delivery.recipients || []).map((recipient) => ({
+          ...base,
+          type: "delivery",
+          eventId: `${payload.MessageId}:${recipient}`,
+          recipient,
+          smtpResponse: delivery.smtpResponse || null,
+          occurredAt: new Date(delivery.timestamp),
+        }));
+      }
+
+      case "Open":
+        return (mail?.destination || []).map((recipient) => ({
+          ...base,
+          type: "open",
+          eventId: `${payload.MessageId}:${recipient}`,
+          recipient,
+          userAgent: event.open?.userAgent || null,
+          ipAddress: event.open?.ipAddress || null,
+          occurredAt: new Date(event.open?.timestamp || Date.now()),
+        }));
+
+      default:
+        return [];
+    }
+  }
+}
+
+export const sesWebhook = new SesWebhook();
+export default sesWebhook;
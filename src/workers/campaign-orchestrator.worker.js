@@ -1,6 +1,14 @@
 import "../models/index.js";
 import { initGlobalErrorHandlers } from "../utils/error-handler.js";
 initGlobalErrorHandlers();
+import { assertTrackingSecret } from "../utils/tracking-token.js";
+try {
+  // Links written here must verify on the API
+  assertTrackingSecret();
+} catch (err) {
+  console.error(`💥 FATAL: ${err.message}`);
+  process.exit(1);
+}
 
 import Campaign from "../models/campaign.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
@@ -8,13 +16,25 @@ import CampaignStep from "../models/campaign-step.model.js";
 import CampaignSend from "../models/campaign-send.model.js";
 import Email from "../models/email.model.js";
 import GlobalEmailRegistry from "../models/global-email-registry.model.js";
-import { getSenderWithType } from "../models/index.js";
 
 import { getChannel } from "../queues/rabbit.js";
 import { QUEUES } from "../queues/queues.js";
 import { renderTemplate } from "../utils/template-renderer.js";
 import { injectTracking } from "../utils/tracking-injector.js";
 import { tryCompleteCampaign } from "../utils/campaign-completion.checker.js";
+import { SenderRotation } from "../utils/sender-rotation.js";
+import { nextOpenSlot } from "../utils/send-window.js";
+import { getVariantContent } from "../utils/ab-testing.js";
+import { suppressionService } from "../services/suppression.service.js";
+import { trackingDomainService } from "../services/tracking-domain.service.js";
+import { contactService } from "../services/contact.service.js";
+import {
+  evaluateCondition,
+  getEntryNodeId,
+  getNextNodeId,
+  getNode,
+  hasSequenceGraph,
+} from "../utils/sequence-graph.js";
 import crypto from "crypto";
 
 import dayjs from "dayjs";
@@ -51,6 +71,316 @@ async function ensureStepZero(campaign) {
   return step;
 }
 
+/**
+ * Picks the sender and A/B variant for a step, renders the template and
+ * creates the pending Email row. Returns null when nothing should be routed
+ * (recipient deferred for quota, or the step was already sent).
+ */
+async function prepareStepEmail({ campaign, recipient, stepConfig, step }) {
+  const campaignId = campaign.id;
+  const recipientId = recipient.id;
+
+  /* =========================
+     SENDER SELECTION (INBOX ROTATION)
+  ========================= */
+  // Step 0 picks the best mailbox in the pool; follow-ups reuse it so
+  // the provider keeps them in the same thread.
+  const assigned = await SenderRotation.forRecipient(campaign, recipient);
+
+  if (!assigned) {
+    log("WARN", "⏳ No sender with remaining quota, deferring recipient", {
+      campaignId,
+      recipientId,
+      pinnedSenderId: recipient.senderId,
+    });
+    await recipient.update({
+      nextRunAt: dayjs.utc().add(1, "hour").toDate(),
+    });
+    return null;
+  }
+
+  const { sender, senderType } = assigned;
+
+  if (!assigned.pinned) {
+    await recipient.update({ senderId: sender.id, senderType });
+  }
+
+  /* =========================
+     A/B TESTING & VARIANT SELECTION
+  ========================= */
+  let activeSubject = stepConfig.subject;
+  let activeHtml = stepConfig.htmlBody;
+  let activeText = stepConfig.textBody;
+  let variantId = "default";
+
+  if (stepConfig.winningVariantId) {
+    // Auto-optimize already picked a winner — everyone gets it
+    const winner = getVariantContent(stepConfig, stepConfig.winningVariantId);
+    activeSubject = winner.subject;
+    activeHtml = winner.htmlBody;
+    activeText = winner.textBody;
+    variantId = winner.variantId;
+  } else if (Array.isArray(stepConfig.variants) && stepConfig.variants.length > 0) {
+    // Weighted random selection
+    const totalWeight = stepConfig.variants.reduce((sum, v) => sum + (v.weight || 1), 1); // +1 for default
+    const pick = Math.random() * totalWeight;
+    
+    let currentWeight = 1; // Default variant weight
+    if (pick > currentWeight) {
+      for (let i = 0; i < stepConfig.variants.length; i++) {
+        currentWeight += stepConfig.variants[i].weight || 1;
+        if (pick <= currentWeight) {
+          const variant = stepConfig.variants[i];
+          activeSubject = variant.subject || activeSubject;
+          activeHtml = variant.htmlBody || activeHtml;
+          activeText = variant.textBody || activeText;
+          variantId = `variant_${i}`;
+          break;
+        }
+      }
+    }
+  }
+
+  /* =========================
+     IDEMPOTENT SEND
+  ========================= */
+  const [send, created] = await CampaignSend.findOrCreate({
+    where: { campaignId, recipientId, step },
+    defaults: {
+      senderId: sender.id,
+      senderType,
+      status: "queued",
+      variantId,
+    },
+  });
+
+  if (!created && send.status !== "queued") {
+    return null;
+  }
+
+  /* =========================
+  RENDER TEMPLATE
+  ========================= */
+  const nameParts = (recipient.name || "").trim().split(/\s+/);
+  const firstName = nameParts[0] || "";
+  const lastName = nameParts.slice(1).join(" ") || "";
+
+  const variables = {
+    email: recipient.email,
+    name: recipient.name || "",
+    first_name: firstName,
+    last_name: lastName,
+    firstName: firstName, // Common alternative
+    lastName: lastName,   // Common alternative
+    sender_name: sender?.displayName || sender?.name || '',
+    ...recipient.metadata,
+  };
+
+  const renderedSubject = renderTemplate(activeSubject, variables);
+  const renderedHtmlRaw = renderTemplate(activeHtml, variables);
+  const renderedText = renderTemplate(activeText, variables);
+
+  // 🎯 PRE-GENERATE EMAIL ID FOR TRACKING
+  const emailId = crypto.randomUUID();
+
+  // Custom tracking domain of the sender (or workspace), else APP_URL
+  const trackingBaseUrl = await trackingDomainService.resolveBaseUrl({
+    workspaceId: campaign.workspaceId,
+    senderId: sender.id,
+    senderType,
+  });
+
+  const { html: trackedHtml, links } = injectTracking(renderedHtmlRaw, emailId, {
+    trackOpens: campaign.trackOpens,
+    trackClicks: campaign.trackClicks,
+    unsubscribeLink: campaign.unsubscribeLink,
+    baseUrl: trackingBaseUrl,
+  });
+
+  const email = await Email.create({
+    id: emailId,
+    userId: campaign.userId,
+    campaignId,
+    senderId: sender.id,
+    senderType,
+    recipientEmail: recipient.email,
+    recipientId: recipient.id,
+    subject: renderedSubject,
+    htmlBody: trackedHtml,
+    textBody: renderedText,
+    trackedLinks: links,
+    status: "pending",
+    metadata: {
+      step,
+      variantId,
+      rawSubject: activeSubject,
+      trackingBaseUrl,
+      // Links carry signed tokens; bare /:emailId links aren't honoured
+      signedLinks: true,
+    },
+  });
+
+  return { email, send };
+}
+
+/* =========================
+   ROUTE EMAIL
+========================= */
+async function routeEmail(channel, { email, send }) {
+  await send.update({ emailId: email.id });
+
+  const sent = channel.sendToQueue(
+    QUEUES.EMAIL_ROUTE,
+    Buffer.from(JSON.stringify({ emailId: email.id })),
+    { persistent: true },
+  );
+
+  log("INFO", "📨 Email sent to route queue", {
+    emailId: email.id,
+    campaignId: email.campaignId,
+    recipientId: email.recipientId,
+    status: "pending",
+    queueSent: sent,
+  });
+}
+
+/* =========================
+   GRAPH SEQUENCES
+========================= */
+
+// Guard against malformed graphs looping on condition/tag nodes
+const MAX_GRAPH_HOPS = 50;
+
+async function completeRecipient(recipient, campaignId, extra = {}) {
+  await recipient.update({ status: "completed", nextRunAt: null, ...extra });
+  log("INFO", "🏁 Recipient finished sequence", {
+    campaignId,
+    recipientId: recipient.id,
+  });
+  await tryCompleteCampaign(campaignId);
+}
+
+/**
+ * Walks Campaign.sequence for a recipient, starting at currentNodeId.
+ * Condition and tag nodes are resolved inline; the walk stops at a wait
+ * node (reschedule), a send node (route email) or the end of a branch.
+ */
+async function runSequence(channel, campaign, recipient) {
+  const graph = campaign.sequence;
+  const campaignId = campaign.id;
+  let nodeId = recipient.currentNodeId || getEntryNodeId(graph);
+
+  for (let hop = 0; hop < MAX_GRAPH_HOPS; hop++) {
+    const node = nodeId ? getNode(graph, nodeId) : null;
+
+    if (!node || node.type === "end") {
+      return completeRecipient(recipient, campaignId, { currentNodeId: nodeId });
+    }
+
+    log("DEBUG", "🧩 Processing node", {
+      campaignId,
+      recipientId: recipient.id,
+      nodeId,
+      type: node.type,
+    });
+
+    if (node.type === "condition") {
+      const met = await evaluateCondition(node.condition, {
+        campaignId,
+        recipient,
+      });
+      nodeId = getNextNodeId(graph, node.id, met ? "true" : "false");
+      continue;
+    }
+
+    if (node.type === "tag") {
+      const tags = new Set([...(recipient.metadata?.tags || []), ...node.tags]);
+      await recipient.update({
+        metadata: { ...recipient.metadata, tags: [...tags] },
+      });
+      // Also on the contact, so segments can filter on sequence tags
+      await contactService.addTags(
+        campaign.workspaceId,
+        { contactId: recipient.contactId, email: recipient.email },
+        node.tags,
+      );
+      nodeId = getNextNodeId(graph, node.id);
+      continue;
+    }
+
+    if (node.type === "wait") {
+      const nextNodeId = getNextNodeId(graph, node.id);
+      if (!nextNodeId) return completeRecipient(recipient, campaignId);
+
+      await recipient.update({
+        currentNodeId: nextNodeId,
+        nextRunAt: nextOpenSlot(
+          dayjs.utc().add(node.delayMinutes || 0, "minute").toDate(),
+          campaign.sendWindow,
+          recipient.timezone || campaign.timezone,
+        ),
+      });
+      return;
+    }
+
+    // send
+    if (node.stepOrder === 0) await ensureStepZero(campaign);
+
+    const stepConfig = await CampaignStep.findOne({
+      where: { campaignId, stepOrder: node.stepOrder },
+    });
+
+    if (!stepConfig) {
+      log("WARN", "⚠️ Send node references missing step, skipping", {
+        campaignId,
+        nodeId,
+        stepOrder: node.stepOrder,
+      });
+      nodeId = getNextNodeId(graph, node.id);
+      continue;
+    }
+
+    // Keep currentNodeId on the send node until the email exists so a
+    // deferral or retry resumes here
+    await recipient.update({ currentNodeId: node.id });
+
+    const prepared = await prepareStepEmail({
+      campaign,
+      recipient,
+      stepConfig,
+      step: node.stepOrder,
+    });
+    if (!prepared) return;
+
+    const nextNodeId = getNextNodeId(graph, node.id);
+
+    if (nextNodeId) {
+      await recipient.update({
+        status: "pending",
+        currentNodeId: nextNodeId,
+        currentStep: node.stepOrder,
+        lastSentAt: new Date(),
+        nextRunAt: new Date(),
+      });
+    } else {
+      await completeRecipient(recipient, campaignId, {
+        currentNodeId: null,
+        currentStep: node.stepOrder,
+        lastSentAt: new Date(),
+      });
+    }
+
+    await routeEmail(channel, prepared);
+    return;
+  }
+
+  log("ERROR", "❌ Sequence exceeded max hops, stopping recipient", {
+    campaignId,
+    recipientId: recipient.id,
+  });
+  await recipient.update({ status: "stopped", nextRunAt: null });
+}
+
 async function startWorker() {
   let channel;
   try {
@@ -82,7 +412,6 @@ async function startWorker() {
 
       try {
         const campaign = await Campaign.findByPk(campaignId);
-        const sender = campaign ? await getSenderWithType(campaign.senderId, campaign.senderType) : null;
         const recipient = await CampaignRecipient.findByPk(recipientId);
 
         /* =========================
@@ -96,42 +425,6 @@ async function startWorker() {
           return channel.ack(msg);
         }
 
-        const step = Number.isInteger(recipient.currentStep)
-          ? recipient.currentStep
-          : 0;
-
-        log("DEBUG", "🧩 Processing step", {
-          campaignId,
-          recipientId,
-          step,
-        });
-
-        if (step === 0) {
-          await ensureStepZero(campaign);
-        }
-
-        const stepConfig = await CampaignStep.findOne({
-          where: { campaignId, stepOrder: step },
-        });
-
-        /* =========================
-           NO MORE STEPS → COMPLETE
-        ========================= */
-        if (!stepConfig) {
-          await recipient.update({
-            status: "completed",
-            nextRunAt: null,
-          });
-
-          log("INFO", "🏁 Recipient completed campaign", {
-            campaignId,
-            recipientId,
-          });
-
-          await tryCompleteCampaign(campaignId);
-          return channel.ack(msg);
-        }
-
         /* =========================
            GLOBAL SUPPRESSION & VERIFICATION
         ========================= */
@@ -157,7 +450,34 @@ async function startWorker() {
           return channel.ack(msg);
         }
 
-        // 2. Check for Verification
+        // 2. Check the suppression lists (global + the campaign's workspace)
+        const suppression = await suppressionService.findSuppression(
+          recipient.email,
+          campaign.workspaceId,
+        );
+        if (suppression) {
+          await recipient.update({
+            status: "stopped",
+            nextRunAt: null,
+            metadata: {
+              ...recipient.metadata,
+              suppressed: true,
+              suppressionReason: suppression.reason,
+            },
+          });
+
+          log("INFO", "🚫 Recipient suppressed (Suppression list)", {
+            recipientId,
+            email: recipient.email,
+            reason: suppression.reason,
+            type: suppression.type,
+          });
+
+          await tryCompleteCampaign(campaignId);
+          return channel.ack(msg);
+        }
+
+        // 3. Check for Verification
         if (globalRegistry?.verificationStatus !== "valid") {
           await recipient.update({
             status: "stopped",
@@ -172,6 +492,50 @@ async function startWorker() {
           return channel.ack(msg);
         }
 
+        /* =========================
+           GRAPH SEQUENCE
+        ========================= */
+        if (hasSequenceGraph(campaign)) {
+          await runSequence(channel, campaign, recipient);
+          return channel.ack(msg);
+        }
+
+        const step = Number.isInteger(recipient.currentStep)
+          ? recipient.currentStep
+          : 0;
+
+        log("DEBUG", "🧩 Processing step", {
+          campaignId,
+          recipientId,
+          step,
+        });
+
+        if (step === 0) {
+          await ensureStepZero(campaign);
+        }
+
+        const stepConfig = await CampaignStep.findOne({
+          where: { campaignId, stepOrder: step },
+        });
+
+        /* =========================
+           NO MORE STEPS → COMPLETE
+        ========================= */
+        if (!stepConfig) {
+          await recipient.update({
+            status: "completed",
+            nextRunAt: null,
+          });
+
+          log("INFO", "🏁 Recipient completed campaign", {
+            campaignId,
+            recipientId,
+          });
+
+          await tryCompleteCampaign(campaignId);
+          return channel.ack(msg);
+        }
+
         /* =========================
            CONDITIONAL LOGIC CHECK
         ========================= */
@@ -207,101 +571,17 @@ async function startWorker() {
           }
         }
 
-        /* =========================
-           A/B TESTING & VARIANT SELECTION
-        ========================= */
-        let activeSubject = stepConfig.subject;
-        let activeHtml = stepConfig.htmlBody;
-        let activeText = stepConfig.textBody;
-        let variantId = "default";
-
-        if (Array.isArray(stepConfig.variants) && stepConfig.variants.length > 0) {
-          // Weighted random selection
-          const totalWeight = stepConfig.variants.reduce((sum, v) => sum + (v.weight || 1), 1); // +1 for default
-          const pick = Math.random() * totalWeight;
-          
-          let currentWeight = 1; // Default variant weight
-          if (pick > currentWeight) {
-            for (let i = 0; i < stepConfig.variants.length; i++) {
-              currentWeight += stepConfig.variants[i].weight || 1;
-              if (pick <= currentWeight) {
-                const variant = stepConfig.variants[i];
-                activeSubject = variant.subject || activeSubject;
-                activeHtml = variant.htmlBody || activeHtml;
-                activeText = variant.textBody || activeText;
-                variantId = `variant_${i}`;
-                break;
-              }
-            }
-          }
-        }
-
-        /* =========================
-           IDEMPOTENT SEND
-        ========================= */
-        const [send, created] = await CampaignSend.findOrCreate({
-          where: { campaignId, recipientId, step },
-          defaults: {
-            senderId: campaign.senderId,
-            status: "queued",
-            variantId,
-          },
+        const prepared = await prepareStepEmail({
+          campaign,
+          recipient,
+          stepConfig,
+          step,
         });
 
-        if (!created && send.status !== "queued") {
+        if (!prepared) {
           return channel.ack(msg);
         }
 
-        /* =========================
-        RENDER TEMPLATE
-        ========================= */
-        const nameParts = (recipient.name || "").trim().split(/\s+/);
-        const firstName = nameParts[0] || "";
-        const lastName = nameParts.slice(1).join(" ") || "";
-
-        const variables = {
-          email: recipient.email,
-          name: recipient.name || "",
-          first_name: firstName,
-          last_name: lastName,
-          firstName: firstName, // Common alternative
-          lastName: lastName,   // Common alternative
-          sender_name: sender?.displayName || sender?.name || '',
-          ...recipient.metadata,
-        };
-
-        const renderedSubject = renderTemplate(activeSubject, variables);
-        const renderedHtmlRaw = renderTemplate(activeHtml, variables);
-        const renderedText = renderTemplate(activeText, variables);
-
-        // 🎯 PRE-GENERATE EMAIL ID FOR TRACKING
-        const emailId = crypto.randomUUID();
-
-        const trackedHtml = injectTracking(renderedHtmlRaw, emailId, {
-          trackOpens: campaign.trackOpens,
-          trackClicks: campaign.trackClicks,
-          unsubscribeLink: campaign.unsubscribeLink,
-        });
-
-        const email = await Email.create({
-          id: emailId,
-          userId: campaign.userId,
-          campaignId,
-          senderId: campaign.senderId,
-          senderType: campaign.senderType,
-          recipientEmail: recipient.email,
-          recipientId: recipient.id,
-          subject: renderedSubject,
-          htmlBody: trackedHtml,
-          textBody: renderedText,
-          status: "pending",
-          metadata: {
-            step,
-            variantId,
-            rawSubject: activeSubject,
-          },
-        });
-
         /* =========================
            NEXT STEP SCHEDULING
         ========================= */
@@ -315,9 +595,14 @@ async function startWorker() {
             status: "pending",
             currentStep: nextStep,
             lastSentAt: new Date(),
-            nextRunAt: dayjs.utc()
-              .add(nextStepConfig.delayMinutes || 0, "minute")
-              .toDate(),
+            // Delay may land outside the send window → next open slot
+            nextRunAt: nextOpenSlot(
+              dayjs.utc()
+                .add(nextStepConfig.delayMinutes || 0, "minute")
+                .toDate(),
+              campaign.sendWindow,
+              recipient.timezone || campaign.timezone,
+            ),
           });
         } else {
           // Final step sent - mark recipient as completed but keep campaign running
@@ -335,24 +620,7 @@ async function startWorker() {
           await tryCompleteCampaign(campaignId);
         }
 
-        await send.update({ emailId: email.id });
-
-        /* =========================
-           ROUTE EMAIL
-        ========================= */
-        const sent = channel.sendToQueue(
-          QUEUES.EMAIL_ROUTE,
-          Buffer.from(JSON.stringify({ emailId: email.id })),
-          { persistent: true },
-        );
-
-        log("INFO", "📨 Email sent to route queue", {
-          emailId: email.id,
-          campaignId,
-          recipientId,
-          status: "pending",
-          queueSent: sent,
-        });
+        await routeEmail(channel, prepared);
 
         channel.ack(msg);
       } catch (err) {
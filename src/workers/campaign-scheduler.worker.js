@@ -2,6 +2,7 @@ import "../models/index.js";
 import { initGlobalErrorHandlers } from "../utils/error-handler.js";
 initGlobalErrorHandlers();
 import Campaign from "../models/campaign.model.js";
+import CampaignStep from "../models/campaign-step.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
 import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import { getChannel } from "../queues/rabbit.js";
@@ -13,8 +14,10 @@ import timezone from "dayjs/plugin/timezone.js";
 dayjs.extend(utc);
 dayjs.extend(timezone);
 import { Op } from "sequelize";
-import { getSenderWithType } from "../models/index.js";
-import { DeliveryGuard } from "../utils/delivery-guard.js";
+import { SenderRotation } from "../utils/sender-rotation.js";
+import { nextOpenSlot } from "../utils/send-window.js";
+import { autoSelectWinner } from "../utils/ab-testing.js";
+import { suppressionService } from "../services/suppression.service.js";
 
 const log = (level, message, meta = {}) =>
   console.log(
@@ -50,32 +53,71 @@ const log = (level, message, meta = {}) =>
         if (campaign.status !== "running") continue;
 
         /* =========================
-           WORM-UP & DAILY LIMITS
+           A/B AUTO-OPTIMIZE
         ========================= */
-        const sender = await getSenderWithType(campaign.senderId, campaign.senderType);
-        if (!sender) {
-          log("ERROR", "❌ Sender not found for campaign", { campaignId: campaign.id });
+        const optimizingSteps = await CampaignStep.findAll({
+          where: {
+            campaignId: campaign.id,
+            autoOptimize: true,
+            winningVariantId: null,
+            optimizeEvaluatedAt: null,
+          },
+        });
+        for (const step of optimizingSteps) {
+          const winner = await autoSelectWinner(step);
+          if (winner) {
+            log("INFO", "🏆 A/B winner selected", {
+              campaignId: campaign.id,
+              stepOrder: step.stepOrder,
+              metric: step.optimizeMetric,
+              winner,
+            });
+          }
+        }
+
+        /* =========================
+           WORM-UP & DAILY LIMITS (SENDER POOL)
+        ========================= */
+        const pool = await SenderRotation.rank(
+          await SenderRotation.getPool(campaign),
+        );
+        if (!pool.length) {
+          log("ERROR", "❌ No verified sender in campaign pool", { campaignId: campaign.id });
           continue;
         }
 
-        const health = await DeliveryGuard.canSendToday(sender);
-        if (!health.allowed) {
-          log("WARN", "⏳ Sender reached daily warm-up limit", {
-            sender: sender.email,
-            limit: health.limit,
-            current: health.currentCount,
+        const available = pool.filter((p) => p.quota.allowed);
+        if (!available.length) {
+          log("WARN", "⏳ All pool senders reached daily warm-up limit", {
+            campaignId: campaign.id,
+            senders: pool.map((p) => ({
+              sender: p.sender.email,
+              limit: p.quota.limit,
+              current: p.quota.currentCount,
+            })),
           });
           continue;
         }
 
-        // Adjust batch size based on remaining daily quota and throttle
-        const batchSize = Math.min(campaign.throttlePerMinute, health.remaining);
+        const dailyRemaining = available.reduce((sum, p) => sum + p.quota.remaining, 0);
+        const availableIds = new Set(available.map((p) => p.sender.id));
+        const poolIds = pool.map((p) => p.sender.id);
+
+        // Adjust batch size based on remaining daily quota across the pool and throttle
+        const batchSize = Math.min(campaign.throttlePerMinute, dailyRemaining);
 
         const recipients = await CampaignRecipient.findAll({
           where: {
             campaignId: campaign.id,
             status: "pending",
             nextRunAt: { [Op.or]: [{ [Op.lte]: new Date() }, { [Op.is]: null }] },
+            // Follow-ups are pinned to their step-0 mailbox; hold them while it is
+            // exhausted. A mailbox that left the pool is replaced when sending.
+            [Op.or]: [
+              { senderId: null },
+              { senderId: { [Op.in]: [...availableIds] } },
+              { senderId: { [Op.notIn]: poolIds } },
+            ],
           },
           include: [{ model: GlobalEmailRegistry, required: false, attributes: ["unsubscribed"] }],
           order: [["nextRunAt", "ASC"]],
@@ -87,9 +129,15 @@ const log = (level, message, meta = {}) =>
         log("DEBUG", "📤 Batching recipients", {
           campaignId: campaign.id,
           count: recipients.length,
-          dailyRemaining: health.remaining,
+          dailyRemaining,
+          poolSize: available.length,
         });
 
+        const suppressed = await suppressionService.findSuppressions(
+          recipients.map((r) => r.email),
+          campaign.workspaceId,
+        );
+
         for (const r of recipients) {
           // ... (existing suppression and queue logic)
           if (r.GlobalEmailRegistry?.unsubscribed) {
@@ -97,6 +145,30 @@ const log = (level, message, meta = {}) =>
             continue;
           }
 
+          const suppression = suppressed.get(r.email.trim().toLowerCase());
+          if (suppression) {
+            await r.update({
+              status: "stopped",
+              nextRunAt: null,
+              metadata: {
+                ...r.metadata,
+                suppressed: true,
+                suppressionReason: suppression.reason,
+              },
+            });
+            continue;
+          }
+
+          // Outside the recipient's local send window → push to next open slot
+          if (campaign.sendWindow) {
+            const now = new Date();
+            const slot = nextOpenSlot(now, campaign.sendWindow, r.timezone || campaign.timezone);
+            if (slot.getTime() !== now.getTime()) {
+              await r.update({ nextRunAt: slot });
+              continue;
+            }
+          }
+
           channel.sendToQueue(QUEUES.CAMPAIGN_SEND, Buffer.from(JSON.stringify({ campaignId: campaign.id, recipientId: r.id })), { persistent: true });
           await r.update({ nextRunAt: dayjs.utc().add(10, "minute").toDate() });
         }
@@ -1,19 +1,19 @@
 import "../models/index.js";
 import { initGlobalErrorHandlers } from "../utils/error-handler.js";
 initGlobalErrorHandlers();
+import { assertTrackingSecret } from "../utils/tracking-token.js";
+try {
+  // Links written here must verify on the API
+  assertTrackingSecret();
+} catch (err) {
+  console.error(`💥 FATAL: ${err.message}`);
+  process.exit(1);
+}
 import Redis from "ioredis";
-import nodemailer from "nodemailer";
-import MailComposer from "nodemailer/lib/mail-composer/index.js";
 import { randomUUID } from "crypto";
-import axios from "axios";
 import dns from "dns/promises";
-import fs from "fs";
-import path from "path";
 
 import Email from "../models/email.model.js";
-import GmailSender from "../models/gmail-sender.model.js";
-import OutlookSender from "../models/outlook-sender.model.js";
-import SmtpSender from "../models/smtp-sender.model.js";
 import Campaign from "../models/campaign.model.js";
 import CampaignSend from "../models/campaign-send.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
@@ -22,19 +22,14 @@ import BounceEvent from "../models/bounce-event.model.js";
 import SenderHealth from "../models/sender-health.model.js";
 
 import { smtpWarmupService } from "../services/smtp-warmup.service.js";
+import { dkimService } from "../services/dkim.service.js";
+import { webhookService } from "../services/webhook.service.js";
 import { getChannel } from "../queues/rabbit.js";
 import { QUEUES } from "../queues/queues.js";
-import { refreshGoogleToken } from "../utils/refresh-google-token.js";
-import { getValidMicrosoftToken } from "../utils/get-valid-microsoft-token.js";
-import {
-  createImapConnection,
-  resolveFolder,
-  appendToFolder,
-} from "../utils/imap-helper.js";
-
-import { HttpsProxyAgent } from "https-proxy-agent";
+import { getMailProvider } from "../providers/index.js";
 
 import { getNextProxy } from "../utils/proxy-fetcher.js";
+import { listUnsubscribeHeaders } from "../utils/unsubscribe-link.js";
 
 const redis = new Redis(process.env.REDIS_URL);
 
@@ -105,52 +100,6 @@ async function checkSenderDns(domain) {
   return result;
 }
 
-/* =========================
-   SMTP TRANSPORTER CACHE
-   Reuse transporters per sender — avoids creating a new one per email.
-   TTL: 30 minutes. Evicted on auth/connection errors.
-========================= */
-const transporterCache = new Map(); // senderId → { transporter, expiresAt }
-const TRANSPORTER_TTL_MS = 30 * 60 * 1000; // 30 minutes
-
-function getOrCreateTransporter(sender, proxy = null) {
-  const cacheKey = `${sender.id}:${proxy || 'direct'}`;
-  const cached = transporterCache.get(cacheKey);
-  if (cached && Date.now() < cached.expiresAt) {
-    return cached.transporter;
-  }
-
-  const transportConfig = {
-    host: sender.smtpHost,
-    port: sender.smtpPort,
-    secure: sender.smtpSecure,
-    auth: {
-      user: sender.smtpUsername,
-      pass: sender.smtpPassword,
-    },
-    tls: {
-      rejectUnauthorized: false,
-    },
-  };
-
-  if (proxy) {
-    transportConfig.proxy = proxy;
-  }
-
-  const transporter = nodemailer.createTransport(transportConfig);
-
-  transporterCache.set(cacheKey, {
-    transporter,
-    expiresAt: Date.now() + TRANSPORTER_TTL_MS,
-  });
-
-  return transporter;
-}
-
-function evictTransporter(senderId) {
-  transporterCache.delete(senderId);
-}
-
 const log = (level, message, meta = {}) =>
   console.log(
     JSON.stringify({
@@ -237,14 +186,8 @@ async function startWorker() {
            LOAD SENDER
         ========================= */
 
-        let sender;
-
-        if (senderType === "smtp")
-          sender = await SmtpSender.findByPk(emailRecord.senderId);
-        if (senderType === "gmail")
-          sender = await GmailSender.findByPk(emailRecord.senderId);
-        if (senderType === "outlook")
-          sender = await OutlookSender.findByPk(emailRecord.senderId);
+        const provider = getMailProvider(senderType);
+        const sender = await provider.findMailbox(emailRecord.senderId);
 
         if (!sender || !sender.isVerified)
           throw new Error("Sender not verified");
@@ -294,21 +237,16 @@ async function startWorker() {
         const domain = sender.email.split("@")[1];
         const messageId = generateMessageId(emailId, domain);
 
-        let providerMessageId = messageId;
-        let providerThreadId = null;
-        let providerConversationId = null;
-
         if (senderType === "smtp") {
-          const transporter = getOrCreateTransporter(sender, proxy);
-
           // 🔍 DNS pre-send check — warn if SPF/DKIM/DMARC are missing
-          checkSenderDns(domain)
-            .then((dnsResult) => {
+          Promise.all([checkSenderDns(domain), dkimService.signingOptions(sender)])
+            .then(([dnsResult, platformDkim]) => {
               const issues = [];
               if (!dnsResult.spf) issues.push("SPF record missing");
-              if (!dnsResult.dkim)
+              // Signed by the platform when a verified key exists
+              if (!dnsResult.dkim && !platformDkim)
                 issues.push(
-                  "DKIM record missing (check aaPanel DKIM settings)",
+                  "DKIM record missing (generate a key via /senders/:senderId/dkim)",
                 );
               if (!dnsResult.dmarc) issues.push("DMARC record missing");
               if (issues.length) {
@@ -324,214 +262,30 @@ async function startWorker() {
               }
             })
             .catch(() => { }); // non-blocking
-
-          try {
-            const mailOptions = {
-              from: `"${sender.displayName}" <${sender.email}>`,
-              to: emailRecord.recipientEmail,
-              subject: emailRecord.subject,
-              html: emailRecord.htmlBody,
-              messageId,
-            };
-
-            if (
-              emailRecord.htmlBody &&
-              emailRecord.htmlBody.includes("/tracking/unsubscribe/")
-            ) {
-              const appUrl =
-                process.env.APP_URL ||
-                process.env.VITE_API_URL ||
-                "http://localhost:8080";
-              const unsubUrl = `${appUrl}/api/v1/tracking/unsubscribe/${emailId}`;
-              mailOptions.headers = {
-                "List-Unsubscribe": `<${unsubUrl}>`,
-                "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
-              };
-            }
-
-            await transporter.sendMail(mailOptions);
-
-            // 📤 APPEND TO SENT FOLDER (SMTP Manual persistence)
-            try {
-              log("DEBUG", "📥 Appending automated SMTP email to Sent folder", {
-                senderId: sender.id,
-              });
-              const composer = new MailComposer(mailOptions);
-              const messageBuffer = await composer.compile().build();
-
-              let imapForAppend;
-              try {
-                const proxy = await getNextProxy();
-                if (proxy) log("DEBUG", "🌐 Using proxy for IMAP Sent folder append", { senderId: sender.id, proxy });
-                imapForAppend = await createImapConnection(sender, proxy);
-                const resolvedSent = await resolveFolder(
-                  imapForAppend,
-                  sender,
-                  "SENT",
-                );
-                await appendToFolder(
-                  imapForAppend,
-                  resolvedSent,
-                  messageBuffer,
-                );
-                log("INFO", "✅ Automated SMTP email appended to Sent folder", {
-                  senderId: sender.id,
-                  folder: resolvedSent,
-                });
-
-                // 🧹 CLEAR CACHE so UI updates
-                const cachePattern = `mailbox:smtp:${sender.id}:messages:*`;
-                const keys = await redis.keys(cachePattern);
-                if (keys.length > 0) await redis.del(keys);
-              } catch (imapErr) {
-                log(
-                  "ERROR",
-                  "❌ Failed to append automated SMTP email to Sent folder",
-                  {
-                    senderId: sender.id,
-                    error: imapErr.message,
-                  },
-                );
-              } finally {
-                if (imapForAppend) {
-                  try {
-                    imapForAppend.end();
-                  } catch (e) {
-                    console.log(e);
-                  }
-                }
-              }
-            } catch (composerErr) {
-              log("ERROR", "❌ Failed to compose MIME for IMAP append", {
-                error: composerErr.message,
-              });
-            }
-          } catch (smtpErr) {
-            // Evict cached transporter on auth/connection errors so next send gets a fresh one
-            if (
-              smtpErr.code === "EAUTH" ||
-              smtpErr.code === "ECONNECTION" ||
-              smtpErr.responseCode >= 500
-            ) {
-              evictTransporter(sender.id);
-            }
-            throw smtpErr;
-          }
         }
 
-        if (senderType === "gmail") {
-          const token = await refreshGoogleToken(sender);
-
-          let rawHeaders =
-            `From: ${sender.email}\r\n` +
-            `To: ${emailRecord.recipientEmail}\r\n` +
-            `Subject: ${emailRecord.subject}\r\n`;
-
-          if (
-            emailRecord.htmlBody &&
-            emailRecord.htmlBody.includes("/tracking/unsubscribe/")
-          ) {
-            const appUrl =
-              process.env.APP_URL ||
-              process.env.VITE_API_URL ||
-              "http://localhost:8080";
-            const unsubUrl = `${appUrl}/api/v1/tracking/unsubscribe/${emailId}`;
-            rawHeaders +=
-              `List-Unsubscribe: <${unsubUrl}>\r\n` +
-              "List-Unsubscribe-Post: List-Unsubscribe=One-Click\r\n";
-          }
-
-          const raw =
-            rawHeaders +
-            "Content-Type: text/html; charset=UTF-8\r\n\r\n" +
-            emailRecord.htmlBody;
-
-          const encoded = Buffer.from(raw)
-            .toString("base64")
-            .replace(/\+/g, "-")
-            .replace(/\//g, "_")
-            .replace(/=+$/, "");
-
-          const axiosConfig = {
-            headers: {
-              Authorization: `Bearer ${token.accessToken}`,
-            },
-          };
-
-          if (proxy) {
-            axiosConfig.httpsAgent = new HttpsProxyAgent(proxy);
-            axiosConfig.proxy = false;
-          }
-
-          const res = await axios.post(
-            "https://gmail.googleapis.com/gmail/v1/users/me/messages/send",
-            { raw: encoded },
-            axiosConfig
-          );
-
-          providerMessageId = res.data.id;
-          providerThreadId = res.data.threadId;
-          providerConversationId = res.data.threadId; // Gmail uses threadId for threading
-        }
-
-        if (senderType === "outlook") {
-          const token = await getValidMicrosoftToken(sender);
-
-          // 1. Create the message (not sendMail) so we get IDs back
-          const messagePayload = {
-            subject: emailRecord.subject,
-            body: { contentType: "HTML", content: emailRecord.htmlBody },
-            toRecipients: [
-              { emailAddress: { address: emailRecord.recipientEmail } },
-            ],
-          };
-
-          // 🚀 Microsoft Graph API requires custom headers to start with 'x-' or 'X-'
-          messagePayload.internetMessageHeaders = [
-            { name: "X-Unibox-Email-Id", value: emailId },
-          ];
-
-          if (
-            emailRecord.htmlBody &&
-            emailRecord.htmlBody.includes("/tracking/unsubscribe/")
-          ) {
-            const appUrl =
-              process.env.APP_URL ||
-              process.env.VITE_API_URL ||
-              "http://localhost:8080";
-            const unsubUrl = `${appUrl}/api/v1/tracking/unsubscribe/${emailId}`;
-            messagePayload.internetMessageHeaders.push(
-              { name: "X-List-Unsubscribe", value: `<${unsubUrl}>` },
-              {
-                name: "X-List-Unsubscribe-Post",
-                value: "List-Unsubscribe=One-Click",
-              },
-            );
-          }
-
-          const axiosConfig = { headers: { Authorization: `Bearer ${token}` } };
-          if (proxy) {
-            axiosConfig.httpsAgent = new HttpsProxyAgent(proxy);
-            axiosConfig.proxy = false;
-          }
-
-          const res = await axios.post(
-            "https://graph.microsoft.com/v1.0/me/messages",
-            messagePayload,
-            axiosConfig
-          );
+        const headers = {
+          "X-Unibox-Email-Id": emailId,
+          // Signed one-click unsubscribe on every campaign send (RFC 8058)
+          ...(emailRecord.campaignId && listUnsubscribeHeaders(emailId, emailRecord.metadata?.trackingBaseUrl)),
+        };
+
+        const sent = await provider.sendMessage(sender, {
+          to: emailRecord.recipientEmail,
+          subject: emailRecord.subject,
+          html: emailRecord.htmlBody,
+          headers,
+          messageId,
+          proxy,
+        });
 
-          providerMessageId = res.data.id;
-          providerConversationId = res.data.conversationId;
-          providerThreadId = res.data.conversationId; // Map to threadId for unified tracking
+        const providerMessageId = sent.id || messageId;
+        const providerThreadId = sent.threadId;
+        const providerConversationId = sent.conversationId;
 
-          // 2. Send the message
-          await axios.post(
-            `https://graph.microsoft.com/v1.0/me/messages/${res.data.id}/send`,
-            {},
-            axiosConfig
-          );
-        }
+        // 🧹 CLEAR CACHE so the mailbox UI shows the new Sent message
+        const keys = await redis.keys(`mailbox:${senderType}:${sender.id}:messages:*`);
+        if (keys.length > 0) await redis.del(keys);
 
         /* =========================
            SUCCESS UPDATE
@@ -543,6 +297,11 @@ async function startWorker() {
           providerMessageId,
           providerThreadId,
           providerConversationId,
+          // RFC Message-ID, for matching bounces that only quote it
+          metadata: {
+            ...emailRecord.metadata,
+            messageId: sent.messageId || messageId,
+          },
         });
 
         await EmailEvent.create({
@@ -614,6 +373,15 @@ async function startWorker() {
               { where: { id: emailRecord.recipientId } },
             );
           }
+
+          if (bounceType === "hard") {
+            await webhookService.dispatchForCampaign(emailRecord.campaignId, "email.bounced", {
+              ...webhookService.emailData(emailRecord),
+              bounceType,
+              reason: err.message,
+              source: "smtp",
+            });
+          }
         }
 
         channel.ack(msg);
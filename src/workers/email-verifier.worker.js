@@ -1,25 +1,22 @@
 import "../models/index.js";
 import { initGlobalErrorHandlers } from "../utils/error-handler.js";
 initGlobalErrorHandlers();
-import axios from "axios";
 import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import ListUploadRecord from "../models/list-upload-record.model.js";
 import ListUploadBatch from "../models/list-upload-batch.model.js";
+import User from "../models/user.model.js";
 import { getChannel } from "../queues/rabbit.js";
 import { QUEUES } from "../queues/queues.js";
 import { Op } from "sequelize";
-
-import { HttpsProxyAgent } from "https-proxy-agent";
-
-import { getNextProxy } from "../utils/proxy-fetcher.js";
+import {
+  FALLBACK_VERIFIER,
+  resolveEmailVerifier,
+} from "../providers/verifiers/index.js";
 
 /* =========================
    CONSTANTS
 ========================= */
 const VERIFICATION_TTL_MS = 3 * 24 * 60 * 60 * 1000;
-const POLL_INTERVAL_MS = 15000;
-const MAX_POLL_ATTEMPTS = 60;
-const BATCH_SIZE_LIMIT = 500;
 
 const MAX_EMAIL_RETRIES = 3;
 const RETRY_DELAY_MS = 20_000;
@@ -40,134 +37,22 @@ const nextRetryMeta = (oldMeta = {}) => ({
   lastRetryAt: new Date(),
 });
 
-const mapStatus = (status) => {
-  const s = (status || "").toLowerCase();
-  const valid = ["valid", "invalid", "risky", "unknown", "verifying"];
-  if (valid.includes(s)) return s;
-
-  if (s === "completed" || s === "deliverable") return "valid";
-  if (s === "undeliverable") return "invalid";
-  if (s === "accept_all" || s === "risky" || s === "unverifiable") return "risky";
-
-  console.warn(`⚠️ Unmapped EndBounce status: "${status}", defaulting to "unknown"`);
-  return "unknown";
-};
-
-/* =========================
-   ENDBOUNCE API
-========================= */
-/* =========================
-   ENDBOUNCE API
-========================= */
-async function submitBatchToEndBounce(emails) {
-  console.log(`📤 Submitting ${emails.length} emails to EndBounce`);
-
+/**
+ * Runs one chunk through the verifier, switching to the fallback verifier
+ * when the service fails outright (API down, bad key...).
+ */
+async function runVerifier(verifier, emails) {
   try {
-    const proxy = await getNextProxy();
-    const config = {
-      headers: {
-        "x-api-key": process.env.ENDBOUNCE_API_KEY,
-        "Content-Type": "application/json",
-      },
-      timeout: 60000,
-    };
-    if (proxy) {
-      config.httpsAgent = new HttpsProxyAgent(proxy);
-      config.proxy = false;
-    }
-
-    const res = await axios.post(
-      "https://api.endbounce.com/api/integrations/v1/verify",
-      { emails },
-      config
-    );
-
-    // Detect mode: 'sync'
-    if (res.data.mode === 'sync') {
-      console.log(`✅ Synchronous verification for ${res.data.email}: ${res.data.status}`);
-      const email = normalizeEmail(res.data.email);
-      return {
-        requestId: 'sync_' + Date.now(),
-        results: {
-          [email]: {
-            status: mapStatus(res.data.status),
-            score: res.data.score ?? null,
-            raw: res.data,
-          }
-        }
-      };
-    }
-
-    // Defensive check for requestId as underscore or camelCase
-    const requestId = res.data.request_id || res.data.requestId;
-
-    if (!requestId) {
-      console.error("❌ EndBounce response missing request_id and not sync:", res.data);
-      throw new Error("EndBounce failed to return a valid Request ID");
-    }
-
-    console.log(`🆔 requestId=${requestId}`);
-    return { requestId, results: null };
-  } catch (error) {
-    if (error.response) {
-      console.error("❌ EndBounce Submit Error:", error.response.data);
-    }
-    throw error;
-  }
-}
-
-async function getJobStatus(requestId) {
-  try {
-    const proxy = await getNextProxy();
-    const config = {
-      headers: { "x-api-key": process.env.ENDBOUNCE_API_KEY },
-      timeout: 30000,
-    };
-    if (proxy) {
-      config.httpsAgent = new HttpsProxyAgent(proxy);
-      config.proxy = false;
-    }
+    return { verifier, ...(await verifier.verify(emails)) };
+  } catch (err) {
+    if (verifier === FALLBACK_VERIFIER) throw err;
 
-    const res = await axios.get(
-      `https://api.endbounce.com/api/integrations/v1/jobs/${requestId}/status`,
-      config
+    console.error(
+      `❌ ${verifier.name} verification failed, falling back to ${FALLBACK_VERIFIER.name}:`,
+      err.message,
     );
-    return res.data.status; // 'queued', 'processing', 'completed', 'failed'
-  } catch (error) {
-    console.error(`❌ Error checking status for ${requestId}:`, error.response?.data || error.message);
-    return "error";
-  }
-}
-
-async function pollBatchResults(requestId) {
-  const proxy = await getNextProxy();
-  const config = {
-    params: { status: "all" },
-    headers: { "x-api-key": process.env.ENDBOUNCE_API_KEY },
-    timeout: 30000,
-  };
-  if (proxy) {
-    config.httpsAgent = new HttpsProxyAgent(proxy);
-    config.proxy = false;
-  }
-
-  const res = await axios.get(
-    `https://api.endbounce.com/api/integrations/v1/jobs/${requestId}/results`,
-    config
-  );
-
-  const results = {};
-  if (res.data.rows?.length) {
-    for (const row of res.data.rows) {
-      results[normalizeEmail(row.email)] = {
-        status: mapStatus(row.status),
-        score: row.score ?? null,
-        raw: row,
-      };
-    }
+    return { verifier: FALLBACK_VERIFIER, ...(await FALLBACK_VERIFIER.verify(emails)) };
   }
-
-  return { ready: res.data.partial === false, results };
 }
 
 /* =========================
@@ -209,8 +94,15 @@ async function startWorker() {
 
         let emails = records.map((r) => normalizeEmail(r.normalizedEmail));
 
-        for (let i = 0; i < emails.length; i += BATCH_SIZE_LIMIT) {
-          const chunk = emails.slice(i, i + BATCH_SIZE_LIMIT);
+        // The uploader picks the service; unset means the deployment default
+        const owner = await User.findByPk(batch.userId, {
+          attributes: ["verificationProvider"],
+        });
+        const verifier = resolveEmailVerifier(owner?.verificationProvider);
+        console.log(`🔎 Verifying ${emails.length} emails with ${verifier.name}`);
+
+        for (let i = 0; i < emails.length; i += verifier.batchSize) {
+          const chunk = emails.slice(i, i + verifier.batchSize);
           let pendingEmails = [...chunk];
 
           for (let attempt = 0; attempt <= MAX_EMAIL_RETRIES; attempt++) {
@@ -223,13 +115,11 @@ async function startWorker() {
               await new Promise((r) => setTimeout(r, RETRY_DELAY_MS));
             }
 
-            const { requestId, results: immediateResults } = await submitBatchToEndBounce(pendingEmails);
-            let results = immediateResults;
-
             await GlobalEmailRegistry.update(
               {
                 verificationStatus: "verifying",
-                verificationMeta: { requestId, batchId, attempt, mode: immediateResults ? 'sync' : 'async' },
+                verificationProvider: verifier.name,
+                verificationMeta: { batchId, attempt },
                 verifiedAt: new Date(),
               },
               {
@@ -240,42 +130,33 @@ async function startWorker() {
               },
             );
 
-            if (!results) {
-              console.log(`⏳ Polling status for job: ${requestId}...`);
-              for (let poll = 1; poll <= MAX_POLL_ATTEMPTS; poll++) {
-                const status = await getJobStatus(requestId);
-
-                if (status === "completed") {
-                  console.log(`✅ Job ${requestId} completed. Fetching results...`);
-                  const res = await pollBatchResults(requestId);
-                  results = res.results;
-                  break;
-                }
-
-                if (status === "failed" || status === "error") {
-                  console.error(`❌ Job ${requestId} ${status}. Skipping polling.`);
-                  break;
-                }
-
-                await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
-              }
-            }
-
-            if (!results) continue;
+            const { verifier: usedVerifier, jobId, results } = await runVerifier(
+              verifier,
+              pendingEmails,
+            );
 
             const stillPending = [];
-            const successUpdates = [];
-
-            // Group by status for bulk updates
-            const updatesByStatus = {};
 
             for (const email of pendingEmails) {
               const result = results[email];
 
               if (result) {
-                const status = result.status;
-                if (!updatesByStatus[status]) updatesByStatus[status] = [];
-                updatesByStatus[status].push(email);
+                // Scores and details differ per address, so one row at a time
+                await GlobalEmailRegistry.update(
+                  {
+                    verificationStatus: result.status,
+                    verificationScore: result.score ?? null,
+                    verificationProvider: usedVerifier.name,
+                    verificationMeta: {
+                      ...result.meta,
+                      jobId,
+                      batchId,
+                      completedAt: new Date(),
+                    },
+                    verifiedAt: new Date(),
+                  },
+                  { where: { normalizedEmail: email } },
+                );
               } else {
                 const record = await GlobalEmailRegistry.findOne({
                   where: { normalizedEmail: email },
@@ -306,25 +187,6 @@ async function startWorker() {
               }
             }
 
-            // Bulk Update Registry for successes
-            for (const [status, emailList] of Object.entries(updatesByStatus)) {
-              console.log(`✅ Bulk updating ${emailList.length} emails to ${status}`);
-              await GlobalEmailRegistry.update(
-                {
-                  verificationStatus: status,
-                  verifiedAt: new Date(),
-                  // Note: verificationScore/Meta would differ per email if we wanted precision,
-                  // but for bulk we can use the common requestId/batchId
-                  verificationMeta: {
-                    requestId,
-                    batchId,
-                    completedAt: new Date(),
-                  },
-                },
-                { where: { normalizedEmail: { [Op.in]: emailList } } },
-              );
-            }
-
             pendingEmails = stillPending;
           }
         }
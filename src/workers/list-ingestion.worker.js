@@ -0,0 +1,73 @@
+import "../models/index.js";
+import { initGlobalErrorHandlers } from "../utils/error-handler.js";
+initGlobalErrorHandlers();
+import { getChannel } from "../queues/rabbit.js";
+import { QUEUES } from "../queues/queues.js";
+import { listIngestionService } from "../services/list-ingestion.service.js";
+
+const log = (level, message, meta = {}) =>
+  console.log(
+    JSON.stringify({
+      ts: new Date().toISOString(),
+      service: "list-ingestion",
+      level,
+      message,
+      ...meta,
+    }),
+  );
+
+/* =========================
+   WORKER START
+========================= */
+
+async function startWorker() {
+  let channel;
+  try {
+    channel = await getChannel();
+    await channel.assertQueue(QUEUES.LIST_INGEST, { durable: true });
+    // One file at a time: each job streams a whole upload
+    channel.prefetch(1);
+
+    log("INFO", "List Ingestion Worker Started");
+
+    channel.consume(QUEUES.LIST_INGEST, async (msg) => {
+      if (!msg) return;
+
+      let batchId;
+      try {
+        ({ batchId } = JSON.parse(msg.content.toString()));
+        const startedAt = Date.now();
+
+        // Failures are recorded on the batch; the job itself is done
+        await listIngestionService.process(batchId);
+        channel.ack(msg);
+
+        log("INFO", "Batch ingested", { batchId, durationMs: Date.now() - startedAt });
+      } catch (err) {
+        log("ERROR", "List ingestion failed", {
+          batchId,
+          error: err.message,
+          stack: err.stack,
+        });
+        // Database hiccup: try the message again later rather than drop it
+        setTimeout(() => {
+          try {
+            channel.nack(msg, false, true);
+          } catch {
+            /* channel closed: RabbitMQ redelivers unacked messages */
+          }
+        }, 5000);
+      }
+    });
+
+    channel.on("close", () => {
+      log("WARN", "Channel closed, restarting in 5s...");
+      setTimeout(startWorker, 5000);
+    });
+  } catch (err) {
+    log("ERROR", "Worker failed to start", { error: err.message });
+    setTimeout(startWorker, 5000);
+  }
+}
+
+startWorker();
@@ -1,26 +1,36 @@
 import "../models/index.js";
 import { initGlobalErrorHandlers } from "../utils/error-handler.js";
 initGlobalErrorHandlers();
-import axios from "axios";
-import { google } from "googleapis";
-import Imap from "imap";
-import { simpleParser } from "mailparser";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
 import { Op } from "sequelize";
 
-import GmailSender from "../models/gmail-sender.model.js";
-import OutlookSender from "../models/outlook-sender.model.js";
-import SmtpSender from "../models/smtp-sender.model.js";
 import Email from "../models/email.model.js";
 import ReplyEvent from "../models/reply-event.model.js";
+import BounceEvent from "../models/bounce-event.model.js";
 import Campaign from "../models/campaign.model.js";
 import CampaignRecipient from "../models/campaign-recipient.model.js";
+import CampaignSender from "../models/campaign-sender.model.js";
+import CampaignSend from "../models/campaign-send.model.js";
+import GlobalEmailRegistry from "../models/global-email-registry.model.js";
 import { emitToUser } from "../utils/event-broadcaster.js";
+import { replyClassifier } from "../services/reply-classifier.service.js";
+import { suppressionService } from "../services/suppression.service.js";
+import { webhookService } from "../services/webhook.service.js";
+import { ReplyIntent } from "../enums/reply-intent.enum.js";
+import { BounceProcessor } from "../utils/bounce-processor.js";
+import { nextOpenSlot } from "../utils/send-window.js";
+import {
+  isDsnCandidate,
+  parseDsn,
+  bounceTypeForStatus,
+} from "../utils/dsn-parser.js";
+import { findSentEmail } from "../utils/email-lookup.js";
+import { MAIL_PROVIDERS, MailProvider } from "../providers/index.js";
 
-import { getValidMicrosoftToken } from "../utils/get-valid-microsoft-token.js";
-import { refreshGoogleToken } from "../utils/refresh-google-token.js";
 import { tryCompleteCampaign } from "../utils/campaign-completion.checker.js";
-import { getNextProxy } from "../utils/proxy-fetcher.js";
-import { createImapConnection } from "../utils/imap-helper.js";
+
+dayjs.extend(utc);
 
 /* =========================
    LOGGER
@@ -37,6 +47,139 @@ const log = (level, message, meta = {}) =>
     }),
   );
 
+/* =========================
+   INTENT HANDLERS
+========================= */
+
+// Out-of-office without a parsable return date pauses the sequence this long
+const OOO_FALLBACK_DAYS = 7;
+
+// Intents that come from a person and count as a reply
+const HUMAN_INTENTS = [
+  ReplyIntent.INTERESTED,
+  ReplyIntent.NOT_INTERESTED,
+  ReplyIntent.WRONG_PERSON,
+  ReplyIntent.UNKNOWN,
+];
+
+async function markReplied(email, reply) {
+  // Update email
+  await email.update({
+    status: "replied",
+    repliedAt: reply.receivedAt || new Date(),
+  });
+
+  // Record the reply on the send row (step conditions & A/B stats read it)
+  await CampaignSend.update(
+    { repliedAt: reply.receivedAt || new Date() },
+    { where: { emailId: email.id, repliedAt: null } },
+  );
+
+  // Update recipient status and stop further steps
+  if (email.recipientId) {
+    const [updatedCount] = await CampaignRecipient.update(
+      {
+        status: "replied",
+        nextRunAt: null,
+      },
+      {
+        where: {
+          id: email.recipientId,
+          status: { [Op.ne]: "replied" } // Only update if not already replied
+        }
+      },
+    );
+
+    // Only increment campaign total if this is the FIRST reply from this recipient
+    if (updatedCount > 0) {
+      await Campaign.increment("totalReplied", {
+        by: 1,
+        where: { id: email.campaignId },
+      });
+    }
+  }
+}
+
+/**
+ * Out-of-office keeps the sequence alive: the next step is pushed to the
+ * day after the return date, inside the campaign send window.
+ */
+async function rescheduleOutOfOffice(email, reply, returnDate) {
+  if (!email.recipientId) return;
+
+  const recipient = await CampaignRecipient.findByPk(email.recipientId);
+  // Completed / stopped / replied recipients have nothing left to resume
+  if (!recipient || recipient.status !== "pending") return;
+
+  const campaign = await Campaign.findByPk(email.campaignId, {
+    attributes: ["sendWindow", "timezone"],
+  });
+
+  const back = returnDate
+    ? dayjs.utc(returnDate)
+    : dayjs.utc(reply.receivedAt || new Date()).add(OOO_FALLBACK_DAYS, "day");
+
+  const resumeAt = nextOpenSlot(
+    back.add(1, "day").toDate(),
+    campaign?.sendWindow,
+    recipient.timezone || campaign?.timezone || "UTC",
+  );
+
+  if (recipient.nextRunAt && recipient.nextRunAt >= resumeAt) return;
+
+  await recipient.update({ nextRunAt: resumeAt });
+
+  log("INFO", "Out-of-office reply, sequence rescheduled", {
+    recipientId: recipient.id,
+    returnDate,
+    resumeAt,
+  });
+}
+
+async function unsubscribeFromReply(email) {
+  if (email.recipientId) {
+    const recipient = await CampaignRecipient.findByPk(email.recipientId);
+
+    if (recipient && !["stopped", "completed"].includes(recipient.status)) {
+      await recipient.update({
+        status: "stopped",
+        nextRunAt: null,
+        metadata: {
+          ...recipient.metadata,
+          unsubscribed: true,
+          unsubscribedAt: new Date(),
+          unsubscribedVia: "reply",
+        },
+      });
+
+      await Campaign.increment("totalUnsubscribed", {
+        where: { id: email.campaignId },
+      });
+    }
+  }
+
+  if (email.recipientEmail) {
+    await GlobalEmailRegistry.upsert({
+      normalizedEmail: email.recipientEmail.toLowerCase().trim(),
+      unsubscribed: true,
+      unsubscribedAt: new Date(),
+      lastSeenAt: new Date(),
+    });
+
+    await suppressionService.add({
+      value: email.recipientEmail,
+      type: "email",
+      reason: "unsubscribe",
+      source: "reply",
+    });
+  }
+
+  await webhookService.dispatchForCampaign(email.campaignId, "recipient.unsubscribed", {
+    ...webhookService.emailData(email),
+    source: "reply",
+  });
+}
+
 /* =========================
    CORE REPLY PROCESSOR
 ========================= */
@@ -57,6 +200,9 @@ async function processReply({ sender, email, reply }) {
 
     if (exists) return;
 
+    const classification = await replyClassifier.classify(reply);
+    const { intent } = classification;
+
     await ReplyEvent.create({
       emailId: email.id,
       campaignId: email.campaignId,
@@ -72,41 +218,33 @@ async function processReply({ sender, email, reply }) {
       providerThreadId: reply.threadId,
       providerConversationId: reply.conversationId,
 
+      intent,
+      intentConfidence: classification.confidence,
+      intentMeta: {
+        source: classification.source,
+        rule: classification.rule,
+        returnDate: classification.returnDate,
+      },
+
       receivedAt: reply.receivedAt || new Date(),
       metadata: reply.headers || {},
     });
 
-    // Update email
-    await email.update({
-      status: "replied",
-      repliedAt: reply.receivedAt || new Date(),
-    });
-
-    // Update recipient status and stop further steps
-    if (email.recipientId) {
-      const recipient = await CampaignRecipient.findByPk(email.recipientId);
-
-      const [updatedCount] = await CampaignRecipient.update(
-        {
-          status: "replied",
-          nextRunAt: null,
-        },
-        {
-          where: {
-            id: email.recipientId,
-            status: { [Op.ne]: "replied" } // Only update if not already replied
-          }
-        },
+    if (intent === ReplyIntent.BOUNCE) {
+      await BounceProcessor.handleBounce(
+        email.id,
+        "hard",
+        `Bounce reply: ${reply.subject || ""}`.trim(),
+        "reply",
       );
-
-      // Only increment campaign total if this is the FIRST reply from this recipient
-      if (updatedCount > 0) {
-        await Campaign.increment("totalReplied", {
-          by: 1,
-          where: { id: email.campaignId },
-        });
-      }
+    } else if (intent === ReplyIntent.OUT_OF_OFFICE) {
+      await rescheduleOutOfOffice(email, reply, classification.returnDate);
+    } else if (intent === ReplyIntent.UNSUBSCRIBE) {
+      await unsubscribeFromReply(email);
+    } else if (HUMAN_INTENTS.includes(intent)) {
+      await markReplied(email, reply);
     }
+    // Auto-replies are recorded only; the sequence carries on
 
     await tryCompleteCampaign(email.campaignId);
     // We let the campaign stay in 'running' status to keep tracking active and visible.
@@ -114,16 +252,35 @@ async function processReply({ sender, email, reply }) {
     log("INFO", "Reply processed successfully", {
       emailId: email.id,
       campaignId: email.campaignId,
+      intent,
+      confidence: classification.confidence,
     });
 
-    const campaign = await Campaign.findByPk(email.campaignId, { attributes: ['userId', 'name'] });
+    const campaign = await Campaign.findByPk(email.campaignId, { attributes: ['userId', 'workspaceId', 'name'] });
     if (campaign) {
-      emitToUser(campaign.userId, "notification", {
-        type: "info",
-        category: "reply",
-        title: "New Reply Received",
-        message: `${reply.from} replied to your email in "${campaign.name}".`,
-      });
+      // Bounce replies are reported as email.bounced by the BounceProcessor
+      if (intent !== ReplyIntent.BOUNCE) {
+        webhookService.dispatch(campaign.workspaceId, "reply.received", {
+          ...webhookService.emailData(email),
+          campaignName: campaign.name,
+          from: reply.from,
+          subject: reply.subject || "",
+          body: reply.body || "",
+          intent,
+          intentConfidence: classification.confidence,
+          receivedAt: reply.receivedAt || new Date(),
+        });
+      }
+
+      if (HUMAN_INTENTS.includes(intent)) {
+        emitToUser(campaign.userId, "notification", {
+          type: "info",
+          category: "reply",
+          title: "New Reply Received",
+          message: `${reply.from} replied to your email in "${campaign.name}".`,
+          intent,
+        });
+      }
 
       // Emit a silent event for the Mailboxes UI to automatically refetch data
       emitToUser(campaign.userId, "mailbox_updated", {
@@ -140,181 +297,224 @@ async function processReply({ sender, email, reply }) {
   }
 }
 
-function extractGmailBody(payload) {
-  if (!payload) return "";
-
-  // 1️⃣ Direct body
-  if (payload.body?.data) {
-    return Buffer.from(payload.body.data, "base64").toString("utf8");
-  }
-
-  // 2️⃣ If multipart — recursively search
-  if (payload.parts && payload.parts.length) {
-    for (const part of payload.parts) {
-      // Prefer plain text
-      if (part.mimeType === "text/plain" && part.body?.data) {
-        return Buffer.from(part.body.data, "base64").toString("utf8");
-      }
-
-      // Otherwise search deeper
-      const nested = extractGmailBody(part);
-      if (nested) return nested;
-    }
-  }
-
-  return "";
-}
-
 /* =========================
-   GMAIL INGESTION
+   BOUNCES (RFC 3464 DSNs)
 ========================= */
 
-async function ingestGmailReplies(sender) {
-  log("INFO", "Checking Gmail sender", { sender: sender.email });
-
-  const campaignEmails = await Email.findAll({
-    where: {
-      senderId: sender.id,
-      senderType: "gmail",
-      providerThreadId: { [Op.ne]: null },
-      campaignId: { [Op.ne]: null },
-      status: { [Op.in]: ["sent", "delivered"] },
-    },
-  });
-
-  const threadMap = new Map();
-  campaignEmails.forEach((e) => {
-    threadMap.set(e.providerThreadId, e);
-  });
-
-  if (!threadMap.size) return;
+// DSNs that matched no Email, so they aren't refetched on every poll
+const unmatchedDsns = new Set();
+const UNMATCHED_DSN_LIMIT = 5000;
 
-  const tokenData = await refreshGoogleToken(sender);
-  if (!tokenData?.accessToken) return;
+function rememberUnmatched(key) {
+  if (unmatchedDsns.size >= UNMATCHED_DSN_LIMIT) unmatchedDsns.clear();
+  unmatchedDsns.add(key);
+}
 
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_CALLBACK_URL_SENDER,
-  );
+/**
+ * Handles a bounce-looking inbox message. Returns false when it isn't a
+ * delivery-status report, so it can still be matched as a reply (plain-text
+ * bounces are caught by the classifier there).
+ */
+async function ingestBounce(sender, provider, message, byMessageId) {
+  if (unmatchedDsns.has(message.key)) return true;
 
-  oauth2Client.setCredentials({
-    access_token: tokenData.accessToken,
+  const exists = await BounceEvent.findOne({
+    where: { "metadata.providerMessageId": message.providerMessageId },
   });
+  if (exists) return true;
 
-  const gmail = google.gmail({
-    version: "v1",
-    auth: oauth2Client,
-  });
+  let dsn;
+  try {
+    dsn = parseDsn(
+      await provider.getSource(sender, message.id, { folder: "inbox" }),
+    );
+  } catch (err) {
+    // Retried on the next poll
+    log("ERROR", "Failed to fetch DSN source", {
+      sender: sender.email,
+      error: err.message,
+    });
+    return true;
+  }
+  if (!dsn) return false;
+
+  // Delayed / relayed notices aren't bounces
+  const failed = dsn.recipients.filter((r) => r.action === "failed");
+  // Only emails sent from this mailbox qualify; older or already-bounced
+  // ones aren't in the scan window, so fall back to the database
+  const email = failed.length
+    ? byMessageId.get(MailProvider.normalizeMessageId(dsn.original.messageId)) ||
+      (await findSentEmail(dsn.original, { senderId: sender.id }))
+    : null;
+
+  if (!email) {
+    rememberUnmatched(message.key);
+    return true;
+  }
 
-  const res = await gmail.users.messages.list({
-    userId: "me",
-    q: "in:inbox newer_than:7d",
-    maxResults: 100,
+  const recipientEmail = email.recipientEmail.toLowerCase();
+  const recipient =
+    failed.find((r) =>
+      [r.finalRecipient, r.originalRecipient].includes(recipientEmail),
+    ) || failed[0];
+
+  const bounceType = bounceTypeForStatus(recipient.status);
+  const reason =
+    recipient.diagnosticCode || `Delivery failed (${recipient.status || "no status"})`;
+
+  await BounceEvent.create({
+    emailId: email.id,
+    bounceType,
+    reason: reason.slice(0, 255),
+    smtpResponse: recipient.diagnosticCode,
+    metadata: {
+      source: "dsn",
+      providerMessageId: message.providerMessageId,
+      mailboxId: sender.id,
+      status: recipient.status,
+      action: recipient.action,
+      finalRecipient: recipient.finalRecipient,
+      remoteMta: recipient.remoteMta,
+      reportingMta: dsn.reportingMta,
+    },
+    occurredAt: dsn.arrivalDate || new Date(message.date),
   });
 
-  for (const msg of res.data.messages || []) {
-    const full = await gmail.users.messages.get({
-      userId: "me",
-      id: msg.id,
-      format: "full",
-    });
-
-    const threadId = full.data.threadId;
+  await BounceProcessor.handleBounce(email.id, bounceType, reason, "dsn");
 
-    const headers = {};
-    (full.data.payload?.headers || []).forEach((h) => {
-      headers[h.name] = h.value;
-    });
+  log("INFO", "Bounce ingested from DSN", {
+    emailId: email.id,
+    type: provider.type,
+    bounceType,
+    status: recipient.status,
+  });
 
-    const from = headers["From"]?.match(/[^\s<]+@[^\s>]+/)?.[0]?.toLowerCase();
+  return true;
+}
 
-    if (!from || from === sender.email.toLowerCase()) continue;
+/* =========================
+   INGESTION
+========================= */
 
-    // if (full.data.payload.body?.data) {
-    //   body = Buffer.from(full.data.payload.body.data, "base64").toString(
-    //     "utf8",
-    //   );
-    // }
+// Inbox messages fetched per page while paging back through a mailbox
+const REPLY_PAGE_SIZE = 50;
+// How far back the first poll of a mailbox looks
+const FIRST_SCAN_MS = 24 * 60 * 60 * 1000;
+// Re-scanned before the last check: message dates come from the provider
+// (or the Date header on IMAP) and may lag our clock
+const SCAN_OVERLAP_MS = 15 * 60 * 1000;
 
-    const matchedEmail = threadMap.get(threadId);
-    if (!matchedEmail) continue;
+/**
+ * Inbox messages received since the mailbox was last checked, newest
+ * first, paging back until the previous check (or FIRST_SCAN_MS).
+ */
+async function listNewMessages(sender, provider) {
+  const since = sender.lastReplyCheckAt
+    ? new Date(sender.lastReplyCheckAt).getTime() - SCAN_OVERLAP_MS
+    : Date.now() - FIRST_SCAN_MS;
+
+  const seen = new Set();
+  const messages = [];
+  let before = null;
+
+  for (;;) {
+    const page = await provider.listMessages(sender, {
+      folder: "inbox",
+      limit: REPLY_PAGE_SIZE,
+      before,
+    });
 
-    const body = extractGmailBody(full.data.payload);
+    // `before` is inclusive: the boundary messages come back again
+    const fresh = page.messages.filter((m) => !seen.has(m.id));
+    fresh.forEach((m) => seen.add(m.id));
+    messages.push(...fresh.filter((m) => new Date(m.date).getTime() >= since));
 
-    await processReply({
-      sender,
-      email: matchedEmail,
-      reply: {
-        from,
-        subject: headers["Subject"] || "",
-        body,
-        receivedAt: new Date(headers["Date"] || Date.now()),
-        messageId: msg.id,
-        threadId,
-        conversationId: threadId,
-        headers,
-      },
-    });
+    const oldest = Math.min(...page.messages.map((m) => new Date(m.date).getTime()));
+    if (!page.hasMore || !fresh.length || oldest < since) break;
+    before = new Date(oldest);
   }
-}
 
-/* =========================
-   OUTLOOK INGESTION
-========================= */
+  return messages;
+}
 
-async function ingestOutlookReplies(sender) {
-  log("INFO", "Checking Outlook sender", { sender: sender.email });
+/**
+ * Matches a mailbox's new inbox messages against the campaign emails it
+ * sent: by thread where the provider has one (Gmail, Outlook), otherwise by
+ * In-Reply-To / References against the Message-ID we sent (IMAP).
+ * Delivery-status notifications are split off first and recorded as bounces.
+ */
+async function ingestReplies(sender, provider) {
+  log("INFO", "Checking sender", {
+    sender: sender.email,
+    type: provider.type,
+  });
 
   const campaignEmails = await Email.findAll({
     where: {
       senderId: sender.id,
-      senderType: "outlook",
+      senderType: provider.type,
       campaignId: { [Op.ne]: null },
-      providerThreadId: { [Op.ne]: null }, // 🔥 use providerThreadId consistently
+      status: { [Op.in]: ["sent", "delivered"] },
+      [Op.or]: [
+        { providerThreadId: { [Op.ne]: null } },
+        { providerMessageId: { [Op.ne]: null } },
+      ],
     },
   });
 
   if (!campaignEmails.length) {
-    log("DEBUG", "No Outlook campaign emails found", {
-      sender: sender.email,
-    });
+    log("DEBUG", "No campaign emails found", { sender: sender.email });
     return;
   }
 
-  const convoMap = new Map();
+  const byThread = new Map();
+  const byMessageId = new Map();
   campaignEmails.forEach((e) => {
-    convoMap.set(e.providerThreadId, e);
+    if (e.providerThreadId) byThread.set(e.providerThreadId, e);
+    const messageId = MailProvider.normalizeMessageId(e.providerMessageId);
+    if (messageId) byMessageId.set(messageId, e);
   });
 
-  const token = await getValidMicrosoftToken(sender);
-  if (!token) return;
+  // Taken before listing so mail arriving meanwhile is seen next time
+  const checkedAt = new Date();
+  const messages = await listNewMessages(sender, provider);
 
-  const res = await axios.get(
-    "https://graph.microsoft.com/v1.0/me/messages?$top=50",
-    {
-      headers: { Authorization: `Bearer ${token}` },
-    },
-  );
+  const self = sender.email.toLowerCase();
 
-  for (const msg of res.data.value || []) {
-    const conversationId = msg.conversationId;
-    const from = msg.from?.emailAddress?.address?.toLowerCase();
+  for (const message of messages) {
+    const from = message.from?.email;
+    if (!from || from === self) continue;
 
-    if (!from || from === sender.email.toLowerCase()) continue;
-
-    const matchedEmail = convoMap.get(conversationId);
-
-    if (!matchedEmail) {
-      log("DEBUG", "No conversation match found", {
-        conversationId,
-      });
+    // Bounces are never counted as replies
+    if (
+      isDsnCandidate(message) &&
+      (await ingestBounce(sender, provider, message, byMessageId))
+    ) {
       continue;
     }
 
-    log("INFO", "Matched Outlook reply", {
+    const matchedEmail =
+      (message.threadId && byThread.get(message.threadId)) ||
+      [message.inReplyTo, ...message.references]
+        .map((id) => id && byMessageId.get(id))
+        .find(Boolean);
+
+    if (!matchedEmail) continue;
+
+    // Skip the body fetch for replies we already have
+    const exists = await ReplyEvent.findOne({
+      where: { providerMessageId: message.providerMessageId },
+    });
+    if (exists) continue;
+
+    log("INFO", "Matched reply", {
       emailId: matchedEmail.id,
-      conversationId,
+      type: provider.type,
+      threadId: message.threadId,
+    });
+
+    const full = await provider.getMessage(sender, message.id, {
+      folder: "inbox",
     });
 
     await processReply({
@@ -322,198 +522,18 @@ async function ingestOutlookReplies(sender) {
       email: matchedEmail,
       reply: {
         from,
-        subject: msg.subject,
-        body: msg.body?.content || "",
-        receivedAt: new Date(msg.receivedDateTime),
-        messageId: msg.id,
-        threadId: conversationId,
-        conversationId,
-        headers: {
-          internetMessageId: msg.internetMessageId,
-          conversationId: msg.conversationId,
-        },
+        subject: full.subject || "",
+        body: full.text || full.html || "",
+        receivedAt: new Date(full.date),
+        messageId: full.providerMessageId,
+        threadId: full.threadId || full.providerMessageId,
+        conversationId: full.threadId || full.providerMessageId,
+        headers: full.headers,
       },
     });
   }
-}
-
-async function ingestImapReplies(sender) {
-  log("INFO", "Checking SMTP sender (IMAP)", {
-    sender: sender.email,
-  });
 
-  try {
-    // 1️⃣ Load campaign emails sent by this SMTP sender
-    const campaignEmails = await Email.findAll({
-      where: {
-        senderId: sender.id,
-        senderType: "smtp",
-        campaignId: { [Op.ne]: null },
-        providerMessageId: { [Op.ne]: null },
-        status: { [Op.in]: ["sent", "delivered"] },
-      },
-      attributes: [
-        "id",
-        "campaignId",
-        "recipientId",
-        "recipientEmail",
-        "providerMessageId",
-      ],
-    });
-
-    if (!campaignEmails.length) {
-      log("DEBUG", "No SMTP campaign emails found", {
-        sender: sender.email,
-      });
-      return;
-    }
-
-    // 2️⃣ Build Message-ID map
-    const messageIdMap = new Map();
-    campaignEmails.forEach((e) => {
-      const clean = e.providerMessageId?.replace(/[<>]/g, "").trim();
-      if (clean) {
-        messageIdMap.set(clean, e);
-      }
-    });
-
-    if (!messageIdMap.size) return;
-
-    // 3️⃣ Connect to IMAP
-    const proxy = await getNextProxy();
-    if (proxy) log("INFO", "🌐 Using proxy for IMAP reply ingestion", { sender: sender.email, proxy });
-    
-    // Switch to helper for consistent proxy support
-    const imap = await createImapConnection(sender, proxy);
-
-    return new Promise((resolve) => {
-      imap.once("ready", () => {
-        imap.openBox("INBOX", false, (err) => {
-          if (err) {
-            log("ERROR", "Failed to open IMAP inbox", {
-              error: err.message,
-            });
-            return resolve();
-          }
-
-          // Search for unseen OR recent messages (last 24h) to be safe
-          const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
-          imap.search([["OR", "UNSEEN", ["SINCE", since]]], (err, results) => {
-            if (err || !results?.length) {
-              log("DEBUG", "No SMTP replies found in search");
-              return resolve();
-            }
-
-            const fetch = imap.fetch(results, { bodies: "" });
-
-            fetch.on("message", (msg) => {
-              let buffer = "";
-
-              msg.on("body", (stream) => {
-                stream.on("data", (chunk) => {
-                  buffer += chunk.toString("utf8");
-                });
-              });
-
-              msg.once("end", async () => {
-                try {
-                  const parsed = await simpleParser(buffer);
-
-                  const from = parsed.from?.value?.[0]?.address?.toLowerCase();
-
-                  if (!from || from === sender.email.toLowerCase()) {
-                    return;
-                  }
-
-                  // Extract reference IDs
-                  const references = [];
-                  if (parsed.inReplyTo) references.push(parsed.inReplyTo);
-                  if (parsed.references) references.push(...parsed.references);
-
-                  const cleanRefs = references
-                    .map((id) => id?.replace(/[<>]/g, "").trim())
-                    .filter(Boolean);
-
-                  if (!cleanRefs.length) return;
-
-                  let matchedEmail = null;
-
-                  for (const ref of cleanRefs) {
-                    if (messageIdMap.has(ref)) {
-                      matchedEmail = messageIdMap.get(ref);
-                      break;
-                    }
-                  }
-
-                  if (!matchedEmail) return;
-
-                  // Prevent duplicates
-                  const exists = await ReplyEvent.findOne({
-                    where: {
-                      providerMessageId: parsed.messageId,
-                      emailId: matchedEmail.id,
-                    },
-                  });
-
-                  if (exists) return;
-
-                  const body = parsed.text || parsed.html || "(No content)";
-
-                  // 4️⃣ Process reply
-                  await processReply({
-                    sender,
-                    email: matchedEmail,
-                    reply: {
-                      from,
-                      subject: parsed.subject || "",
-                      body,
-                      receivedAt: parsed.date || new Date(),
-                      messageId: parsed.messageId || parsed.messageId,
-                      threadId: parsed.messageId,
-                      conversationId: parsed.messageId,
-                      headers: Object.fromEntries(parsed.headers),
-                    },
-                  });
-
-                  // Mark message as seen
-                  msg.once("attributes", (attrs) => {
-                    imap.addFlags(attrs.uid, ["\\Seen"], () => { });
-                  });
-                } catch (err) {
-                  log("ERROR", "SMTP reply parse failed", {
-                    error: err.message,
-                  });
-                }
-              });
-            });
-
-            fetch.once("end", async () => {
-              await sender.update({
-                lastReplyCheckAt: new Date(),
-              });
-
-              imap.end();
-              resolve();
-            });
-          });
-        });
-      });
-
-      imap.once("error", (err) => {
-        log("ERROR", "IMAP connection error", {
-          error: err.message,
-        });
-        resolve();
-      });
-
-      imap.connect();
-    });
-  } catch (err) {
-    log("ERROR", "SMTP ingestion failed", {
-      sender: sender.email,
-      error: err.message,
-    });
-  }
+  await sender.update({ lastReplyCheckAt: checkedAt });
 }
 
 /* =========================
@@ -549,32 +569,38 @@ async function checkAllSenders() {
   running = true;
 
   try {
-    const activeCampaignFilter = {
-      model: Campaign,
-      required: true, // INNER JOIN: only senders with at least one matching campaign
+    // Senders used by running campaigns: the primary sender plus any
+    // mailbox in a campaign's rotation pool.
+    const runningCampaigns = await Campaign.findAll({
       where: { status: "running" },
-      attributes: [], // We don't need campaign data, just the filter
-    };
-
-    const [gmail, outlook, smtpSenders] = await Promise.all([
-      GmailSender.findAll({
-        where: { isVerified: true },
-        include: [activeCampaignFilter],
-      }),
-      OutlookSender.findAll({
-        where: { isVerified: true },
-        include: [activeCampaignFilter],
-      }),
-      SmtpSender.findAll({
-        where: { isVerified: true, isActive: true },
-        include: [activeCampaignFilter],
-      }),
-    ]);
+      attributes: ["senderId", "senderType"],
+      include: [
+        {
+          model: CampaignSender,
+          required: false,
+          where: { isActive: true },
+          attributes: ["senderId", "senderType"],
+        },
+      ],
+    });
+
+    const activeIds = Object.fromEntries(
+      Object.keys(MAIL_PROVIDERS).map((type) => [type, new Set()]),
+    );
+    for (const c of runningCampaigns) {
+      activeIds[c.senderType]?.add(c.senderId);
+      for (const p of c.CampaignSenders || []) {
+        activeIds[p.senderType]?.add(p.senderId);
+      }
+    }
 
     // Run each provider in parallel batches of BATCH_SIZE
-    await runInBatches(gmail, ingestGmailReplies);
-    await runInBatches(outlook, ingestOutlookReplies);
-    await runInBatches(smtpSenders, ingestImapReplies);
+    for (const provider of Object.values(MAIL_PROVIDERS)) {
+      const senders = await provider.findMailboxes({
+        id: [...activeIds[provider.type]],
+      });
+      await runInBatches(senders, (sender) => ingestReplies(sender, provider));
+    }
   } catch (err) {
     log("ERROR", "Reply ingestion failed", { error: err.message });
   } finally {
@@ -0,0 +1,158 @@
+import "../models/index.js";
+import { initGlobalErrorHandlers } from "../utils/error-handler.js";
+initGlobalErrorHandlers();
+import { WebhookDelivery, WebhookEndpoint } from "../models/index.js";
+import { getChannel } from "../queues/rabbit.js";
+import { QUEUES } from "../queues/queues.js";
+import {
+  webhookService,
+  assertWebhookQueues,
+  retryQueueName,
+  retryDelayMs,
+  MAX_ATTEMPTS,
+  TEST_EVENT,
+} from "../services/webhook.service.js";
+
+const log = (level, message, meta = {}) =>
+  console.log(
+    JSON.stringify({
+      ts: new Date().toISOString(),
+      service: "webhook-delivery",
+      level,
+      message,
+      ...meta,
+    }),
+  );
+
+/* =========================
+   DELIVERY
+========================= */
+
+async function processDelivery(channel, deliveryId) {
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookEndpoint, as: "endpoint" }],
+  });
+
+  if (!delivery || ["succeeded", "failed"].includes(delivery.status)) return;
+
+  const { endpoint } = delivery;
+  // Test events go out even while the endpoint is paused
+  if (!endpoint || (!endpoint.isActive && delivery.event !== TEST_EVENT)) {
+    await delivery.update({
+      status: "failed",
+      lastError: "Endpoint deleted or disabled",
+      nextRetryAt: null,
+    });
+    return;
+  }
+
+  const attempt = delivery.attempts + 1;
+  const result = await webhookService.deliver(endpoint, delivery);
+
+  const attemptFields = {
+    attempts: attempt,
+    responseStatus: result.status,
+    responseBody: result.body,
+    lastError: result.error,
+    durationMs: result.durationMs,
+  };
+
+  await endpoint.update({ lastDeliveryAt: new Date() });
+
+  if (result.ok) {
+    await delivery.update({
+      ...attemptFields,
+      status: "succeeded",
+      deliveredAt: new Date(),
+      nextRetryAt: null,
+    });
+    log("INFO", "Webhook delivered", {
+      deliveryId,
+      event: delivery.event,
+      status: result.status,
+      attempt,
+    });
+    return;
+  }
+
+  if (attempt >= MAX_ATTEMPTS) {
+    await delivery.update({ ...attemptFields, status: "failed", nextRetryAt: null });
+    log("WARN", "Webhook failed permanently", {
+      deliveryId,
+      event: delivery.event,
+      attempts: attempt,
+      error: result.error,
+    });
+    return;
+  }
+
+  // Parked on the delay queue for this attempt, then dead-lettered back
+  const delay = retryDelayMs(attempt);
+  await delivery.update({
+    ...attemptFields,
+    status: "retrying",
+    nextRetryAt: new Date(Date.now() + delay),
+  });
+
+  channel.sendToQueue(
+    retryQueueName(attempt),
+    Buffer.from(JSON.stringify({ deliveryId })),
+    { persistent: true, contentType: "application/json" },
+  );
+
+  log("INFO", "Webhook attempt failed, retry scheduled", {
+    deliveryId,
+    event: delivery.event,
+    attempt,
+    delayMs: delay,
+    error: result.error,
+  });
+}
+
+/* =========================
+   WORKER START
+========================= */
+
+async function startWorker() {
+  let channel;
+  try {
+    channel = await getChannel();
+    await assertWebhookQueues(channel);
+    channel.prefetch(10);
+
+    log("INFO", "Webhook Delivery Worker Started");
+
+    channel.consume(QUEUES.WEBHOOK_DELIVER, async (msg) => {
+      if (!msg) return;
+
+      try {
+        const { deliveryId } = JSON.parse(msg.content.toString());
+        await processDelivery(channel, deliveryId);
+        channel.ack(msg);
+      } catch (err) {
+        log("ERROR", "Webhook delivery processing failed", {
+          error: err.message,
+          stack: err.stack,
+        });
+        // Database hiccup: try the message again later rather than drop it
+        setTimeout(() => {
+          try {
+            channel.nack(msg, false, true);
+          } catch {
+            /* channel closed: RabbitMQ redelivers unacked messages */
+          }
+        }, 5000);
+      }
+    });
+
+    channel.on("close", () => {
+      log("WARN", "Channel closed, restarting in 5s...");
+      setTimeout(startWorker, 5000);
+    });
+  } catch (err) {
+    log("ERROR", "Worker failed to start", { error: err.message });
+    setTimeout(startWorker, 5000);
+  }
+}
+
+startWorker();